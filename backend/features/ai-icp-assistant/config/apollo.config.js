@@ -0,0 +1,57 @@
+/**
+ * Apollo Search Configuration
+ *
+ * Parameter names and allowed values for the Apollo people / company search
+ * payloads built by ApolloSearchCompiler. Seniority values come from config/taxonomy.
+ */
+module.exports = {
+  searchTypes: ['people', 'companies'],
+  pagination: {
+    defaultPage: 1,
+    defaultPerPage: parseInt(process.env.APOLLO_DEFAULT_PER_PAGE || '25', 10),
+    maxPerPage: 100,
+    // Apollo does not page past 500 pages
+    maxPage: 500
+  },
+  // Targeting field → Apollo parameter, per search type
+  params: {
+    people: {
+      job_titles: 'person_titles',
+      excluded_titles: 'person_not_titles',
+      seniority: 'person_seniorities',
+      locations: 'person_locations',
+      excluded_locations: 'person_not_locations',
+      industries: 'q_organization_keyword_tags',
+      excluded_industries: 'q_not_organization_keyword_tags',
+      company_names: 'q_organization_names',
+      excluded_companies: 'q_not_organization_names',
+      employee_ranges: 'organization_num_employees_ranges',
+      funding_stages: 'organization_latest_funding_stage_cd',
+      technologies: 'currently_using_any_of_technology_uids',
+      excluded_technologies: 'currently_not_using_any_of_technology_uids',
+      keywords: 'q_keywords'
+    },
+    companies: {
+      locations: 'organization_locations',
+      excluded_locations: 'organization_not_locations',
+      industries: 'q_organization_keyword_tags',
+      excluded_industries: 'q_not_organization_keyword_tags',
+      company_names: 'q_organization_names',
+      excluded_companies: 'q_not_organization_names',
+      employee_ranges: 'organization_num_employees_ranges',
+      funding_stages: 'organization_latest_funding_stage_cd',
+      technologies: 'currently_using_any_of_technology_uids',
+      excluded_technologies: 'currently_not_using_any_of_technology_uids',
+      keywords: 'q_keywords'
+    }
+  },
+  // Range filters sent as { min, max }
+  rangeParams: {
+    revenue_ranges: 'revenue_range',
+    founded_year: 'organization_founded_year_range'
+  },
+  limits: {
+    maxValuesPerField: 100,
+    maxValueLength: 200
+  }
+};
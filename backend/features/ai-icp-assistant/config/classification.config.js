@@ -0,0 +1,40 @@
+/**
+ * Classification Configuration
+ *
+ * Classification types served by ClassificationService, and the cache / batch limits.
+ */
+module.exports = {
+  // Type → classifier response fields and the taxonomy type overrides are validated against
+  types: {
+    industry: {
+      valueField: 'apollo_industry',
+      alternativesField: 'alternative_industries',
+      taxonomyType: 'industry'
+    },
+    location: {
+      valueField: 'primary_location',
+      alternativesField: 'alternative_locations',
+      taxonomyType: 'location'
+    },
+    decision_makers: {
+      valueField: 'primary_role',
+      alternativesField: 'alternative_roles',
+      taxonomyType: 'role'
+    }
+  },
+  cache: {
+    // Model results are reused for this long; manual overrides never expire
+    ttlDays: parseInt(process.env.CLASSIFICATION_CACHE_TTL_DAYS || '30', 10),
+    maxInputLength: 255
+  },
+  overrides: {
+    maxPatternLength: 255,
+    // Active rules a tenant may keep per type
+    maxPerType: 500
+  },
+  batch: {
+    maxInputs: 500,
+    // Classifier calls in flight at once for cache misses
+    concurrency: parseInt(process.env.CLASSIFICATION_BATCH_CONCURRENCY || '4', 10)
+  }
+};
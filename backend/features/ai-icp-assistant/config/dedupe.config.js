@@ -0,0 +1,40 @@
+/**
+ * Lead Deduplication Configuration
+ *
+ * Keys LeadsDeduplicator compares uploaded leads on, within the upload and against the leads
+ * the tenant uploaded before. LEADS_DEDUPE_KEYS="email,linkedin_url" compares only those; a
+ * request can pass its own list.
+ */
+const parseListEnv = (name) => {
+  const raw = process.env[name];
+  if (!raw) return null;
+  return raw.split(',').map(item => item.trim()).filter(Boolean);
+};
+module.exports = {
+  // email, linkedin_url and phone match exactly (after normalisation); name_company matches
+  // names and companies that differ only in case, accents, punctuation, legal suffix or a typo
+  keys: parseListEnv('LEADS_DEDUPE_KEYS') || ['email', 'linkedin_url', 'phone', 'name_company'],
+  fuzzy: {
+    // Minimum similarity (1 - edit distance / length) of the names and of the companies
+    nameSimilarity: 0.85,
+    companySimilarity: 0.85,
+    // Leads are compared pairwise only within a block (same company prefix); larger blocks
+    // fall back to exact name + company matches
+    maxBlockSize: 300
+  },
+  // Dropped from company names before comparing ("Acme Inc." = "ACME")
+  companySuffixes: [
+    'ag', 'bv', 'co', 'company', 'corp', 'corporation', 'fze', 'fzco', 'fz llc', 'gmbh', 'group', 'inc',
+    'incorporated', 'limited', 'llc', 'llp', 'ltd', 'plc', 'pte', 'pty', 'sa', 'sarl', 'spa'
+  ],
+  history: {
+    // Check uploads against the leads the tenant uploaded before
+    enabled: process.env.LEADS_DEDUPE_HISTORY !== 'false',
+    // Key values per lookup query
+    lookupChunk: 5000,
+    // Lead identities per insert
+    insertChunk: 1000,
+    // Previous uploads older than this are not matched (0 = keep all)
+    retentionDays: parseInt(process.env.LEADS_DEDUPE_RETENTION_DAYS || '365', 10)
+  }
+};
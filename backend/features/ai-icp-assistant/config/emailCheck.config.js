@@ -0,0 +1,34 @@
+/**
+ * Email Domain Check Configuration
+ *
+ * Checks EmailDomainChecker runs on lead emails before anything is sent: syntax, disposable
+ * domains (validation.config email_disposable), catch-all domains and, when enabled, a DNS MX
+ * lookup. Without the MX lookup every check is offline.
+ */
+const parseListEnv = (name) => {
+  const raw = process.env[name];
+  if (!raw) return null;
+  return raw.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+};
+module.exports = {
+  mx: {
+    enabled: process.env.LEADS_EMAIL_MX_CHECK === 'true',
+    // 'system' (Node's resolver) or a name registered with EmailDomainChecker.registerResolver
+    resolver: process.env.LEADS_EMAIL_RESOLVER || 'system',
+    // DNS servers for the system resolver (default: the host's)
+    servers: parseListEnv('LEADS_EMAIL_DNS_SERVERS'),
+    timeoutMs: parseInt(process.env.LEADS_EMAIL_DNS_TIMEOUT_MS || '3000', 10),
+    // Domains looked up at once, and per check (the rest stay 'unknown')
+    concurrency: 8,
+    maxDomains: 2000,
+    // Lookup results are reused for this long
+    cacheTtlMinutes: 60
+  },
+  catchAll: {
+    // Domains known to accept every address
+    domains: parseListEnv('LEADS_EMAIL_CATCH_ALL_DOMAINS') || [],
+    // Mail gateways that accept every recipient during SMTP, so a mailbox can't be confirmed;
+    // domains whose MX hosts end with one of these count as catch-all
+    mxHosts: ['mimecast.com', 'pphosted.com', 'iphmx.com', 'barracudanetworks.com', 'messagelabs.com', 'mailcontrol.com']
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Firmographic Filters Configuration
+ *
+ * Apollo-compatible buckets for the company filters extracted in lead chat.
+ * Ranges are "min,max" strings as Apollo expects them (empty side = open-ended).
+ */
+module.exports = {
+  // organization_num_employees_ranges
+  employeeRanges: [
+    '1,10', '11,20', '21,50', '51,100', '101,200', '201,500',
+    '501,1000', '1001,2000', '2001,5000', '5001,10000', '10001,'
+  ],
+  // Company-size words → headcount range they cover
+  companySizeWords: {
+    micro: '1,10',
+    startup: '1,50',
+    small: '1,50',
+    smb: '1,200',
+    'small business': '1,200',
+    midsize: '201,1000',
+    'mid-size': '201,1000',
+    'mid-market': '201,1000',
+    'mid market': '201,1000',
+    large: '1001,',
+    enterprise: '1001,'
+  },
+  // revenue_range buckets in USD
+  revenueRanges: [
+    { range: '0,1000000', label: '<$1M' },
+    { range: '1000000,10000000', label: '$1M-$10M' },
+    { range: '10000000,50000000', label: '$10M-$50M' },
+    { range: '50000000,100000000', label: '$50M-$100M' },
+    { range: '100000000,250000000', label: '$100M-$250M' },
+    { range: '250000000,500000000', label: '$250M-$500M' },
+    { range: '500000000,1000000000', label: '$500M-$1B' },
+    { range: '1000000000,', label: '$1B+' }
+  ],
+  // organization_latest_funding_stage_cd
+  fundingStages: [
+    { key: 'seed', label: 'Seed', apolloCode: '0', aliases: ['seed', 'pre-seed', 'pre seed', 'preseed'] },
+    { key: 'angel', label: 'Angel', apolloCode: '1', aliases: ['angel', 'angel round'] },
+    { key: 'venture', label: 'Venture (round not specified)', apolloCode: '2', aliases: ['venture', 'vc-backed', 'vc backed', 'venture backed', 'venture-backed'] },
+    { key: 'series_a', label: 'Series A', apolloCode: '3', aliases: ['series a'] },
+    { key: 'series_b', label: 'Series B', apolloCode: '4', aliases: ['series b'] },
+    { key: 'series_c', label: 'Series C', apolloCode: '5', aliases: ['series c'] },
+    { key: 'series_d', label: 'Series D', apolloCode: '6', aliases: ['series d'] },
+    { key: 'series_e', label: 'Series E', apolloCode: '7', aliases: ['series e'] },
+    { key: 'series_f', label: 'Series F', apolloCode: '8', aliases: ['series f'] },
+    { key: 'debt_financing', label: 'Debt Financing', apolloCode: '10', aliases: ['debt', 'debt financing'] },
+    { key: 'equity_crowdfunding', label: 'Equity Crowdfunding', apolloCode: '11', aliases: ['crowdfunding', 'equity crowdfunding'] },
+    { key: 'convertible_note', label: 'Convertible Note', apolloCode: '12', aliases: ['convertible note'] },
+    { key: 'private_equity', label: 'Private Equity', apolloCode: '13', aliases: ['private equity', 'pe-backed', 'pe backed'] },
+    { key: 'other', label: 'Other', apolloCode: '14', aliases: ['other'] }
+  ],
+  // Stage groups users talk about
+  fundingStageGroups: {
+    'early stage': ['seed', 'angel', 'series_a'],
+    'early-stage': ['seed', 'angel', 'series_a'],
+    'growth stage': ['series_b', 'series_c'],
+    'growth-stage': ['series_b', 'series_c'],
+    'late stage': ['series_c', 'series_d', 'series_e', 'series_f'],
+    'late-stage': ['series_c', 'series_d', 'series_e', 'series_f'],
+    'series c+': ['series_c', 'series_d', 'series_e', 'series_f'],
+    'series b+': ['series_b', 'series_c', 'series_d', 'series_e', 'series_f'],
+    funded: ['seed', 'angel', 'venture', 'series_a', 'series_b', 'series_c', 'series_d', 'series_e', 'series_f']
+  },
+  // Apollo technology uids for common shorthand (others are slugified: "Google Analytics" → google_analytics)
+  technologyAliases: {
+    sfdc: 'salesforce',
+    ga: 'google_analytics',
+    gcp: 'google_cloud',
+    'google cloud platform': 'google_cloud',
+    hubspot: 'hubspot',
+    'hub spot': 'hubspot',
+    'microsoft 365': 'office_365',
+    'ms 365': 'office_365'
+  }
+};
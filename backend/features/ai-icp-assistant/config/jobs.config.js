@@ -0,0 +1,34 @@
+/**
+ * Background Jobs Configuration
+ *
+ * Long-running lead work (uploads, AI analysis, classification batches, scoring) runs through
+ * JobQueue when a request sends async: true; GET /jobs/:id reports its progress and result.
+ * Jobs run in this process. JOBS_PERSISTENCE=postgres also writes their status to ai_jobs
+ * (migration 015) so any instance can answer status requests.
+ */
+const parseIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+module.exports = {
+  // Jobs running at the same time; the rest wait in order
+  concurrency: parseIntEnv('JOBS_CONCURRENCY', 2),
+  // 'memory' or 'postgres'
+  persistence: process.env.JOBS_PERSISTENCE || 'memory',
+  retry: {
+    // Attempts per job, the first included; handlers can set their own
+    maxAttempts: parseIntEnv('JOBS_MAX_ATTEMPTS', 3),
+    // Wait before attempt n: backoffMs * 2^(n - 2)
+    backoffMs: 2000
+  },
+  // A running attempt that takes longer fails the job (not retried)
+  timeoutMs: parseIntEnv('JOBS_TIMEOUT_MS', 10 * 60 * 1000),
+  // Finished jobs are kept this long (in memory and in ai_jobs)
+  retentionMinutes: parseIntEnv('JOBS_RETENTION_MINUTES', 24 * 60),
+  // Finished jobs kept in memory at most; the oldest are dropped first
+  maxFinishedInMemory: 200,
+  // Progress is written to ai_jobs at most this often per job
+  progressWriteMs: 1000,
+  // Results larger than this (JSON) are not written to ai_jobs and are only available from memory
+  maxResultBytes: 5 * 1024 * 1024
+};
@@ -0,0 +1,41 @@
+/**
+ * Lead Column Mapping Configuration
+ *
+ * How uploaded file columns are matched to lead fields (see LeadsColumnMapper).
+ * Aliases are compared with the header lowercased and stripped to words, so "E-mail Address"
+ * matches "e mail address"; they cover the HubSpot, Salesforce and Apollo export headers.
+ */
+module.exports = {
+  // Lead fields a column can map to, with the header texts that mean them
+  aliases: {
+    first_name: ['first name', 'firstname', 'first', 'given name', 'fname', 'forename'],
+    last_name: ['last name', 'lastname', 'last', 'surname', 'family name', 'lname'],
+    full_name: ['full name', 'fullname', 'name', 'contact name', 'contact', 'lead name', 'person name'],
+    email: ['email', 'e mail', 'email address', 'work email', 'business email', 'contact email', 'primary email', 'emails'],
+    phone: ['phone', 'phone number', 'mobile', 'mobile phone', 'telephone', 'tel', 'cell', 'direct phone', 'work phone', 'corporate phone', 'contact phone'],
+    company: ['company', 'company name', 'organization', 'organisation', 'org', 'account', 'account name', 'employer', 'company name for emails'],
+    job_title: ['job title', 'title', 'jobtitle', 'position', 'role', 'designation', 'headline'],
+    industry: ['industry', 'sector', 'vertical'],
+    linkedin_url: ['linkedin', 'linkedin url', 'linkedin profile', 'person linkedin url', 'linkedin profile url', 'li url'],
+    location: ['location', 'address', 'city', 'country', 'region', 'country region', 'state', 'mailing city', 'geography'],
+    company_size: ['company size', 'employees', 'employee count', 'number of employees', 'headcount', 'size', 'staff count'],
+    website: ['website', 'website url', 'company website', 'domain', 'company domain', 'url', 'web', 'homepage'],
+    notes: ['notes', 'note', 'comments', 'comment', 'description'],
+    whatsapp: ['whatsapp', 'whatsapp number', 'wa number', 'wa'],
+    twitter_url: ['twitter', 'twitter url', 'twitter handle', 'x', 'x url']
+  },
+  // Rows whose values are checked against the value patterns
+  sampleRows: 50,
+  // Sample values shown per column in the proposal
+  previewValues: 3,
+  // Share of non-empty samples that must look like a field for the values to count
+  valueMatchRatio: 0.8,
+  // Columns mapped with less confidence (or not at all) are flagged for review
+  reviewBelow: 0.7,
+  // Optional LLM pass for columns the heuristics could not map confidently
+  ai: {
+    enabled: process.env.LEADS_MAPPING_AI === 'true',
+    confidence: 0.7,
+    maxColumns: 60
+  }
+};
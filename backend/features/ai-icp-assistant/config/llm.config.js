@@ -0,0 +1,70 @@
+/**
+ * LLM Provider Configuration
+ *
+ * Which LLM backend serves which request.
+ * Resolution order: tenant override → task override → default provider.
+ * No provider names or endpoints hardcoded in service files.
+ */
+const path = require('path');
+const parseJsonEnv = (name) => {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return {};
+  }
+};
+module.exports = {
+  // Provider used when no tenant/task override matches
+  defaultProvider: process.env.LLM_PROVIDER || 'gemini',
+  // Task keys passed by services so each call site can be routed independently
+  tasks: {
+    DEFAULT: 'default',
+    LEAD_CHAT: 'lead_chat',
+    INTENT_EXTRACTION: 'intent_extraction',
+    INBOUND_ANALYSIS: 'inbound_analysis',
+    ONBOARDING_ANALYSIS: 'onboarding_analysis',
+    RESPONSE_GENERATION: 'response_generation',
+    COMPANY_ANALYSIS: 'company_analysis',
+    CLASSIFY_INDUSTRY: 'classify_industry',
+    CLASSIFY_LOCATION: 'classify_location',
+    CLASSIFY_DECISION_MAKERS: 'classify_decision_makers',
+    MAP_LEAD_COLUMNS: 'map_lead_columns',
+  },
+  // e.g. LLM_TASK_PROVIDERS='{"classify_industry":"ollama","lead_chat":"openai"}'
+  taskProviders: parseJsonEnv('LLM_TASK_PROVIDERS'),
+  // e.g. LLM_TENANT_PROVIDERS='{"<tenant-uuid>":"openai"}'
+  tenantProviders: parseJsonEnv('LLM_TENANT_PROVIDERS'),
+  // Provider connection settings
+  providers: {
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.AI_MODEL || process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    },
+    openai: {
+      // Any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure proxy, vLLM, LM Studio, mock server)
+      // Unset: https://api.openai.com/v1 once OPENAI_API_KEY is set; the provider is off without either
+      baseUrl: process.env.OPENAI_BASE_URL || null,
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    },
+    ollama: {
+      // e.g. http://localhost:11434; the provider is off until it is set
+      baseUrl: process.env.OLLAMA_BASE_URL || null,
+      model: process.env.OLLAMA_MODEL || 'llama3.1',
+    },
+  },
+  // Record/replay of prompt/response pairs for offline, repeatable runs (tests, staging)
+  // mode: 'off' | 'record' (call provider, store response) | 'replay' (serve stored response, never call provider)
+  recordReplay: {
+    mode: (process.env.LLM_RECORD_REPLAY || 'off').toLowerCase(),
+    fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'llm'),
+  },
+  // Defaults applied when a call does not pass its own generation options
+  generation: {
+    temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : undefined,
+    maxOutputTokens: parseInt(process.env.MAX_TOKENS || '2048', 10),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+  },
+};
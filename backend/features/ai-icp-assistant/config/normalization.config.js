@@ -0,0 +1,48 @@
+/**
+ * Lead Normalisation Configuration
+ *
+ * Steps LeadsNormalizer runs on uploaded leads, in order, and the lists they use.
+ * LEADS_NORMALIZE_STEPS="email,phone" runs only those steps; a request can pass its own list.
+ */
+const parseListEnv = (name) => {
+  const raw = process.env[name];
+  if (!raw) return null;
+  return raw.split(',').map(item => item.trim()).filter(Boolean);
+};
+module.exports = {
+  // Step order matters: company_domain reads the cleaned email and website
+  steps: parseListEnv('LEADS_NORMALIZE_STEPS') || [
+    'whitespace',
+    'email',
+    'phone',
+    'linkedin',
+    'twitter',
+    'website',
+    'name',
+    'company_domain'
+  ],
+  phone: {
+    fields: ['phone', 'whatsapp'],
+    // Country calling code for numbers written without one (e.g. '1', '44', '971'); without it
+    // only numbers with an international prefix or 11+ digits can be converted to E.164
+    defaultCountryCode: process.env.LEADS_DEFAULT_COUNTRY_CODE || null
+  },
+  email: {
+    // Local parts of shared mailboxes (flagged role_email)
+    roleAccounts: [
+      'admin', 'billing', 'careers', 'contact', 'enquiries', 'enquiry', 'hello', 'help', 'hr', 'info',
+      'inquiries', 'jobs', 'marketing', 'media', 'no-reply', 'noreply', 'office', 'postmaster', 'press',
+      'sales', 'service', 'support', 'team', 'webmaster'
+    ],
+    // Personal mailbox providers: never used as the company domain
+    freeDomains: [
+      'aol.com', 'gmail.com', 'googlemail.com', 'gmx.com', 'gmx.de', 'hotmail.com', 'icloud.com', 'live.com',
+      'mail.com', 'me.com', 'msn.com', 'outlook.com', 'proton.me', 'protonmail.com', 'yahoo.com', 'yandex.com',
+      'ymail.com', 'zoho.com'
+    ]
+  },
+  name: {
+    prefixes: ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'eng'],
+    suffixes: ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'mba', 'esq']
+  }
+};
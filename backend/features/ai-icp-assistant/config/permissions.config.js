@@ -0,0 +1,12 @@
+/**
+ * Permissions Configuration
+ *
+ * Capabilities (req.user.capabilities) this feature checks.
+ */
+module.exports = {
+  // Change tenant-wide settings that affect every user of the tenant: classification override
+  // rules and cache, lead validation rules and the lead template
+  manageSettings: process.env.AI_ICP_MANAGE_SETTINGS_CAPABILITY || 'manage_ai_icp_settings',
+  // Open, export, change, assign and delete lead batches uploaded by other users of the tenant
+  manageLeadBatches: process.env.AI_ICP_MANAGE_LEAD_BATCHES_CAPABILITY || 'manage_ai_icp_lead_batches'
+};
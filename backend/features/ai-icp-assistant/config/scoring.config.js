@@ -0,0 +1,64 @@
+/**
+ * ICP Fit Scoring Configuration
+ *
+ * How LeadsIcpScorer rates uploaded leads (0-100) against a saved ICP profile.
+ * Weights are relative: criteria the profile does not target are left out and the rest
+ * are scaled to 100.
+ */
+module.exports = {
+  weights: {
+    seniority: 30,
+    industry: 25,
+    location: 20,
+    company_size: 25
+  },
+  // Credit (0-1) for partial matches
+  partial: {
+    // One level above or below a targeted seniority (VP for Director)
+    adjacentSeniority: 0.5,
+    // Targeted seniority in another department than the targeted titles
+    otherDepartment: 0.6,
+    // Industry listed as related to a targeted one (Internet for Computer Software)
+    relatedIndustry: 0.6,
+    // Another city of a targeted city's country
+    sameCountry: 0.6,
+    // Company size in the bucket next to a targeted range
+    adjacentSize: 0.5
+  },
+  // Credit for a targeted criterion the lead has no data for
+  missingCredit: 0,
+  // Minimum similarity (0-1) for free-text values the taxonomy doesn't know
+  textSimilarity: 0.85,
+  // Profile keys read as targeting fields when the profile is not in a compiler shape
+  // (chat icp_data: { industry, location, company_size })
+  profileAliases: {
+    job_titles: ['job_title', 'title', 'titles', 'roles'],
+    industries: ['industry'],
+    locations: ['location'],
+    seniority: ['seniorities'],
+    employee_ranges: ['company_size', 'companySize', 'employees']
+  },
+  // Upper bound of leads per request
+  maxLeads: 5000,
+  // ICP drafts from a customer list (LeadsIcpDrafter)
+  draft: {
+    minLeads: 5,
+    // A value is targeted when at least this share of the customers with the field have it...
+    minShare: 0.1,
+    // ...until the targeted values cover this share of them
+    coverage: 0.8,
+    maxValues: {
+      industries: 5,
+      job_titles: 10,
+      seniority: 4,
+      locations: 8,
+      employee_ranges: 4
+    },
+    // Criteria filled in for fewer customers than this share are not targeted
+    minCompleteness: 0.3,
+    // Values listed per field in the distributions
+    distributionSize: 10,
+    // Representative customers returned with the draft
+    examples: 5
+  }
+};
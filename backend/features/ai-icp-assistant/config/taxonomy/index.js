@@ -0,0 +1,42 @@
+/**
+ * Taxonomy Configuration
+ *
+ * Catalogue behind TaxonomyService: industries, locations, seniorities, departments and
+ * job titles. Bump version whenever a value is added, renamed or removed so stored
+ * classifications can be traced to the catalogue that produced them.
+ */
+const industries = require('./industries');
+const { regions, countries, cities } = require('./locations');
+const { seniorities, seniorityGroups, departments, executives, titleTemplates } = require('./roles');
+
+module.exports = {
+  version: '2026.10.1',
+  industries,
+  regions,
+  countries,
+  cities,
+  seniorities,
+  seniorityGroups,
+  departments,
+  executives,
+  titleTemplates,
+  // Match score bands (0-1) → classification confidence
+  thresholds: {
+    high: 0.9,
+    medium: 0.72,
+    low: 0.55
+  },
+  // Suggestions shown for an empty query
+  featured: {
+    industry: [
+      'Computer Software', 'Information Technology and Services', 'Marketing and Advertising',
+      'Financial Services', 'Hospital & Health Care', 'Retail', 'Real Estate', 'Construction',
+      'Manufacturing', 'E-Learning'
+    ],
+    location: [
+      'United States', 'United Kingdom', 'United Arab Emirates', 'India', 'Singapore',
+      'Australia', 'Canada', 'Germany', 'France', 'Netherlands'
+    ],
+    role: ['CEO', 'Founder', 'Co-Founder', 'CTO', 'CMO', 'CFO', 'COO', 'VP of Sales', 'VP of Marketing', 'VP of Engineering']
+  }
+};
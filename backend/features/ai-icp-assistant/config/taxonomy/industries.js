@@ -0,0 +1,158 @@
+/**
+ * Industry Taxonomy
+ *
+ * Apollo industry names (LinkedIn industry list), with the words users type for them.
+ * related - shown as alternatives when the industry is suggested
+ */
+module.exports = [
+  { name: 'Accounting', synonyms: ['accountants', 'accounting firm', 'cpa', 'bookkeeping', 'audit'], related: ['Financial Services'] },
+  { name: 'Airlines/Aviation', synonyms: ['aviation', 'airline', 'airlines'], related: ['Aviation & Aerospace'] },
+  { name: 'Alternative Dispute Resolution', synonyms: ['mediation', 'arbitration'] },
+  { name: 'Alternative Medicine', synonyms: ['holistic medicine', 'naturopathy', 'acupuncture'] },
+  { name: 'Animation', synonyms: ['animation studio'] },
+  { name: 'Apparel & Fashion', synonyms: ['fashion', 'apparel', 'clothing', 'fashion brand'], related: ['Retail', 'Textiles'] },
+  { name: 'Architecture & Planning', synonyms: ['architecture', 'architect', 'architects', 'urban planning', 'planning'], related: ['Construction', 'Civil Engineering'] },
+  { name: 'Arts and Crafts', synonyms: ['crafts', 'arts and crafts'] },
+  { name: 'Automotive', synonyms: ['car', 'cars', 'auto', 'automobile', 'vehicle', 'vehicles', 'motor', 'car dealership', 'dealership'], related: ['Manufacturing', 'Electrical/Electronic Manufacturing'] },
+  { name: 'Aviation & Aerospace', synonyms: ['aerospace'], related: ['Airlines/Aviation', 'Defense & Space'] },
+  { name: 'Banking', synonyms: ['bank', 'banks', 'retail banking'], related: ['Financial Services', 'Insurance'] },
+  { name: 'Biotechnology', synonyms: ['biotech', 'life science', 'life sciences'], related: ['Pharmaceuticals', 'Medical Devices'] },
+  { name: 'Broadcast Media', synonyms: ['broadcast', 'broadcasting', 'tv', 'television', 'radio'], related: ['Media & Entertainment'] },
+  { name: 'Building Materials', synonyms: ['building materials'], related: ['Construction'] },
+  { name: 'Business Supplies and Equipment', synonyms: ['office supplies', 'business supplies'] },
+  { name: 'Capital Markets', synonyms: ['capital markets', 'trading firm', 'brokerage'], related: ['Investment Banking', 'Financial Services'] },
+  { name: 'Chemicals', synonyms: ['chemical', 'chemical company'], related: ['Manufacturing'] },
+  { name: 'Civic & Social Organization', synonyms: ['civic organization', 'social organization', 'association'] },
+  { name: 'Civil Engineering', synonyms: ['civil engineering', 'infrastructure', 'engineering firm'], related: ['Architecture & Planning', 'Construction'] },
+  { name: 'Commercial Real Estate', synonyms: ['cre', 'commercial property'], related: ['Real Estate'] },
+  { name: 'Computer & Network Security', synonyms: ['cybersecurity', 'cyber security', 'infosec', 'security software', 'network security'], related: ['Computer Software', 'Information Technology and Services'] },
+  { name: 'Computer Games', synonyms: ['gaming', 'games', 'video games', 'game studio', 'game development'], related: ['Entertainment', 'Computer Software'] },
+  { name: 'Computer Hardware', synonyms: ['hardware'], related: ['Consumer Electronics', 'Semiconductors'] },
+  { name: 'Computer Networking', synonyms: ['networking', 'network equipment'], related: ['Telecommunications'] },
+  { name: 'Computer Software', synonyms: ['software', 'saas', 'b2b saas', 'app', 'apps', 'software development', 'software company', 'tech', 'ai', 'artificial intelligence', 'machine learning'], related: ['Information Technology and Services', 'Internet'] },
+  { name: 'Construction', synonyms: ['building', 'builders', 'contractor', 'contractors', 'construction company'], related: ['Architecture & Planning', 'Civil Engineering'] },
+  { name: 'Consumer Electronics', synonyms: ['consumer electronics', 'electronics', 'gadgets'], related: ['Computer Hardware'] },
+  { name: 'Consumer Goods', synonyms: ['cpg', 'fmcg', 'consumer products', 'packaged goods'], related: ['Retail', 'Food & Beverages'] },
+  { name: 'Consumer Services', synonyms: ['consumer services', 'b2c services'] },
+  { name: 'Cosmetics', synonyms: ['beauty', 'skincare', 'cosmetic'], related: ['Consumer Goods'] },
+  { name: 'Dairy', synonyms: ['dairy farm'], related: ['Food Production'] },
+  { name: 'Defense & Space', synonyms: ['defense', 'defence', 'space', 'military contractor'], related: ['Aviation & Aerospace'] },
+  { name: 'Design', synonyms: ['design', 'design agency', 'product design'], related: ['Graphic Design'] },
+  { name: 'E-Learning', synonyms: ['edtech', 'elearning', 'online learning', 'online courses', 'lms'], related: ['Education Management', 'Professional Training & Coaching'] },
+  { name: 'Education Management', synonyms: ['education', 'school', 'schools', 'edu'], related: ['Higher Education', 'E-Learning'] },
+  { name: 'Electrical/Electronic Manufacturing', synonyms: ['electronics manufacturing', 'electronic manufacturing', 'electrical', 'electrical manufacturing'], related: ['Manufacturing', 'Semiconductors'] },
+  { name: 'Entertainment', synonyms: ['entertainment company'], related: ['Media & Entertainment'] },
+  { name: 'Environmental Services', synonyms: ['environmental', 'waste management', 'recycling'], related: ['Renewables & Environment'] },
+  { name: 'Events Services', synonyms: ['events', 'event management', 'event planning'], related: ['Hospitality'] },
+  { name: 'Executive Office', synonyms: ['executive office'] },
+  { name: 'Facilities Services', synonyms: ['facilities', 'facility management', 'cleaning services'] },
+  { name: 'Farming', synonyms: ['agriculture', 'agritech', 'agtech', 'farm', 'farms'], related: ['Food Production', 'Ranching'] },
+  { name: 'Financial Services', synonyms: ['finance', 'financial', 'fintech', 'payments', 'investment', 'investments', 'wealth management', 'lending'], related: ['Banking', 'Insurance'] },
+  { name: 'Fine Art', synonyms: ['art', 'art gallery', 'galleries'] },
+  { name: 'Fishery', synonyms: ['fishing', 'seafood', 'aquaculture'] },
+  { name: 'Food & Beverages', synonyms: ['food', 'beverage', 'beverages', 'drink', 'drinks', 'f&b', 'food and beverage'], related: ['Hospitality', 'Consumer Goods'] },
+  { name: 'Food Production', synonyms: ['food production', 'food manufacturing', 'food processing'], related: ['Food & Beverages'] },
+  { name: 'Fund-Raising', synonyms: ['fundraising', 'fund raising'], related: ['Nonprofit Organization Management'] },
+  { name: 'Furniture', synonyms: ['furniture', 'home furnishings'] },
+  { name: 'Gambling & Casinos', synonyms: ['casino', 'casinos', 'gambling', 'betting', 'igaming'] },
+  { name: 'Glass, Ceramics & Concrete', synonyms: ['glass', 'ceramics', 'concrete', 'cement'] },
+  { name: 'Government Administration', synonyms: ['government', 'govt', 'public sector', 'federal', 'municipal', 'local government'], related: ['Nonprofit Organization Management'] },
+  { name: 'Government Relations', synonyms: ['lobbying', 'public affairs'] },
+  { name: 'Graphic Design', synonyms: ['graphic design', 'branding agency'], related: ['Design'] },
+  { name: 'Health, Wellness and Fitness', synonyms: ['fitness', 'gym', 'gyms', 'wellness', 'fitness center', 'fitness centers', 'health club', 'exercise', 'yoga', 'personal training'], related: ['Hospital & Health Care', 'Professional Training & Coaching'] },
+  { name: 'Higher Education', synonyms: ['university', 'universities', 'college', 'colleges', 'higher ed'], related: ['Education Management', 'Research'] },
+  { name: 'Hospital & Health Care', synonyms: ['healthcare', 'health care', 'health', 'hospital', 'hospitals', 'medical', 'clinic', 'clinics', 'doctor', 'doctors', 'nursing', 'healthcare provider', 'healthtech'], related: ['Medical Devices', 'Pharmaceuticals'] },
+  { name: 'Hospitality', synonyms: ['hotel', 'hotels', 'resort', 'resorts', 'catering', 'cafe', 'cafes', 'bar', 'bars'], related: ['Food & Beverages', 'Leisure, Travel & Tourism'] },
+  { name: 'Human Resources', synonyms: ['hr', 'hr tech', 'hrtech', 'human resources', 'payroll'], related: ['Staffing and Recruiting'] },
+  { name: 'Import and Export', synonyms: ['import', 'export', 'trading company'], related: ['Wholesale', 'International Trade and Development'] },
+  { name: 'Individual & Family Services', synonyms: ['social services', 'family services', 'childcare', 'elder care'] },
+  { name: 'Industrial Automation', synonyms: ['automation', 'robotics', 'industrial automation'], related: ['Machinery', 'Manufacturing'] },
+  { name: 'Information Services', synonyms: ['data provider', 'information services'] },
+  { name: 'Information Technology and Services', synonyms: ['it', 'it services', 'technology', 'information technology', 'managed services', 'msp', 'it consulting', 'tech services'], related: ['Computer Software', 'Internet'] },
+  { name: 'Insurance', synonyms: ['insurer', 'insurers', 'insurtech', 'claims', 'insurance company'], related: ['Financial Services', 'Banking'] },
+  { name: 'International Affairs', synonyms: ['international affairs', 'diplomacy'] },
+  { name: 'International Trade and Development', synonyms: ['international trade', 'international development'] },
+  { name: 'Internet', synonyms: ['online', 'web', 'marketplace', 'marketplaces', 'internet company'], related: ['Computer Software', 'Online Media'] },
+  { name: 'Investment Banking', synonyms: ['investment bank', 'ib', 'm&a advisory'], related: ['Capital Markets', 'Financial Services'] },
+  { name: 'Investment Management', synonyms: ['asset management', 'hedge fund', 'hedge funds', 'fund management'], related: ['Venture Capital & Private Equity', 'Financial Services'] },
+  { name: 'Judiciary', synonyms: ['courts', 'court'] },
+  { name: 'Law Enforcement', synonyms: ['police', 'law enforcement'] },
+  { name: 'Law Practice', synonyms: ['law practice', 'law office'], related: ['Legal Services'] },
+  { name: 'Legal Services', synonyms: ['legal', 'law', 'law firm', 'law firms', 'lawyer', 'lawyers', 'attorney', 'attorneys', 'legaltech'], related: ['Law Practice', 'Professional Services'] },
+  { name: 'Legislative Office', synonyms: ['legislature', 'parliament'] },
+  { name: 'Leisure, Travel & Tourism', synonyms: ['travel', 'tourism', 'travel agency', 'leisure'], related: ['Hospitality'] },
+  { name: 'Libraries', synonyms: ['library'] },
+  { name: 'Logistics and Supply Chain', synonyms: ['logistics', 'supply chain', 'shipping', 'freight', 'freight forwarding', '3pl', 'fulfillment'], related: ['Transportation/Trucking/Railroad', 'Warehousing'] },
+  { name: 'Luxury Goods & Jewelry', synonyms: ['luxury', 'jewelry', 'jewellery', 'watches'], related: ['Retail'] },
+  { name: 'Machinery', synonyms: ['machinery', 'heavy equipment', 'equipment manufacturing'], related: ['Industrial Automation', 'Manufacturing'] },
+  { name: 'Management Consulting', synonyms: ['management consulting', 'consultancy', 'strategy consulting', 'advisory'], related: ['Professional Services'] },
+  { name: 'Manufacturing', synonyms: ['manufacturer', 'manufacturers', 'factory', 'factories', 'production', 'industrial'], related: ['Electrical/Electronic Manufacturing', 'Automotive'] },
+  { name: 'Maritime', synonyms: ['maritime', 'ports', 'shipbroking'], related: ['Logistics and Supply Chain', 'Shipbuilding'] },
+  { name: 'Market Research', synonyms: ['market research', 'research agency', 'consumer insights'], related: ['Marketing and Advertising'] },
+  { name: 'Marketing and Advertising', synonyms: ['marketing', 'advertising', 'ads', 'adtech', 'seo', 'digital marketing', 'marketing agency', 'ad agency', 'digital agency', 'agency'], related: ['Internet', 'Media & Entertainment'] },
+  { name: 'Mechanical or Industrial Engineering', synonyms: ['mechanical engineering', 'industrial engineering'], related: ['Machinery'] },
+  { name: 'Media & Entertainment', synonyms: ['media', 'entertainment', 'media and entertainment'], related: ['Marketing and Advertising', 'Internet'] },
+  { name: 'Media Production', synonyms: ['media production', 'video production', 'production company'], related: ['Media & Entertainment'] },
+  { name: 'Medical Devices', synonyms: ['medical device', 'medtech', 'health device', 'health devices'], related: ['Biotechnology', 'Pharmaceuticals'] },
+  { name: 'Medical Practice', synonyms: ['medical practice', 'dental', 'dentist', 'dentists', 'physicians', 'private practice'], related: ['Hospital & Health Care'] },
+  { name: 'Mental Health Care', synonyms: ['mental health', 'therapy', 'counseling', 'behavioral health'], related: ['Hospital & Health Care'] },
+  { name: 'Military', synonyms: ['armed forces'] },
+  { name: 'Mining & Metals', synonyms: ['mining', 'metals', 'steel'] },
+  { name: 'Motion Pictures and Film', synonyms: ['film', 'films', 'movies', 'cinema', 'film production'], related: ['Media & Entertainment'] },
+  { name: 'Museums and Institutions', synonyms: ['museum', 'museums'] },
+  { name: 'Music', synonyms: ['music', 'record label', 'music industry'], related: ['Media & Entertainment'] },
+  { name: 'Nanotechnology', synonyms: ['nanotech'] },
+  { name: 'Newspapers', synonyms: ['newspaper', 'news'], related: ['Publishing'] },
+  { name: 'Nonprofit Organization Management', synonyms: ['nonprofit', 'nonprofits', 'non-profit', 'non profit', 'non-profit organization management', 'ngo', 'ngos', 'charity', 'charities'], related: ['Government Administration', 'Philanthropy'] },
+  { name: 'Oil & Energy', synonyms: ['oil', 'gas', 'oil and gas', 'energy', 'petroleum', 'power'], related: ['Utilities', 'Renewables & Environment'] },
+  { name: 'Online Media', synonyms: ['online media', 'digital media', 'digital publishing'], related: ['Internet', 'Publishing'] },
+  { name: 'Outsourcing/Offshoring', synonyms: ['outsourcing', 'offshoring', 'bpo'] },
+  { name: 'Package/Freight Delivery', synonyms: ['delivery', 'courier', 'parcel delivery', 'last mile'], related: ['Logistics and Supply Chain'] },
+  { name: 'Packaging and Containers', synonyms: ['packaging'] },
+  { name: 'Paper & Forest Products', synonyms: ['paper', 'forestry', 'timber', 'pulp'] },
+  { name: 'Performing Arts', synonyms: ['theater', 'theatre', 'dance'] },
+  { name: 'Pharmaceuticals', synonyms: ['pharma', 'pharmaceutical', 'pharmacy', 'pharmacies', 'drug', 'drugs', 'medicine'], related: ['Medical Devices', 'Hospital & Health Care'] },
+  { name: 'Philanthropy', synonyms: ['foundation', 'foundations', 'grantmaking'], related: ['Nonprofit Organization Management'] },
+  { name: 'Photography', synonyms: ['photography', 'photographers'] },
+  { name: 'Plastics', synonyms: ['plastic', 'plastics'] },
+  { name: 'Political Organization', synonyms: ['political party', 'political campaign'] },
+  { name: 'Primary/Secondary Education', synonyms: ['k-12', 'k12', 'primary school', 'secondary school', 'high school', 'high schools'], related: ['Education Management'] },
+  { name: 'Printing', synonyms: ['printing', 'print shop'] },
+  { name: 'Professional Services', synonyms: ['consulting', 'consultants', 'professional services', 'services firm'], related: ['Management Consulting', 'Legal Services'] },
+  { name: 'Professional Training & Coaching', synonyms: ['training', 'coaching', 'corporate training', 'coach', 'coaches'], related: ['E-Learning', 'Education Management'] },
+  { name: 'Program Development', synonyms: ['program development'] },
+  { name: 'Public Policy', synonyms: ['public policy', 'policy'] },
+  { name: 'Public Relations and Communications', synonyms: ['pr', 'public relations', 'pr agency', 'communications agency'], related: ['Marketing and Advertising'] },
+  { name: 'Public Safety', synonyms: ['public safety', 'emergency services', 'fire department'] },
+  { name: 'Publishing', synonyms: ['publishing', 'publisher', 'publishers', 'books'], related: ['Media & Entertainment', 'Online Media'] },
+  { name: 'Railroad Manufacture', synonyms: ['railroad manufacturing', 'rolling stock'] },
+  { name: 'Ranching', synonyms: ['ranch', 'ranches', 'livestock'], related: ['Farming'] },
+  { name: 'Real Estate', synonyms: ['property', 'properties', 'realtor', 'realtors', 'real estate agency', 'proptech', 'property management'], related: ['Construction', 'Commercial Real Estate'] },
+  { name: 'Recreational Facilities and Services', synonyms: ['recreation', 'amusement park', 'leisure centers'] },
+  { name: 'Religious Institutions', synonyms: ['church', 'churches', 'religious organization'] },
+  { name: 'Renewables & Environment', synonyms: ['renewable', 'renewables', 'renewable energy', 'solar', 'wind energy', 'cleantech', 'climate tech'], related: ['Oil & Energy', 'Utilities'] },
+  { name: 'Research', synonyms: ['research', 'r&d', 'research institute', 'research lab'], related: ['Higher Education'] },
+  { name: 'Restaurants', synonyms: ['restaurant', 'restaurant chain', 'qsr', 'fast food'], related: ['Hospitality', 'Food & Beverages'] },
+  { name: 'Retail', synonyms: ['ecommerce', 'e-commerce', 'store', 'stores', 'shop', 'shops', 'online store', 'retailer', 'retailers', 'retail business', 'retail company', 'd2c', 'dtc'], related: ['Internet', 'Consumer Goods'] },
+  { name: 'Security and Investigations', synonyms: ['security services', 'private security', 'investigations'] },
+  { name: 'Semiconductors', synonyms: ['semiconductor', 'chips', 'chipmaker'], related: ['Electrical/Electronic Manufacturing'] },
+  { name: 'Shipbuilding', synonyms: ['shipyard', 'shipyards'], related: ['Maritime'] },
+  { name: 'Sporting Goods', synonyms: ['sporting goods', 'sports equipment'] },
+  { name: 'Sports', synonyms: ['sports', 'sports team', 'sports club'] },
+  { name: 'Staffing and Recruiting', synonyms: ['staffing', 'recruiting', 'recruitment', 'recruitment agency', 'recruiters', 'headhunters', 'executive search'], related: ['Human Resources'] },
+  { name: 'Supermarkets', synonyms: ['supermarket', 'grocery', 'groceries', 'grocery store'], related: ['Retail'] },
+  { name: 'Telecommunications', synonyms: ['telecom', 'telecoms', 'telco', 'telcos', 'mobile network', 'phone', 'isp'], related: ['Internet', 'Information Technology and Services'] },
+  { name: 'Textiles', synonyms: ['textile', 'textiles', 'fabrics'], related: ['Apparel & Fashion'] },
+  { name: 'Think Tanks', synonyms: ['think tank'] },
+  { name: 'Tobacco', synonyms: ['tobacco', 'vaping'] },
+  { name: 'Translation and Localization', synonyms: ['translation', 'localization', 'localisation'] },
+  { name: 'Transportation/Trucking/Railroad', synonyms: ['transport', 'transportation', 'trucking', 'railroad', 'rail', 'fleet'], related: ['Logistics and Supply Chain'] },
+  { name: 'Utilities', synonyms: ['utility', 'utilities', 'water utility', 'electricity'], related: ['Oil & Energy', 'Renewables & Environment'] },
+  { name: 'Venture Capital & Private Equity', synonyms: ['vc', 'vcs', 'venture capital', 'private equity', 'pe firm', 'pe firms'], related: ['Investment Management', 'Financial Services'] },
+  { name: 'Veterinary', synonyms: ['vet', 'vets', 'veterinary clinic', 'animal health'] },
+  { name: 'Warehousing', synonyms: ['warehouse', 'warehouses', 'storage'], related: ['Logistics and Supply Chain'] },
+  { name: 'Wholesale', synonyms: ['wholesale', 'wholesaler', 'distributor', 'distributors', 'distribution'], related: ['Import and Export', 'Retail'] },
+  { name: 'Wine and Spirits', synonyms: ['wine', 'winery', 'wineries', 'brewery', 'breweries', 'distillery', 'spirits', 'alcohol'], related: ['Food & Beverages'] },
+  { name: 'Wireless', synonyms: ['wireless'], related: ['Telecommunications'] },
+  { name: 'Writing and Editing', synonyms: ['writing', 'editing', 'copywriting', 'content writing'] }
+];
@@ -0,0 +1,407 @@
+/**
+ * Location Taxonomy
+ *
+ * countries - ISO 3166-1: [alpha-2 code, name, continent key, synonyms?]
+ * regions   - continents and the market regions users target (countries listed by code;
+ *             continents are filled from the countries' continent key)
+ * cities    - business hubs: [name, country code, synonyms?] (city-states are countries only)
+ */
+const regions = [
+  { key: 'north_america', name: 'North America', synonyms: ['na', 'north american'] },
+  { key: 'latin_america', name: 'Latin America', synonyms: ['latam', 'south america', 'central america', 'caribbean'] },
+  { key: 'europe', name: 'Europe', synonyms: ['eu', 'european union', 'european'] },
+  { key: 'middle_east', name: 'Middle East', synonyms: ['middle eastern'] },
+  { key: 'africa', name: 'Africa', synonyms: ['african'] },
+  { key: 'asia', name: 'Asia', synonyms: ['asian'] },
+  { key: 'oceania', name: 'Oceania', synonyms: ['australasia'] },
+  { key: 'emea', name: 'EMEA', synonyms: ['europe middle east and africa'], includes: ['europe', 'middle_east', 'africa'] },
+  { key: 'apac', name: 'Asia Pacific', synonyms: ['apac', 'asia-pacific', 'asia pac'], includes: ['asia', 'oceania'] },
+  { key: 'mena', name: 'MENA', synonyms: ['middle east and north africa'], countries: ['AE', 'SA', 'QA', 'KW', 'BH', 'OM', 'JO', 'LB', 'IL', 'IQ', 'IR', 'SY', 'YE', 'PS', 'EG', 'MA', 'DZ', 'TN', 'LY'] },
+  { key: 'gcc', name: 'GCC', synonyms: ['gulf', 'gulf countries', 'gulf cooperation council', 'arabian gulf'], countries: ['AE', 'SA', 'QA', 'KW', 'BH', 'OM'] },
+  { key: 'dach', name: 'DACH', synonyms: ['germany austria switzerland'], countries: ['DE', 'AT', 'CH'] },
+  { key: 'benelux', name: 'Benelux', synonyms: [], countries: ['BE', 'NL', 'LU'] },
+  { key: 'nordics', name: 'Nordics', synonyms: ['nordic', 'nordic countries', 'scandinavia', 'scandinavian'], countries: ['DK', 'FI', 'IS', 'NO', 'SE'] },
+  { key: 'western_europe', name: 'Western Europe', synonyms: [], countries: ['AT', 'BE', 'CH', 'DE', 'FR', 'GB', 'IE', 'LU', 'MC', 'NL', 'LI'] },
+  { key: 'eastern_europe', name: 'Eastern Europe', synonyms: ['cee', 'central and eastern europe'], countries: ['BG', 'BY', 'CZ', 'HU', 'MD', 'PL', 'RO', 'RU', 'SK', 'UA'] },
+  { key: 'southern_europe', name: 'Southern Europe', synonyms: [], countries: ['ES', 'GR', 'HR', 'IT', 'MT', 'PT', 'SI', 'CY'] },
+  { key: 'uk_and_ireland', name: 'UK & Ireland', synonyms: ['uk and ireland', 'ukie', 'british isles'], countries: ['GB', 'IE'] },
+  { key: 'southeast_asia', name: 'Southeast Asia', synonyms: ['asean', 'south east asia'], countries: ['BN', 'KH', 'ID', 'LA', 'MY', 'MM', 'PH', 'SG', 'TH', 'VN'] },
+  { key: 'south_asia', name: 'South Asia', synonyms: ['indian subcontinent'], countries: ['AF', 'BD', 'BT', 'IN', 'LK', 'MV', 'NP', 'PK'] },
+  { key: 'anz', name: 'ANZ', synonyms: ['australia and new zealand'], countries: ['AU', 'NZ'] },
+  { key: 'northern_europe', name: 'Northern Europe', synonyms: ['north europe'], countries: ['DK', 'EE', 'FI', 'IS', 'IE', 'LV', 'LT', 'NO', 'SE', 'GB'] }
+];
+
+const countries = [
+  ['AD', 'Andorra', 'europe'],
+  ['AE', 'United Arab Emirates', 'middle_east', ['uae', 'u.a.e.', 'emirates']],
+  ['AF', 'Afghanistan', 'asia'],
+  ['AG', 'Antigua and Barbuda', 'latin_america'],
+  ['AI', 'Anguilla', 'latin_america'],
+  ['AL', 'Albania', 'europe'],
+  ['AM', 'Armenia', 'asia'],
+  ['AO', 'Angola', 'africa'],
+  ['AQ', 'Antarctica', 'oceania'],
+  ['AR', 'Argentina', 'latin_america'],
+  ['AS', 'American Samoa', 'oceania'],
+  ['AT', 'Austria', 'europe', ['osterreich']],
+  ['AU', 'Australia', 'oceania', ['aus', 'oz']],
+  ['AW', 'Aruba', 'latin_america'],
+  ['AX', 'Aland Islands', 'europe'],
+  ['AZ', 'Azerbaijan', 'asia'],
+  ['BA', 'Bosnia and Herzegovina', 'europe', ['bosnia']],
+  ['BB', 'Barbados', 'latin_america'],
+  ['BD', 'Bangladesh', 'asia'],
+  ['BE', 'Belgium', 'europe'],
+  ['BF', 'Burkina Faso', 'africa'],
+  ['BG', 'Bulgaria', 'europe'],
+  ['BH', 'Bahrain', 'middle_east'],
+  ['BI', 'Burundi', 'africa'],
+  ['BJ', 'Benin', 'africa'],
+  ['BL', 'Saint Barthelemy', 'latin_america'],
+  ['BM', 'Bermuda', 'north_america'],
+  ['BN', 'Brunei', 'asia', ['brunei darussalam']],
+  ['BO', 'Bolivia', 'latin_america'],
+  ['BQ', 'Caribbean Netherlands', 'latin_america', ['bonaire']],
+  ['BR', 'Brazil', 'latin_america', ['brasil']],
+  ['BS', 'Bahamas', 'latin_america', ['the bahamas']],
+  ['BT', 'Bhutan', 'asia'],
+  ['BV', 'Bouvet Island', 'oceania'],
+  ['BW', 'Botswana', 'africa'],
+  ['BY', 'Belarus', 'europe'],
+  ['BZ', 'Belize', 'latin_america'],
+  ['CA', 'Canada', 'north_america'],
+  ['CC', 'Cocos (Keeling) Islands', 'oceania'],
+  ['CD', 'Democratic Republic of the Congo', 'africa', ['drc', 'dr congo', 'congo-kinshasa']],
+  ['CF', 'Central African Republic', 'africa'],
+  ['CG', 'Republic of the Congo', 'africa', ['congo', 'congo-brazzaville']],
+  ['CH', 'Switzerland', 'europe', ['swiss', 'schweiz', 'suisse']],
+  ['CI', "Cote d'Ivoire", 'africa', ['ivory coast']],
+  ['CK', 'Cook Islands', 'oceania'],
+  ['CL', 'Chile', 'latin_america'],
+  ['CM', 'Cameroon', 'africa'],
+  ['CN', 'China', 'asia', ['prc', "people's republic of china", 'mainland china']],
+  ['CO', 'Colombia', 'latin_america'],
+  ['CR', 'Costa Rica', 'latin_america'],
+  ['CU', 'Cuba', 'latin_america'],
+  ['CV', 'Cape Verde', 'africa', ['cabo verde']],
+  ['CW', 'Curacao', 'latin_america'],
+  ['CX', 'Christmas Island', 'oceania'],
+  ['CY', 'Cyprus', 'europe'],
+  ['CZ', 'Czech Republic', 'europe', ['czechia']],
+  ['DE', 'Germany', 'europe', ['deutschland', 'german']],
+  ['DJ', 'Djibouti', 'africa'],
+  ['DK', 'Denmark', 'europe', ['danmark']],
+  ['DM', 'Dominica', 'latin_america'],
+  ['DO', 'Dominican Republic', 'latin_america'],
+  ['DZ', 'Algeria', 'africa'],
+  ['EC', 'Ecuador', 'latin_america'],
+  ['EE', 'Estonia', 'europe'],
+  ['EG', 'Egypt', 'africa'],
+  ['EH', 'Western Sahara', 'africa'],
+  ['ER', 'Eritrea', 'africa'],
+  ['ES', 'Spain', 'europe', ['espana']],
+  ['ET', 'Ethiopia', 'africa'],
+  ['FI', 'Finland', 'europe', ['suomi']],
+  ['FJ', 'Fiji', 'oceania'],
+  ['FK', 'Falkland Islands', 'latin_america'],
+  ['FM', 'Micronesia', 'oceania'],
+  ['FO', 'Faroe Islands', 'europe'],
+  ['FR', 'France', 'europe'],
+  ['GA', 'Gabon', 'africa'],
+  ['GB', 'United Kingdom', 'europe', ['uk', 'u.k.', 'great britain', 'britain', 'england', 'scotland', 'wales', 'northern ireland']],
+  ['GD', 'Grenada', 'latin_america'],
+  ['GE', 'Georgia', 'asia'],
+  ['GF', 'French Guiana', 'latin_america'],
+  ['GG', 'Guernsey', 'europe'],
+  ['GH', 'Ghana', 'africa'],
+  ['GI', 'Gibraltar', 'europe'],
+  ['GL', 'Greenland', 'north_america'],
+  ['GM', 'Gambia', 'africa', ['the gambia']],
+  ['GN', 'Guinea', 'africa'],
+  ['GP', 'Guadeloupe', 'latin_america'],
+  ['GQ', 'Equatorial Guinea', 'africa'],
+  ['GR', 'Greece', 'europe', ['hellas']],
+  ['GS', 'South Georgia and the South Sandwich Islands', 'latin_america'],
+  ['GT', 'Guatemala', 'latin_america'],
+  ['GU', 'Guam', 'oceania'],
+  ['GW', 'Guinea-Bissau', 'africa'],
+  ['GY', 'Guyana', 'latin_america'],
+  ['HK', 'Hong Kong', 'asia', ['hk', 'hong kong sar']],
+  ['HM', 'Heard Island and McDonald Islands', 'oceania'],
+  ['HN', 'Honduras', 'latin_america'],
+  ['HR', 'Croatia', 'europe', ['hrvatska']],
+  ['HT', 'Haiti', 'latin_america'],
+  ['HU', 'Hungary', 'europe'],
+  ['ID', 'Indonesia', 'asia'],
+  ['IE', 'Ireland', 'europe', ['republic of ireland', 'eire']],
+  ['IL', 'Israel', 'middle_east'],
+  ['IM', 'Isle of Man', 'europe'],
+  ['IN', 'India', 'asia', ['bharat']],
+  ['IO', 'British Indian Ocean Territory', 'asia'],
+  ['IQ', 'Iraq', 'middle_east'],
+  ['IR', 'Iran', 'middle_east'],
+  ['IS', 'Iceland', 'europe'],
+  ['IT', 'Italy', 'europe', ['italia']],
+  ['JE', 'Jersey', 'europe'],
+  ['JM', 'Jamaica', 'latin_america'],
+  ['JO', 'Jordan', 'middle_east'],
+  ['JP', 'Japan', 'asia', ['nippon']],
+  ['KE', 'Kenya', 'africa'],
+  ['KG', 'Kyrgyzstan', 'asia'],
+  ['KH', 'Cambodia', 'asia'],
+  ['KI', 'Kiribati', 'oceania'],
+  ['KM', 'Comoros', 'africa'],
+  ['KN', 'Saint Kitts and Nevis', 'latin_america'],
+  ['KP', 'North Korea', 'asia'],
+  ['KR', 'South Korea', 'asia', ['korea', 'republic of korea']],
+  ['KW', 'Kuwait', 'middle_east'],
+  ['KY', 'Cayman Islands', 'latin_america'],
+  ['KZ', 'Kazakhstan', 'asia'],
+  ['LA', 'Laos', 'asia'],
+  ['LB', 'Lebanon', 'middle_east'],
+  ['LC', 'Saint Lucia', 'latin_america'],
+  ['LI', 'Liechtenstein', 'europe'],
+  ['LK', 'Sri Lanka', 'asia'],
+  ['LR', 'Liberia', 'africa'],
+  ['LS', 'Lesotho', 'africa'],
+  ['LT', 'Lithuania', 'europe'],
+  ['LU', 'Luxembourg', 'europe'],
+  ['LV', 'Latvia', 'europe'],
+  ['LY', 'Libya', 'africa'],
+  ['MA', 'Morocco', 'africa'],
+  ['MC', 'Monaco', 'europe'],
+  ['MD', 'Moldova', 'europe'],
+  ['ME', 'Montenegro', 'europe'],
+  ['MF', 'Saint Martin', 'latin_america'],
+  ['MG', 'Madagascar', 'africa'],
+  ['MH', 'Marshall Islands', 'oceania'],
+  ['MK', 'North Macedonia', 'europe', ['macedonia']],
+  ['ML', 'Mali', 'africa'],
+  ['MM', 'Myanmar', 'asia', ['burma']],
+  ['MN', 'Mongolia', 'asia'],
+  ['MO', 'Macau', 'asia', ['macao']],
+  ['MP', 'Northern Mariana Islands', 'oceania'],
+  ['MQ', 'Martinique', 'latin_america'],
+  ['MR', 'Mauritania', 'africa'],
+  ['MS', 'Montserrat', 'latin_america'],
+  ['MT', 'Malta', 'europe'],
+  ['MU', 'Mauritius', 'africa'],
+  ['MV', 'Maldives', 'asia'],
+  ['MW', 'Malawi', 'africa'],
+  ['MX', 'Mexico', 'latin_america'],
+  ['MY', 'Malaysia', 'asia'],
+  ['MZ', 'Mozambique', 'africa'],
+  ['NA', 'Namibia', 'africa'],
+  ['NC', 'New Caledonia', 'oceania'],
+  ['NE', 'Niger', 'africa'],
+  ['NF', 'Norfolk Island', 'oceania'],
+  ['NG', 'Nigeria', 'africa'],
+  ['NI', 'Nicaragua', 'latin_america'],
+  ['NL', 'Netherlands', 'europe', ['the netherlands', 'holland', 'nederland']],
+  ['NO', 'Norway', 'europe', ['norge']],
+  ['NP', 'Nepal', 'asia'],
+  ['NR', 'Nauru', 'oceania'],
+  ['NU', 'Niue', 'oceania'],
+  ['NZ', 'New Zealand', 'oceania', ['nz', 'aotearoa']],
+  ['OM', 'Oman', 'middle_east'],
+  ['PA', 'Panama', 'latin_america'],
+  ['PE', 'Peru', 'latin_america'],
+  ['PF', 'French Polynesia', 'oceania'],
+  ['PG', 'Papua New Guinea', 'oceania'],
+  ['PH', 'Philippines', 'asia', ['the philippines']],
+  ['PK', 'Pakistan', 'asia'],
+  ['PL', 'Poland', 'europe', ['polska']],
+  ['PM', 'Saint Pierre and Miquelon', 'north_america'],
+  ['PN', 'Pitcairn Islands', 'oceania'],
+  ['PR', 'Puerto Rico', 'latin_america'],
+  ['PS', 'Palestine', 'middle_east'],
+  ['PT', 'Portugal', 'europe'],
+  ['PW', 'Palau', 'oceania'],
+  ['PY', 'Paraguay', 'latin_america'],
+  ['QA', 'Qatar', 'middle_east'],
+  ['RE', 'Reunion', 'africa'],
+  ['RO', 'Romania', 'europe'],
+  ['RS', 'Serbia', 'europe'],
+  ['RU', 'Russia', 'europe', ['russian federation']],
+  ['RW', 'Rwanda', 'africa'],
+  ['SA', 'Saudi Arabia', 'middle_east', ['ksa', 'saudi', 'kingdom of saudi arabia']],
+  ['SB', 'Solomon Islands', 'oceania'],
+  ['SC', 'Seychelles', 'africa'],
+  ['SD', 'Sudan', 'africa'],
+  ['SE', 'Sweden', 'europe', ['sverige']],
+  ['SG', 'Singapore', 'asia', ['sg', 'singapur']],
+  ['SH', 'Saint Helena', 'africa'],
+  ['SI', 'Slovenia', 'europe'],
+  ['SJ', 'Svalbard and Jan Mayen', 'europe'],
+  ['SK', 'Slovakia', 'europe'],
+  ['SL', 'Sierra Leone', 'africa'],
+  ['SM', 'San Marino', 'europe'],
+  ['SN', 'Senegal', 'africa'],
+  ['SO', 'Somalia', 'africa'],
+  ['SR', 'Suriname', 'latin_america'],
+  ['SS', 'South Sudan', 'africa'],
+  ['ST', 'Sao Tome and Principe', 'africa'],
+  ['SV', 'El Salvador', 'latin_america'],
+  ['SX', 'Sint Maarten', 'latin_america'],
+  ['SY', 'Syria', 'middle_east'],
+  ['SZ', 'Eswatini', 'africa', ['swaziland']],
+  ['TC', 'Turks and Caicos Islands', 'latin_america'],
+  ['TD', 'Chad', 'africa'],
+  ['TF', 'French Southern Territories', 'africa'],
+  ['TG', 'Togo', 'africa'],
+  ['TH', 'Thailand', 'asia'],
+  ['TJ', 'Tajikistan', 'asia'],
+  ['TK', 'Tokelau', 'oceania'],
+  ['TL', 'Timor-Leste', 'asia', ['east timor']],
+  ['TM', 'Turkmenistan', 'asia'],
+  ['TN', 'Tunisia', 'africa'],
+  ['TO', 'Tonga', 'oceania'],
+  ['TR', 'Turkey', 'europe', ['turkiye']],
+  ['TT', 'Trinidad and Tobago', 'latin_america'],
+  ['TV', 'Tuvalu', 'oceania'],
+  ['TW', 'Taiwan', 'asia'],
+  ['TZ', 'Tanzania', 'africa'],
+  ['UA', 'Ukraine', 'europe'],
+  ['UG', 'Uganda', 'africa'],
+  ['UM', 'United States Minor Outlying Islands', 'oceania'],
+  ['US', 'United States', 'north_america', ['usa', 'us', 'u.s.', 'u.s.a.', 'america', 'united states of america']],
+  ['UY', 'Uruguay', 'latin_america'],
+  ['UZ', 'Uzbekistan', 'asia'],
+  ['VA', 'Vatican City', 'europe', ['holy see']],
+  ['VC', 'Saint Vincent and the Grenadines', 'latin_america'],
+  ['VE', 'Venezuela', 'latin_america'],
+  ['VG', 'British Virgin Islands', 'latin_america'],
+  ['VI', 'U.S. Virgin Islands', 'latin_america'],
+  ['VN', 'Vietnam', 'asia', ['viet nam']],
+  ['VU', 'Vanuatu', 'oceania'],
+  ['WF', 'Wallis and Futuna', 'oceania'],
+  ['WS', 'Samoa', 'oceania'],
+  ['YE', 'Yemen', 'middle_east'],
+  ['YT', 'Mayotte', 'africa'],
+  ['ZA', 'South Africa', 'africa', ['rsa']],
+  ['ZM', 'Zambia', 'africa'],
+  ['ZW', 'Zimbabwe', 'africa']
+];
+
+const cities = [
+  // North America
+  ['New York', 'US', ['nyc', 'new york city', 'manhattan']],
+  ['San Francisco', 'US', ['sf', 'san fran', 'bay area', 'sf bay area']],
+  ['Los Angeles', 'US', ['la', 'l.a.']],
+  ['Chicago', 'US'],
+  ['Boston', 'US'],
+  ['Seattle', 'US'],
+  ['Austin', 'US'],
+  ['Dallas', 'US'],
+  ['Houston', 'US'],
+  ['Miami', 'US'],
+  ['Atlanta', 'US'],
+  ['Denver', 'US'],
+  ['Washington', 'US', ['washington dc', 'washington d.c.', 'dc']],
+  ['San Jose', 'US', ['silicon valley']],
+  ['San Diego', 'US'],
+  ['Philadelphia', 'US', ['philly']],
+  ['Phoenix', 'US'],
+  ['Toronto', 'CA'],
+  ['Vancouver', 'CA'],
+  ['Montreal', 'CA'],
+  ['Calgary', 'CA'],
+  ['Ottawa', 'CA'],
+  // Latin America
+  ['Mexico City', 'MX', ['cdmx']],
+  ['Sao Paulo', 'BR'],
+  ['Rio de Janeiro', 'BR', ['rio']],
+  ['Buenos Aires', 'AR'],
+  ['Bogota', 'CO'],
+  ['Santiago', 'CL'],
+  ['Lima', 'PE'],
+  // Europe
+  ['London', 'GB', ['greater london']],
+  ['Manchester', 'GB'],
+  ['Birmingham', 'GB'],
+  ['Edinburgh', 'GB'],
+  ['Dublin', 'IE'],
+  ['Paris', 'FR'],
+  ['Lyon', 'FR'],
+  ['Berlin', 'DE'],
+  ['Munich', 'DE', ['munchen']],
+  ['Hamburg', 'DE'],
+  ['Frankfurt', 'DE'],
+  ['Amsterdam', 'NL'],
+  ['Rotterdam', 'NL'],
+  ['Brussels', 'BE'],
+  ['Zurich', 'CH'],
+  ['Geneva', 'CH'],
+  ['Vienna', 'AT', ['wien']],
+  ['Madrid', 'ES'],
+  ['Barcelona', 'ES'],
+  ['Lisbon', 'PT', ['lisboa']],
+  ['Milan', 'IT', ['milano']],
+  ['Rome', 'IT', ['roma']],
+  ['Stockholm', 'SE'],
+  ['Copenhagen', 'DK'],
+  ['Oslo', 'NO'],
+  ['Helsinki', 'FI'],
+  ['Warsaw', 'PL'],
+  ['Prague', 'CZ'],
+  ['Budapest', 'HU'],
+  ['Bucharest', 'RO'],
+  ['Athens', 'GR'],
+  ['Istanbul', 'TR'],
+  ['Kyiv', 'UA', ['kiev']],
+  ['Tallinn', 'EE'],
+  // Middle East & Africa
+  ['Dubai', 'AE', ['dubay']],
+  ['Abu Dhabi', 'AE'],
+  ['Sharjah', 'AE'],
+  ['Riyadh', 'SA'],
+  ['Jeddah', 'SA'],
+  ['Doha', 'QA'],
+  ['Kuwait City', 'KW'],
+  ['Manama', 'BH'],
+  ['Muscat', 'OM'],
+  ['Tel Aviv', 'IL'],
+  ['Amman', 'JO'],
+  ['Beirut', 'LB'],
+  ['Cairo', 'EG'],
+  ['Casablanca', 'MA'],
+  ['Lagos', 'NG'],
+  ['Nairobi', 'KE'],
+  ['Johannesburg', 'ZA', ['joburg']],
+  ['Cape Town', 'ZA'],
+  // Asia Pacific
+  ['Mumbai', 'IN', ['bombay', 'mumbi']],
+  ['Bangalore', 'IN', ['bengaluru', 'bangalor']],
+  ['Delhi', 'IN', ['new delhi', 'delhi ncr', 'ncr']],
+  ['Gurgaon', 'IN', ['gurugram']],
+  ['Noida', 'IN'],
+  ['Hyderabad', 'IN'],
+  ['Chennai', 'IN', ['madras']],
+  ['Pune', 'IN'],
+  ['Kolkata', 'IN', ['calcutta']],
+  ['Ahmedabad', 'IN'],
+  ['Karachi', 'PK'],
+  ['Lahore', 'PK'],
+  ['Dhaka', 'BD'],
+  ['Colombo', 'LK'],
+  ['Kuala Lumpur', 'MY', ['kl']],
+  ['Jakarta', 'ID'],
+  ['Bangkok', 'TH'],
+  ['Ho Chi Minh City', 'VN', ['saigon', 'hcmc']],
+  ['Hanoi', 'VN'],
+  ['Manila', 'PH', ['metro manila']],
+  ['Shanghai', 'CN'],
+  ['Beijing', 'CN', ['peking']],
+  ['Shenzhen', 'CN'],
+  ['Taipei', 'TW'],
+  ['Seoul', 'KR'],
+  ['Tokyo', 'JP', ['tokio']],
+  ['Osaka', 'JP'],
+  ['Sydney', 'AU', ['sydny']],
+  ['Melbourne', 'AU'],
+  ['Brisbane', 'AU'],
+  ['Perth', 'AU'],
+  ['Auckland', 'NZ']
+];
+
+module.exports = { regions, countries, cities };
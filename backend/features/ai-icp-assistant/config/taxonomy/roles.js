@@ -0,0 +1,78 @@
+/**
+ * Seniority & Department Taxonomy
+ *
+ * seniorities - Apollo person_seniorities values, most senior first; category is the
+ *               role_category the decision-maker classifier reports
+ * departments - functions with their sub-functions; titles are generated per department
+ *               ("VP of Sales", "Head of Sales", "Sales Director", "Sales Manager")
+ * executives  - C-level and other fixed titles
+ */
+const seniorities = [
+  { value: 'owner', label: 'Owner', category: 'Owner', group: 'executive', synonyms: ['owners', 'business owner', 'proprietor'] },
+  { value: 'founder', label: 'Founder', category: 'Founder', group: 'executive', synonyms: ['founders', 'co-founder', 'cofounder', 'co founder'] },
+  { value: 'c_suite', label: 'C-Suite', category: 'C-Level', group: 'executive', synonyms: ['c-suite', 'c suite', 'c-level', 'c level', 'clevel', 'chief', 'chiefs', 'executive', 'executives', 'cxo', 'cxos'] },
+  { value: 'partner', label: 'Partner', category: 'Other', group: 'executive', synonyms: ['partners', 'managing partner'] },
+  { value: 'vp', label: 'VP', category: 'VP-Level', group: 'leadership', synonyms: ['vps', 'vice president', 'vice presidents', 'vp-level', 'vp level', 'svp', 'evp'] },
+  { value: 'head', label: 'Head', category: 'Head', group: 'leadership', synonyms: ['head of', 'heads', 'heads of'] },
+  { value: 'director', label: 'Director', category: 'Director', group: 'leadership', synonyms: ['directors', 'director-level', 'director level'] },
+  { value: 'manager', label: 'Manager', category: 'Manager', group: 'management', synonyms: ['managers', 'mgr', 'management'] },
+  { value: 'senior', label: 'Senior', category: 'Other', group: 'individual_contributor', synonyms: ['senior-level', 'mid-level', 'mid level', 'experienced'] },
+  { value: 'entry', label: 'Entry', category: 'Other', group: 'individual_contributor', synonyms: ['entry-level', 'entry level', 'junior', 'juniors', 'graduate'] },
+  { value: 'intern', label: 'Intern', category: 'Other', group: 'individual_contributor', synonyms: ['interns', 'internship', 'trainee'] }
+];
+
+const seniorityGroups = [
+  { value: 'executive', label: 'Executives' },
+  { value: 'leadership', label: 'Leadership' },
+  { value: 'management', label: 'Management' },
+  { value: 'individual_contributor', label: 'Individual contributors' }
+];
+
+const departments = [
+  { value: 'sales', label: 'Sales', synonyms: ['sales', 'business development', 'bizdev', 'bd', 'revenue'], functions: ['Account Executive', 'Business Development', 'Sales Operations', 'Inside Sales', 'Partnerships'] },
+  { value: 'marketing', label: 'Marketing', synonyms: ['marketing', 'mktg', 'growth', 'demand generation', 'demand gen'], functions: ['Demand Generation', 'Product Marketing', 'Content Marketing', 'Brand', 'Growth'] },
+  { value: 'engineering', label: 'Engineering', synonyms: ['engineering', 'eng', 'software engineering', 'development', 'r&d'], functions: ['Software Development', 'DevOps', 'Quality Assurance', 'Infrastructure', 'Security Engineering'] },
+  { value: 'product', label: 'Product', synonyms: ['product', 'product management', 'prod'], functions: ['Product Management', 'Product Operations'] },
+  { value: 'design', label: 'Design', synonyms: ['design', 'ux', 'ui/ux', 'user experience'], functions: ['Product Design', 'UX Research', 'Brand Design'] },
+  { value: 'data', label: 'Data', synonyms: ['data', 'analytics', 'data science', 'bi', 'business intelligence'], functions: ['Data Science', 'Data Engineering', 'Analytics'] },
+  { value: 'information_technology', label: 'IT', synonyms: ['it', 'information technology', 'technology'], functions: ['IT Operations', 'Systems Administration', 'Information Security'] },
+  { value: 'finance', label: 'Finance', synonyms: ['finance', 'financial', 'accounting', 'fp&a'], functions: ['Accounting', 'FP&A', 'Treasury', 'Procurement'] },
+  { value: 'human_resources', label: 'HR', synonyms: ['hr', 'human resources', 'people', 'talent', 'people operations'], functions: ['Recruiting', 'Talent Acquisition', 'People Operations', 'Learning & Development'] },
+  { value: 'operations', label: 'Operations', synonyms: ['operations', 'ops', 'business operations'], functions: ['Business Operations', 'Supply Chain', 'Facilities'] },
+  { value: 'customer_success', label: 'Customer Success', synonyms: ['customer success', 'cs', 'customer experience', 'cx', 'support', 'customer support'], functions: ['Customer Support', 'Account Management', 'Onboarding'] },
+  { value: 'legal', label: 'Legal', synonyms: ['legal', 'compliance'], functions: ['Legal Counsel', 'Compliance', 'Contracts'] },
+  { value: 'procurement', label: 'Procurement', synonyms: ['procurement', 'purchasing', 'sourcing'], functions: ['Purchasing', 'Vendor Management'] }
+];
+
+const executives = [
+  { title: 'CEO', seniority: 'c_suite', department: null, synonyms: ['chief executive', 'chief executive officer', 'chief exec'] },
+  { title: 'CTO', seniority: 'c_suite', department: 'engineering', synonyms: ['chief technology', 'chief technology officer', 'chief technical officer'] },
+  { title: 'CFO', seniority: 'c_suite', department: 'finance', synonyms: ['chief financial', 'chief financial officer', 'chief finance officer'] },
+  { title: 'CMO', seniority: 'c_suite', department: 'marketing', synonyms: ['chief marketing', 'chief marketing officer'] },
+  { title: 'COO', seniority: 'c_suite', department: 'operations', synonyms: ['chief operating', 'chief operating officer', 'chief operations officer'] },
+  { title: 'CIO', seniority: 'c_suite', department: 'information_technology', synonyms: ['chief information officer'] },
+  { title: 'CISO', seniority: 'c_suite', department: 'information_technology', synonyms: ['chief information security officer', 'chief security officer', 'cso'] },
+  { title: 'CRO', seniority: 'c_suite', department: 'sales', synonyms: ['chief revenue officer', 'chief revenue'] },
+  { title: 'CPO', seniority: 'c_suite', department: 'product', synonyms: ['chief product officer', 'chief product'] },
+  { title: 'CDO', seniority: 'c_suite', department: 'data', synonyms: ['chief data officer', 'chief digital officer'] },
+  { title: 'CHRO', seniority: 'c_suite', department: 'human_resources', synonyms: ['chief human resources officer', 'chief people officer', 'chief hr officer'] },
+  { title: 'CCO', seniority: 'c_suite', department: 'customer_success', synonyms: ['chief customer officer'] },
+  { title: 'President', seniority: 'c_suite', department: null, synonyms: ['company president'] },
+  { title: 'Managing Director', seniority: 'c_suite', department: null, synonyms: ['md', 'managing directors'] },
+  { title: 'General Manager', seniority: 'director', department: null, synonyms: ['gm', 'general managers'] },
+  { title: 'Founder', seniority: 'founder', department: null, synonyms: ['founders', 'startup founder', 'founder & ceo', 'founder and ceo'] },
+  { title: 'Co-Founder', seniority: 'founder', department: null, synonyms: ['cofounder', 'co founder', 'co-founders'] },
+  { title: 'Owner', seniority: 'owner', department: null, synonyms: ['owners', 'proprietor'] },
+  { title: 'Business Owner', seniority: 'owner', department: null, synonyms: ['business owners', 'small business owner'] },
+  { title: 'Partner', seniority: 'partner', department: null, synonyms: ['partners', 'managing partner'] }
+];
+
+// Generated per department: [title pattern, synonym patterns, seniority]
+const titleTemplates = [
+  ['VP of {label}', ['vp {syn}', 'vp of {syn}', 'vice president of {syn}', 'vice president {syn}', '{syn} vp', 'svp {syn}', 'evp {syn}'], 'vp'],
+  ['Head of {label}', ['head of {syn}', '{syn} head', '{syn} lead', 'lead {syn}'], 'head'],
+  ['{label} Director', ['{syn} director', 'director of {syn}', 'director {syn}', '{syn} directors'], 'director'],
+  ['{label} Manager', ['{syn} manager', '{syn} mgr', 'manager of {syn}', '{syn} managers'], 'manager']
+];
+
+module.exports = { seniorities, seniorityGroups, departments, executives, titleTemplates };
@@ -0,0 +1,63 @@
+/**
+ * Leads Upload Configuration
+ *
+ * Upload formats and limits for POST /leads/upload, the CSV parser defaults, stored lead
+ * batches (/leads/batches) and tenant template schemas (/leads/template/schema).
+ */
+const os = require('os');
+module.exports = {
+  leads: {
+    // Uploads are streamed to disk, then parsed row by row
+    maxFileSize: parseInt(process.env.LEADS_UPLOAD_MAX_MB || '50', 10) * 1024 * 1024,
+    tmpDir: process.env.LEADS_UPLOAD_TMP_DIR || os.tmpdir(),
+    // File extension → format (Google Sheets exports are .xlsx, .csv or .tsv)
+    formats: {
+      csv: 'csv',
+      txt: 'csv',
+      tsv: 'tsv',
+      tab: 'tsv',
+      xlsx: 'xlsx',
+      xls: 'xls',
+      json: 'json'
+    },
+    // Format by MIME type when the extension is unknown
+    mimeTypes: {
+      csv: ['text/csv', 'text/plain', 'application/csv'],
+      tsv: ['text/tab-separated-values'],
+      xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+      // Excel on Windows also sends .csv files as application/vnd.ms-excel; the extension wins
+      xls: ['application/vnd.ms-excel'],
+      json: ['application/json']
+    },
+    // Row errors returned in the response; the rest are only counted
+    maxReportedErrors: 1000
+  },
+  csv: {
+    // Candidates for delimiter detection, in tie-break order
+    delimiters: [',', ';', '\t', '|'],
+    // Bytes read before the encoding and delimiter are detected
+    sampleBytes: 64 * 1024,
+    // Used when the file is not valid UTF-8 and has no BOM (Excel "CSV" on Windows)
+    fallbackEncoding: 'windows-1252',
+    // Longer fields are cut (an unterminated quote would otherwise swallow the file)
+    maxFieldLength: 100000
+  },
+  batches: {
+    // Leads per GET /leads/batches/:id page (default and maximum)
+    pageSize: 500,
+    maxPageSize: 5000,
+    // Leads written per INSERT
+    chunkSize: 1000,
+    // Row errors kept in a batch's parse report
+    maxStoredErrors: 1000
+  },
+  templates: {
+    // Columns of a tenant template (built-in and custom)
+    maxColumns: 100,
+    // Values of a 'select' column and extra header aliases per column
+    maxOptions: 100,
+    maxAliases: 20,
+    // Value types of custom columns, checked by the template_fields validation rule
+    types: ['text', 'number', 'date', 'email', 'url', 'select']
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * Lead Validation Configuration
+ *
+ * Default rules LeadsValidator checks before campaign execution. Tenants change them through
+ * PUT /leads/validation-rules (stored in ai_lead_validation_rules and merged over these).
+ * Severity: 'error' makes the lead not ready for the platform, 'warning' only reports it,
+ * 'off' skips the rule.
+ */
+module.exports = {
+  severities: ['error', 'warning', 'off'],
+  rules: {
+    // Fields each platform needs, by the action chosen in the platform questions ('default'
+    // otherwise); 'whatsapp|phone' means either field
+    required_fields: {
+      severity: 'error',
+      fields: {
+        linkedin: {
+          default: ['linkedin_url'],
+          inmail: ['linkedin_url', 'first_name']
+        },
+        email: {
+          default: ['email'],
+          cold_email: ['email', 'first_name'],
+          nurture_sequence: ['email', 'first_name'],
+          single_email: ['email', 'first_name']
+        },
+        voice: {
+          default: ['phone']
+        },
+        whatsapp: {
+          default: ['whatsapp|phone']
+        }
+      }
+    },
+    email_syntax: {
+      severity: 'error'
+    },
+    // Throwaway mailbox providers (subdomains included); tenants add their own with 'domains'
+    email_disposable: {
+      severity: 'error',
+      domains: [
+        '10minutemail.com', 'burnermail.io', 'discard.email', 'dispostable.com', 'emailondeck.com',
+        'fakeinbox.com', 'getairmail.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net',
+        'mailcatch.com', 'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com', 'mohmal.com',
+        'mytemp.email', 'sharklasers.com', 'spamgourmet.com', 'temp-mail.org', 'tempail.com',
+        'tempmail.com', 'tempmailo.com', 'throwawaymail.com', 'trashmail.com', 'yopmail.com'
+      ]
+    },
+    // Email domains the upload's MX lookup found without a mail server (lead.email_check)
+    email_domain: {
+      severity: 'error'
+    },
+    // Shared mailboxes (normalization.config email.roleAccounts); 'allow' keeps some, e.g. ['sales']
+    email_role: {
+      severity: 'warning',
+      allow: []
+    },
+    // Length (and allowed countries) of E.164 phone numbers; 'countries' lists allowed calling
+    // codes, empty for any
+    phone_valid: {
+      severity: 'error',
+      countries: []
+    },
+    phone_country_code: {
+      severity: 'warning'
+    },
+    // LinkedIn outreach needs a person profile (/in/...), not a company or school page
+    linkedin_profile: {
+      severity: 'error'
+    },
+    // WhatsApp needs a mobile number in international format
+    whatsapp_capable: {
+      severity: 'error'
+    },
+    // Required columns and custom field types of the tenant's template (GET /leads/template/schema);
+    // checked for every platform, only when the tenant has its own template
+    template_fields: {
+      severity: 'error'
+    }
+  },
+  // Rules each platform runs besides required_fields
+  platformRules: {
+    email: ['email_syntax', 'email_disposable', 'email_domain', 'email_role'],
+    linkedin: ['linkedin_profile'],
+    voice: ['phone_valid', 'phone_country_code'],
+    whatsapp: ['whatsapp_capable']
+  },
+  // National number lengths and mobile prefixes by calling code. Not exhaustive: numbers of
+  // other countries only get the E.164 length check, and mobile: null means mobile numbers
+  // can't be told apart (NANP, Mexico, Brazil)
+  phoneCountries: {
+    1: { lengths: [10, 10], mobile: null },
+    7: { lengths: [10, 10], mobile: ['9', '7'] },
+    20: { lengths: [9, 10], mobile: ['1'] },
+    27: { lengths: [9, 9], mobile: ['6', '7', '8'] },
+    31: { lengths: [9, 9], mobile: ['6'] },
+    32: { lengths: [8, 9], mobile: ['4'] },
+    33: { lengths: [9, 9], mobile: ['6', '7'] },
+    34: { lengths: [9, 9], mobile: ['6', '7'] },
+    39: { lengths: [6, 11], mobile: ['3'] },
+    41: { lengths: [9, 9], mobile: ['7'] },
+    44: { lengths: [9, 10], mobile: ['7'] },
+    46: { lengths: [7, 10], mobile: ['7'] },
+    49: { lengths: [6, 13], mobile: ['15', '16', '17'] },
+    52: { lengths: [10, 10], mobile: null },
+    55: { lengths: [10, 11], mobile: null },
+    61: { lengths: [9, 9], mobile: ['4'] },
+    62: { lengths: [8, 12], mobile: ['8'] },
+    63: { lengths: [10, 10], mobile: ['9'] },
+    65: { lengths: [8, 8], mobile: ['8', '9'] },
+    81: { lengths: [9, 10], mobile: ['70', '80', '90'] },
+    86: { lengths: [10, 11], mobile: ['1'] },
+    90: { lengths: [10, 10], mobile: ['5'] },
+    91: { lengths: [10, 10], mobile: ['6', '7', '8', '9'] },
+    92: { lengths: [9, 10], mobile: ['3'] },
+    234: { lengths: [8, 10], mobile: ['7', '8', '9'] },
+    254: { lengths: [9, 9], mobile: ['1', '7'] },
+    353: { lengths: [7, 9], mobile: ['8'] },
+    965: { lengths: [8, 8], mobile: ['5', '6', '9'] },
+    966: { lengths: [9, 9], mobile: ['5'] },
+    968: { lengths: [8, 8], mobile: ['7', '9'] },
+    971: { lengths: [8, 9], mobile: ['5'] },
+    972: { lengths: [8, 9], mobile: ['5'] },
+    973: { lengths: [8, 8], mobile: ['3', '6'] },
+    974: { lengths: [8, 8], mobile: ['3', '5', '6', '7'] }
+  }
+};
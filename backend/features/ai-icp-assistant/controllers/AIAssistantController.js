@@ -11,6 +11,7 @@ const {
 } = require('../repositories');
 const AIAssistantService = require('../services/AIAssistantService');
 const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/sse');
 class AIAssistantController {
   /**
    * Chat with AI Assistant - Phase 1: Intent Understanding
@@ -18,73 +19,120 @@ class AIAssistantController {
    */
   static async chat(req, res) {
     try {
-      const { message, conversationId = null, searchResults = [] } = req.body;
-      const userId = req.user?.userId;
-      const tenantId = req.user?.tenantId;
-      // Get or create conversation
-      let conversation;
-      let isNewConversation = false;
-      if (conversationId) {
-        conversation = await AIConversationRepository.findById(conversationId, tenantId);
-        if (!conversation || conversation.user_id !== userId) {
-          return res.status(404).json({
+      const { statusCode, body } = await AIAssistantController.handleChatMessage(req);
+      res.status(statusCode).json(body);
+    } catch (error) {
+      logger.error('Chat error', { error, userId: req.user.id, tenantId: req.user.tenantId });
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to process chat'
+      });
+    }
+  }
+  /**
+   * Streaming chat (Server-Sent Events)
+   * POST /api/ai-icp-assistant/chat/stream
+   * Emits `token` events while the reply is generated, then one `final` event
+   * with the same payload /chat returns (assistantContext, options, status...).
+   * `final` carries the authoritative reply (see utils/sse.js replaceStreamedText).
+   */
+  static async chatStream(req, res) {
+    const stream = openEventStream(res);
+    try {
+      const { statusCode, body } = await AIAssistantController.handleChatMessage(req, (text) => stream.token(text));
+      if (statusCode !== 200) {
+        stream.send('error', body);
+        return stream.end();
+      }
+      stream.final(body, body.response || body.text);
+    } catch (error) {
+      logger.error('Chat stream error', { error, userId: req.user.id, tenantId: req.user.tenantId });
+      stream.send('error', {
+        success: false,
+        error: error.message || 'Failed to process chat'
+      });
+    }
+    stream.end();
+  }
+  /**
+   * Shared chat flow for /chat and /chat/stream
+   * @param {Function|null} onToken - Receives generated response text chunks (streaming only)
+   * @returns {Promise<{statusCode: number, body: Object}>}
+   */
+  static async handleChatMessage(req, onToken = null) {
+    const { message, conversationId = null, searchResults = [] } = req.body;
+    const userId = req.user?.userId;
+    const tenantId = req.user?.tenantId;
+    // Get or create conversation
+    let conversation;
+    let isNewConversation = false;
+    if (conversationId) {
+      conversation = await AIConversationRepository.findById(conversationId, tenantId);
+      if (!conversation || conversation.user_id !== userId) {
+        return {
+          statusCode: 404,
+          body: {
             success: false,
             error: 'Conversation not found'
-          });
-        }
+          }
+        };
+      }
+    } else {
+      // Get active conversations and use first one or create new
+      const activeConversations = await AIConversationRepository.findByUser(userId, tenantId, {
+        type: 'assistant',
+        status: 'active',
+        limit: 1
+      });
+      if (activeConversations.length > 0) {
+        conversation = activeConversations[0];
       } else {
-        // Get active conversations and use first one or create new
-        const activeConversations = await AIConversationRepository.findByUser(userId, tenantId, {
-          status: 'active',
-          limit: 1
+        conversation = await AIConversationRepository.create({
+          userId,
+          tenantId,
+          title: 'Outreach Planning'
         });
-        if (activeConversations.length > 0) {
-          conversation = activeConversations[0];
-        } else {
-          conversation = await AIConversationRepository.create({
-            userId,
-            tenantId,
-            title: 'Outreach Planning'
-          });
-          isNewConversation = true;
-        }
+        isNewConversation = true;
       }
-      // Get recent messages for context
-      const conversationHistory = await AIMessageRepository.findByConversation(
-        conversation.id,
-        tenantId,
-        { limit: 10 }
-      );
-      // Load assistant context from conversation metadata
-      // Metadata might be stored as JSON string, so parse it
-      let metadata = conversation.metadata;
-      if (typeof metadata === 'string') {
-        try {
-          metadata = JSON.parse(metadata);
-        } catch (e) {
-          metadata = {};
-        }
+    }
+    // Get recent messages for context
+    const conversationHistory = await AIMessageRepository.findByConversation(
+      conversation.id,
+      tenantId,
+      { limit: 10 }
+    );
+    // Load assistant context from conversation metadata
+    // Metadata might be stored as JSON string, so parse it
+    let metadata = conversation.metadata;
+    if (typeof metadata === 'string') {
+      try {
+        metadata = JSON.parse(metadata);
+      } catch (e) {
+        metadata = {};
       }
-      let assistantContext = metadata?.assistantContext || null;
-      // If this is the first message in a new conversation, send initial greeting
-      const isFirstMessage = conversationHistory.length === 0;
-      if (isFirstMessage || (isNewConversation && (!message || message.trim() === '')) || (message && message.toUpperCase() === 'START')) {
-        const greeting = "Would you like Inbound or Outbound lead management?";
-        const initialContext = AIAssistantService.initializeContext();
-        initialContext.stage = 'outreach_type'; // Move to outreach_type stage
-        // Save greeting as assistant message
-        await AIMessageRepository.create({
-          conversationId: conversation.id,
-          tenantId,
-          role: 'assistant',
-          content: greeting,
-          messageData: { isGreeting: true, stage: 'outreach_type' }
-        });
-        // Save initial context to conversation
-        await AIConversationRepository.update(conversation.id, tenantId, { 
-          metadata: { assistantContext: initialContext } 
-        });
-        return res.json({
+    }
+    let assistantContext = metadata?.assistantContext || null;
+    // If this is the first message in a new conversation, send initial greeting
+    const isFirstMessage = conversationHistory.length === 0;
+    if (isFirstMessage || (isNewConversation && (!message || message.trim() === '')) || (message && message.toUpperCase() === 'START')) {
+      const greeting = "Would you like Inbound or Outbound lead management?";
+      const initialContext = AIAssistantService.initializeContext();
+      initialContext.stage = 'outreach_type'; // Move to outreach_type stage
+      // Save greeting as assistant message
+      await AIMessageRepository.create({
+        conversationId: conversation.id,
+        tenantId,
+        role: 'assistant',
+        content: greeting,
+        messageData: { isGreeting: true, stage: 'outreach_type' }
+      });
+      // Save initial context to conversation
+      await AIConversationRepository.update(conversation.id, tenantId, { 
+        metadata: { assistantContext: initialContext } 
+      });
+      return {
+        statusCode: 200,
+        body: {
           success: true,
           conversationId: conversation.id,
           response: greeting,
@@ -96,66 +144,67 @@ class AIAssistantController {
           assistantContext: initialContext,
           status: 'collecting_info',
           readyForExecution: false
-        });
-      }
-      if (!message || message.trim() === '') {
-        return res.status(400).json({
+        }
+      };
+    }
+    if (!message || message.trim() === '') {
+      return {
+        statusCode: 400,
+        body: {
           success: false,
           error: 'Message is required'
-        });
-      }
-      // Process message with AI service
-      const result = await AIAssistantService.processChat({
-        message,
-        conversationId: conversation.id,
-        conversationHistory,
-        searchResults,
-        userId,
-        tenantId,
-        assistantContext
-      });
-      // Save user message
-      await AIMessageRepository.create({
-        conversationId: conversation.id,
-        tenantId,
-        role: 'user',
-        content: message,
-        messageData: { searchResultsCount: searchResults?.length || 0 }
-      });
-      // Save assistant response
-      await AIMessageRepository.create({
-        conversationId: conversation.id,
-        tenantId,
-        role: 'assistant',
-        content: result.response || result.text,
-        messageData: {
-          assistantContext: result.assistantContext,
-          status: result.status,
-          readyForExecution: result.readyForExecution
-        },
-        tokensUsed: result.tokensUsed,
-        model: result.model
-      });
-      // Update conversation metadata with assistant context
-      if (result.assistantContext) {
-        const updatedMetadata = metadata || {};
-        updatedMetadata.assistantContext = result.assistantContext;
-        updatedMetadata.status = result.status;
-        updatedMetadata.readyForExecution = result.readyForExecution === true;
-        await AIConversationRepository.update(conversation.id, tenantId, { metadata: updatedMetadata });
-      }
-      res.json({
+        }
+      };
+    }
+    // Process message with AI service
+    const result = await AIAssistantService.processChat({
+      message,
+      conversationId: conversation.id,
+      conversationHistory,
+      searchResults,
+      userId,
+      tenantId,
+      assistantContext,
+      onToken
+    });
+    // Save user message
+    await AIMessageRepository.create({
+      conversationId: conversation.id,
+      tenantId,
+      role: 'user',
+      content: message,
+      messageData: { searchResultsCount: searchResults?.length || 0 }
+    });
+    // Save assistant response
+    await AIMessageRepository.create({
+      conversationId: conversation.id,
+      tenantId,
+      role: 'assistant',
+      content: result.response || result.text,
+      messageData: {
+        assistantContext: result.assistantContext,
+        status: result.status,
+        readyForExecution: result.readyForExecution
+      },
+      tokensUsed: result.tokensUsed,
+      model: result.model
+    });
+    // Update conversation metadata with assistant context
+    if (result.assistantContext) {
+      const updatedMetadata = metadata || {};
+      updatedMetadata.assistantContext = result.assistantContext;
+      updatedMetadata.status = result.status;
+      updatedMetadata.readyForExecution = result.readyForExecution === true;
+      await AIConversationRepository.update(conversation.id, tenantId, { metadata: updatedMetadata });
+    }
+    return {
+      statusCode: 200,
+      body: {
         success: true,
         conversationId: conversation.id,
         ...result
-      });
-    } catch (error) {
-      logger.error('Chat error', { error, userId: req.user.id, tenantId: req.user.tenantId });
-      res.status(500).json({
-        success: false,
-        error: error.message || 'Failed to process chat'
-      });
-    }
+      }
+    };
   }
   /**
    * Get conversation history
@@ -169,7 +218,7 @@ class AIAssistantController {
       const conversations = await AIConversationRepository.findByUser(
         userId,
         tenantId,
-        { status, limit: parseInt(limit) }
+        { type: 'assistant', status, limit: parseInt(limit) }
       );
       res.json({
         success: true,
@@ -238,6 +287,7 @@ class AIAssistantController {
       } else {
         // Archive active conversation
         const activeConversations = await AIConversationRepository.findByUser(userId, tenantId, {
+          type: 'assistant',
           status: 'active',
           limit: 1
         });
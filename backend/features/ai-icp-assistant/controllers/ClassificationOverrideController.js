@@ -0,0 +1,201 @@
+/**
+ * Classification Override Controller
+ *
+ * Admin API for tenant override rules: inputs matching a rule's pattern classify to its
+ * value, ahead of the cache and the model (see ClassificationService), and every match is
+ * counted for the hit report.
+ */
+const ClassificationService = require('../services/ClassificationService');
+const ClassificationOverrideService = require('../services/ClassificationOverrideService');
+const { ClassificationOverrideRepository } = require('../repositories');
+const classificationConfig = require('../config/classification.config');
+const logger = require('../utils/logger');
+// Postgres unique_violation (idx_ai_classification_overrides_unique)
+const UNIQUE_VIOLATION = '23505';
+class ClassificationOverrideController {
+  /**
+   * GET /api/ai-icp-assistant/classification-overrides?type=&active=&limit=&offset=
+   */
+  static async list(req, res) {
+    try {
+      const { type, active } = req.query;
+      if (type && !ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      const overrides = await ClassificationOverrideRepository.findByTenant(req.user?.tenantId, {
+        type,
+        isActive: active === undefined ? undefined : active === 'true',
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+      });
+      return res.json({
+        success: true,
+        overrides
+      });
+    } catch (error) {
+      logger.error('[Classification Overrides] Error listing overrides', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to list classification overrides'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/classification-overrides
+   * Body: { type, pattern, match_type?, value, note?, priority? }
+   */
+  static async create(req, res) {
+    try {
+      const tenantId = req.user?.tenantId;
+      const { type } = req.body;
+      if (!ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      const { error, rule } = ClassificationOverrideService.prepare(type, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      const { maxPerType } = classificationConfig.overrides;
+      if (await ClassificationOverrideRepository.countActive(tenantId, type) >= maxPerType) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${maxPerType} active ${type.replace('_', ' ')} overrides are allowed`
+        });
+      }
+      const override = await ClassificationOverrideRepository.create({
+        tenantId,
+        type,
+        pattern: rule.pattern,
+        matchType: rule.match_type,
+        value: rule.value,
+        note: rule.note,
+        priority: rule.priority,
+        userId: req.user?.userId
+      });
+      return res.status(201).json({
+        success: true,
+        override
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'An override with this pattern and match type already exists'
+        });
+      }
+      logger.error('[Classification Overrides] Error creating override', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create classification override'
+      });
+    }
+  }
+  /**
+   * PUT /api/ai-icp-assistant/classification-overrides/:id
+   * Body: any of { pattern, match_type, value, note, priority, is_active }
+   */
+  static async update(req, res) {
+    try {
+      const tenantId = req.user?.tenantId;
+      const existing = await ClassificationOverrideRepository.findById(req.params.id, tenantId);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Override not found'
+        });
+      }
+      const { error, rule } = ClassificationOverrideService.prepare(existing.classification_type, {
+        pattern: existing.pattern,
+        match_type: existing.match_type,
+        value: existing.value,
+        ...req.body
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      const override = await ClassificationOverrideRepository.update(req.params.id, tenantId, rule);
+      return res.json({
+        success: true,
+        override
+      });
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'An override with this pattern and match type already exists'
+        });
+      }
+      logger.error('[Classification Overrides] Error updating override', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update classification override'
+      });
+    }
+  }
+  /**
+   * DELETE /api/ai-icp-assistant/classification-overrides/:id
+   */
+  static async remove(req, res) {
+    try {
+      const deleted = await ClassificationOverrideRepository.softDelete(req.params.id, req.user?.tenantId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Override not found'
+        });
+      }
+      return res.json({
+        success: true
+      });
+    } catch (error) {
+      logger.error('[Classification Overrides] Error deleting override', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete classification override'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/classification-overrides/report?type=&limit=20
+   * Most-hit overrides plus per-type totals (rules, active, never hit, hits)
+   */
+  static async report(req, res) {
+    try {
+      const { type } = req.query;
+      if (type && !ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      const { top, totals } = await ClassificationOverrideRepository.getHitReport(req.user?.tenantId, {
+        type,
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+      });
+      return res.json({
+        success: true,
+        top,
+        totals
+      });
+    } catch (error) {
+      logger.error('[Classification Overrides] Error building report', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to build classification override report'
+      });
+    }
+  }
+}
+module.exports = ClassificationOverrideController;
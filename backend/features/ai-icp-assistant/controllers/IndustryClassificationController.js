@@ -1,10 +1,17 @@
 /**
  * Industry Classification Controller
  * Handles industry, location, and decision makers classification requests using Gemini AI
+ * (cached per tenant, see ClassificationService), and searches of the taxonomy the
+ * classifications are validated against
  */
 const geminiClassifier = require('../services/GeminiIndustryClassifier');
 const geminiLocationClassifier = require('../services/GeminiLocationClassifier');
 const geminiDecisionMakersClassifier = require('../services/GeminiDecisionMakersClassifier');
+const TaxonomyService = require('../services/TaxonomyService');
+const ClassificationService = require('../services/ClassificationService');
+const { ClassificationCacheRepository } = require('../repositories');
+const classificationConfig = require('../config/classification.config');
+const JobQueue = require('../services/JobQueue');
 // Silent logger (console logs removed for production)
 const logger = {
   info: () => {},
@@ -34,7 +41,10 @@ class IndustryClassificationController {
         input: industry_input,
         userId: req.user?.userId
       });
-      const result = await geminiClassifier.classifyIndustry(industry_input);
+      const result = await ClassificationService.classify('industry', industry_input, {
+        tenantId: req.user?.tenantId,
+        refresh: req.body.refresh === true
+      });
       return res.json(result);
     } catch (error) {
       logger.error('[Industry Classification] Error', {
@@ -100,7 +110,10 @@ class IndustryClassificationController {
         input: location_input,
         userId: req.user?.userId
       });
-      const result = await geminiLocationClassifier.classifyLocation(location_input);
+      const result = await ClassificationService.classify('location', location_input, {
+        tenantId: req.user?.tenantId,
+        refresh: req.body.refresh === true
+      });
       return res.json(result);
     } catch (error) {
       logger.error('[Location Classification] Error', {
@@ -156,7 +169,10 @@ class IndustryClassificationController {
         input: decision_makers_input,
         userId: req.user?.userId
       });
-      const result = await geminiDecisionMakersClassifier.classifyDecisionMakers(decision_makers_input);
+      const result = await ClassificationService.classify('decision_makers', decision_makers_input, {
+        tenantId: req.user?.tenantId,
+        refresh: req.body.refresh === true
+      });
       return res.json(result);
     } catch (error) {
       logger.error('[Decision Makers Classification] Error', {
@@ -189,5 +205,273 @@ class IndustryClassificationController {
       });
     }
   }
+  /**
+   * Classify many raw inputs of one type at once (e.g. a spreadsheet column)
+   * POST /api/ai-icp-assistant/classify/batch
+   * Body: { type: 'industry' | 'location' | 'decision_makers', inputs: string[],
+   * async? (true: answer 202 with a 'classification.batch' job; GET /jobs/:id has the results) }
+   */
+  static async classifyBatch(req, res) {
+    try {
+      const { type, inputs } = req.body;
+      if (!ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(input => typeof input !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          error: 'inputs must be a non-empty array of strings'
+        });
+      }
+      const { maxInputs } = classificationConfig.batch;
+      if (inputs.length > maxInputs) {
+        return res.status(400).json({
+          success: false,
+          error: `inputs may contain at most ${maxInputs} entries`
+        });
+      }
+      logger.info('[Batch Classification] Received request', {
+        type,
+        count: inputs.length,
+        userId: req.user?.userId
+      });
+      if (String(req.body.async ?? req.query?.async) === 'true') {
+        const job = JobQueue.enqueue('classification.batch', { type, inputs }, {
+          tenantId: req.user?.tenantId,
+          userId: req.user?.userId
+        });
+        return res.status(202).json({
+          success: true,
+          message: 'Classification queued',
+          job
+        });
+      }
+      const { results, stats } = await ClassificationService.classifyBatch(type, inputs, {
+        tenantId: req.user?.tenantId
+      });
+      return res.json({
+        success: true,
+        type,
+        results,
+        stats
+      });
+    } catch (error) {
+      logger.error('[Batch Classification] Error', {
+        error: error.message,
+        stack: error.stack
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to classify inputs',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  /**
+   * List the tenant's cached classifications
+   * GET /api/ai-icp-assistant/classification-cache?type=industry&limit=100&offset=0
+   */
+  static async listClassificationCache(req, res) {
+    try {
+      const { type } = req.query;
+      if (type && !ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      const entries = await ClassificationCacheRepository.findByTenant(req.user?.tenantId, {
+        type,
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+      });
+      return res.json({
+        success: true,
+        entries
+      });
+    } catch (error) {
+      logger.error('[Classification Cache] Error listing entries', {
+        error: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to list classification cache'
+      });
+    }
+  }
+  /**
+   * Manually set how an input is classified for the tenant: saved as an exact-match
+   * classification override rule (see ClassificationOverrideController)
+   * PUT /api/ai-icp-assistant/classification-cache
+   * Body: { type, input, value } - value must be a taxonomy value
+   */
+  static async setClassificationOverride(req, res) {
+    try {
+      const { type, input, value } = req.body;
+      if (!ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      if (!input || typeof input !== 'string' || !ClassificationService.inputKey(input)) {
+        return res.status(400).json({
+          success: false,
+          error: 'input is required and must be a string'
+        });
+      }
+      if (!value || typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'value is required and must be a string'
+        });
+      }
+      const { error, override } = await ClassificationService.setOverride(type, input, value, {
+        tenantId: req.user?.tenantId,
+        userId: req.user?.userId
+      });
+      if (error) {
+        const taxonomyType = classificationConfig.types[type].taxonomyType;
+        return res.status(400).json({
+          success: false,
+          error: TaxonomyService.canonical(taxonomyType, value) ? error : `"${value}" is not a known ${type.replace('_', ' ')} value`,
+          suggestions: TaxonomyService.suggest(taxonomyType, value)
+        });
+      }
+      return res.json({
+        success: true,
+        override
+      });
+    } catch (error) {
+      logger.error('[Classification Cache] Error setting override', {
+        error: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to set classification override'
+      });
+    }
+  }
+  /**
+   * Remove one cached classification
+   * DELETE /api/ai-icp-assistant/classification-cache/:id
+   */
+  static async deleteClassificationCacheEntry(req, res) {
+    try {
+      const deleted = await ClassificationCacheRepository.softDelete(req.params.id, req.user?.tenantId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Cache entry not found'
+        });
+      }
+      return res.json({
+        success: true
+      });
+    } catch (error) {
+      logger.error('[Classification Cache] Error deleting entry', {
+        error: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete cache entry'
+      });
+    }
+  }
+  /**
+   * Clear the tenant's cached model results (override rules are not touched)
+   * DELETE /api/ai-icp-assistant/classification-cache?type=industry
+   */
+  static async clearClassificationCache(req, res) {
+    try {
+      const { type } = req.query;
+      if (type && !ClassificationService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${ClassificationService.TYPES.join(', ')}`
+        });
+      }
+      const cleared = await ClassificationCacheRepository.clearTenantCache(req.user?.tenantId, { type });
+      return res.json({
+        success: true,
+        cleared
+      });
+    } catch (error) {
+      logger.error('[Classification Cache] Error clearing cache', {
+        error: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to clear classification cache'
+      });
+    }
+  }
+  /**
+   * Get taxonomy version and entry counts
+   * GET /api/ai-icp-assistant/taxonomy
+   */
+  static async getTaxonomy(req, res) {
+    try {
+      return res.json({
+        success: true,
+        ...TaxonomyService.info()
+      });
+    } catch (error) {
+      logger.error('[Taxonomy] Error', {
+        error: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get taxonomy'
+      });
+    }
+  }
+  /**
+   * Fuzzy search one taxonomy type
+   * GET /api/ai-icp-assistant/taxonomy/:type?q=berln&kind=city&limit=10
+   */
+  static async searchTaxonomy(req, res) {
+    try {
+      const { type } = req.params;
+      const { q = '', kind } = req.query;
+      if (!TaxonomyService.TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          error: `type must be one of: ${TaxonomyService.TYPES.join(', ')}`
+        });
+      }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+      const results = TaxonomyService.search(type, q, {
+        limit,
+        kinds: kind ? String(kind).split(',') : null
+      });
+      return res.json({
+        success: true,
+        version: TaxonomyService.version,
+        type,
+        query: q,
+        results
+      });
+    } catch (error) {
+      logger.error('[Taxonomy Search] Error', {
+        error: error.message
+      });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to search taxonomy'
+      });
+    }
+  }
 }
+JobQueue.registerHandler('classification.batch', async ({ type, inputs }, job) => {
+  const { results, stats } = await ClassificationService.classifyBatch(type, inputs, {
+    tenantId: job.tenantId,
+    signal: job.signal,
+    onProgress: (done, total) => job.progress((done / total) * 100, `Classified ${done} of ${total} new inputs`)
+  });
+  return { type, results, stats };
+});
 module.exports = IndustryClassificationController;
\ No newline at end of file
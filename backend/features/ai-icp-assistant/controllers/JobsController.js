@@ -0,0 +1,113 @@
+/**
+ * Jobs Controller
+ *
+ * Status, cancellation and retry of background jobs (JobQueue) started by requests sent with
+ * async: true. A job is only visible to the user who started it, and to users of the tenant with the
+ * manageLeadBatches capability (config/permissions.config.js).
+ */
+const permissionsConfig = require('../config/permissions.config');
+const JobQueue = require('../services/JobQueue');
+const logger = require('../utils/logger');
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+class JobsController {
+  /**
+   * GET /api/ai-icp-assistant/jobs/:id
+   * Status, progress and (once succeeded) result of a job
+   */
+  static async get(req, res) {
+    try {
+      if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+      const job = await JobQueue.get(req.params.id, req.user?.tenantId, JobsController._owner(req));
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+      return res.json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      logger.error('[Jobs] Error getting job', { jobId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get job'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/jobs/:id/cancel
+   * Cancel a queued or running job (finished jobs are returned unchanged)
+   */
+  static async cancel(req, res) {
+    try {
+      const job = UUID_PATTERN.test(req.params.id)
+        ? await JobQueue.cancel(req.params.id, req.user?.tenantId, JobsController._owner(req))
+        : null;
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+      return res.json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      logger.error('[Jobs] Error cancelling job', { jobId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to cancel job'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/jobs/:id/retry
+   * Run a failed or cancelled job again (only on the instance that still holds its input)
+   */
+  static async retry(req, res) {
+    try {
+      if (!UUID_PATTERN.test(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+      const { job, error, status } = await JobQueue.retry(req.params.id, req.user?.tenantId, JobsController._owner(req));
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+      return res.status(202).json({
+        success: true,
+        job
+      });
+    } catch (error) {
+      logger.error('[Jobs] Error retrying job', { jobId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to retry job'
+      });
+    }
+  }
+  /**
+   * User whose jobs the request may see: null (any user of the tenant) with the manageLeadBatches
+   * capability, else the requesting user
+   * @private
+   */
+  static _owner(req) {
+    if (req.user?.capabilities?.includes(permissionsConfig.manageLeadBatches)) return null;
+    // Never null, which would match every user's jobs
+    return req.user?.userId ?? '';
+  }
+}
+module.exports = JobsController;
@@ -0,0 +1,214 @@
+/**
+ * Lead Batches Controller
+ *
+ * Stored uploads (LeadBatchService): list, reopen, export, assign to a campaign and delete.
+ * Batches are created by /leads/upload and /leads/mapping; their id is the uploadId. Users see
+ * their own batches, and every batch of the tenant with the manageLeadBatches capability.
+ */
+const LeadBatchService = require('../services/LeadBatchService');
+const LeadsExporter = require('../services/LeadsExporter');
+const LeadTemplateSchemaService = require('../services/LeadTemplateSchemaService');
+const { LeadBatchRepository } = require('../repositories');
+const uploadConfig = require('../config/upload.config');
+const permissionsConfig = require('../config/permissions.config');
+const logger = require('../utils/logger');
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+class LeadBatchesController {
+  /**
+   * GET /api/ai-icp-assistant/leads/batches?status=&mine=true&limit=&offset=
+   * Batches of the user (of the tenant with manageLeadBatches, unless mine=true), newest first
+   * (without leads and reports)
+   */
+  static async list(req, res) {
+    try {
+      const { status, mine } = req.query;
+      if (status && !LeadBatchService.STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${LeadBatchService.STATUSES.join(', ')}`
+        });
+      }
+      const manager = Boolean(req.user?.capabilities?.includes(permissionsConfig.manageLeadBatches));
+      const rows = await LeadBatchRepository.findByTenant(req.user?.tenantId, {
+        status,
+        ownerId: manager && mine !== 'true' ? null : req.user?.userId,
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+      });
+      return res.json({
+        success: true,
+        batches: rows.map(({ total, ...batch }) => batch),
+        total: rows.length ? parseInt(rows[0].total, 10) : 0
+      });
+    } catch (error) {
+      logger.error('[Lead Batches] Error listing batches', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to list lead batches'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/leads/batches/:id?limit=&offset=
+   * A batch with its parsing report, analysis and a page of its leads
+   */
+  static async get(req, res) {
+    try {
+      const batch = UUID_PATTERN.test(req.params.id)
+        ? await LeadBatchService.findForUser(req.params.id, req.user)
+        : null;
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead batch not found'
+        });
+      }
+      const { pageSize, maxPageSize } = uploadConfig.batches;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || pageSize, 1), maxPageSize);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const items = await LeadBatchRepository.findItems(batch.id, req.user?.tenantId, { limit, offset });
+      return res.json({
+        success: true,
+        batch,
+        leads: items.map(item => item.lead),
+        pagination: { limit, offset, total: batch.lead_count }
+      });
+    } catch (error) {
+      logger.error('[Lead Batches] Error getting batch', { batchId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get lead batch'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/leads/batches/:id/export?format=csv|xlsx|json&annotations=false
+   * Download the batch's leads; CSV and XLSX add normalisation, email check, duplicate cluster,
+   * ICP score and readiness columns unless annotations=false
+   */
+  static async exportBatch(req, res) {
+    try {
+      const { format = 'csv', annotations = 'true' } = req.query;
+      if (!LeadsExporter.FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${LeadsExporter.FORMATS.join(', ')}`
+        });
+      }
+      if (!['true', 'false'].includes(annotations)) {
+        return res.status(400).json({
+          success: false,
+          error: 'annotations must be true or false'
+        });
+      }
+      const batch = UUID_PATTERN.test(req.params.id)
+        ? await LeadBatchService.findForUser(req.params.id, req.user)
+        : null;
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead batch not found'
+        });
+      }
+      const items = await LeadBatchRepository.findItems(batch.id, req.user?.tenantId);
+      // The template the batch was uploaded with, else the tenant's current one
+      const schema = await LeadTemplateSchemaService.schemaFor(req.user?.tenantId, batch.parse_report?.templateVersion);
+      const file = LeadsExporter.export(items.map(item => item.lead), {
+        format,
+        name: batch.name,
+        columns: schema.columns,
+        annotations: annotations === 'true'
+          ? { validation: batch.analysis?.validation || null, icpScores: batch.analysis?.icp_score || null }
+          : null
+      });
+      res.setHeader('Content-Type', file.mimeType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+      return res.send(file.content);
+    } catch (error) {
+      logger.error('[Lead Batches] Error exporting batch', { batchId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to export lead batch'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/leads/batches/:id/assign
+   * Body: { campaignId } - hand a validated batch to a campaign
+   */
+  static async assign(req, res) {
+    try {
+      const { campaignId } = req.body;
+      if (typeof campaignId !== 'string' || !UUID_PATTERN.test(campaignId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'campaignId must be a campaign UUID'
+        });
+      }
+      const tenantId = req.user?.tenantId;
+      const batch = UUID_PATTERN.test(req.params.id)
+        ? await LeadBatchService.findForUser(req.params.id, req.user)
+        : null;
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead batch not found'
+        });
+      }
+      if (batch.status !== 'validated') {
+        return res.status(409).json({
+          success: false,
+          error: batch.status === 'assigned'
+            ? 'The batch is already assigned to a campaign'
+            : 'Validate the batch (POST /leads/validate with its batchId) before assigning it'
+        });
+      }
+      const assigned = await LeadBatchRepository.assign(batch.id, tenantId, campaignId);
+      if (!assigned) {
+        return res.status(409).json({
+          success: false,
+          error: 'The batch changed while it was being assigned; try again'
+        });
+      }
+      return res.json({
+        success: true,
+        batch: LeadBatchService.summary(assigned),
+        campaign_id: assigned.campaign_id
+      });
+    } catch (error) {
+      logger.error('[Lead Batches] Error assigning batch', { batchId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to assign lead batch'
+      });
+    }
+  }
+  /**
+   * DELETE /api/ai-icp-assistant/leads/batches/:id
+   * Delete a batch and its stored leads (duplicate checks still know the leads were uploaded)
+   */
+  static async remove(req, res) {
+    try {
+      const batch = UUID_PATTERN.test(req.params.id)
+        ? await LeadBatchService.findForUser(req.params.id, req.user)
+        : null;
+      const deleted = batch ? await LeadBatchRepository.softDelete(batch.id, req.user?.tenantId) : false;
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead batch not found'
+        });
+      }
+      return res.json({
+        success: true
+      });
+    } catch (error) {
+      logger.error('[Lead Batches] Error deleting batch', { batchId: req.params.id, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to delete lead batch'
+      });
+    }
+  }
+}
+module.exports = LeadBatchesController;
@@ -0,0 +1,325 @@
+/**
+ * Lead Chat Controller
+ *
+ * Conversational AI for the Advanced Search AI page.
+ * Two modes:
+ * - Stateless (no sessionId): the client sends history, currentTargeting and pendingIntent every request
+ * - Session (sessionId): history and targeting are loaded from and saved to ai_conversations / ai_messages
+ */
+const LeadChatService = require('../services/LeadChatService');
+const LeadChatSessionService = require('../services/LeadChatSessionService');
+const TargetingHistory = require('../services/TargetingHistory');
+const logger = require('../utils/logger');
+const { openEventStream } = require('../utils/sse');
+const FALLBACK_RESPONSE = "I had trouble processing that. Please try again.";
+class LeadChatController {
+  /**
+   * POST /api/ai-icp-assistant/lead-chat
+   * Handles lead refinement (location/title/industry), campaign questions, and general follow-ups.
+   */
+  static async leadChat(req, res) {
+    try {
+      const { message } = req.body;
+      if (!message || !message.trim()) {
+        return res.status(400).json({ success: false, error: 'Message is required' });
+      }
+      const result = await LeadChatController.processLeadChat(req);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Session not found' });
+      }
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('[LeadChatController] Lead chat error', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to process message',
+        response: FALLBACK_RESPONSE
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/lead-chat/stream
+   * Same as /lead-chat, streamed as Server-Sent Events.
+   * `token` events carry answer text as it is generated; the `final` event carries
+   * { response, newSearch, updatedTargeting, pendingIntent, options } like /lead-chat, with
+   * replaceStreamedText when response differs from the streamed text (see utils/sse.js).
+   */
+  static async leadChatStream(req, res) {
+    const { message } = req.body;
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, error: 'Message is required' });
+    }
+    const stream = openEventStream(res);
+    try {
+      const result = await LeadChatController.processLeadChat(req, (text) => stream.token(text));
+      if (!result) {
+        stream.send('error', { success: false, error: 'Session not found' });
+        return stream.end();
+      }
+      stream.final({ success: true, ...result }, result.response);
+    } catch (error) {
+      logger.error('[LeadChatController] Lead chat stream error', { error: error.message });
+      stream.send('error', {
+        success: false,
+        error: 'Failed to process message',
+        response: FALLBACK_RESPONSE
+      });
+    }
+    stream.end();
+  }
+  /**
+   * Run one lead-chat turn in session or stateless mode
+   * @returns {Promise<Object|null>} LeadChatService result (null when sessionId does not resolve)
+   */
+  static async processLeadChat(req, onToken = null) {
+    const {
+      message,
+      sessionId = null,
+      history = [],
+      currentTargeting = null,
+      pendingIntent = null,
+      targetingHistory = null
+    } = req.body;
+    const tenantId = req.user?.tenantId || req.user?.organizationId;
+    if (sessionId) {
+      // Session mode: client-sent history/targeting are ignored
+      return LeadChatSessionService.sendMessage({
+        sessionId,
+        userId: req.user?.userId,
+        tenantId,
+        message: message.trim(),
+        context: req,
+        onToken
+      });
+    }
+    return LeadChatService.processMessage({
+      message: message.trim(),
+      history,
+      currentTargeting,
+      pendingIntent,
+      tenantId,
+      context: req,
+      targetingHistory,
+      onToken
+    });
+  }
+  /**
+   * POST /api/ai-icp-assistant/lead-chat/sessions
+   * Start a server-side lead-chat session
+   */
+  static async createSession(req, res) {
+    try {
+      const { title = null, currentTargeting = null } = req.body;
+      const session = await LeadChatSessionService.createSession({
+        userId: req.user?.userId,
+        tenantId: req.user?.tenantId,
+        title,
+        currentTargeting
+      });
+      res.status(201).json({ success: true, session });
+    } catch (error) {
+      logger.error('[LeadChatController] Create session error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create session'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/lead-chat/sessions
+   * List the user's lead-chat sessions
+   */
+  static async listSessions(req, res) {
+    try {
+      const { limit = 20, status = null } = req.query;
+      const sessions = await LeadChatSessionService.listSessions(req.user?.userId, req.user?.tenantId, {
+        status,
+        limit: parseInt(limit)
+      });
+      res.json({
+        success: true,
+        sessions,
+        count: sessions.length
+      });
+    } catch (error) {
+      logger.error('[LeadChatController] List sessions error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list sessions'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/lead-chat/sessions/:id
+   * Resume a session: current targeting, pending intent and transcript
+   */
+  static async getSession(req, res) {
+    try {
+      const resumed = await LeadChatSessionService.resumeSession(req.params.id, req.user?.userId, req.user?.tenantId);
+      if (!resumed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      res.json({ success: true, ...resumed });
+    } catch (error) {
+      logger.error('[LeadChatController] Get session error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get session'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/lead-chat/sessions/:id/fork
+   * Fork a session (optionally at body.messageId) into a new session
+   */
+  static async forkSession(req, res) {
+    try {
+      const { messageId = null, title = null } = req.body;
+      const session = await LeadChatSessionService.forkSession(req.params.id, req.user?.userId, req.user?.tenantId, {
+        messageId,
+        title
+      });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session or message not found'
+        });
+      }
+      res.status(201).json({ success: true, session });
+    } catch (error) {
+      logger.error('[LeadChatController] Fork session error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fork session'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/lead-chat/sessions/:id/targeting
+   * Targeting version history of a session
+   */
+  static async getTargetingHistory(req, res) {
+    try {
+      const result = await LeadChatSessionService.getTargetingHistory(req.params.id, req.user?.userId, req.user?.tenantId);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('[LeadChatController] Get targeting history error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get targeting history'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/lead-chat/sessions/:id/targeting/:action
+   * action: undo | redo (body.steps) or restore (body.version)
+   */
+  static async moveTargeting(req, res) {
+    try {
+      const { action } = req.params;
+      if (!['undo', 'redo', 'restore'].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Action must be one of: undo, redo, restore'
+        });
+      }
+      const { steps = 1, version = null } = req.body;
+      if (action === 'restore' && !version) {
+        return res.status(400).json({
+          success: false,
+          error: 'version is required to restore'
+        });
+      }
+      const result = await LeadChatSessionService.moveTargeting(req.params.id, req.user?.userId, req.user?.tenantId, {
+        action,
+        steps: parseInt(steps) || 1,
+        version
+      });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      if (result.error) {
+        return res.status(409).json({ success: false, error: result.error });
+      }
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('[LeadChatController] Move targeting error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update targeting'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/lead-chat/sessions/:id/targeting/diff?from=&to=
+   * Diff two targeting versions (defaults: previous → active)
+   */
+  static async diffSessionTargeting(req, res) {
+    try {
+      const { from = null, to = null } = req.query;
+      const result = await LeadChatSessionService.diffTargeting(req.params.id, req.user?.userId, req.user?.tenantId, {
+        from: from ? parseInt(from) : null,
+        to: to ? parseInt(to) : null
+      });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+      if (result.error) {
+        return res.status(400).json({ success: false, error: result.error });
+      }
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('[LeadChatController] Diff targeting error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to diff targeting'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/lead-chat/targeting/diff
+   * Stateless diff: { targetingHistory, from, to } (version numbers) or { fromTargeting, toTargeting }
+   */
+  static async diffTargeting(req, res) {
+    try {
+      const { targetingHistory = null, from = null, to = null, fromTargeting = null, toTargeting = null } = req.body;
+      if (fromTargeting || toTargeting) {
+        const diff = TargetingHistory.diff(fromTargeting, toTargeting);
+        return res.json({ success: true, diff, summary: TargetingHistory.describeDiff(diff) });
+      }
+      const history = TargetingHistory.normalize(targetingHistory);
+      const toVersion = to || TargetingHistory.current(history)?.version;
+      const fromVersion = from || history.versions[history.cursor - 1]?.version;
+      const compared = TargetingHistory.diffVersions(history, fromVersion, toVersion);
+      if (!compared) {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide fromTargeting/toTargeting, or a targetingHistory containing both versions'
+        });
+      }
+      res.json({ success: true, ...compared, summary: TargetingHistory.describeDiff(compared.diff) });
+    } catch (error) {
+      logger.error('[LeadChatController] Diff targeting error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to diff targeting'
+      });
+    }
+  }
+}
+module.exports = LeadChatController;
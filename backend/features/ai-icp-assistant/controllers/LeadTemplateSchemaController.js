@@ -0,0 +1,123 @@
+/**
+ * Lead Template Schema Controller
+ *
+ * Tenant templates for lead uploads (LeadTemplateSchemaService): built-in and custom columns,
+ * saved as versions. The template download, /leads/template/columns, column mapping and
+ * validation follow the tenant's current version.
+ */
+const LeadTemplateSchemaService = require('../services/LeadTemplateSchemaService');
+const { LeadTemplateSchemaRepository } = require('../repositories');
+const logger = require('../utils/logger');
+class LeadTemplateSchemaController {
+  /**
+   * GET /api/ai-icp-assistant/leads/template/schema
+   * Current template of the tenant (is_default: the default template)
+   */
+  static async get(req, res) {
+    try {
+      const row = await LeadTemplateSchemaRepository.findCurrent(req.user?.tenantId);
+      return res.json({
+        success: true,
+        schema: LeadTemplateSchemaService.fromRow(row)
+      });
+    } catch (error) {
+      logger.error('[Lead Template Schema] Error getting template', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get lead template'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/leads/template/schema/versions
+   * Saved versions of the tenant's template, newest first
+   */
+  static async listVersions(req, res) {
+    try {
+      const versions = await LeadTemplateSchemaRepository.findVersions(req.user?.tenantId);
+      return res.json({
+        success: true,
+        versions
+      });
+    } catch (error) {
+      logger.error('[Lead Template Schema] Error listing versions', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to list lead template versions'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/leads/template/schema/versions/:version
+   * One saved version of the tenant's template
+   */
+  static async getVersion(req, res) {
+    try {
+      const schema = await LeadTemplateSchemaService.versionOf(req.user?.tenantId, req.params.version);
+      if (!schema) {
+        return res.status(404).json({
+          success: false,
+          error: 'Template version not found'
+        });
+      }
+      return res.json({
+        success: true,
+        schema
+      });
+    } catch (error) {
+      logger.error('[Lead Template Schema] Error getting version', { version: req.params.version, error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get lead template version'
+      });
+    }
+  }
+  /**
+   * PUT /api/ai-icp-assistant/leads/template/schema
+   * Body: { columns: [{ key, label?, required?, example?, type?, options?, aliases? }] } - saved
+   * as the tenant's next version
+   */
+  static async update(req, res) {
+    try {
+      const { error, columns } = LeadTemplateSchemaService.prepareColumns(req.body.columns);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      const row = await LeadTemplateSchemaRepository.create(req.user?.tenantId, columns, req.user?.userId);
+      return res.json({
+        success: true,
+        schema: LeadTemplateSchemaService.fromRow(row)
+      });
+    } catch (error) {
+      logger.error('[Lead Template Schema] Error saving template', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to save lead template'
+      });
+    }
+  }
+  /**
+   * DELETE /api/ai-icp-assistant/leads/template/schema
+   * Back to the default template, saved as the tenant's next version (earlier versions are kept
+   * for the batches uploaded with them)
+   */
+  static async reset(req, res) {
+    try {
+      const row = await LeadTemplateSchemaRepository.create(req.user?.tenantId, null, req.user?.userId);
+      return res.json({
+        success: true,
+        schema: LeadTemplateSchemaService.fromRow(row)
+      });
+    } catch (error) {
+      logger.error('[Lead Template Schema] Error resetting template', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset lead template'
+      });
+    }
+  }
+}
+module.exports = LeadTemplateSchemaController;
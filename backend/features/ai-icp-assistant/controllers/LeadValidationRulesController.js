@@ -0,0 +1,81 @@
+/**
+ * Lead Validation Rules Controller
+ *
+ * Tenant settings for the rules LeadsValidator checks before campaign execution: severities
+ * ('error' | 'warning' | 'off') and rule settings, merged over config/validation.config.js.
+ */
+const LeadsValidator = require('../services/LeadsValidator');
+const { LeadValidationRuleRepository } = require('../repositories');
+const logger = require('../utils/logger');
+class LeadValidationRulesController {
+  /**
+   * GET /api/ai-icp-assistant/leads/validation-rules
+   * Effective rules of the tenant, and its own settings
+   */
+  static async get(req, res) {
+    try {
+      const row = await LeadValidationRuleRepository.findByTenant(req.user?.tenantId);
+      return res.json({
+        success: true,
+        rules: LeadsValidator.effectiveRules(row?.rules || {}),
+        settings: row?.rules || {},
+        updated_at: row?.updated_at || null
+      });
+    } catch (error) {
+      logger.error('[Lead Validation Rules] Error getting rules', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to get lead validation rules'
+      });
+    }
+  }
+  /**
+   * PUT /api/ai-icp-assistant/leads/validation-rules
+   * Body: { rules: { ruleId: { severity?, ...settings } } } (replaces the tenant's settings)
+   */
+  static async update(req, res) {
+    try {
+      const { error, rules } = LeadsValidator.prepareRules(req.body.rules);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      const row = await LeadValidationRuleRepository.upsert(req.user?.tenantId, rules, req.user?.userId);
+      return res.json({
+        success: true,
+        rules: LeadsValidator.effectiveRules(row.rules),
+        settings: row.rules,
+        updated_at: row.updated_at
+      });
+    } catch (error) {
+      logger.error('[Lead Validation Rules] Error updating rules', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update lead validation rules'
+      });
+    }
+  }
+  /**
+   * DELETE /api/ai-icp-assistant/leads/validation-rules
+   * Back to the default rules
+   */
+  static async reset(req, res) {
+    try {
+      const deleted = await LeadValidationRuleRepository.delete(req.user?.tenantId);
+      return res.json({
+        success: true,
+        deleted,
+        rules: LeadsValidator.effectiveRules()
+      });
+    } catch (error) {
+      logger.error('[Lead Validation Rules] Error resetting rules', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset lead validation rules'
+      });
+    }
+  }
+}
+module.exports = LeadValidationRulesController;
@@ -1,18 +1,38 @@
 /**
  * Leads Upload Controller
- * Handles CSV template download and leads file upload
+ * Handles CSV template download and leads file upload (CSV, TSV, Excel, JSON)
  */
+const fs = require('fs');
+const crypto = require('crypto');
 const LeadsTemplateService = require('../services/LeadsTemplateService');
 const LeadsAnalyzerService = require('../services/LeadsAnalyzerService');
+const LeadsColumnMapper = require('../services/LeadsColumnMapper');
+const LeadsNormalizer = require('../services/LeadsNormalizer');
+const LeadsDeduplicator = require('../services/LeadsDeduplicator');
+const LeadsValidator = require('../services/LeadsValidator');
+const EmailDomainChecker = require('../services/EmailDomainChecker');
+const LeadsIcpScorer = require('../services/LeadsIcpScorer');
+const LeadsIcpDrafter = require('../services/LeadsIcpDrafter');
+const JobQueue = require('../services/JobQueue');
+const LeadBatchService = require('../services/LeadBatchService');
+const LeadTemplateSchemaService = require('../services/LeadTemplateSchemaService');
+const { LeadColumnMappingRepository, ICPProfileRepository, LeadBatchRepository } = require('../repositories');
+const uploadConfig = require('../config/upload.config');
+const scoringConfig = require('../config/scoring.config');
 const logger = require('../utils/logger');
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 class LeadsUploadController {
   /**
-   * GET /api/ai-icp-assistant/leads/template
-   * Download CSV template for leads upload
+   * GET /api/ai-icp-assistant/leads/template?version=
+   * Download CSV template for leads upload (the tenant's template, or one of its versions)
    */
   static async downloadTemplate(req, res) {
     try {
-      const template = LeadsTemplateService.generateTemplate();
+      const schema = await LeadsUploadController._templateSchema(req, res);
+      if (!schema) return;
+      const template = LeadsTemplateService.generateTemplate(schema.columns, {
+        filename: schema.is_default ? 'leads_template.csv' : `leads_template_v${schema.version}.csv`
+      });
       res.setHeader('Content-Type', template.mimeType);
       res.setHeader('Content-Disposition', `attachment; filename="${template.filename}"`);
       res.send(template.content);
@@ -25,15 +45,18 @@ class LeadsUploadController {
     }
   }
   /**
-   * GET /api/ai-icp-assistant/leads/template/columns
-   * Get template column definitions (for UI)
+   * GET /api/ai-icp-assistant/leads/template/columns?version=
+   * Get template column definitions (for UI), with their personalisation tokens
    */
   static async getTemplateColumns(req, res) {
     try {
-      const template = LeadsTemplateService.generateTemplate();
+      const schema = await LeadsUploadController._templateSchema(req, res);
+      if (!schema) return;
       res.json({
         success: true,
-        columns: template.columns,
+        columns: schema.columns,
+        version: schema.version,
+        isDefault: schema.is_default,
         platformFields: LeadsTemplateService.PLATFORM_FIELDS
       });
     } catch (error) {
@@ -46,80 +69,369 @@ class LeadsUploadController {
   }
   /**
    * POST /api/ai-icp-assistant/leads/upload
-   * Upload and parse CSV file
-   * Accepts: multipart/form-data with 'file' field OR JSON with 'csvContent'
+   * Upload and parse a lead file
+   * Accepts: multipart/form-data with 'file' field (CSV / TSV streamed from disk, .xlsx / .xls,
+   * .json), JSON with 'csvContent', OR JSON with 'leads' (array of lead objects)
+   * Optional fields: 'format' (csv | tsv | xlsx | xls | json, else from the file name),
+   * 'sheet' (Excel sheet name or 1-based index), 'delimiter' / 'encoding' (skip CSV detection),
+   * 'mappingId' (saved column mapping to apply), 'aiMapping' (ask the LLM about unsure columns),
+   * 'normalize' (false to skip), 'normalizeSteps' (list or comma-separated), 'countryCode' (for local phone numbers),
+   * 'dedupe' (false to skip), 'dedupeKeys' (list or comma-separated), 'checkHistory' (false: this upload only),
+   * 'checkMx' (DNS MX lookup of email domains; default LEADS_EMAIL_MX_CHECK),
+   * 'async' (true: answer 202 with a 'leads.upload' job at once; GET /jobs/:id has the data when done),
+   * 'batchName' (name of the stored batch; default the file name)
+   * Leads are built with the proposed column mapping, then normalised, checked for duplicates and
+   * their emails checked, and stored as a lead batch (id = uploadId, see /leads/batches) with the
+   * parsed rows; 'mapping' and 'uploadId' let the user confirm or fix the mapping through POST
+   * /leads/mapping. 'rows' (the parsed rows) is only returned when the batch could not be stored.
    */
   static async uploadLeads(req, res) {
+    let queued = false;
     try {
-      let csvContent;
-      // Handle multipart file upload
-      if (req.file) {
-        csvContent = req.file.buffer.toString('utf-8');
-      } else if (req.body.csvContent) {
-        // Handle JSON with CSV content
-        csvContent = req.body.csvContent;
-      } else {
+      const { delimiter } = req.body;
+      if (delimiter && delimiter.length !== 1) {
         return res.status(400).json({
           success: false,
-          error: 'No file or CSV content provided'
+          error: 'delimiter must be a single character'
         });
       }
-      // Parse CSV
-      const parseResult = LeadsTemplateService.parseCSV(csvContent);
-      if (!parseResult.success) {
+      const optionsError = LeadsUploadController._normalizeOptions(req.body).error ||
+        LeadsUploadController._dedupeOptions(req.body).error ||
+        LeadsUploadController._batchNameError(req.body.batchName);
+      if (optionsError) {
         return res.status(400).json({
           success: false,
-          error: parseResult.error
+          error: optionsError
         });
       }
-      if (parseResult.validLeads === 0) {
+      if (!req.file && !req.body.csvContent && !Array.isArray(req.body.leads)) {
         return res.status(400).json({
           success: false,
-          error: 'No valid leads found in the uploaded file',
-          details: parseResult.errors
+          error: 'No file, CSV content or leads provided'
+        });
+      }
+      const input = {
+        file: req.file
+          ? { path: req.file.path, originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size }
+          : null,
+        body: req.body,
+        tenantId: req.user?.tenantId,
+        userId: req.user?.userId,
+        capabilities: req.user?.capabilities
+      };
+      if (LeadsUploadController._isAsync(req)) {
+        // The job deletes the temp file once it is done with it
+        const job = JobQueue.enqueue('leads.upload', input, { tenantId: input.tenantId, userId: input.userId });
+        queued = true;
+        return res.status(202).json({
+          success: true,
+          message: 'Upload queued',
+          job
+        });
+      }
+      const outcome = await LeadsUploadController._processUpload(input);
+      if (outcome.failure) {
+        return res.status(400).json({
+          success: false,
+          ...outcome.failure
+        });
+      }
+      res.json({
+        success: true,
+        message: outcome.message,
+        data: outcome.data
+      });
+    } catch (error) {
+      logger.error('[LeadsUploadController] Upload error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to process uploaded file'
+      });
+    } finally {
+      if (req.file && !queued) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/leads/mapping
+   * Build leads from uploaded rows with a confirmed column mapping, optionally saving it
+   * Body: { uploadId, columns: [{ header, key }], rows?: string[][], save?: { name, format? } }
+   * (columns as returned by /leads/upload; key null keeps the column in custom_fields; rows default
+   * to the rows stored with the upload's batch), plus the normalisation, duplicate, email check and
+   * 'batchName' fields of /leads/upload. The upload's lead batch gets the new leads and becomes 'mapped'.
+   */
+  static async confirmMapping(req, res) {
+    try {
+      const { columns, save } = req.body;
+      const normalizeOptions = LeadsUploadController._normalizeOptions(req.body);
+      const dedupeOptions = LeadsUploadController._dedupeOptions(req.body);
+      const optionsError = normalizeOptions.error || dedupeOptions.error ||
+        LeadsUploadController._batchNameError(req.body.batchName);
+      if (optionsError) {
+        return res.status(400).json({
+          success: false,
+          error: optionsError
+        });
+      }
+      if (req.body.uploadId !== undefined && !UUID_PATTERN.test(String(req.body.uploadId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'uploadId must be the uploadId returned by /leads/upload'
+        });
+      }
+      // A new uploadId starts a batch; an existing one must be the user's
+      const uploaded = req.body.uploadId
+        ? await LeadBatchRepository.findById(req.body.uploadId, req.user?.tenantId)
+        : null;
+      if (uploaded && !LeadBatchService.canAccess(uploaded, req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'uploadId belongs to another user\'s lead batch'
+        });
+      }
+      // Rows sent by the client are kept with the batch; otherwise the upload's stored rows are used
+      const rows = req.body.rows !== undefined || !uploaded
+        ? req.body.rows
+        : await LeadBatchService.rowsOf(uploaded.id, req.user?.tenantId);
+      if (!Array.isArray(rows) || rows.length === 0 || !rows.every(Array.isArray)) {
+        return res.status(400).json({
+          success: false,
+          error: 'rows must be a non-empty array of value arrays, or uploadId an upload stored with its rows'
+        });
+      }
+      const schema = await LeadTemplateSchemaService.schemaFor(req.user?.tenantId);
+      const mappingError = LeadsColumnMapper.validate(columns, schema.is_default ? null : schema.columns);
+      if (mappingError) {
+        return res.status(400).json({
+          success: false,
+          error: mappingError
+        });
+      }
+      if (save && (typeof save.name !== 'string' || !save.name.trim() || save.name.length > 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'save.name is required and may be at most 100 characters'
+        });
+      }
+      const result = LeadsColumnMapper.apply(rows, columns);
+      if (result.validLeads === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No valid leads with this column mapping',
+          details: result.errors,
+          rowErrors: result.rowErrors
+        });
+      }
+      let savedMapping = null;
+      if (save) {
+        try {
+          const saved = await LeadsColumnMapper.save(req.user?.tenantId, {
+            name: save.name.trim(),
+            format: save.format || null,
+            columns,
+            userId: req.user?.userId
+          });
+          savedMapping = { id: saved.id, name: saved.name, source_format: saved.source_format };
+        } catch (error) {
+          logger.error('[LeadsUploadController] Save mapping error:', error);
+          return res.status(500).json({
+            success: false,
+            error: 'Failed to save column mapping'
+          });
+        }
+      }
+      // The upload's leads are replaced, so they are not reported as duplicates of themselves
+      const uploadId = req.body.uploadId || crypto.randomUUID();
+      const data = await LeadsUploadController._leadsData(result, normalizeOptions, {
+        ...dedupeOptions,
+        checkMx: req.body.checkMx === undefined ? undefined : String(req.body.checkMx) === 'true',
+        tenantId: req.user?.tenantId,
+        userId: req.user?.userId,
+        capabilities: req.user?.capabilities,
+        uploadId
+      });
+      const mapping = {
+        columns: columns.map((column, index) => ({ index, header: column.header, key: column.key || null })),
+        savedMapping
+      };
+      const stored = await LeadBatchService.store({
+        id: uploadId,
+        tenantId: req.user?.tenantId,
+        ownerId: req.user?.userId,
+        name: req.body.batchName || null,
+        status: 'mapped'
+      }, { ...data, mapping, templateVersion: schema.version }, req.body.rows === undefined ? null : rows);
+      // The mapped leads are only kept in the batch
+      if (stored.error) {
+        return res.status(stored.status).json({
+          success: false,
+          error: stored.error
+        });
+      }
+      const { batch } = stored;
+      await LeadsUploadController._recordIdentities(batch, data.leads, req.user || {});
+      res.json({
+        success: true,
+        message: `Successfully mapped ${result.validLeads} leads`,
+        data: {
+          ...data,
+          uploadId,
+          batch,
+          templateVersion: schema.version,
+          mapping
+        }
+      });
+    } catch (error) {
+      logger.error('[LeadsUploadController] Mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to apply column mapping'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/leads/duplicates/merge
+   * Merge duplicate leads
+   * Body: { leads, clusters: [{ leads: number[], keep?: number, fields?: { field: value } }], batchId? }
+   * (leads and cluster indexes as returned by /leads/upload; keep defaults to the suggested lead,
+   * fields picks values for conflicting fields; batchId stores the merged leads in that batch)
+   */
+  static async mergeDuplicates(req, res) {
+    try {
+      const { leads, clusters, batchId } = req.body;
+      if (batchId !== undefined && !UUID_PATTERN.test(String(batchId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'batchId must be the id of a stored lead batch'
+        });
+      }
+      if (!Array.isArray(leads) || leads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No leads provided'
+        });
+      }
+      const mergeError = LeadsDeduplicator.validateMerge(leads, clusters);
+      if (mergeError) {
+        return res.status(400).json({
+          success: false,
+          error: mergeError
         });
       }
-      // Detect platforms
-      const platforms = LeadsTemplateService.detectPlatforms(parseResult.leads);
-      // Basic analysis
-      const analysis = LeadsTemplateService.analyzeLeadsData(parseResult.leads);
-      // Generate summary
+      if (batchId && !await LeadBatchService.findForUser(batchId, req.user)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead batch not found'
+        });
+      }
+      const result = LeadsDeduplicator.merge(leads, clusters);
+      const platforms = LeadsTemplateService.detectPlatforms(result.leads);
+      const analysis = LeadsTemplateService.analyzeLeadsData(result.leads);
       const summary = LeadsTemplateService.generateLeadsSummary(analysis, platforms);
+      let batch;
+      if (batchId) {
+        const stored = await LeadBatchService.replaceLeads(batchId, req.user?.tenantId, result.leads, { platforms, analysis, summary });
+        if (stored.error) {
+          return res.status(stored.status).json({
+            success: false,
+            error: stored.error
+          });
+        }
+        ({ batch } = stored);
+      }
       res.json({
         success: true,
-        message: `Successfully parsed ${parseResult.validLeads} leads`,
+        message: `Merged ${result.merged} duplicate clusters, removing ${result.removed} leads`,
         data: {
-          leads: parseResult.leads,
-          totalRows: parseResult.totalRows,
-          validLeads: parseResult.validLeads,
-          errors: parseResult.errors,
-          headers: parseResult.headers,
+          leads: result.leads,
+          totalLeads: result.leads.length,
+          merged: result.merged,
+          removed: result.removed,
           platforms,
           analysis,
-          summary
+          summary,
+          batch
         }
       });
     } catch (error) {
-      logger.error('[LeadsUploadController] Upload error:', error);
+      logger.error('[LeadsUploadController] Merge duplicates error:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to process uploaded file'
+        error: 'Failed to merge duplicate leads'
+      });
+    }
+  }
+  /**
+   * GET /api/ai-icp-assistant/leads/mappings
+   * Saved column mappings of the tenant
+   */
+  static async listColumnMappings(req, res) {
+    try {
+      const mappings = await LeadColumnMappingRepository.findByTenant(req.user?.tenantId, {
+        limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500),
+        offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+      });
+      res.json({
+        success: true,
+        mappings
+      });
+    } catch (error) {
+      logger.error('[LeadsUploadController] List mappings error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list column mappings'
+      });
+    }
+  }
+  /**
+   * DELETE /api/ai-icp-assistant/leads/mappings/:id
+   */
+  static async deleteColumnMapping(req, res) {
+    try {
+      const deleted = await LeadColumnMappingRepository.softDelete(req.params.id, req.user?.tenantId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Column mapping not found'
+        });
+      }
+      res.json({
+        success: true
+      });
+    } catch (error) {
+      logger.error('[LeadsUploadController] Delete mapping error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete column mapping'
       });
     }
   }
   /**
    * POST /api/ai-icp-assistant/leads/analyze
    * Deep AI analysis of uploaded leads
+   * Body: { leads, batchId? (analyse the stored batch's leads instead, and keep the analysis with
+   * it), async? (true: answer 202 with a 'leads.analyze' job) }
    */
   static async analyzeLeads(req, res) {
     try {
-      const { leads } = req.body;
-      if (!leads || !Array.isArray(leads) || leads.length === 0) {
+      const { batchId } = req.body;
+      const leads = await LeadsUploadController._requestLeads(req, res, 'No leads provided for analysis');
+      if (!leads) return;
+      if (leads.length === 0) {
         return res.status(400).json({
           success: false,
           error: 'No leads provided for analysis'
         });
       }
+      if (LeadsUploadController._isAsync(req)) {
+        const job = JobQueue.enqueue('leads.analyze', { leads, batchId }, { tenantId: req.user?.tenantId, userId: req.user?.userId });
+        return res.status(202).json({
+          success: true,
+          message: 'Analysis queued',
+          job
+        });
+      }
       const analysis = await LeadsAnalyzerService.analyzeWithAI(leads);
       if (!analysis.success) {
         return res.status(400).json({
@@ -127,9 +439,11 @@ class LeadsUploadController {
           error: analysis.error
         });
       }
+      const batch = batchId ? await LeadBatchService.recordAnalysis(batchId, req.user?.tenantId, analysis) : undefined;
       res.json({
         success: true,
-        data: analysis
+        data: analysis,
+        batch
       });
     } catch (error) {
       logger.error('[LeadsUploadController] Analysis error:', error);
@@ -177,27 +491,51 @@ class LeadsUploadController {
   }
   /**
    * POST /api/ai-icp-assistant/leads/validate
-   * Validate leads for campaign execution
+   * Validate leads for campaign execution with the tenant's validation rules
+   * Body: { leads, selectedPlatforms, actions?: { platform: action } (from the platform questions) },
+   * 'normalizeSteps' / 'countryCode' as for upload (leads are normalised first);
+   * 'batchId' validates the stored batch's leads instead, keeps the report with it and marks it
+   * validated
    */
   static async validateLeads(req, res) {
     try {
-      const { leads, selectedPlatforms } = req.body;
-      if (!leads || !Array.isArray(leads)) {
+      const { selectedPlatforms, actions, batchId } = req.body;
+      const normalizeOptions = LeadsUploadController._normalizeOptions(req.body);
+      if (normalizeOptions.error) {
         return res.status(400).json({
           success: false,
-          error: 'No leads provided'
+          error: normalizeOptions.error
         });
       }
+      const leads = await LeadsUploadController._requestLeads(req, res);
+      if (!leads) return;
       if (!selectedPlatforms || !Array.isArray(selectedPlatforms)) {
         return res.status(400).json({
           success: false,
           error: 'No platforms selected'
         });
       }
-      const validation = LeadsAnalyzerService.validateForExecution(leads, selectedPlatforms);
+      if (actions !== undefined && (!actions || typeof actions !== 'object' || Array.isArray(actions) ||
+        Object.values(actions).some(action => typeof action !== 'string'))) {
+        return res.status(400).json({
+          success: false,
+          error: 'actions must be an object of platform → action'
+        });
+      }
+      const { rules } = await LeadsValidator.rulesFor(req.user?.tenantId);
+      const schema = await LeadTemplateSchemaService.schemaFor(req.user?.tenantId);
+      const validation = LeadsAnalyzerService.validateForExecution(leads, selectedPlatforms, {
+        rules,
+        template: schema.is_default ? null : schema.columns,
+        actions,
+        steps: normalizeOptions.steps,
+        defaultCountryCode: normalizeOptions.defaultCountryCode
+      });
+      const batch = batchId ? await LeadBatchService.recordValidation(batchId, req.user?.tenantId, validation) : undefined;
       res.json({
         success: true,
-        data: validation
+        data: validation,
+        batch
       });
     } catch (error) {
       logger.error('[LeadsUploadController] Validation error:', error);
@@ -207,5 +545,469 @@ class LeadsUploadController {
       });
     }
   }
+  /**
+   * POST /api/ai-icp-assistant/leads/score
+   * Score leads 0-100 against a saved ICP profile (title seniority, industry, location, company size)
+   * Body: { leads, profileId, minScore? (drop leads below it), sort? (best first unless false),
+   * batchId? (stored batch: its leads are scored instead, and the scores kept with it),
+   * async? (true: answer 202 with a 'leads.score' job) }
+   */
+  static async scoreLeads(req, res) {
+    try {
+      const { profileId, minScore, sort, batchId } = req.body;
+      const leads = await LeadsUploadController._requestLeads(req, res);
+      if (!leads) return;
+      if (leads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No leads provided'
+        });
+      }
+      if (leads.length > scoringConfig.maxLeads) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${scoringConfig.maxLeads} leads can be scored at once`
+        });
+      }
+      if (typeof profileId !== 'string' || !UUID_PATTERN.test(profileId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'profileId must be the id of an ICP profile'
+        });
+      }
+      if (minScore !== undefined && minScore !== null &&
+        (typeof minScore !== 'number' || !Number.isFinite(minScore) || minScore < 0 || minScore > 100)) {
+        return res.status(400).json({
+          success: false,
+          error: 'minScore must be a number from 0 to 100'
+        });
+      }
+      if (sort !== undefined && typeof sort !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'sort must be true or false'
+        });
+      }
+      const profile = await ICPProfileRepository.findById(profileId, req.user?.tenantId);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'ICP profile not found'
+        });
+      }
+      if (LeadsIcpScorer.criteriaFor(LeadsIcpScorer.profileTargeting(profile), LeadsIcpScorer.weightsFor(profile)).length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'The ICP profile has no titles, seniorities, industries, locations or company sizes to score against'
+        });
+      }
+      if (LeadsUploadController._isAsync(req)) {
+        const job = JobQueue.enqueue('leads.score', { leads, profile, minScore, sort, batchId }, {
+          tenantId: req.user?.tenantId,
+          userId: req.user?.userId
+        });
+        return res.status(202).json({
+          success: true,
+          message: 'Scoring queued',
+          job
+        });
+      }
+      const data = LeadsUploadController._scoreData(leads, profile, { minScore, sort });
+      const batch = batchId
+        ? await LeadBatchService.recordScores(batchId, req.user?.tenantId, profile,
+          LeadsIcpScorer.scoreLeads(leads, profile, { sort: false }).leads)
+        : undefined;
+      res.json({
+        success: true,
+        data,
+        batch
+      });
+    } catch (error) {
+      logger.error('[LeadsUploadController] Score leads error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to score leads'
+      });
+    }
+  }
+  /**
+   * POST /api/ai-icp-assistant/leads/icp-draft
+   * Draft an ICP profile from a list of won customers (industries, titles, seniorities, locations
+   * and company sizes most of them share, with criterion weights and representative customers)
+   * Body: { leads, name?, description?, save? (create the profile instead of only returning the draft) }
+   */
+  static async draftIcpProfile(req, res) {
+    try {
+      const { leads, name, description, save } = req.body;
+      if (!Array.isArray(leads) || leads.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No leads provided'
+        });
+      }
+      if (leads.length > scoringConfig.maxLeads) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${scoringConfig.maxLeads} customers can be analysed at once`
+        });
+      }
+      if ((name !== undefined && typeof name !== 'string') || (description !== undefined && typeof description !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          error: 'name and description must be text'
+        });
+      }
+      const draft = LeadsIcpDrafter.draft(leads, { name: name?.trim() || null, description: description?.trim() || null });
+      if (draft.error) {
+        return res.status(400).json({
+          success: false,
+          error: draft.error
+        });
+      }
+      let profile = null;
+      if (save === true) {
+        profile = await ICPProfileRepository.create({
+          userId: req.user?.userId,
+          tenantId: req.user?.tenantId,
+          ...draft.profile
+        });
+      }
+      res.status(profile ? 201 : 200).json({
+        success: true,
+        data: {
+          draft: draft.profile,
+          profile,
+          distributions: draft.distributions,
+          weights: draft.weights,
+          examples: draft.examples,
+          stats: draft.stats
+        }
+      });
+    } catch (error) {
+      logger.error('[LeadsUploadController] ICP draft error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to draft ICP profile'
+      });
+    }
+  }
+  /**
+   * Parse, map and clean an upload (POST /leads/upload, in the request or as a 'leads.upload' job)
+   * @private
+   * @param {Object} input - { file: { path, originalname, mimetype } | null, body, tenantId, userId }
+   * @param {Object} job - JobQueue job context, when run as a job
+   * @returns {Promise<Object>} { message, data } or { failure: { error, details?, rowErrors?, mapping? } }
+   */
+  static async _processUpload(input, job = null) {
+    const { file, body, tenantId, userId } = input;
+    const progress = job ? job.progress : () => {};
+    const { delimiter, encoding, sheet, format, mappingId, aiMapping } = body;
+    const options = { delimiter: delimiter || null, encoding: encoding || null };
+    const normalizeOptions = LeadsUploadController._normalizeOptions(body);
+    const dedupeOptions = LeadsUploadController._dedupeOptions(body);
+    let parseResult;
+    if (file) {
+      // Multipart file upload (multer wrote it to a temp file)
+      const fileFormat = format || LeadsTemplateService.detectFormat(file.originalname, file.mimetype);
+      if (!Object.values(uploadConfig.leads.formats).includes(fileFormat)) {
+        return { failure: { error: 'Unsupported file format' } };
+      }
+      parseResult = await LeadsTemplateService.parseFile(file.path, { ...options, format: fileFormat, sheet });
+    } else if (body.csvContent) {
+      // JSON with CSV content
+      parseResult = LeadsTemplateService.parseCSV(body.csvContent, options);
+    } else {
+      // JSON array of lead objects
+      parseResult = LeadsTemplateService.parseLeadObjects(body.leads);
+    }
+    if (!parseResult.success) {
+      return { failure: { error: parseResult.error } };
+    }
+    progress(40, `Parsed ${parseResult.rows.length} rows`);
+    job?.throwIfCancelled();
+    const schema = await LeadTemplateSchemaService.schemaFor(tenantId);
+    const mapping = await LeadsColumnMapper.propose(parseResult.columns, parseResult.rows, {
+      tenantId,
+      mappingId: mappingId || null,
+      useAI: aiMapping === undefined ? undefined : String(aiMapping) === 'true',
+      template: schema.is_default ? null : schema.columns
+    });
+    const result = LeadsColumnMapper.apply(parseResult.rows, mapping.columns, parseResult);
+    // Without a name column every row fails; the user picks one in the mapping step
+    if (result.validLeads === 0 && !mapping.missingRequired.includes('name')) {
+      return {
+        failure: {
+          error: 'No valid leads found in the uploaded file',
+          details: result.errors,
+          rowErrors: result.rowErrors,
+          mapping
+        }
+      };
+    }
+    progress(60, `Mapped ${result.validLeads} leads`);
+    job?.throwIfCancelled();
+    const uploadId = crypto.randomUUID();
+    const data = await LeadsUploadController._leadsData(result, normalizeOptions, {
+      ...dedupeOptions,
+      checkMx: body.checkMx === undefined ? undefined : String(body.checkMx) === 'true',
+      tenantId,
+      userId,
+      capabilities: input.capabilities,
+      uploadId
+    });
+    const { batch, error: batchError } = await LeadBatchService.store({
+      id: uploadId,
+      tenantId,
+      ownerId: userId,
+      name: body.batchName || file?.originalname || null,
+      status: 'uploaded',
+      source: LeadsUploadController._source(input, parseResult.format)
+    }, { ...data, format: parseResult.format, mapping, templateVersion: schema.version }, parseResult.rows);
+    // Only stored leads are checked against later uploads
+    await LeadsUploadController._recordIdentities(batch, data.leads, { tenantId, userId });
+    return {
+      message: result.validLeads > 0
+        ? `Successfully parsed ${result.validLeads} leads`
+        : `Parsed ${result.totalRows} rows, but no column holds lead names. Confirm the column mapping to continue`,
+      data: {
+        ...data,
+        uploadId,
+        batch,
+        batchError,
+        format: parseResult.format,
+        templateVersion: schema.version,
+        // Without a stored batch the mapping step needs the rows back
+        ...(batch ? {} : { rows: parseResult.rows }),
+        mapping
+      }
+    };
+  }
+  /**
+   * Response data of POST /leads/score
+   * @private
+   */
+  static _scoreData(leads, profile, options) {
+    const result = LeadsIcpScorer.scoreLeads(leads, profile, options);
+    return {
+      leads: result.leads,
+      totalLeads: result.leads.length,
+      profile: { id: profile.id, name: profile.name },
+      criteria: result.criteria,
+      targeting: result.targeting,
+      stats: result.stats
+    };
+  }
+  /**
+   * Template of the request's tenant: query.version, else its current template. Answers 404
+   * itself for an unknown version and returns null then.
+   * @private
+   */
+  static async _templateSchema(req, res) {
+    const tenantId = req.user?.tenantId;
+    if (req.query.version === undefined) {
+      return LeadTemplateSchemaService.schemaFor(tenantId);
+    }
+    const schema = await LeadTemplateSchemaService.versionOf(tenantId, req.query.version);
+    if (!schema) {
+      res.status(404).json({
+        success: false,
+        error: 'Template version not found'
+      });
+    }
+    return schema;
+  }
+  /**
+   * Leads of a request: the leads of the stored batch body.batchId, else body.leads. With a
+   * batchId the results are kept with the batch, so they are always worked out from its own
+   * leads (body.leads is ignored), and it must be a batch the user may use.
+   * Answers 400 / 404 itself and returns null then.
+   * @private
+   */
+  static async _requestLeads(req, res, missingError = 'No leads provided') {
+    const { leads, batchId } = req.body;
+    if (batchId !== undefined && !UUID_PATTERN.test(String(batchId))) {
+      res.status(400).json({
+        success: false,
+        error: 'batchId must be the id of a stored lead batch'
+      });
+      return null;
+    }
+    if (!batchId) {
+      if (Array.isArray(leads)) return leads;
+      res.status(400).json({
+        success: false,
+        error: missingError
+      });
+      return null;
+    }
+    if (!await LeadBatchService.findForUser(batchId, req.user)) {
+      res.status(404).json({
+        success: false,
+        error: 'Lead batch not found'
+      });
+      return null;
+    }
+    return (await LeadBatchService.leadsOf(batchId, req.user?.tenantId)) || [];
+  }
+  /**
+   * Record the leads of a stored batch for later duplicate checks (never throws)
+   * @private
+   */
+  static async _recordIdentities(batch, leads, { tenantId, userId }) {
+    if (batch && leads.length) {
+      await LeadsDeduplicator.record(tenantId, batch.id, leads, userId);
+    }
+  }
+  /**
+   * Source metadata of an upload, kept with its lead batch
+   * @private
+   */
+  static _source({ file, body }, format) {
+    if (file) {
+      return { type: 'file', file_name: file.originalname, mime_type: file.mimetype, size_bytes: file.size ?? null, format };
+    }
+    if (body.csvContent) {
+      return { type: 'csv_content', size_bytes: Buffer.byteLength(String(body.csvContent)), format };
+    }
+    return { type: 'lead_objects', format };
+  }
+  /**
+   * @private
+   */
+  static _batchNameError(batchName) {
+    if (batchName === undefined) return null;
+    return typeof batchName !== 'string' || !batchName.trim() || batchName.length > 255
+      ? 'batchName must be a non-empty string of at most 255 characters'
+      : null;
+  }
+  /**
+   * Whether the request asks to run as a background job (async: true, body or query)
+   * @private
+   */
+  static _isAsync(req) {
+    return String(req.body?.async ?? req.query?.async) === 'true';
+  }
+  /**
+   * Normalisation options from a request body ('normalize', 'normalizeSteps', 'countryCode')
+   * @private
+   * @returns {Object} { enabled, steps, defaultCountryCode } or { error }
+   */
+  static _normalizeOptions(body) {
+    const { normalize, normalizeSteps, countryCode } = body;
+    const options = {
+      enabled: normalize === undefined || String(normalize) !== 'false',
+      steps: undefined,
+      defaultCountryCode: undefined
+    };
+    if (normalizeSteps !== undefined) {
+      options.steps = Array.isArray(normalizeSteps)
+        ? normalizeSteps
+        : String(normalizeSteps).split(',').map(step => step.trim()).filter(Boolean);
+      const error = LeadsNormalizer.validateSteps(options.steps);
+      if (error) return { error: `normalizeSteps: ${error}` };
+    }
+    if (countryCode !== undefined && countryCode !== '') {
+      if (!/^\+?[1-9]\d{0,3}$/.test(String(countryCode))) {
+        return { error: 'countryCode must be a calling code such as 1, 44 or 971' };
+      }
+      options.defaultCountryCode = String(countryCode);
+    }
+    return options;
+  }
+  /**
+   * Duplicate check options from a request body ('dedupe', 'dedupeKeys', 'checkHistory')
+   * @private
+   * @returns {Object} { enabled, keys, history } or { error }
+   */
+  static _dedupeOptions(body) {
+    const { dedupe, dedupeKeys, checkHistory } = body;
+    const options = {
+      enabled: dedupe === undefined || String(dedupe) !== 'false',
+      keys: undefined,
+      history: checkHistory === undefined ? undefined : String(checkHistory) !== 'false'
+    };
+    if (dedupeKeys !== undefined) {
+      options.keys = Array.isArray(dedupeKeys)
+        ? dedupeKeys
+        : String(dedupeKeys).split(',').map(key => key.trim()).filter(Boolean);
+      const error = LeadsDeduplicator.validateKeys(options.keys);
+      if (error) return { error: `dedupeKeys: ${error}` };
+    }
+    return options;
+  }
+  /**
+   * Response data for mapped leads: normalisation, duplicates, email checks, counts, errors,
+   * platforms (email coverage counts deliverable emails), analysis and summary
+   * @private
+   * @param {Object} dedupeOptions - _dedupeOptions() plus { checkMx, tenantId, userId, capabilities, uploadId }
+   */
+  static async _leadsData(result, normalizeOptions = { enabled: true }, dedupeOptions = { enabled: true }) {
+    let { leads } = result;
+    let normalization = null;
+    if (normalizeOptions.enabled) {
+      ({ leads, stats: normalization } = LeadsNormalizer.normalizeAll(leads, normalizeOptions));
+    }
+    let duplicates = null;
+    if (dedupeOptions.enabled && leads.length) {
+      const detected = await LeadsDeduplicator.detect(leads, dedupeOptions);
+      ({ leads } = detected);
+      duplicates = {
+        keys: detected.keys,
+        clusters: detected.clusters,
+        previous: detected.previous,
+        stats: detected.stats
+      };
+    }
+    let emailCheck = null;
+    if (leads.length) {
+      ({ leads, stats: emailCheck } = await EmailDomainChecker.checkLeads(leads, { mx: dedupeOptions.checkMx }));
+    }
+    const platforms = LeadsTemplateService.detectPlatforms(leads);
+    const analysis = leads.length ? LeadsTemplateService.analyzeLeadsData(leads) : null;
+    return {
+      leads,
+      totalRows: result.totalRows,
+      validLeads: result.validLeads,
+      errors: result.errors,
+      rowErrors: result.rowErrors,
+      errorCount: result.errorCount,
+      // Normalisation can add fields (first_name from full_name, company_domain)
+      headers: [...new Set([...result.headers, ...Object.keys(normalization?.changes || {})])],
+      normalization,
+      duplicates,
+      emailCheck,
+      platforms,
+      analysis,
+      summary: analysis ? LeadsTemplateService.generateLeadsSummary(analysis, platforms) : null
+    };
+  }
 }
+JobQueue.registerHandler('leads.upload', async (input, job) => {
+  if (input.file && !fs.existsSync(input.file.path)) {
+    throw JobQueue.permanent('The uploaded file is no longer available; upload it again');
+  }
+  const outcome = await LeadsUploadController._processUpload(input, job);
+  if (outcome.failure) throw JobQueue.permanent(outcome.failure.error);
+  job.progress(99, outcome.message);
+  return outcome.data;
+}, {
+  onSettled: (input) => {
+    if (input.file) fs.promises.unlink(input.file.path).catch(() => {});
+  }
+});
+JobQueue.registerHandler('leads.analyze', async ({ leads, batchId }, job) => {
+  job.progress(10, `Analysing ${leads.length} leads`);
+  const analysis = await LeadsAnalyzerService.analyzeWithAI(leads);
+  if (!analysis.success) throw JobQueue.permanent(analysis.error);
+  if (batchId) await LeadBatchService.recordAnalysis(batchId, job.tenantId, analysis);
+  return analysis;
+});
+JobQueue.registerHandler('leads.score', async ({ leads, profile, minScore, sort, batchId }, job) => {
+  job.progress(10, `Scoring ${leads.length} leads`);
+  const data = LeadsUploadController._scoreData(leads, profile, { minScore, sort });
+  if (batchId) {
+    await LeadBatchService.recordScores(batchId, job.tenantId, profile, LeadsIcpScorer.scoreLeads(leads, profile, { sort: false }).leads);
+  }
+  return data;
+});
 module.exports = LeadsUploadController;
\ No newline at end of file
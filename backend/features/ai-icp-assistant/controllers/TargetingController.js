@@ -0,0 +1,49 @@
+/**
+ * Targeting Controller
+ *
+ * Compiles targeting from any source (lead chat, assistant context, ICP profile,
+ * onboarding answers) into the Apollo search payload, for preview before searching.
+ */
+const ApolloSearchCompiler = require('../services/ApolloSearchCompiler');
+const { ICPProfileRepository } = require('../repositories');
+const logger = require('../utils/logger');
+class TargetingController {
+  /**
+   * POST /api/ai-icp-assistant/targeting/compile
+   * Body: { targeting | profileId, source?, searchType?, page?, perPage? }
+   * Returns the exact Apollo payload with validation errors and warnings; nothing is searched.
+   */
+  static async compile(req, res) {
+    try {
+      const { targeting = null, profileId = null, source = null, searchType = null, page, perPage } = req.body;
+      let input = targeting;
+      if (profileId) {
+        const profile = await ICPProfileRepository.findById(profileId, req.user?.tenantId);
+        if (!profile) {
+          return res.status(404).json({
+            success: false,
+            error: 'Profile not found'
+          });
+        }
+        // Profiles saved without search params fall back to their ICP data
+        const stored = profile.search_params || profile.icp_data;
+        input = typeof stored === 'string' ? JSON.parse(stored) : stored;
+      }
+      if (!input) {
+        return res.status(400).json({
+          success: false,
+          error: 'targeting or profileId is required'
+        });
+      }
+      const compiled = ApolloSearchCompiler.compile(input, { source, searchType, page, perPage });
+      res.json({ success: true, ...compiled });
+    } catch (error) {
+      logger.error('[TargetingController] Compile error', { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to compile targeting'
+      });
+    }
+  }
+}
+module.exports = TargetingController;
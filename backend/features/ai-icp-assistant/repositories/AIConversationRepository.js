@@ -56,6 +56,11 @@ class AIConversationRepository {
       sql += ` AND status = $${params.length + 1}`;
       params.push(options.status);
     }
+    // Conversation type lives in metadata; rows created before types existed are assistant chats
+    if (options.type) {
+      sql += ` AND COALESCE(metadata->>'type', 'assistant') = $${params.length + 1}`;
+      params.push(options.type);
+    }
     if (options.limit) {
       sql += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
       params.push(options.limit);
@@ -251,5 +251,50 @@ class AIMessageRepository {
       throw error;
     }
   }
+  /**
+   * Copy messages from one conversation into another (same tenant), preserving order.
+   * Used to fork a conversation; upToCreatedAt limits the copy to messages at or before that time.
+   */
+  static async copyToConversation(sourceConversationId, targetConversationId, tenantId, options = {}) {
+    const params = [sourceConversationId, targetConversationId, tenantId];
+    let createdAtFilter = '';
+    if (options.upToCreatedAt) {
+      createdAtFilter = ` AND m.created_at <= $${params.length + 1}`;
+      params.push(options.upToCreatedAt);
+    }
+    const sql = `
+      INSERT INTO ai_messages (
+        conversation_id,
+        tenant_id,
+        role,
+        content,
+        message_data,
+        tokens_used,
+        model,
+        created_at
+      )
+      SELECT $2, $3, m.role, m.content, m.message_data, m.tokens_used, m.model, m.created_at
+      FROM ai_messages m
+      JOIN ai_conversations src ON m.conversation_id = src.id
+      JOIN ai_conversations dst ON dst.id = $2
+      WHERE m.conversation_id = $1
+        AND src.tenant_id = $3 AND dst.tenant_id = $3
+        AND m.is_deleted = false AND src.is_deleted = false AND dst.is_deleted = false${createdAtFilter}
+      ORDER BY m.created_at ASC
+      RETURNING id
+    `;
+    try {
+      const result = await query(sql, params);
+      return result.rows.length;
+    } catch (error) {
+      logger.error('Repository error copying messages', {
+        error: error.message,
+        sourceConversationId,
+        targetConversationId,
+        tenantId
+      });
+      throw error;
+    }
+  }
 }
 module.exports = AIMessageRepository;
\ No newline at end of file
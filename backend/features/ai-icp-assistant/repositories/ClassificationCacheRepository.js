@@ -0,0 +1,228 @@
+/**
+ * Classification Cache Repository
+ * LAD Architecture: Data Access Layer for cached industry / location / decision-maker classifications
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+// Matches idx_ai_classification_cache_unique (global rows have NULL tenant_id)
+const CONFLICT_TARGET = `(classification_type, input_key, (COALESCE(tenant_id, '00000000-0000-0000-0000-000000000000'::uuid)))`;
+class ClassificationCacheRepository {
+  /**
+   * Find a live cache entry, tenant entry first, then global
+   * Model results from another taxonomy version are ignored
+   */
+  static async findCached(type, inputKey, tenantId = null, taxonomyVersion = null) {
+    const sql = `
+      SELECT * FROM ai_classification_cache
+      WHERE classification_type = $1
+        AND input_key = $2
+        AND (tenant_id = $3 OR tenant_id IS NULL)
+        AND is_deleted = false
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        AND taxonomy_version = $4
+      ORDER BY tenant_id DESC NULLS LAST
+      LIMIT 1
+    `;
+    try {
+      const result = await query(sql, [type, inputKey, tenantId, taxonomyVersion]);
+      if (result.rows[0]) {
+        await this._incrementUsage([result.rows[0].id]);
+        return result.rows[0];
+      }
+      return null;
+    } catch (error) {
+      logger.error('Repository error finding cached classification', {
+        error: error.message,
+        type,
+        inputKey,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Live cache entries for many inputs at once (batch classification)
+   * @returns {Promise<Map<string, Object>>} input_key → row
+   */
+  static async findManyCached(type, inputKeys, tenantId = null, taxonomyVersion = null) {
+    if (!inputKeys.length) return new Map();
+    const sql = `
+      SELECT DISTINCT ON (input_key) * FROM ai_classification_cache
+      WHERE classification_type = $1
+        AND input_key = ANY($2)
+        AND (tenant_id = $3 OR tenant_id IS NULL)
+        AND is_deleted = false
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+        AND taxonomy_version = $4
+      ORDER BY input_key, tenant_id DESC NULLS LAST
+    `;
+    try {
+      const result = await query(sql, [type, inputKeys, tenantId, taxonomyVersion]);
+      if (result.rows.length) {
+        await this._incrementUsage(result.rows.map(row => row.id));
+      }
+      return new Map(result.rows.map(row => [row.input_key, row]));
+    } catch (error) {
+      logger.error('Repository error finding cached classifications', {
+        error: error.message,
+        type,
+        count: inputKeys.length,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Store a model result
+   */
+  static async upsert({
+    type,
+    inputKey,
+    originalInput,
+    result,
+    model = null,
+    taxonomyVersion = null,
+    ttlDays,
+    tenantId = null
+  }) {
+    const sql = `
+      INSERT INTO ai_classification_cache (
+        tenant_id,
+        classification_type,
+        input_key,
+        original_input,
+        result,
+        model,
+        taxonomy_version,
+        expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + ($8 || ' days')::interval)
+      ON CONFLICT ${CONFLICT_TARGET}
+      WHERE is_deleted = false
+      DO UPDATE SET
+        original_input = EXCLUDED.original_input,
+        result = EXCLUDED.result,
+        model = EXCLUDED.model,
+        taxonomy_version = EXCLUDED.taxonomy_version,
+        expires_at = EXCLUDED.expires_at,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    try {
+      const rows = await query(sql, [
+        tenantId,
+        type,
+        inputKey,
+        originalInput,
+        JSON.stringify(result),
+        model,
+        taxonomyVersion,
+        String(ttlDays)
+      ]);
+      return rows.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error upserting classification', {
+        error: error.message,
+        type,
+        inputKey,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Cache entries for a tenant, most used first
+   */
+  static async findByTenant(tenantId, options = {}) {
+    let sql = `
+      SELECT * FROM ai_classification_cache
+      WHERE tenant_id = $1 AND is_deleted = false
+    `;
+    const params = [tenantId];
+    if (options.type) {
+      sql += ` AND classification_type = $${params.length + 1}`;
+      params.push(options.type);
+    }
+    sql += ` ORDER BY usage_count DESC, last_used_at DESC`;
+    sql += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(options.limit || 100, options.offset || 0);
+    try {
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding classifications by tenant', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Soft delete one of the tenant's entries
+   */
+  static async softDelete(entryId, tenantId) {
+    const sql = `
+      UPDATE ai_classification_cache
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+      RETURNING id
+    `;
+    try {
+      const result = await query(sql, [entryId, tenantId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Repository error soft deleting classification', {
+        error: error.message,
+        entryId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Clear the tenant's cached model results
+   */
+  static async clearTenantCache(tenantId, { type = null } = {}) {
+    let sql = `
+      UPDATE ai_classification_cache
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND is_deleted = false
+    `;
+    const params = [tenantId];
+    if (type) {
+      sql += ` AND classification_type = $${params.length + 1}`;
+      params.push(type);
+    }
+    try {
+      const result = await query(sql, params);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Repository error clearing classification cache', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Private method to increment usage counters
+   */
+  static async _incrementUsage(entryIds) {
+    const sql = `
+      UPDATE ai_classification_cache
+      SET
+        usage_count = usage_count + 1,
+        last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($1)
+    `;
+    try {
+      await query(sql, [entryIds]);
+    } catch (error) {
+      logger.warn('Failed to increment classification usage counter', {
+        error: error.message,
+        count: entryIds.length
+      });
+      // Don't throw - this is non-critical
+    }
+  }
+}
+module.exports = ClassificationCacheRepository;
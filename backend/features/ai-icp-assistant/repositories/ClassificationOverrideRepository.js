@@ -0,0 +1,301 @@
+/**
+ * Classification Override Repository
+ * LAD Architecture: Data Access Layer for tenant classification override rules
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+class ClassificationOverrideRepository {
+  /**
+   * Create an override rule with tenant isolation
+   */
+  static async create({
+    tenantId,
+    type,
+    pattern,
+    matchType = 'exact',
+    value,
+    note = null,
+    priority = 0,
+    userId = null
+  }) {
+    const sql = `
+      INSERT INTO ai_classification_overrides (
+        tenant_id,
+        classification_type,
+        pattern,
+        match_type,
+        value,
+        note,
+        priority,
+        created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    try {
+      const result = await query(sql, [tenantId, type, pattern, matchType, value, note, priority, userId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Repository error creating classification override', {
+        error: error.message,
+        tenantId,
+        type,
+        pattern
+      });
+      throw error;
+    }
+  }
+  /**
+   * Find the rule for a pattern and match type (the unique key of a tenant's rules)
+   */
+  static async findByPattern(tenantId, type, matchType, pattern) {
+    const sql = `
+      SELECT * FROM ai_classification_overrides
+      WHERE tenant_id = $1 AND classification_type = $2 AND match_type = $3 AND pattern = $4
+        AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [tenantId, type, matchType, pattern]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding classification override by pattern', {
+        error: error.message,
+        tenantId,
+        type,
+        pattern
+      });
+      throw error;
+    }
+  }
+  /**
+   * Find rule by ID with tenant validation
+   */
+  static async findById(overrideId, tenantId) {
+    const sql = `
+      SELECT * FROM ai_classification_overrides
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [overrideId, tenantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding classification override', {
+        error: error.message,
+        overrideId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Active rules of one type, in match order (priority, then most specific)
+   */
+  static async findActive(tenantId, type) {
+    const sql = `
+      SELECT * FROM ai_classification_overrides
+      WHERE tenant_id = $1
+        AND classification_type = $2
+        AND is_active = true
+        AND is_deleted = false
+      ORDER BY priority DESC, LENGTH(pattern) DESC, created_at ASC
+    `;
+    try {
+      const result = await query(sql, [tenantId, type]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding active classification overrides', {
+        error: error.message,
+        tenantId,
+        type
+      });
+      throw error;
+    }
+  }
+  /**
+   * Number of active rules of one type
+   */
+  static async countActive(tenantId, type) {
+    const sql = `
+      SELECT COUNT(*)::int AS count FROM ai_classification_overrides
+      WHERE tenant_id = $1
+        AND classification_type = $2
+        AND is_active = true
+        AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [tenantId, type]);
+      return result.rows[0].count;
+    } catch (error) {
+      logger.error('Repository error counting classification overrides', {
+        error: error.message,
+        tenantId,
+        type
+      });
+      throw error;
+    }
+  }
+  /**
+   * Rules for a tenant with optional filtering
+   */
+  static async findByTenant(tenantId, options = {}) {
+    let sql = `
+      SELECT * FROM ai_classification_overrides
+      WHERE tenant_id = $1 AND is_deleted = false
+    `;
+    const params = [tenantId];
+    if (options.type) {
+      sql += ` AND classification_type = $${params.length + 1}`;
+      params.push(options.type);
+    }
+    if (options.isActive !== undefined) {
+      sql += ` AND is_active = $${params.length + 1}`;
+      params.push(options.isActive);
+    }
+    sql += ` ORDER BY classification_type, priority DESC, created_at DESC`;
+    sql += ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+    params.push(options.limit || 100, options.offset || 0);
+    try {
+      const result = await query(sql, params);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding classification overrides by tenant', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Update rule fields with tenant validation
+   */
+  static async update(overrideId, tenantId, updates = {}) {
+    const allowedFields = [
+      'pattern',
+      'match_type',
+      'value',
+      'note',
+      'priority',
+      'is_active'
+    ];
+    const validUpdates = {};
+    // Filter only allowed fields
+    Object.keys(updates).forEach(key => {
+      if (allowedFields.includes(key)) {
+        validUpdates[key] = updates[key];
+      }
+    });
+    if (Object.keys(validUpdates).length === 0) {
+      throw new Error('No valid fields provided for update');
+    }
+    const setClause = Object.keys(validUpdates)
+      .map((key, index) => `${key} = $${index + 3}`)
+      .join(', ');
+    const sql = `
+      UPDATE ai_classification_overrides
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+      RETURNING *
+    `;
+    const params = [overrideId, tenantId, ...Object.values(validUpdates)];
+    try {
+      const result = await query(sql, params);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error updating classification override', {
+        error: error.message,
+        overrideId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Soft delete rule
+   */
+  static async softDelete(overrideId, tenantId) {
+    const sql = `
+      UPDATE ai_classification_overrides
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+      RETURNING id
+    `;
+    try {
+      const result = await query(sql, [overrideId, tenantId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Repository error soft deleting classification override', {
+        error: error.message,
+        overrideId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Rules by hit count, with per-type totals
+   */
+  static async getHitReport(tenantId, options = {}) {
+    const params = [tenantId];
+    let typeFilter = '';
+    if (options.type) {
+      typeFilter = ` AND classification_type = $2`;
+      params.push(options.type);
+    }
+    const topSql = `
+      SELECT id, classification_type, pattern, match_type, value, is_active, hit_count, last_hit_at, created_at
+      FROM ai_classification_overrides
+      WHERE tenant_id = $1 AND is_deleted = false${typeFilter}
+      ORDER BY hit_count DESC, last_hit_at DESC NULLS LAST
+      LIMIT $${params.length + 1}
+    `;
+    const totalsSql = `
+      SELECT
+        classification_type,
+        COUNT(*)::int AS overrides,
+        COUNT(*) FILTER (WHERE is_active = true)::int AS active,
+        COUNT(*) FILTER (WHERE hit_count = 0)::int AS never_hit,
+        COALESCE(SUM(hit_count), 0)::int AS hits
+      FROM ai_classification_overrides
+      WHERE tenant_id = $1 AND is_deleted = false${typeFilter}
+      GROUP BY classification_type
+      ORDER BY classification_type
+    `;
+    try {
+      const [top, totals] = await Promise.all([
+        query(topSql, [...params, options.limit || 20]),
+        query(totalsSql, params)
+      ]);
+      return { top: top.rows, totals: totals.rows };
+    } catch (error) {
+      logger.error('Repository error building classification override report', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Add hits to rules
+   * @param {Map<string, number>} hits - override id → hit count
+   */
+  static async recordHits(hits) {
+    if (!hits.size) return;
+    const sql = `
+      UPDATE ai_classification_overrides AS o
+      SET
+        hit_count = o.hit_count + h.hits,
+        last_hit_at = CURRENT_TIMESTAMP
+      FROM UNNEST($1::uuid[], $2::int[]) AS h(id, hits)
+      WHERE o.id = h.id
+    `;
+    try {
+      await query(sql, [[...hits.keys()], [...hits.values()]]);
+    } catch (error) {
+      logger.warn('Failed to record classification override hits', {
+        error: error.message,
+        count: hits.size
+      });
+      // Don't throw - this is non-critical
+    }
+  }
+}
+module.exports = ClassificationOverrideRepository;
@@ -0,0 +1,98 @@
+/**
+ * Job Repository
+ * LAD Architecture: Data Access Layer for background jobs (JobQueue persistence)
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+class JobRepository {
+  /**
+   * Insert or update a job. Non-fatal: the in-memory queue keeps working when the write fails.
+   * @returns {Promise<boolean>} Whether the job was written
+   */
+  static async save(job) {
+    const sql = `
+      INSERT INTO ai_jobs (
+        id, tenant_id, user_id, type, status, progress, message, attempts, max_attempts,
+        result, error, created_at, started_at, finished_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ON CONFLICT (id)
+      DO UPDATE SET
+        status = EXCLUDED.status,
+        progress = EXCLUDED.progress,
+        message = EXCLUDED.message,
+        attempts = EXCLUDED.attempts,
+        max_attempts = EXCLUDED.max_attempts,
+        result = EXCLUDED.result,
+        error = EXCLUDED.error,
+        started_at = EXCLUDED.started_at,
+        finished_at = EXCLUDED.finished_at,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+    try {
+      await query(sql, [
+        job.id,
+        job.tenantId,
+        job.userId || null,
+        job.type,
+        job.status,
+        job.progress,
+        job.message || null,
+        job.attempts,
+        job.maxAttempts,
+        job.result === undefined || job.result === null ? null : JSON.stringify(job.result),
+        job.error || null,
+        job.createdAt,
+        job.startedAt || null,
+        job.finishedAt || null
+      ]);
+      return true;
+    } catch (error) {
+      logger.warn('Repository error saving job', {
+        error: error.message,
+        jobId: job.id,
+        tenantId: job.tenantId
+      });
+      return false;
+    }
+  }
+  /**
+   * Find a job with tenant scoping
+   */
+  static async findById(jobId, tenantId) {
+    const sql = `
+      SELECT * FROM ai_jobs
+      WHERE id = $1 AND tenant_id = $2
+    `;
+    try {
+      const result = await query(sql, [jobId, tenantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding job', {
+        error: error.message,
+        jobId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Delete jobs finished before a date
+   * @returns {Promise<number>} Jobs deleted
+   */
+  static async deleteFinishedBefore(date) {
+    const sql = `
+      DELETE FROM ai_jobs
+      WHERE finished_at < $1
+    `;
+    try {
+      const result = await query(sql, [date]);
+      return result.rowCount;
+    } catch (error) {
+      logger.warn('Repository error deleting finished jobs', {
+        error: error.message
+      });
+      return 0;
+    }
+  }
+}
+module.exports = JobRepository;
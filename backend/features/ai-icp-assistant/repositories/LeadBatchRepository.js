@@ -0,0 +1,365 @@
+/**
+ * Lead Batch Repository
+ * LAD Architecture: Data Access Layer for stored lead uploads (batches) and their leads
+ */
+const { pool, query } = require('../utils/database');
+const logger = require('../utils/logger');
+// Batch columns without the reports, for lists
+const SUMMARY_COLUMNS = `
+  id, tenant_id, owner_id, name, status, source, lead_count, campaign_id, assigned_at,
+  created_at, updated_at
+`;
+class LeadBatchRepository {
+  /**
+   * Create or update a batch and replace its leads in one transaction, so a batch is never left
+   * with the leads of another upload
+   * @param {Object} options - { chunkSize, rows (parsed file rows to keep; null keeps the stored ones) }
+   * @returns {Promise<Object|null>} The batch, or null when the id belongs to another tenant or a
+   *   deleted batch (nothing is written then)
+   */
+  static async saveWithItems(batch, leads, { chunkSize = 1000, rows = null } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const saved = await this.save(batch, client);
+      if (saved) {
+        await this.replaceItems(batch.tenantId, batch.id, leads, { chunkSize, client });
+        if (rows) {
+          await this.replaceRows(batch.tenantId, batch.id, rows, { chunkSize, client });
+        }
+      }
+      await client.query('COMMIT');
+      return saved;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error('Repository error saving lead batch with items', {
+        error: error.message,
+        tenantId: batch.tenantId,
+        batchId: batch.id
+      });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+  /**
+   * Create a batch, or update the tenant's batch with the same id (name, owner and source are kept
+   * when not given)
+   * @param {Object} client - Connection of a transaction (default: the pool)
+   * @returns {Promise<Object|null>} The batch, or null when the id belongs to another tenant or a
+   *   deleted batch
+   */
+  static async save({
+    id,
+    tenantId,
+    ownerId = null,
+    name = null,
+    status,
+    source = null,
+    parseReport,
+    analysis,
+    leadCount
+  }, client = null) {
+    const sql = `
+      INSERT INTO ai_lead_batches (
+        id, tenant_id, owner_id, name, status, source, parse_report, analysis, lead_count
+      ) VALUES ($1, $2, $3, COALESCE($4, 'Lead upload'), $5, COALESCE($6::jsonb, '{}'::jsonb), $7, $8, $9)
+      ON CONFLICT (id)
+      DO UPDATE SET
+        name = COALESCE($4, ai_lead_batches.name),
+        status = EXCLUDED.status,
+        source = COALESCE($6::jsonb, ai_lead_batches.source),
+        parse_report = EXCLUDED.parse_report,
+        analysis = EXCLUDED.analysis,
+        lead_count = EXCLUDED.lead_count,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE ai_lead_batches.tenant_id = EXCLUDED.tenant_id AND ai_lead_batches.is_deleted = false
+      RETURNING *
+    `;
+    try {
+      const result = await (client || pool).query(sql, [
+        id,
+        tenantId,
+        ownerId,
+        name,
+        status,
+        source ? JSON.stringify(source) : null,
+        JSON.stringify(parseReport || {}),
+        JSON.stringify(analysis || {}),
+        leadCount
+      ]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error saving lead batch', {
+        error: error.message,
+        tenantId,
+        batchId: id
+      });
+      throw error;
+    }
+  }
+  /**
+   * Replace the leads of a batch (row_index = position in leads)
+   * @param {Object} options - { chunkSize, client (connection of a transaction, default: the pool) }
+   */
+  static async replaceItems(tenantId, batchId, leads, { chunkSize = 1000, client = null } = {}) {
+    const db = client || pool;
+    try {
+      await db.query(
+        'DELETE FROM ai_lead_batch_items WHERE batch_id = $1 AND tenant_id = $2',
+        [batchId, tenantId]
+      );
+      for (let start = 0; start < leads.length; start += chunkSize) {
+        const chunk = leads.slice(start, start + chunkSize);
+        await db.query(
+          `
+          INSERT INTO ai_lead_batch_items (batch_id, tenant_id, row_index, lead)
+          SELECT $1, $2, row_index, lead
+          FROM UNNEST($3::int[], $4::jsonb[]) AS t(row_index, lead)
+          `,
+          [
+            batchId,
+            tenantId,
+            chunk.map((lead, index) => start + index),
+            chunk.map(lead => JSON.stringify(lead))
+          ]
+        );
+      }
+    } catch (error) {
+      logger.error('Repository error replacing lead batch items', {
+        error: error.message,
+        tenantId,
+        batchId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Replace the parsed file rows of a batch (row_index = position in rows)
+   * @param {Object} options - { chunkSize, client (connection of a transaction, default: the pool) }
+   */
+  static async replaceRows(tenantId, batchId, rows, { chunkSize = 1000, client = null } = {}) {
+    const db = client || pool;
+    try {
+      await db.query(
+        'DELETE FROM ai_lead_batch_rows WHERE batch_id = $1 AND tenant_id = $2',
+        [batchId, tenantId]
+      );
+      for (let start = 0; start < rows.length; start += chunkSize) {
+        const chunk = rows.slice(start, start + chunkSize);
+        await db.query(
+          `
+          INSERT INTO ai_lead_batch_rows (batch_id, tenant_id, row_index, cells)
+          SELECT $1, $2, row_index, cells
+          FROM UNNEST($3::int[], $4::jsonb[]) AS t(row_index, cells)
+          `,
+          [
+            batchId,
+            tenantId,
+            chunk.map((row, index) => start + index),
+            chunk.map(row => JSON.stringify(row))
+          ]
+        );
+      }
+    } catch (error) {
+      logger.error('Repository error replacing lead batch rows', {
+        error: error.message,
+        tenantId,
+        batchId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Parsed file rows of a batch, in file order
+   * @returns {Promise<string[][]>}
+   */
+  static async findRows(batchId, tenantId) {
+    const sql = `
+      SELECT cells FROM ai_lead_batch_rows
+      WHERE batch_id = $1 AND tenant_id = $2
+      ORDER BY row_index
+    `;
+    try {
+      const result = await query(sql, [batchId, tenantId]);
+      return result.rows.map(row => row.cells);
+    } catch (error) {
+      logger.error('Repository error finding lead batch rows', {
+        error: error.message,
+        batchId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Ids and owners of the tenant's batches among batchIds (deleted ones left out)
+   * @returns {Promise<Object[]>} [{ id, owner_id }]
+   */
+  static async findOwners(batchIds, tenantId) {
+    const sql = `
+      SELECT id, owner_id FROM ai_lead_batches
+      WHERE id = ANY($1::uuid[]) AND tenant_id = $2 AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [batchIds, tenantId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding lead batch owners', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Find batch by ID with tenant validation
+   */
+  static async findById(batchId, tenantId) {
+    const sql = `
+      SELECT * FROM ai_lead_batches
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [batchId, tenantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding lead batch', {
+        error: error.message,
+        batchId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Batches of a tenant, newest first (without reports)
+   * @param {Object} options - { status, ownerId, limit, offset }
+   */
+  static async findByTenant(tenantId, options = {}) {
+    const sql = `
+      SELECT ${SUMMARY_COLUMNS}, COUNT(*) OVER() AS total
+      FROM ai_lead_batches
+      WHERE tenant_id = $1
+        AND is_deleted = false
+        AND ($2::text IS NULL OR status = $2)
+        AND ($3::uuid IS NULL OR owner_id = $3)
+      ORDER BY created_at DESC
+      LIMIT $4 OFFSET $5
+    `;
+    try {
+      const result = await query(sql, [
+        tenantId,
+        options.status || null,
+        options.ownerId || null,
+        options.limit || 50,
+        options.offset || 0
+      ]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding lead batches by tenant', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Leads of a batch in upload order
+   * @param {Object} options - { limit (all when not given), offset }
+   * @returns {Promise<Object[]>} [{ row_index, lead }]
+   */
+  static async findItems(batchId, tenantId, options = {}) {
+    const sql = `
+      SELECT row_index, lead FROM ai_lead_batch_items
+      WHERE batch_id = $1 AND tenant_id = $2
+      ORDER BY row_index
+      LIMIT $3 OFFSET $4
+    `;
+    try {
+      const result = await query(sql, [batchId, tenantId, options.limit || null, options.offset || 0]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding lead batch items', {
+        error: error.message,
+        batchId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Merge keys into the batch analysis, optionally changing its status
+   * @returns {Promise<Object|null>} The batch, or null when not found
+   */
+  static async updateAnalysis(batchId, tenantId, analysis, status = null) {
+    const sql = `
+      UPDATE ai_lead_batches
+      SET analysis = analysis || $3::jsonb, status = COALESCE($4, status)
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+      RETURNING *
+    `;
+    try {
+      const result = await query(sql, [batchId, tenantId, JSON.stringify(analysis), status]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error updating lead batch analysis', {
+        error: error.message,
+        batchId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Assign a validated batch to a campaign
+   * @returns {Promise<Object|null>} The batch, or null when not found or not validated
+   */
+  static async assign(batchId, tenantId, campaignId) {
+    const sql = `
+      UPDATE ai_lead_batches
+      SET status = 'assigned', campaign_id = $3, assigned_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false AND status = 'validated'
+      RETURNING *
+    `;
+    try {
+      const result = await query(sql, [batchId, tenantId, campaignId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error assigning lead batch', {
+        error: error.message,
+        batchId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Soft delete batch; its leads are deleted
+   */
+  static async softDelete(batchId, tenantId) {
+    const sql = `
+      UPDATE ai_lead_batches
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+      RETURNING id
+    `;
+    try {
+      const result = await query(sql, [batchId, tenantId]);
+      if (!result.rows.length) return false;
+      await query(
+        'DELETE FROM ai_lead_batch_items WHERE batch_id = $1 AND tenant_id = $2',
+        [batchId, tenantId]
+      );
+      return true;
+    } catch (error) {
+      logger.error('Repository error soft deleting lead batch', {
+        error: error.message,
+        batchId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+}
+module.exports = LeadBatchRepository;
@@ -0,0 +1,166 @@
+/**
+ * Lead Column Mapping Repository
+ * LAD Architecture: Data Access Layer for saved lead file column mappings
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+// Matches idx_ai_lead_column_mappings_name
+const CONFLICT_TARGET = `(tenant_id, LOWER(name)) WHERE is_deleted = false`;
+class LeadColumnMappingRepository {
+  /**
+   * Create a mapping, or replace the tenant's mapping with the same name
+   */
+  static async save({
+    tenantId,
+    name,
+    sourceFormat = null,
+    headers,
+    headerSignature,
+    mapping,
+    userId = null
+  }) {
+    const sql = `
+      INSERT INTO ai_lead_column_mappings (
+        tenant_id,
+        name,
+        source_format,
+        headers,
+        header_signature,
+        mapping,
+        created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT ${CONFLICT_TARGET}
+      DO UPDATE SET
+        name = EXCLUDED.name,
+        source_format = EXCLUDED.source_format,
+        headers = EXCLUDED.headers,
+        header_signature = EXCLUDED.header_signature,
+        mapping = EXCLUDED.mapping,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    try {
+      const result = await query(sql, [
+        tenantId,
+        name,
+        sourceFormat,
+        JSON.stringify(headers),
+        headerSignature,
+        JSON.stringify(mapping),
+        userId
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Repository error saving lead column mapping', {
+        error: error.message,
+        tenantId,
+        name
+      });
+      throw error;
+    }
+  }
+  /**
+   * Find mapping by ID with tenant validation
+   */
+  static async findById(mappingId, tenantId) {
+    const sql = `
+      SELECT * FROM ai_lead_column_mappings
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [mappingId, tenantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding lead column mapping', {
+        error: error.message,
+        mappingId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Most recently used mapping saved for the same header set
+   */
+  static async findBySignature(tenantId, headerSignature) {
+    const sql = `
+      SELECT * FROM ai_lead_column_mappings
+      WHERE tenant_id = $1 AND header_signature = $2 AND is_deleted = false
+      ORDER BY last_used_at DESC NULLS LAST, updated_at DESC
+      LIMIT 1
+    `;
+    try {
+      const result = await query(sql, [tenantId, headerSignature]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding lead column mapping by signature', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Mappings for a tenant, most used first
+   */
+  static async findByTenant(tenantId, options = {}) {
+    const sql = `
+      SELECT * FROM ai_lead_column_mappings
+      WHERE tenant_id = $1 AND is_deleted = false
+      ORDER BY use_count DESC, updated_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    try {
+      const result = await query(sql, [tenantId, options.limit || 100, options.offset || 0]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding lead column mappings by tenant', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Soft delete mapping
+   */
+  static async softDelete(mappingId, tenantId) {
+    const sql = `
+      UPDATE ai_lead_column_mappings
+      SET is_deleted = true, deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = false
+      RETURNING id
+    `;
+    try {
+      const result = await query(sql, [mappingId, tenantId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Repository error soft deleting lead column mapping', {
+        error: error.message,
+        mappingId,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Count a use of the mapping (an upload it was applied to)
+   */
+  static async recordUse(mappingId) {
+    const sql = `
+      UPDATE ai_lead_column_mappings
+      SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+    try {
+      await query(sql, [mappingId]);
+    } catch (error) {
+      logger.warn('Failed to record lead column mapping use', {
+        error: error.message,
+        mappingId
+      });
+      // Don't throw - this is non-critical
+    }
+  }
+}
+module.exports = LeadColumnMappingRepository;
@@ -0,0 +1,103 @@
+/**
+ * Lead Identity Repository
+ * LAD Architecture: Data Access Layer for the normalised keys of uploaded leads
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+class LeadIdentityRepository {
+  /**
+   * Replace the identities recorded for an upload
+   * @param {Object[]} identities - [{ rowIndex, keyType, keyValue, lead }]
+   * @returns {boolean} Whether they were recorded
+   */
+  static async replaceUpload({ tenantId, uploadId, identities, userId = null, chunkSize = 1000 }) {
+    try {
+      await query(
+        'DELETE FROM ai_lead_identities WHERE tenant_id = $1 AND upload_id = $2',
+        [tenantId, uploadId]
+      );
+      for (let start = 0; start < identities.length; start += chunkSize) {
+        const chunk = identities.slice(start, start + chunkSize);
+        await query(
+          `
+          INSERT INTO ai_lead_identities (tenant_id, upload_id, row_index, key_type, key_value, lead, created_by)
+          SELECT $1, $2, row_index, key_type, key_value, lead, $3
+          FROM UNNEST($4::int[], $5::text[], $6::text[], $7::jsonb[]) AS t(row_index, key_type, key_value, lead)
+          `,
+          [
+            tenantId,
+            uploadId,
+            userId,
+            chunk.map(identity => identity.rowIndex),
+            chunk.map(identity => identity.keyType),
+            chunk.map(identity => identity.keyValue),
+            chunk.map(identity => JSON.stringify(identity.lead))
+          ]
+        );
+      }
+      return true;
+    } catch (error) {
+      logger.warn('Failed to record lead identities', {
+        error: error.message,
+        tenantId,
+        uploadId
+      });
+      // Don't throw - duplicate checks of later uploads just miss this one
+      return false;
+    }
+  }
+  /**
+   * Latest identity of other uploads for each of the given key values
+   * @param {Object} options - { excludeUploadId, since (Date) }
+   */
+  static async findMatches(tenantId, keyType, keyValues, options = {}) {
+    const sql = `
+      SELECT DISTINCT ON (key_value) upload_id, row_index, key_type, key_value, lead, created_at
+      FROM ai_lead_identities
+      WHERE tenant_id = $1
+        AND key_type = $2
+        AND key_value = ANY($3::text[])
+        AND ($4::uuid IS NULL OR upload_id <> $4::uuid)
+        AND ($5::timestamp IS NULL OR created_at >= $5::timestamp)
+      ORDER BY key_value, created_at DESC
+    `;
+    try {
+      const result = await query(sql, [
+        tenantId,
+        keyType,
+        keyValues,
+        options.excludeUploadId || null,
+        options.since || null
+      ]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding lead identities', {
+        error: error.message,
+        tenantId,
+        keyType
+      });
+      throw error;
+    }
+  }
+  /**
+   * Forget an upload's leads
+   */
+  static async deleteUpload(tenantId, uploadId) {
+    const sql = `
+      DELETE FROM ai_lead_identities
+      WHERE tenant_id = $1 AND upload_id = $2
+    `;
+    try {
+      const result = await query(sql, [tenantId, uploadId]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Repository error deleting lead identities', {
+        error: error.message,
+        tenantId,
+        uploadId
+      });
+      throw error;
+    }
+  }
+}
+module.exports = LeadIdentityRepository;
@@ -0,0 +1,96 @@
+/**
+ * Lead Template Schema Repository
+ * LAD Architecture: Data Access Layer for versioned tenant lead upload templates
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+class LeadTemplateSchemaRepository {
+  /**
+   * Current version of a tenant's template (null when it never saved one; a reset version has
+   * no columns)
+   */
+  static async findCurrent(tenantId) {
+    const sql = `
+      SELECT * FROM ai_lead_template_schemas
+      WHERE tenant_id = $1 AND is_deleted = false
+      ORDER BY version DESC
+      LIMIT 1
+    `;
+    try {
+      const result = await query(sql, [tenantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding current lead template schema', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * One version of a tenant's template
+   */
+  static async findByVersion(tenantId, version) {
+    const sql = `
+      SELECT * FROM ai_lead_template_schemas
+      WHERE tenant_id = $1 AND version = $2 AND is_deleted = false
+    `;
+    try {
+      const result = await query(sql, [tenantId, version]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding lead template schema version', {
+        error: error.message,
+        tenantId,
+        version
+      });
+      throw error;
+    }
+  }
+  /**
+   * Versions of a tenant's template, newest first (without their columns)
+   */
+  static async findVersions(tenantId) {
+    const sql = `
+      SELECT id, tenant_id, version, columns IS NULL AS is_default, jsonb_array_length(columns) AS column_count,
+        created_by, created_at
+      FROM ai_lead_template_schemas
+      WHERE tenant_id = $1 AND is_deleted = false
+      ORDER BY version DESC
+    `;
+    try {
+      const result = await query(sql, [tenantId]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Repository error finding lead template schema versions', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Save columns as the tenant's next version; null columns save a version of the default
+   * template (a reset), so earlier versions stay readable
+   */
+  static async create(tenantId, columns, userId = null) {
+    const sql = `
+      INSERT INTO ai_lead_template_schemas (tenant_id, version, columns, created_by)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3
+      FROM ai_lead_template_schemas
+      WHERE tenant_id = $1
+      RETURNING *
+    `;
+    try {
+      const result = await query(sql, [tenantId, columns ? JSON.stringify(columns) : null, userId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Repository error creating lead template schema', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+}
+module.exports = LeadTemplateSchemaRepository;
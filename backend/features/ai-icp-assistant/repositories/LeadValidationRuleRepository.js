@@ -0,0 +1,73 @@
+/**
+ * Lead Validation Rule Repository
+ * LAD Architecture: Data Access Layer for tenant lead validation rule settings
+ */
+const { query } = require('../utils/database');
+const logger = require('../utils/logger');
+class LeadValidationRuleRepository {
+  /**
+   * Rule settings of a tenant (null when it uses the defaults)
+   */
+  static async findByTenant(tenantId) {
+    const sql = `
+      SELECT * FROM ai_lead_validation_rules
+      WHERE tenant_id = $1
+    `;
+    try {
+      const result = await query(sql, [tenantId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Repository error finding lead validation rules', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Create or replace the rule settings of a tenant
+   */
+  static async upsert(tenantId, rules, userId = null) {
+    const sql = `
+      INSERT INTO ai_lead_validation_rules (tenant_id, rules, updated_by)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (tenant_id)
+      DO UPDATE SET
+        rules = EXCLUDED.rules,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    try {
+      const result = await query(sql, [tenantId, JSON.stringify(rules), userId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Repository error saving lead validation rules', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+  /**
+   * Drop the rule settings of a tenant (back to the defaults)
+   */
+  static async delete(tenantId) {
+    const sql = `
+      DELETE FROM ai_lead_validation_rules
+      WHERE tenant_id = $1
+      RETURNING id
+    `;
+    try {
+      const result = await query(sql, [tenantId]);
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Repository error deleting lead validation rules', {
+        error: error.message,
+        tenantId
+      });
+      throw error;
+    }
+  }
+}
+module.exports = LeadValidationRuleRepository;
@@ -6,9 +6,25 @@ const AIConversationRepository = require('./AIConversationRepository');
 const AIMessageRepository = require('./AIMessageRepository');
 const KeywordExpansionRepository = require('./KeywordExpansionRepository');
 const ICPProfileRepository = require('./ICPProfileRepository');
+const ClassificationCacheRepository = require('./ClassificationCacheRepository');
+const ClassificationOverrideRepository = require('./ClassificationOverrideRepository');
+const LeadColumnMappingRepository = require('./LeadColumnMappingRepository');
+const LeadIdentityRepository = require('./LeadIdentityRepository');
+const LeadValidationRuleRepository = require('./LeadValidationRuleRepository');
+const JobRepository = require('./JobRepository');
+const LeadBatchRepository = require('./LeadBatchRepository');
+const LeadTemplateSchemaRepository = require('./LeadTemplateSchemaRepository');
 module.exports = {
   AIConversationRepository,
   AIMessageRepository,
   KeywordExpansionRepository,
-  ICPProfileRepository
+  ICPProfileRepository,
+  ClassificationCacheRepository,
+  ClassificationOverrideRepository,
+  LeadColumnMappingRepository,
+  LeadIdentityRepository,
+  LeadValidationRuleRepository,
+  JobRepository,
+  LeadBatchRepository,
+  LeadTemplateSchemaRepository
 };
\ No newline at end of file
@@ -8,8 +8,16 @@ const router = express.Router();
 const multer = require('multer');
 const AIAssistantController = require('../controllers/AIAssistantController');
 const LeadsUploadController = require('../controllers/LeadsUploadController');
+const LeadValidationRulesController = require('../controllers/LeadValidationRulesController');
+const LeadBatchesController = require('../controllers/LeadBatchesController');
+const LeadTemplateSchemaController = require('../controllers/LeadTemplateSchemaController');
+const LeadChatController = require('../controllers/LeadChatController');
 const IndustryClassificationController = require('../controllers/IndustryClassificationController');
+const ClassificationOverrideController = require('../controllers/ClassificationOverrideController');
+const TargetingController = require('../controllers/TargetingController');
+const JobsController = require('../controllers/JobsController');
 const { authenticateToken } = require('../../../core/middleware/auth');
+const { validateRBACPermission } = require('../middleware/tenantValidation');
 const {
   validateChatRequest,
   validateKeywordRequest,
@@ -17,15 +25,20 @@ const {
   validateUuidParam,
   validatePagination
 } = require('../middleware/validation');
-// Configure multer for file uploads
+const uploadConfig = require('../config/upload.config');
+const permissionsConfig = require('../config/permissions.config');
+const LeadsTemplateService = require('../services/LeadsTemplateService');
+// Tenant-wide settings change results for every user of the tenant
+const requireSettingsAdmin = validateRBACPermission(permissionsConfig.manageSettings);
+// Configure multer for file uploads: written to a temp file, then parsed from disk
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  dest: uploadConfig.leads.tmpDir,
+  limits: { fileSize: uploadConfig.leads.maxFileSize },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (LeadsTemplateService.detectFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error('Only CSV, TSV, Excel (.xlsx, .xls) or JSON files are allowed'), false);
     }
   }
 });
@@ -37,40 +50,65 @@ const upload = multer({
  * Chat with AI assistant to define ICP and trigger searches
  */
 router.post('/chat', authenticateToken, validateChatRequest, AIAssistantController.chat);
+/**
+ * POST /api/ai-icp-assistant/chat/stream
+ * Same as /chat, streamed as Server-Sent Events (`token` events, then one `final` event)
+ */
+router.post('/chat/stream', authenticateToken, validateChatRequest, AIAssistantController.chatStream);
 
 /**
  * POST /api/ai-icp-assistant/lead-chat
  * Conversational AI for the Advanced Search AI page.
  * Handles lead refinement (location/title/industry), campaign questions, and general follow-ups.
- * Stateless — conversation context is passed by the client each request, not stored in DB.
- * Self-contained: only imports from within this ai-icp-assistant feature.
- */
-router.post('/lead-chat', authenticateToken, async (req, res) => {
-  const LeadChatService = require('../services/LeadChatService');
-  const logger = require('../utils/logger');
-  try {
-    const { message, history = [], currentTargeting = null, pendingIntent = null } = req.body;
-    if (!message || !message.trim()) {
-      return res.status(400).json({ success: false, error: 'Message is required' });
-    }
-    const result = await LeadChatService.processMessage({
-      message: message.trim(),
-      history,
-      currentTargeting,
-      pendingIntent,
-      tenantId: req.user?.tenantId || req.user?.organizationId,
-      context: req
-    });
-    return res.json({ success: true, ...result });
-  } catch (error) {
-    logger.error('[lead-chat route] Error', { error: error.message });
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to process message',
-      response: "I had trouble processing that. Please try again."
-    });
-  }
-});
+ * Stateless by default — conversation context is passed by the client each request.
+ * With body.sessionId, context is loaded from and saved to the server-side session instead.
+ */
+router.post('/lead-chat', authenticateToken, LeadChatController.leadChat);
+/**
+ * POST /api/ai-icp-assistant/lead-chat/stream
+ * Same as /lead-chat, streamed as Server-Sent Events (`token` events, then one `final` event)
+ */
+router.post('/lead-chat/stream', authenticateToken, LeadChatController.leadChatStream);
+/**
+ * POST /api/ai-icp-assistant/lead-chat/sessions
+ * Start a server-side lead-chat session
+ */
+router.post('/lead-chat/sessions', authenticateToken, LeadChatController.createSession);
+/**
+ * GET /api/ai-icp-assistant/lead-chat/sessions
+ * List lead-chat sessions for user
+ */
+router.get('/lead-chat/sessions', authenticateToken, validatePagination, LeadChatController.listSessions);
+/**
+ * GET /api/ai-icp-assistant/lead-chat/sessions/:id
+ * Resume a lead-chat session (targeting, pending intent, transcript)
+ */
+router.get('/lead-chat/sessions/:id', authenticateToken, validateUuidParam('id'), LeadChatController.getSession);
+/**
+ * POST /api/ai-icp-assistant/lead-chat/sessions/:id/fork
+ * Fork a lead-chat session, optionally at a given message
+ */
+router.post('/lead-chat/sessions/:id/fork', authenticateToken, validateUuidParam('id'), LeadChatController.forkSession);
+/**
+ * GET /api/ai-icp-assistant/lead-chat/sessions/:id/targeting
+ * Targeting version history of a session
+ */
+router.get('/lead-chat/sessions/:id/targeting', authenticateToken, validateUuidParam('id'), LeadChatController.getTargetingHistory);
+/**
+ * GET /api/ai-icp-assistant/lead-chat/sessions/:id/targeting/diff
+ * Diff two targeting versions (?from=&to=, defaults to previous → active)
+ */
+router.get('/lead-chat/sessions/:id/targeting/diff', authenticateToken, validateUuidParam('id'), LeadChatController.diffSessionTargeting);
+/**
+ * POST /api/ai-icp-assistant/lead-chat/sessions/:id/targeting/:action
+ * Undo, redo or restore a targeting version (action: undo | redo | restore)
+ */
+router.post('/lead-chat/sessions/:id/targeting/:action', authenticateToken, validateUuidParam('id'), LeadChatController.moveTargeting);
+/**
+ * POST /api/ai-icp-assistant/lead-chat/targeting/diff
+ * Diff targeting versions for stateless clients
+ */
+router.post('/lead-chat/targeting/diff', authenticateToken, LeadChatController.diffTargeting);
 
 /**
  * GET /api/ai-icp-assistant/history
@@ -94,6 +132,14 @@ router.post('/reset', authenticateToken, AIAssistantController.resetConversation
  */
 router.post('/messages/batch-save', authenticateToken, AIAssistantController.saveCampaignChatMessages);
 // ============================================================================
+// Targeting Routes
+// ============================================================================
+/**
+ * POST /api/ai-icp-assistant/targeting/compile
+ * Preview the Apollo search payload (with warnings) for targeting or a saved profile
+ */
+router.post('/targeting/compile', authenticateToken, TargetingController.compile);
+// ============================================================================
 // Keyword Expansion Routes
 // ============================================================================
 /**
@@ -134,19 +180,64 @@ router.post('/profiles/:id/use', authenticateToken, validateUuidParam('id'), AIA
 // ============================================================================
 /**
  * GET /api/ai-icp-assistant/leads/template
- * Download CSV template for leads upload
+ * Download CSV template for leads upload (the tenant's template; ?version= for an older one)
  */
 router.get('/leads/template', authenticateToken, LeadsUploadController.downloadTemplate);
 /**
  * GET /api/ai-icp-assistant/leads/template/columns
- * Get template column definitions
+ * Get template column definitions, with personalisation tokens
  */
 router.get('/leads/template/columns', authenticateToken, LeadsUploadController.getTemplateColumns);
+/**
+ * GET /api/ai-icp-assistant/leads/template/schema
+ * Current template of the tenant
+ */
+router.get('/leads/template/schema', authenticateToken, LeadTemplateSchemaController.get);
+/**
+ * PUT /api/ai-icp-assistant/leads/template/schema
+ * Save template columns (built-in and custom fields) as the tenant's next version
+ */
+router.put('/leads/template/schema', authenticateToken, requireSettingsAdmin, LeadTemplateSchemaController.update);
+/**
+ * DELETE /api/ai-icp-assistant/leads/template/schema
+ * Back to the default template
+ */
+router.delete('/leads/template/schema', authenticateToken, requireSettingsAdmin, LeadTemplateSchemaController.reset);
+/**
+ * GET /api/ai-icp-assistant/leads/template/schema/versions
+ * Saved versions of the tenant's template
+ */
+router.get('/leads/template/schema/versions', authenticateToken, LeadTemplateSchemaController.listVersions);
+/**
+ * GET /api/ai-icp-assistant/leads/template/schema/versions/:version
+ * One saved version of the tenant's template
+ */
+router.get('/leads/template/schema/versions/:version', authenticateToken, LeadTemplateSchemaController.getVersion);
 /**
  * POST /api/ai-icp-assistant/leads/upload
- * Upload and parse CSV file
+ * Upload and parse a lead file: CSV / TSV (streamed), Excel (.xlsx / .xls) or JSON
  */
 router.post('/leads/upload', authenticateToken, upload.single('file'), LeadsUploadController.uploadLeads);
+/**
+ * POST /api/ai-icp-assistant/leads/mapping
+ * Confirm or fix the proposed column mapping of uploaded rows (optionally save it)
+ */
+router.post('/leads/mapping', authenticateToken, LeadsUploadController.confirmMapping);
+/**
+ * GET /api/ai-icp-assistant/leads/mappings
+ * Saved column mappings (recurring HubSpot / Salesforce / Apollo exports)
+ */
+router.get('/leads/mappings', authenticateToken, LeadsUploadController.listColumnMappings);
+/**
+ * DELETE /api/ai-icp-assistant/leads/mappings/:id
+ * Delete a saved column mapping
+ */
+router.delete('/leads/mappings/:id', authenticateToken, LeadsUploadController.deleteColumnMapping);
+/**
+ * POST /api/ai-icp-assistant/leads/duplicates/merge
+ * Merge duplicate leads found on upload
+ */
+router.post('/leads/duplicates/merge', authenticateToken, LeadsUploadController.mergeDuplicates);
 /**
  * POST /api/ai-icp-assistant/leads/analyze
  * Deep AI analysis of uploaded leads
@@ -159,9 +250,77 @@ router.post('/leads/analyze', authenticateToken, LeadsUploadController.analyzeLe
 router.post('/leads/platform-questions', authenticateToken, LeadsUploadController.getPlatformQuestions);
 /**
  * POST /api/ai-icp-assistant/leads/validate
- * Validate leads for campaign execution
+ * Validate leads for campaign execution (per-lead readiness report)
  */
 router.post('/leads/validate', authenticateToken, LeadsUploadController.validateLeads);
+/**
+ * GET /api/ai-icp-assistant/leads/validation-rules
+ * Lead validation rules of the tenant
+ */
+router.get('/leads/validation-rules', authenticateToken, LeadValidationRulesController.get);
+/**
+ * PUT /api/ai-icp-assistant/leads/validation-rules
+ * Set rule severities and settings for the tenant
+ */
+router.put('/leads/validation-rules', authenticateToken, requireSettingsAdmin, LeadValidationRulesController.update);
+/**
+ * DELETE /api/ai-icp-assistant/leads/validation-rules
+ * Reset the tenant to the default rules
+ */
+router.delete('/leads/validation-rules', authenticateToken, requireSettingsAdmin, LeadValidationRulesController.reset);
+/**
+ * POST /api/ai-icp-assistant/leads/score
+ * Score leads 0-100 against a saved ICP profile, best first
+ */
+router.post('/leads/score', authenticateToken, LeadsUploadController.scoreLeads);
+/**
+ * POST /api/ai-icp-assistant/leads/icp-draft
+ * Draft an ICP profile from a list of won customers
+ */
+router.post('/leads/icp-draft', authenticateToken, LeadsUploadController.draftIcpProfile);
+/**
+ * GET /api/ai-icp-assistant/leads/batches
+ * Stored lead uploads of the tenant, newest first
+ */
+router.get('/leads/batches', authenticateToken, LeadBatchesController.list);
+/**
+ * GET /api/ai-icp-assistant/leads/batches/:id
+ * A stored upload with its parsing report, analysis and a page of its leads
+ */
+router.get('/leads/batches/:id', authenticateToken, LeadBatchesController.get);
+/**
+ * GET /api/ai-icp-assistant/leads/batches/:id/export
+ * Download a stored upload's leads (CSV, XLSX or JSON), with validation and scoring annotations
+ */
+router.get('/leads/batches/:id/export', authenticateToken, LeadBatchesController.exportBatch);
+/**
+ * POST /api/ai-icp-assistant/leads/batches/:id/assign
+ * Assign a validated upload to a campaign
+ */
+router.post('/leads/batches/:id/assign', authenticateToken, LeadBatchesController.assign);
+/**
+ * DELETE /api/ai-icp-assistant/leads/batches/:id
+ * Delete a stored upload and its leads
+ */
+router.delete('/leads/batches/:id', authenticateToken, LeadBatchesController.remove);
+// ============================================================================
+// Background Job Routes
+// ============================================================================
+/**
+ * GET /api/ai-icp-assistant/jobs/:id
+ * Status, progress and result of a job started with async: true
+ */
+router.get('/jobs/:id', authenticateToken, JobsController.get);
+/**
+ * POST /api/ai-icp-assistant/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+router.post('/jobs/:id/cancel', authenticateToken, JobsController.cancel);
+/**
+ * POST /api/ai-icp-assistant/jobs/:id/retry
+ * Run a failed or cancelled job again
+ */
+router.post('/jobs/:id/retry', authenticateToken, JobsController.retry);
 // ============================================================================
 // Industry Classification Routes (Gemini AI)
 // ============================================================================
@@ -175,6 +334,66 @@ router.post('/classify-industry', authenticateToken, IndustryClassificationContr
  * Get industry suggestions for autocomplete
  */
 router.get('/industry-suggestions', authenticateToken, IndustryClassificationController.getIndustrySuggestions);
+/**
+ * GET /api/ai-icp-assistant/taxonomy
+ * Get taxonomy version and entry counts
+ */
+router.get('/taxonomy', authenticateToken, IndustryClassificationController.getTaxonomy);
+/**
+ * GET /api/ai-icp-assistant/taxonomy/:type?q=
+ * Search industries, locations, seniorities, departments or roles (fuzzy, with synonyms)
+ */
+router.get('/taxonomy/:type', authenticateToken, IndustryClassificationController.searchTaxonomy);
+/**
+ * POST /api/ai-icp-assistant/classify/batch
+ * Classify up to 500 raw industry, location or job title inputs at once (cached per tenant)
+ */
+router.post('/classify/batch', authenticateToken, IndustryClassificationController.classifyBatch);
+/**
+ * GET /api/ai-icp-assistant/classification-cache
+ * List the tenant's cached classifications
+ */
+router.get('/classification-cache', authenticateToken, IndustryClassificationController.listClassificationCache);
+/**
+ * PUT /api/ai-icp-assistant/classification-cache
+ * Manually set how an input is classified for the tenant (saved as an exact-match override rule)
+ */
+router.put('/classification-cache', authenticateToken, requireSettingsAdmin, IndustryClassificationController.setClassificationOverride);
+/**
+ * DELETE /api/ai-icp-assistant/classification-cache/:id
+ * Remove one cached classification
+ */
+router.delete('/classification-cache/:id', authenticateToken, requireSettingsAdmin, IndustryClassificationController.deleteClassificationCacheEntry);
+/**
+ * DELETE /api/ai-icp-assistant/classification-cache
+ * Clear the tenant's cached classifications (override rules are kept)
+ */
+router.delete('/classification-cache', authenticateToken, requireSettingsAdmin, IndustryClassificationController.clearClassificationCache);
+/**
+ * GET /api/ai-icp-assistant/classification-overrides
+ * List the tenant's classification override rules
+ */
+router.get('/classification-overrides', authenticateToken, ClassificationOverrideController.list);
+/**
+ * GET /api/ai-icp-assistant/classification-overrides/report
+ * Most-hit override rules and per-type totals
+ */
+router.get('/classification-overrides/report', authenticateToken, ClassificationOverrideController.report);
+/**
+ * POST /api/ai-icp-assistant/classification-overrides
+ * Create a rule mapping matching inputs to a fixed classification
+ */
+router.post('/classification-overrides', authenticateToken, requireSettingsAdmin, ClassificationOverrideController.create);
+/**
+ * PUT /api/ai-icp-assistant/classification-overrides/:id
+ * Update a rule (pattern, match type, value, note, priority, active)
+ */
+router.put('/classification-overrides/:id', authenticateToken, requireSettingsAdmin, ClassificationOverrideController.update);
+/**
+ * DELETE /api/ai-icp-assistant/classification-overrides/:id
+ * Delete a rule
+ */
+router.delete('/classification-overrides/:id', authenticateToken, requireSettingsAdmin, ClassificationOverrideController.remove);
 // ============================================================================
 // ICP Onboarding Routes
 // ============================================================================
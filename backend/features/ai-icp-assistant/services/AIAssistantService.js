@@ -8,9 +8,11 @@ const StageHandlers = require('./StageHandlers');
 const MessageHelper = require('./MessageHelper');
 const ResponseBuilder = require('./ResponseBuilder');
 const StageRouter = require('./StageRouter');
+const geminiClientService = require('./gemini-client.service');
 class AIAssistantService {
   /**
    * Process chat message with AI
+   * Pass onToken (chunk) => void to receive generated response text as it streams.
    */
   static async processChat({
     message,
@@ -19,8 +21,20 @@ class AIAssistantService {
     searchResults = [],
     userId,
     organizationId,
-    assistantContext = null
+    assistantContext = null,
+    onToken = null
   }) {
+    if (onToken) {
+      return geminiClientService.runWithTokenStream(onToken, () => this.processChat({
+        message,
+        conversationId,
+        conversationHistory,
+        searchResults,
+        userId,
+        organizationId,
+        assistantContext
+      }));
+    }
     try {
       let context = assistantContext || ContextManager.initializeContext();
       // Infer context from conversation history
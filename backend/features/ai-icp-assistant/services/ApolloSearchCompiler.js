@@ -0,0 +1,336 @@
+/**
+ * Apollo Search Compiler
+ *
+ * Turns any targeting shape in this feature into one validated Apollo search payload:
+ * - targeting       - LeadChatService targeting ({ job_titles, industries, locations, ... })
+ * - assistant       - AIAssistantService / ContextManager context ({ roles, industries, companySize, ... })
+ * - suggested_params - /chat suggestedParams and older ai_icp_profiles.search_params ({ jobTitles, location, ... })
+ * - onboarding      - ICP onboarding collectedAnswers ({ icp_roles, icp_industries, icp_locations })
+ *
+ * compile() never throws on bad input: problems come back as errors (payload not usable)
+ * or warnings (value dropped, clamped or ignored) so callers can preview before searching.
+ */
+const apolloConfig = require('../config/apollo.config');
+const FirmographicFilters = require('./FirmographicFilters');
+const TargetingRefinement = require('./TargetingRefinement');
+const TaxonomyService = require('./TaxonomyService');
+
+const SOURCES = ['targeting', 'assistant', 'suggested_params', 'onboarding'];
+
+// Fields compiled as plain string lists
+const LIST_FIELDS = [
+  ...Object.keys(TargetingRefinement.FIELDS).filter(field => !FirmographicFilters.FIELDS.includes(field)),
+  ...Object.values(TargetingRefinement.FIELDS).map(field => field.exclusion).filter(Boolean),
+  'keywords'
+];
+// Known but not used by Apollo (LinkedIn-only)
+const IGNORED_FIELDS = ['profile_language'];
+// Person-level fields a company search cannot use
+const PERSON_FIELDS = ['job_titles', 'excluded_titles', 'seniority', 'excluded_seniority'];
+// Seniority words must match a taxonomy synonym, not just resemble one
+const SENIORITY_MIN_SCORE = 0.9;
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value.flat() : [value];
+};
+
+const splitCsv = (value) => toList(value).flatMap(item => (typeof item === 'string' ? item.split(/\s*[,;]\s*/) : [item]));
+
+const uniqueCaseInsensitive = (values) => {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+class ApolloSearchCompiler {
+  /**
+   * Guess the input shape
+   */
+  static detectSource(input) {
+    const keys = Object.keys(input || {});
+    if (keys.some(key => key.startsWith('icp_'))) return 'onboarding';
+    if (keys.includes('jobTitles') || keys.includes('location') || keys.includes('searchType')) return 'suggested_params';
+    if (keys.includes('roles') || keys.includes('companySize') || keys.includes('companies')) return 'assistant';
+    return 'targeting';
+  }
+
+  /**
+   * Map a source shape onto targeting fields
+   */
+  static toTargeting(input, source) {
+    const data = input || {};
+    switch (source) {
+      case 'assistant':
+        return {
+          job_titles: data.roles,
+          industries: data.industries,
+          locations: data.locations,
+          company_names: data.companies,
+          employee_ranges: data.companySize
+        };
+      case 'suggested_params':
+        return {
+          job_titles: splitCsv(data.jobTitles),
+          locations: splitCsv(data.location),
+          keywords: data.keywords,
+          employee_ranges: data.companySize,
+          revenue_ranges: data.revenue
+        };
+      case 'onboarding':
+        return {
+          job_titles: splitCsv(data.icp_roles),
+          // The classifier's Apollo industry wins over the raw answer
+          industries: data.industry_classification?.apollo_industry || splitCsv(data.icp_industries),
+          locations: data.location_classification?.primary_location || splitCsv(data.icp_locations)
+        };
+      default:
+        return data;
+    }
+  }
+
+  /**
+   * Compile targeting into an Apollo search payload
+   * @param {Object} input - Targeting in any supported shape
+   * @param {Object} options - { source, searchType: 'people' | 'companies', page, perPage }
+   * @returns {Object} { valid, source, searchType, payload, targeting, warnings, errors }
+   */
+  static compile(input, { source = null, searchType = null, page, perPage } = {}) {
+    const warnings = [];
+    const errors = [];
+    const warn = (field, message) => warnings.push({ field, message });
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return {
+        valid: false,
+        source,
+        searchType,
+        payload: null,
+        targeting: null,
+        warnings,
+        errors: [{ field: null, message: 'Targeting must be an object' }]
+      };
+    }
+
+    const resolvedSource = source || this.detectSource(input);
+    if (!SOURCES.includes(resolvedSource)) {
+      errors.push({ field: 'source', message: `Unknown source "${resolvedSource}" (expected one of: ${SOURCES.join(', ')})` });
+    }
+    const resolvedType = searchType || (input.searchType === 'company' ? 'companies' : 'people');
+    if (!apolloConfig.searchTypes.includes(resolvedType)) {
+      errors.push({ field: 'searchType', message: `Unknown search type "${resolvedType}" (expected people or companies)` });
+    }
+    if (errors.length) {
+      return { valid: false, source: resolvedSource, searchType: resolvedType, payload: null, targeting: null, warnings, errors };
+    }
+
+    const targeting = this.normalizeTargeting(this.toTargeting(input, resolvedSource), warn);
+    if (resolvedSource === 'targeting') {
+      Object.keys(input)
+        .filter(key => !LIST_FIELDS.includes(key) && !FirmographicFilters.FIELDS.includes(key) && !IGNORED_FIELDS.includes(key))
+        .forEach(key => warn(key, `Unknown field "${key}" ignored`));
+    }
+
+    const { payload, hasCriteria } = this.buildPayload(targeting, resolvedType, warn);
+    if (!hasCriteria) {
+      errors.push({ field: null, message: 'Targeting has no search criteria' });
+    }
+    Object.assign(payload, this.pagination(page, perPage, warn));
+
+    return {
+      valid: errors.length === 0,
+      source: resolvedSource,
+      searchType: resolvedType,
+      payload,
+      targeting,
+      warnings,
+      errors
+    };
+  }
+
+  /**
+   * Clean every field: string lists deduplicated, seniorities, industries and locations mapped
+   * to taxonomy values, company filters bucketed, values both included and excluded kept only
+   * as exclusions.
+   */
+  static normalizeTargeting(raw, warn) {
+    const { maxValuesPerField, maxValueLength } = apolloConfig.limits;
+    const targeting = {};
+
+    LIST_FIELDS.forEach(field => {
+      const values = toList(raw[field]);
+      if (!values.length) return;
+      let cleaned = [];
+      values.forEach(value => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          warn(field, `Non-text value dropped: ${JSON.stringify(value)}`);
+          return;
+        }
+        const text = String(value).replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        if (text.length > maxValueLength) {
+          warn(field, `Value longer than ${maxValueLength} characters dropped: "${text.substring(0, 40)}..."`);
+          return;
+        }
+        cleaned.push(text);
+      });
+      cleaned = uniqueCaseInsensitive(cleaned);
+      if (field === 'seniority' || field === 'excluded_seniority') {
+        cleaned = this.normalizeSeniorities(cleaned, field, warn);
+      }
+      if (field === 'industries' || field === 'excluded_industries') {
+        // Apollo keyword tags are lowercase
+        cleaned = this.normalizeTaxonomyValues('industry', cleaned, field, warn).map(value => value.toLowerCase());
+      }
+      if (field === 'locations' || field === 'excluded_locations') {
+        cleaned = this.normalizeTaxonomyValues('location', cleaned, field, warn);
+      }
+      if (cleaned.length > maxValuesPerField) {
+        warn(field, `Only the first ${maxValuesPerField} of ${cleaned.length} values are used`);
+        cleaned = cleaned.slice(0, maxValuesPerField);
+      }
+      if (cleaned.length) targeting[field] = cleaned;
+    });
+
+    FirmographicFilters.FIELDS.forEach(field => {
+      const values = toList(raw[field]);
+      if (!values.length) return;
+      const normalized = FirmographicFilters.normalizeField(field, values);
+      if (!normalized.length) {
+        warn(field, `Could not understand ${JSON.stringify(values)}; filter ignored`);
+        return;
+      }
+      targeting[field] = normalized;
+    });
+
+    Object.keys(TargetingRefinement.FIELDS).forEach(field => {
+      const exclusion = TargetingRefinement.exclusionField(field);
+      if (!exclusion || !targeting[field] || !targeting[exclusion]) return;
+      const excluded = targeting[exclusion].map(value => value.toLowerCase());
+      const conflicts = targeting[field].filter(value => excluded.includes(value.toLowerCase()));
+      if (!conflicts.length) return;
+      warn(field, `${conflicts.join(', ')} both included and excluded; kept as excluded`);
+      targeting[field] = targeting[field].filter(value => !conflicts.includes(value));
+      if (!targeting[field].length) delete targeting[field];
+    });
+
+    return targeting;
+  }
+
+  static normalizeSeniorities(values, field, warn) {
+    const mapped = [];
+    values.forEach(value => {
+      const seniority = TaxonomyService.resolve('seniority', value, { minScore: SENIORITY_MIN_SCORE });
+      if (seniority) {
+        if (!mapped.includes(seniority.value)) mapped.push(seniority.value);
+      } else {
+        const expected = TaxonomyService.list('seniority').map(entry => entry.value);
+        warn(field, `Unknown seniority "${value}" dropped (expected one of: ${expected.join(', ')})`);
+      }
+    });
+    return mapped;
+  }
+
+  /**
+   * Map industries or locations onto taxonomy values ("SaaS" → "Computer Software",
+   * "NYC" → "New York"). Values the taxonomy doesn't know are searched as typed, with a warning.
+   */
+  static normalizeTaxonomyValues(type, values, field, warn) {
+    return uniqueCaseInsensitive(values.map(value => {
+      const entry = TaxonomyService.resolve(type, value);
+      if (entry) return entry.value;
+      warn(field, `Unknown ${type} "${value}" searched as typed`);
+      return value;
+    }));
+  }
+
+  /**
+   * Map normalised targeting onto Apollo parameters for the search type
+   * @returns {Object} { payload, hasCriteria }
+   */
+  static buildPayload(targeting, searchType, warn) {
+    const params = apolloConfig.params[searchType];
+    const payload = {};
+    let hasCriteria = false;
+
+    Object.entries(targeting).forEach(([field, values]) => {
+      if (apolloConfig.rangeParams[field]) return;
+      if (searchType === 'companies' && PERSON_FIELDS.includes(field)) {
+        warn(field, `${field} is a person filter and is ignored for company search`);
+        return;
+      }
+      const param = params[field];
+      if (!param) return;
+      if (field === 'keywords') {
+        payload[param] = values.join(' ');
+      } else if (field === 'funding_stages') {
+        payload[param] = FirmographicFilters.fundingStageCodes(values);
+      } else {
+        payload[param] = values;
+      }
+      if (!field.startsWith('excluded_')) hasCriteria = true;
+    });
+
+    Object.entries(apolloConfig.rangeParams).forEach(([field, param]) => {
+      if (!targeting[field]) return;
+      const range = this.spanRanges(targeting[field]);
+      if (field === 'revenue_ranges' && targeting[field].length > 1 && !this.isContiguous(targeting[field])) {
+        warn(field, 'Revenue ranges are not adjacent; Apollo takes one min/max, so the gap between them is included');
+      }
+      payload[param] = range;
+      hasCriteria = true;
+    });
+
+    return { payload, hasCriteria };
+  }
+
+  /**
+   * One { min, max } covering every "min,max" range (max omitted when open-ended)
+   */
+  static spanRanges(ranges) {
+    const parsed = ranges.map(range => {
+      const [min, max] = String(range).split(',');
+      return { min: min === '' ? null : Number(min), max: max === '' || max === undefined ? null : Number(max) };
+    });
+    const mins = parsed.map(r => r.min).filter(min => min !== null);
+    const span = {};
+    if (mins.length === parsed.length) span.min = Math.min(...mins);
+    if (parsed.every(r => r.max !== null)) span.max = Math.max(...parsed.map(r => r.max));
+    return span;
+  }
+
+  static isContiguous(ranges) {
+    const sorted = ranges.map(range => range.split(',').map(v => (v === '' ? null : Number(v))))
+      .sort((a, b) => (a[0] || 0) - (b[0] || 0));
+    return sorted.every((range, i) => i === 0 || sorted[i - 1][1] === range[0]);
+  }
+
+  static pagination(page, perPage, warn) {
+    const { defaultPage, defaultPerPage, maxPerPage, maxPage } = apolloConfig.pagination;
+    const clamp = (value, fallback, max, field) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const number = parseInt(value, 10);
+      if (!Number.isFinite(number) || number < 1) {
+        warn(field, `Invalid ${field} "${value}"; using ${fallback}`);
+        return fallback;
+      }
+      if (number > max) {
+        warn(field, `${field} ${number} is above the maximum ${max}; using ${max}`);
+        return max;
+      }
+      return number;
+    };
+    return {
+      page: clamp(page, defaultPage, maxPage, 'page'),
+      per_page: clamp(perPage, defaultPerPage, maxPerPage, 'perPage')
+    };
+  }
+}
+
+ApolloSearchCompiler.SOURCES = SOURCES;
+
+module.exports = ApolloSearchCompiler;
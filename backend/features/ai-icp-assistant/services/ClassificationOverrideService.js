@@ -0,0 +1,83 @@
+/**
+ * Classification Override Service
+ *
+ * Tenant rules that fix how matching inputs are classified (ai_classification_overrides).
+ * exact / prefix / contains compare whole words of the normalised input ("Boutique Fitness
+ * Studio" contains "fitness studio", not "fit"). Tenant regular expressions are not accepted:
+ * they run on every classification input and a backtracking pattern would stall them. Rules
+ * are tried in ClassificationOverrideRepository.findActive order: highest priority first, then
+ * the longest pattern.
+ */
+const classificationConfig = require('../config/classification.config');
+const TaxonomyService = require('./TaxonomyService');
+
+const MATCH_TYPES = ['exact', 'prefix', 'contains'];
+
+class ClassificationOverrideService {
+  static get MATCH_TYPES() {
+    return MATCH_TYPES;
+  }
+
+  /**
+   * Validate rule fields (for an update, pass the stored rule merged with the changes)
+   * @param {string} type - industry | location | decision_makers
+   * @param {Object} fields - { pattern, match_type, value, note, priority, is_active }
+   * @returns {{ error: string|null, rule: Object }} rule holds the fields to store (normalised pattern, canonical value)
+   */
+  static prepare(type, fields) {
+    const rule = {};
+    const matchType = fields.match_type || 'exact';
+    if (!MATCH_TYPES.includes(matchType)) {
+      return { error: `match_type must be one of: ${MATCH_TYPES.join(', ')}`, rule };
+    }
+    rule.match_type = matchType;
+    if (typeof fields.pattern !== 'string' || !fields.pattern.trim()) {
+      return { error: 'pattern is required and must be a string', rule };
+    }
+    const { maxPatternLength } = classificationConfig.overrides;
+    if (fields.pattern.length > maxPatternLength) {
+      return { error: `pattern may be at most ${maxPatternLength} characters`, rule };
+    }
+    rule.pattern = TaxonomyService.normalizeText(fields.pattern);
+    if (!rule.pattern) {
+      return { error: 'pattern must contain letters or digits', rule };
+    }
+    const { taxonomyType } = classificationConfig.types[type];
+    rule.value = typeof fields.value === 'string' ? TaxonomyService.canonical(taxonomyType, fields.value) : null;
+    if (!rule.value) {
+      return { error: `value must be a known ${type.replace('_', ' ')} value`, rule };
+    }
+    if (fields.note !== undefined) {
+      rule.note = fields.note ? String(fields.note) : null;
+    }
+    if (fields.priority !== undefined) {
+      if (!Number.isInteger(fields.priority)) {
+        return { error: 'priority must be an integer', rule };
+      }
+      rule.priority = fields.priority;
+    }
+    if (fields.is_active !== undefined) {
+      rule.is_active = Boolean(fields.is_active);
+    }
+    return { error: null, rule };
+  }
+
+  /**
+   * Whether a rule matches an input
+   */
+  static matches(rule, input) {
+    const text = TaxonomyService.normalizeText(input);
+    switch (rule.match_type) {
+      case 'exact':
+        return text === rule.pattern;
+      case 'prefix':
+        return text === rule.pattern || text.startsWith(`${rule.pattern} `);
+      case 'contains':
+        return ` ${text} `.includes(` ${rule.pattern} `);
+      default:
+        return false;
+    }
+  }
+}
+
+module.exports = ClassificationOverrideService;
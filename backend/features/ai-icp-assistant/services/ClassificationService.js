@@ -0,0 +1,305 @@
+/**
+ * Classification Service
+ *
+ * Cache-through front for the industry / location / decision-maker classifiers.
+ * Tenant override rules (ai_classification_overrides, see ClassificationOverrideService) are
+ * checked first and always win; pinning one input (setOverride) saves an exact-match rule.
+ * Model results are cached per normalised input (ai_classification_cache): tenant entries win
+ * over global ones, and entries expire after the configured TTL or when the taxonomy version
+ * changes. Fallback (no LLM) results are not cached, so they are replaced by a model answer
+ * once a provider is available.
+ *
+ * The cache is an optimisation: database errors are logged and the classifier is called.
+ */
+const classificationConfig = require('../config/classification.config');
+const { ClassificationCacheRepository, ClassificationOverrideRepository } = require('../repositories');
+const TaxonomyService = require('./TaxonomyService');
+const ClassificationOverrideService = require('./ClassificationOverrideService');
+const geminiClassifier = require('./GeminiIndustryClassifier');
+const geminiLocationClassifier = require('./GeminiLocationClassifier');
+const geminiDecisionMakersClassifier = require('./GeminiDecisionMakersClassifier');
+const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
+const logger = require('../utils/logger');
+
+const CLASSIFIERS = {
+  industry: {
+    classify: (input, options) => geminiClassifier.classifyIndustry(input, options),
+    task: llmConfig.tasks.CLASSIFY_INDUSTRY
+  },
+  location: {
+    classify: (input, options) => geminiLocationClassifier.classifyLocation(input, options),
+    task: llmConfig.tasks.CLASSIFY_LOCATION
+  },
+  decision_makers: {
+    classify: (input, options) => geminiDecisionMakersClassifier.classifyDecisionMakers(input, options),
+    task: llmConfig.tasks.CLASSIFY_DECISION_MAKERS
+  }
+};
+
+class ClassificationService {
+  static get TYPES() {
+    return Object.keys(classificationConfig.types);
+  }
+
+  /**
+   * Cache key for a raw input ("  Fitness STUDIO " → "fitness studio")
+   */
+  static inputKey(input) {
+    return TaxonomyService.normalizeText(input).slice(0, classificationConfig.cache.maxInputLength);
+  }
+
+  /**
+   * Classify one input: a matching override rule, else a cached result, else the classifier
+   * @param {string} type - industry | location | decision_makers
+   * @param {string} input - Raw user input
+   * @param {Object} options - { tenantId, refresh } (refresh skips the cache lookup, not override rules)
+   * @returns {Promise<Object>} Classifier response plus cached / isOverride flags (and override for rule matches)
+   */
+  static async classify(type, input, options = {}) {
+    const { tenantId = null, refresh = false } = options;
+    const rules = await ClassificationService._activeRules(type, tenantId);
+    const ruled = ClassificationService._applyRules(type, input, rules);
+    if (ruled) {
+      await ClassificationOverrideRepository.recordHits(new Map([[ruled.override.id, 1]]));
+      return ruled;
+    }
+    const key = ClassificationService.inputKey(input);
+    if (!refresh && key) {
+      const entry = await ClassificationService._findCached(type, key, tenantId);
+      if (entry) {
+        return ClassificationService._fromEntry(input, entry);
+      }
+    }
+    const result = await CLASSIFIERS[type].classify(input, { tenantId });
+    await ClassificationService._store(type, key, input, result, tenantId);
+    return { ...result, cached: false, isOverride: false };
+  }
+
+  /**
+   * Classify many inputs: duplicates collapse to one lookup, override rules are applied
+   * in memory, cache hits are served in one query and misses are classified a few at a time
+   * @param {string} type - industry | location | decision_makers
+   * @param {string[]} inputs - Raw inputs (order kept in the response)
+   * @param {Object} options - { tenantId, onProgress(done, total) after each classified miss,
+   *   signal (AbortSignal; aborting stops the batch with an error) }
+   * @returns {Promise<{results: Object[], stats: Object}>}
+   */
+  static async classifyBatch(type, inputs, options = {}) {
+    const { tenantId = null, onProgress = null, signal = null } = options;
+    const stats = { total: inputs.length, unique: 0, overridden: 0, cached: 0, classified: 0, failed: 0 };
+
+    const byKey = new Map();
+    for (const input of inputs) {
+      const key = ClassificationService.inputKey(input);
+      if (key && !byKey.has(key)) byKey.set(key, input);
+    }
+    stats.unique = byKey.size;
+
+    const resolved = new Map();
+    const rules = await ClassificationService._activeRules(type, tenantId);
+    for (const [key, input] of byKey) {
+      const ruled = ClassificationService._applyRules(type, input, rules);
+      if (ruled) {
+        resolved.set(key, ruled);
+        byKey.delete(key);
+        stats.overridden++;
+      }
+    }
+
+    let cachedEntries = new Map();
+    try {
+      cachedEntries = await ClassificationCacheRepository.findManyCached(
+        type, [...byKey.keys()], tenantId, TaxonomyService.version
+      );
+    } catch (error) {
+      logger.warn('[Classification] Cache lookup failed, classifying all inputs', {
+        error: error.message,
+        type
+      });
+    }
+
+    const misses = [];
+    for (const [key, input] of byKey) {
+      const entry = cachedEntries.get(key);
+      if (entry) {
+        resolved.set(key, ClassificationService._fromEntry(input, entry));
+        stats.cached++;
+      } else {
+        misses.push([key, input]);
+      }
+    }
+
+    const total = misses.length;
+    let done = 0;
+    const worker = async () => {
+      while (misses.length && !signal?.aborted) {
+        const [key, input] = misses.shift();
+        try {
+          const result = await CLASSIFIERS[type].classify(input, { tenantId });
+          await ClassificationService._store(type, key, input, result, tenantId);
+          resolved.set(key, { ...result, cached: false, isOverride: false });
+          stats.classified++;
+        } catch (error) {
+          logger.error('[Classification] Batch item failed', { error: error.message, type, input });
+          resolved.set(key, { success: false, error: 'Failed to classify input' });
+          stats.failed++;
+        }
+        done++;
+        if (onProgress) onProgress(done, total);
+      }
+    };
+    const concurrency = Math.max(1, Math.min(classificationConfig.batch.concurrency, misses.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    if (signal?.aborted) throw new Error('Classification batch cancelled');
+
+    const hits = new Map();
+    const results = inputs.map(input => {
+      const key = ClassificationService.inputKey(input);
+      const result = key ? resolved.get(key) : { success: false, error: 'Input is empty' };
+      if (result.override) {
+        hits.set(result.override.id, (hits.get(result.override.id) || 0) + 1);
+      }
+      return {
+        input,
+        ...result,
+        ...(result.original_input !== undefined && { original_input: input })
+      };
+    });
+    await ClassificationOverrideRepository.recordHits(hits);
+    return { results, stats };
+  }
+
+  /**
+   * Result for a manual override, or null when value is not in the taxonomy
+   * @param {string} type - industry | location | decision_makers
+   * @param {string} value - Taxonomy value the input should classify to
+   * @param {string} input - Raw input
+   * @param {string} [reasoning] - Shown instead of the default explanation
+   */
+  static buildOverrideResult(type, value, input, reasoning = null) {
+    const { valueField, alternativesField, taxonomyType } = classificationConfig.types[type];
+    const canonical = TaxonomyService.canonical(taxonomyType, value);
+    if (!canonical) return null;
+    return {
+      success: true,
+      [valueField]: canonical,
+      confidence: 'high',
+      reasoning: reasoning || `Set by your team: "${input}" is classified as ${canonical}.`,
+      [alternativesField]: [],
+      isFallback: false
+    };
+  }
+
+  /**
+   * Pin a classification for an input for the tenant: saves (or re-points) the exact-match
+   * override rule for it, so pinned inputs share the rules' precedence and hit report
+   * @returns {Promise<{ error: string|null, override: Object|null }>} error when value is not in
+   *   the taxonomy or the tenant has too many rules
+   */
+  static async setOverride(type, input, value, { tenantId, userId = null }) {
+    const { error, rule } = ClassificationOverrideService.prepare(type, { pattern: input, match_type: 'exact', value });
+    if (error) return { error, override: null };
+    const existing = await ClassificationOverrideRepository.findByPattern(tenantId, type, 'exact', rule.pattern);
+    if (existing) {
+      const override = await ClassificationOverrideRepository.update(existing.id, tenantId, { value: rule.value, is_active: true });
+      return { error: null, override };
+    }
+    const { maxPerType } = classificationConfig.overrides;
+    if (await ClassificationOverrideRepository.countActive(tenantId, type) >= maxPerType) {
+      return { error: `At most ${maxPerType} active ${type.replace('_', ' ')} overrides are allowed`, override: null };
+    }
+    const override = await ClassificationOverrideRepository.create({
+      tenantId,
+      type,
+      pattern: rule.pattern,
+      matchType: 'exact',
+      value: rule.value,
+      userId
+    });
+    return { error: null, override };
+  }
+
+  /**
+   * Tenant's active override rules; none when lookup fails
+   * @private
+   */
+  static async _activeRules(type, tenantId) {
+    if (!tenantId) return [];
+    try {
+      return await ClassificationOverrideRepository.findActive(tenantId, type);
+    } catch (error) {
+      logger.warn('[Classification] Override lookup failed, ignoring overrides', { error: error.message, type });
+      return [];
+    }
+  }
+
+  /**
+   * Response from the first matching rule; rules whose value left the taxonomy are skipped
+   * @private
+   */
+  static _applyRules(type, input, rules) {
+    for (const rule of rules) {
+      if (!ClassificationOverrideService.matches(rule, input)) continue;
+      const result = ClassificationService.buildOverrideResult(type, rule.value, input, rule.note);
+      if (!result) continue;
+      return {
+        ...result,
+        cached: false,
+        isOverride: true,
+        override: { id: rule.id, pattern: rule.pattern, match_type: rule.match_type }
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  static async _findCached(type, key, tenantId) {
+    try {
+      return await ClassificationCacheRepository.findCached(type, key, tenantId, TaxonomyService.version);
+    } catch (error) {
+      logger.warn('[Classification] Cache lookup failed, classifying input', { error: error.message, type });
+      return null;
+    }
+  }
+
+  /**
+   * Cache a model result; fallback results and failures are not cached
+   * @private
+   */
+  static async _store(type, key, input, result, tenantId) {
+    if (!key || !result || result.success === false || result.isFallback) return;
+    try {
+      await ClassificationCacheRepository.upsert({
+        type,
+        inputKey: key,
+        originalInput: String(input).slice(0, classificationConfig.cache.maxInputLength),
+        result,
+        model: geminiClientService.getProviderName({ task: CLASSIFIERS[type].task, tenantId }),
+        taxonomyVersion: TaxonomyService.version,
+        ttlDays: classificationConfig.cache.ttlDays,
+        tenantId
+      });
+    } catch (error) {
+      logger.warn('[Classification] Failed to cache result', { error: error.message, type });
+    }
+  }
+
+  /**
+   * Response for a cache hit; original_input echoes what was asked, not the stored input
+   * @private
+   */
+  static _fromEntry(input, entry) {
+    const result = typeof entry.result === 'string' ? JSON.parse(entry.result) : entry.result;
+    return {
+      ...result,
+      ...(result.original_input !== undefined && { original_input: input }),
+      cached: true,
+      isOverride: false
+    };
+  }
+}
+
+module.exports = ClassificationService;
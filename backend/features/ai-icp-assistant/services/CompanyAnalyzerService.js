@@ -2,6 +2,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const logger = require('../../../core/utils/logger');
 const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
 const UnipileBaseService = require('../../campaigns/services/UnipileBaseService');
 
 class CompanyAnalyzerService extends UnipileBaseService {
@@ -202,7 +203,11 @@ Conclude by asking: "Would you like me to go ahead and run a search for these [J
 Keep it concise (3-4 paragraphs max). Use bullet points for titles and industries to make it readable.`;
 
         try {
-            return await geminiClientService.generateContent(prompt);
+            return await geminiClientService.generateContent(prompt, {
+                task: llmConfig.tasks.COMPANY_ANALYSIS,
+                tenantId,
+                stream: true
+            });
         } catch (e) {
             logger.error('[CompanyAnalyzerService] Gemini analysis failed', { error: e.message });
             return `I encountered an issue analyzing the company data right now, but from the links provided, I suggest targeting top decision-makers in the industries you serve. Could you manually describe the roles you'd like me to find?`;
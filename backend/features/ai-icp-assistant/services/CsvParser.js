@@ -0,0 +1,373 @@
+/**
+ * CSV Parser
+ *
+ * Streaming RFC 4180 parser for lead uploads. Input is written in chunks (write / end) and
+ * every record is handed to onRecord as soon as it is complete, so a file is never held in
+ * memory as one string.
+ *
+ * - Encoding: BOM (UTF-8, UTF-16 LE/BE), else UTF-8 when the first sampleBytes decode
+ *   cleanly, else the fallback (windows-1252, what Excel writes on Windows). A file detected as
+ *   UTF-8 switches to the fallback at the first invalid byte after the sample, instead of
+ *   reading the rest as U+FFFD
+ * - Delimiter: an Excel "sep=;" first line, else the candidate that splits the first lines
+ *   of the sample into the same number of fields
+ * - Quoted fields may hold delimiters, line breaks and escaped quotes (""); CRLF, LF and CR
+ *   all end a record
+ * - Malformed input is kept as read and reported on its record as
+ *   { line, column, code, message } (lines and columns are 1-based)
+ */
+const uploadConfig = require('../config/upload.config');
+
+const QUOTE = '"';
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTED_QUOTE = 3; // Quote seen inside a quoted field: escaped quote or closing quote
+const DETECT_LINES = 10;
+const NO_BYTES = Buffer.alloc(0);
+
+class CsvParser {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onRecord - Called with { row, line, values, errors } for each record
+   *   (row = record number as a spreadsheet shows it, line = file line the record starts on)
+   * @param {string} [options.delimiter] - Skips delimiter detection
+   * @param {string} [options.encoding] - Skips encoding detection (any TextDecoder label)
+   */
+  constructor({ onRecord, delimiter = null, encoding = null } = {}) {
+    if (encoding) new TextDecoder(encoding); // Throws RangeError for unknown labels
+    this.onRecord = onRecord;
+    this.delimiter = delimiter;
+    this.encoding = encoding;
+    this.bom = false;
+    this.records = 0;
+    this.decoder = null;
+    this.checkUtf8 = false; // Detected (not given) UTF-8: decoded strictly, see _decode()
+    this.pendingBytes = NO_BYTES;
+    this.ready = false;
+    this.head = [];
+    this.headLength = 0;
+
+    this.state = FIELD_START;
+    this.field = '';
+    this.fieldTruncated = false;
+    this.fields = [];
+    this.errors = [];
+    this.inRecord = false;
+    this.recordLine = 1;
+    this.line = 1;
+    this.skipLF = false;
+    this.quotedCR = false;
+    this.fieldStartLine = 1;
+  }
+
+  /**
+   * Feed a chunk (Buffer from a file stream, or a string)
+   */
+  write(chunk) {
+    if (this.ready) {
+      this._consume(typeof chunk === 'string' ? chunk : this._decode(chunk));
+      return;
+    }
+    this.head.push(chunk);
+    this.headLength += chunk.length;
+    if (this.headLength >= uploadConfig.csv.sampleBytes) {
+      this._start();
+    }
+  }
+
+  /**
+   * Flush the last record
+   */
+  end() {
+    if (!this.ready) this._start();
+    if (this.decoder) this._consume(this._decode(null));
+    if (this.state === QUOTED) {
+      this._error('unterminated_quote', 'Quoted field is never closed', this.fieldStartLine);
+    }
+    if (this.inRecord) this._endRecord();
+  }
+
+  /**
+   * What was detected (or given)
+   */
+  info() {
+    return {
+      encoding: this.encoding,
+      delimiter: this.delimiter,
+      bom: this.bom,
+      records: this.records
+    };
+  }
+
+  /**
+   * Parse a whole string synchronously
+   * @returns {{ records: Object[], info: Object }}
+   */
+  static parseString(text, options = {}) {
+    const records = [];
+    const parser = new CsvParser({ ...options, onRecord: record => records.push(record) });
+    parser.write(text);
+    parser.end();
+    return { records, info: parser.info() };
+  }
+
+  /**
+   * Detect encoding and delimiter from the buffered head, then parse it
+   * @private
+   */
+  _start() {
+    this.ready = true;
+    let text;
+    if (this.head.every(chunk => typeof chunk === 'string')) {
+      text = this.head.join('');
+      this.encoding = this.encoding || 'utf-8';
+      if (text.charCodeAt(0) === 0xfeff) {
+        text = text.slice(1);
+        this.bom = true;
+      }
+    } else {
+      const bytes = Buffer.concat(this.head.map(chunk => (typeof chunk === 'string' ? Buffer.from(chunk) : chunk)));
+      const detected = CsvParser.detectEncoding(bytes);
+      this.bom = detected.bom;
+      this.checkUtf8 = !this.encoding && detected.encoding === 'utf-8' && !detected.bom;
+      this.encoding = this.encoding || detected.encoding;
+      // TextDecoder drops a BOM matching its encoding
+      this.decoder = new TextDecoder(this.encoding, { fatal: this.checkUtf8 });
+      text = this._decode(bytes);
+    }
+    this.head = null;
+
+    const sep = /^sep=(.)\r?\n/i.exec(text);
+    if (sep) {
+      this.delimiter = this.delimiter || sep[1];
+      text = text.slice(sep[0].length);
+      this.line++;
+    }
+    this.delimiter = this.delimiter || CsvParser.detectDelimiter(text);
+    this._consume(text);
+  }
+
+  /**
+   * Decode a chunk (null flushes the decoder). Detected UTF-8 is decoded strictly: at the first
+   * invalid sequence the parser switches to the fallback encoding and decodes that chunk again,
+   * with the bytes of an unfinished character the decoder held from the chunk before.
+   * @private
+   */
+  _decode(bytes) {
+    if (!this.checkUtf8) {
+      return bytes ? this.decoder.decode(bytes, { stream: true }) : this.decoder.decode();
+    }
+    try {
+      const text = bytes ? this.decoder.decode(bytes, { stream: true }) : this.decoder.decode();
+      this.pendingBytes = bytes ? CsvParser._unfinishedUtf8(Buffer.concat([this.pendingBytes, bytes.subarray(-3)])) : NO_BYTES;
+      return text;
+    } catch (error) {
+      this.checkUtf8 = false;
+      this.encoding = uploadConfig.csv.fallbackEncoding;
+      this.decoder = new TextDecoder(this.encoding);
+      const rest = Buffer.concat([this.pendingBytes, bytes || NO_BYTES]);
+      this.pendingBytes = NO_BYTES;
+      return bytes ? this.decoder.decode(rest, { stream: true }) : this.decoder.decode(rest);
+    }
+  }
+
+  /**
+   * Trailing bytes of a UTF-8 character that isn't finished yet
+   * @private
+   */
+  static _unfinishedUtf8(bytes) {
+    for (let back = 1; back <= Math.min(3, bytes.length); back++) {
+      const byte = bytes[bytes.length - back];
+      if ((byte & 0xc0) === 0x80) continue; // Continuation byte
+      const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+      return length > back ? bytes.subarray(bytes.length - back) : NO_BYTES;
+    }
+    return NO_BYTES;
+  }
+
+  /**
+   * Encoding of a file's first bytes
+   * @returns {{ encoding: string, bom: boolean }}
+   */
+  static detectEncoding(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: 'utf-8', bom: true };
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: 'utf-16le', bom: true };
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: 'utf-16be', bom: true };
+    // UTF-16 without BOM: ASCII text has a zero in every other byte
+    const pairs = Math.min(bytes.length, 2000) >> 1;
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+      if (bytes[i] === 0) evenZeros++;
+      if (bytes[i + 1] === 0) oddZeros++;
+    }
+    if (pairs > 0 && oddZeros / pairs > 0.4 && evenZeros / pairs < 0.1) return { encoding: 'utf-16le', bom: false };
+    if (pairs > 0 && evenZeros / pairs > 0.4 && oddZeros / pairs < 0.1) return { encoding: 'utf-16be', bom: false };
+    try {
+      // stream: true tolerates a multi-byte character cut at the end of the sample
+      new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+      return { encoding: 'utf-8', bom: false };
+    } catch (error) {
+      return { encoding: uploadConfig.csv.fallbackEncoding, bom: false };
+    }
+  }
+
+  /**
+   * Candidate delimiter giving the most lines with the header's field count
+   */
+  static detectDelimiter(text) {
+    const candidates = uploadConfig.csv.delimiters;
+    const lines = [];
+    let counts = candidates.map(() => 0);
+    let inQuotes = false;
+    for (let i = 0; i < text.length && lines.length < DETECT_LINES; i++) {
+      const ch = text[i];
+      if (ch === QUOTE) {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        if (counts.some(count => count > 0) || lines.length) lines.push(counts);
+        counts = candidates.map(() => 0);
+      } else if (!inQuotes) {
+        const index = candidates.indexOf(ch);
+        if (index !== -1) counts[index]++;
+      }
+    }
+    // Sample without a line break: a one-line file
+    if (!lines.length && counts.some(count => count > 0)) lines.push(counts);
+    if (!lines.length) return candidates[0];
+
+    let best = candidates[0];
+    let bestScore = -1;
+    candidates.forEach((candidate, index) => {
+      const headerCount = lines[0][index];
+      if (headerCount === 0) return;
+      const consistent = lines.filter(line => line[index] === headerCount).length / lines.length;
+      const score = consistent * 1000 + Math.min(headerCount, 999);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Run decoded text through the state machine
+   * @private
+   */
+  _consume(text) {
+    const delimiter = this.delimiter;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (this.skipLF) {
+        this.skipLF = false;
+        if (ch === '\n') continue;
+      }
+      if (!this.inRecord) {
+        this.inRecord = true;
+        this.recordLine = this.line;
+      }
+      switch (this.state) {
+        case QUOTED:
+          if (ch === QUOTE) {
+            this.state = QUOTED_QUOTE;
+          } else {
+            this._countQuotedLineBreak(ch);
+            this._append(ch);
+          }
+          break;
+        case QUOTED_QUOTE:
+          if (ch === QUOTE) {
+            this._append(QUOTE);
+            this.state = QUOTED;
+          } else if (ch === delimiter) {
+            this._endField();
+          } else if (ch === '\n' || ch === '\r') {
+            this._endRecord(ch);
+          } else {
+            this._error('invalid_quote', 'Unexpected text after a closing quote');
+            this._append(ch);
+            this.state = UNQUOTED;
+          }
+          break;
+        default:
+          if (ch === delimiter) {
+            this._endField();
+          } else if (ch === '\n' || ch === '\r') {
+            this._endRecord(ch);
+          } else if (ch === QUOTE && this.state === FIELD_START) {
+            this.state = QUOTED;
+            this.fieldStartLine = this.line;
+            this.quotedCR = false;
+          } else {
+            if (ch === QUOTE) {
+              this._error('unexpected_quote', 'Quote inside an unquoted field (quote the field and double the inner quote)');
+            }
+            this._append(ch);
+            this.state = UNQUOTED;
+          }
+      }
+    }
+  }
+
+  /**
+   * Line breaks inside quoted fields still advance the line number (CRLF counts once)
+   * @private
+   */
+  _countQuotedLineBreak(ch) {
+    if (ch === '\r') {
+      this.line++;
+      this.quotedCR = true;
+    } else {
+      if (ch === '\n' && !this.quotedCR) this.line++;
+      this.quotedCR = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _append(ch) {
+    if (this.field.length < uploadConfig.csv.maxFieldLength) {
+      this.field += ch;
+    } else if (!this.fieldTruncated) {
+      this.fieldTruncated = true;
+      this._error('field_too_long', `Field longer than ${uploadConfig.csv.maxFieldLength} characters was cut`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _endField() {
+    this.fields.push(this.field);
+    this.field = '';
+    this.fieldTruncated = false;
+    this.state = FIELD_START;
+  }
+
+  /**
+   * @private
+   */
+  _endRecord(ch = null) {
+    this._endField();
+    this.records++;
+    this.onRecord({ row: this.records, line: this.recordLine, values: this.fields, errors: this.errors });
+    this.fields = [];
+    this.errors = [];
+    this.inRecord = false;
+    this.line++;
+    if (ch === '\r') this.skipLF = true;
+  }
+
+  /**
+   * @private
+   */
+  _error(code, message, line = this.line) {
+    this.errors.push({ line, column: this.fields.length + 1, code, message });
+  }
+}
+
+module.exports = CsvParser;
@@ -0,0 +1,93 @@
+/**
+ * CsvParser: quoting, line endings, delimiter and encoding detection, malformed input
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CsvParser = require('./CsvParser');
+const uploadConfig = require('../config/upload.config');
+
+const valuesOf = (text, options) => CsvParser.parseString(text, options).records.map(record => record.values);
+
+test('quoted fields keep delimiters, escaped quotes and line breaks', () => {
+  const { records } = CsvParser.parseString('a,b\r\n"x, y","he said ""hi"""\r\n"multi\nline",z\n');
+  assert.deepEqual(records.map(record => record.values), [
+    ['a', 'b'],
+    ['x, y', 'he said "hi"'],
+    ['multi\nline', 'z']
+  ]);
+  assert.deepEqual(records.map(record => record.errors), [[], [], []]);
+});
+
+test('CRLF, LF and CR all end a record, and lines are counted from the record start', () => {
+  const { records } = CsvParser.parseString('a,b\r1,2\n"3\n4",5\r\n6,7');
+  assert.deepEqual(records.map(record => record.values), [['a', 'b'], ['1', '2'], ['3\n4', '5'], ['6', '7']]);
+  assert.deepEqual(records.map(record => record.line), [1, 2, 3, 5]);
+});
+
+test('detects semicolon and tab delimiters, and an Excel sep= line', () => {
+  assert.equal(CsvParser.parseString('name;email\nAnn;a@b.co\n').info.delimiter, ';');
+  assert.equal(CsvParser.parseString('a\tb\tc\n1\t2\t3\n').info.delimiter, '\t');
+  const { records, info } = CsvParser.parseString('sep=;\na;b\n1;2');
+  assert.equal(info.delimiter, ';');
+  assert.deepEqual(records.map(record => record.values), [['a', 'b'], ['1', '2']]);
+  assert.equal(records[0].line, 2);
+});
+
+test('a given delimiter skips detection', () => {
+  assert.deepEqual(valuesOf('a;b,c\n', { delimiter: ',' }), [['a;b', 'c']]);
+});
+
+test('strips a UTF-8 BOM and reports it', () => {
+  const { records, info } = CsvParser.parseString('﻿name,email\nAnn,a@b.co\n');
+  assert.deepEqual(records[0].values, ['name', 'email']);
+  assert.equal(info.bom, true);
+});
+
+test('detects encodings from bytes', () => {
+  assert.deepEqual(CsvParser.detectEncoding(Buffer.from('﻿a', 'utf8')), { encoding: 'utf-8', bom: true });
+  assert.deepEqual(CsvParser.detectEncoding(Buffer.from('name,email', 'utf16le')), { encoding: 'utf-16le', bom: false });
+  assert.deepEqual(CsvParser.detectEncoding(Buffer.from('name,email')), { encoding: 'utf-8', bom: false });
+});
+
+test('falls back to windows-1252 for bytes that are not UTF-8', () => {
+  const { records, info } = CsvParser.parseString(Buffer.from([0x4e, 0x61, 0x6d, 0x65, 0x0a, 0x4a, 0xfc, 0x72, 0x67, 0x65, 0x6e, 0x0a]));
+  assert.equal(info.encoding, 'windows-1252');
+  assert.deepEqual(records.map(record => record.values), [['Name'], ['Jürgen']]);
+});
+
+test('records and characters split across chunks parse like one string', (t) => {
+  // Start parsing after the first chunks, so the rest arrives one byte at a time
+  const { sampleBytes } = uploadConfig.csv;
+  uploadConfig.csv.sampleBytes = 4;
+  t.after(() => { uploadConfig.csv.sampleBytes = sampleBytes; });
+  const text = 'name,notes\n"Ann ""A"" Lee","one,\r\ntwo"\nJürgen,x\r\n';
+  const records = [];
+  const parser = new CsvParser({ onRecord: record => records.push(record.values) });
+  Buffer.from(text).forEach(byte => parser.write(Buffer.from([byte])));
+  parser.end();
+  assert.deepEqual(records, [['name', 'notes'], ['Ann "A" Lee', 'one,\r\ntwo'], ['Jürgen', 'x']]);
+});
+
+test('switches to windows-1252 at non-UTF-8 bytes after the detection sample', (t) => {
+  const { sampleBytes } = uploadConfig.csv;
+  uploadConfig.csv.sampleBytes = 8;
+  t.after(() => { uploadConfig.csv.sampleBytes = sampleBytes; });
+  const records = [];
+  const parser = new CsvParser({ onRecord: record => records.push(record.values) });
+  // é (0xe9) opens a UTF-8 sequence that the next chunk doesn't finish
+  [Buffer.from('name,city\nAnn,Paris\n'), Buffer.from([0x52, 0x65, 0x6e, 0xe9]), Buffer.from(',J\xfc\n', 'latin1')]
+    .forEach(chunk => parser.write(chunk));
+  parser.end();
+  assert.equal(parser.info().encoding, 'windows-1252');
+  assert.deepEqual(records, [['name', 'city'], ['Ann', 'Paris'], ['René', 'Jü']]);
+});
+
+test('keeps malformed quoting as read and reports where it is', () => {
+  const unterminated = CsvParser.parseString('a,b\n"open,1\n').records[1];
+  assert.deepEqual(unterminated.values, ['open,1\n']);
+  assert.deepEqual(unterminated.errors, [{ line: 2, column: 1, code: 'unterminated_quote', message: 'Quoted field is never closed' }]);
+
+  const stray = CsvParser.parseString('a,b\n"x"y,2\n').records[1];
+  assert.deepEqual(stray.values, ['xy', '2']);
+  assert.equal(stray.errors[0].code, 'invalid_quote');
+});
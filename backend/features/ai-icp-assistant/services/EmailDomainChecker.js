@@ -0,0 +1,216 @@
+/**
+ * Email Domain Checker
+ *
+ * Checks lead emails before sending reputation is spent on them (config/emailCheck.config.js):
+ * - syntax (isValidSyntax)
+ * - disposable domains (validation.config email_disposable)
+ * - catch-all: domains listed as accepting every address, or whose MX hosts are gateways that
+ *   accept every recipient
+ * - MX records through a DNS resolver, when mx.enabled (or the caller) asks for it
+ *
+ * Each email gets { status, reason, domain, mx }:
+ *   status  deliverable | risky (catch-all) | undeliverable | unknown (lookup failed)
+ *   mx      found | none | not_found | error | skipped
+ * Resolvers are objects with resolveMx(domain) → [{ exchange, priority }] that throw errors with
+ * Node's DNS codes (ENOTFOUND, ENODATA); registerResolver() swaps one in, e.g. a stub in tests.
+ */
+const dns = require('dns');
+const emailCheckConfig = require('../config/emailCheck.config');
+const validationConfig = require('../config/validation.config');
+const logger = require('../utils/logger');
+
+const LOCAL_PART_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+const resolverFactories = {
+  system: () => {
+    const resolver = new dns.promises.Resolver({ timeout: emailCheckConfig.mx.timeoutMs, tries: 1 });
+    if (emailCheckConfig.mx.servers) resolver.setServers(emailCheckConfig.mx.servers);
+    return resolver;
+  }
+};
+const resolvers = new Map();
+// Domain → { mx, hosts, expiresAt }
+const mxCache = new Map();
+
+const matchesDomain = (domain, listed) => domain === listed || domain.endsWith(`.${listed}`);
+
+class EmailDomainChecker {
+  /**
+   * Register a resolver (or replace the system one, e.g. with a stub in tests)
+   * @param {string} name - Resolver name used in config (mx.resolver)
+   * @param {Object|Function} resolverOrFactory - Object with resolveMx(domain), or a factory returning one
+   */
+  static registerResolver(name, resolverOrFactory) {
+    resolverFactories[name] = typeof resolverOrFactory === 'function'
+      ? resolverOrFactory
+      : () => resolverOrFactory;
+    resolvers.delete(name);
+    mxCache.clear();
+  }
+
+  /**
+   * Resolver in use (mx.resolver, falling back to the system resolver)
+   */
+  static getResolver(name = emailCheckConfig.mx.resolver) {
+    if (!resolverFactories[name]) {
+      logger.warn(`[EmailDomainChecker] Unknown resolver "${name}", using system`);
+      return this.getResolver('system');
+    }
+    if (!resolvers.has(name)) resolvers.set(name, resolverFactories[name]());
+    return resolvers.get(name);
+  }
+
+  /**
+   * Email syntax: dot-atom local part (64 characters at most), a domain of valid labels and an
+   * alphabetic (or IDN) top-level domain
+   */
+  static isValidSyntax(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+    const at = email.lastIndexOf('@');
+    if (at < 1) return false;
+    const local = email.slice(0, at);
+    const labels = email.slice(at + 1).split('.');
+    const tld = labels[labels.length - 1];
+    return local.length <= 64 &&
+      LOCAL_PART_PATTERN.test(local) &&
+      labels.length >= 2 &&
+      labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) &&
+      (/^[a-z]{2,63}$/i.test(tld) || /^xn--[a-z0-9-]+$/i.test(tld));
+  }
+
+  /**
+   * Listed domain the email domain is (or is a subdomain of), or null
+   */
+  static matchDomain(domain, domains) {
+    return domains.find(listed => matchesDomain(domain, listed)) || null;
+  }
+
+  /**
+   * Offline checks of one email (syntax, disposable and listed catch-all domains)
+   * @param {Object} options - { disposableDomains (default: validation.config list) }
+   * @returns {Object} { status, reason, domain, mx: 'skipped' }
+   */
+  static checkOffline(email, options = {}) {
+    const value = String(email || '').trim().toLowerCase();
+    if (!this.isValidSyntax(value)) {
+      return { status: 'undeliverable', reason: 'invalid_syntax', domain: null, mx: 'skipped' };
+    }
+    const domain = value.split('@').pop();
+    const disposableDomains = options.disposableDomains || validationConfig.rules.email_disposable.domains;
+    if (this.matchDomain(domain, disposableDomains)) {
+      return { status: 'undeliverable', reason: 'disposable_domain', domain, mx: 'skipped' };
+    }
+    if (this.matchDomain(domain, emailCheckConfig.catchAll.domains)) {
+      return { status: 'risky', reason: 'catch_all', domain, mx: 'skipped' };
+    }
+    return { status: 'deliverable', reason: null, domain, mx: 'skipped' };
+  }
+
+  /**
+   * MX lookup of a domain (cached)
+   * @returns {Promise<{ mx: 'found' | 'none' | 'not_found' | 'error', hosts: string[] }>}
+   */
+  static async lookupMx(domain) {
+    const cached = mxCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) return cached;
+    let result;
+    try {
+      const records = await this.getResolver().resolveMx(domain);
+      // Null MX ("." / "") declares that the domain takes no mail (RFC 7505)
+      const hosts = (records || [])
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => String(record.exchange || '').toLowerCase().replace(/\.$/, ''))
+        .filter(Boolean);
+      result = { mx: hosts.length ? 'found' : 'none', hosts };
+    } catch (error) {
+      if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+        result = { mx: error.code === 'ENOTFOUND' ? 'not_found' : 'none', hosts: [] };
+      } else {
+        logger.debug('[EmailDomainChecker] MX lookup failed', { domain, code: error.code, error: error.message });
+        // Failures aren't cached, so the next check retries
+        return { mx: 'error', hosts: [] };
+      }
+    }
+    mxCache.set(domain, { ...result, expiresAt: Date.now() + emailCheckConfig.mx.cacheTtlMinutes * 60 * 1000 });
+    return result;
+  }
+
+  /**
+   * Check the emails of a list of leads
+   * @param {Object[]} leads - Leads (normalised, so emails are lower-case)
+   * @param {Object} options - { mx (default config), disposableDomains }
+   * @returns {Promise<{ leads: Object[], stats: Object }>} Copies of the leads with an email, with
+   *   email_check = { status, reason, domain, mx }; stats: { checked, deliverable, risky,
+   *   undeliverable, unknown, reasons, mx: 'checked' | 'skipped', domains }
+   */
+  static async checkLeads(leads, options = {}) {
+    const useMx = options.mx ?? emailCheckConfig.mx.enabled;
+    const results = leads.map(lead => (lead.email ? this.checkOffline(lead.email, options) : null));
+
+    const domains = useMx
+      ? [...new Set(results.filter(result => result && result.status !== 'undeliverable').map(result => result.domain))]
+      : [];
+    const lookups = new Map();
+    const queue = domains.slice(0, emailCheckConfig.mx.maxDomains);
+    const worker = async () => {
+      while (queue.length) {
+        const domain = queue.shift();
+        lookups.set(domain, await this.lookupMx(domain));
+      }
+    };
+    const concurrency = Math.max(1, Math.min(emailCheckConfig.mx.concurrency, queue.length));
+    if (queue.length) await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const stats = {
+      checked: 0,
+      deliverable: 0,
+      risky: 0,
+      undeliverable: 0,
+      unknown: 0,
+      reasons: {},
+      mx: useMx ? 'checked' : 'skipped',
+      domains: domains.length
+    };
+    const checked = leads.map((lead, index) => {
+      let result = results[index];
+      if (!result) return lead;
+      if (useMx && result.status !== 'undeliverable') {
+        result = this._withMx(result, lookups.get(result.domain));
+      }
+      stats.checked++;
+      stats[result.status]++;
+      if (result.reason) stats.reasons[result.reason] = (stats.reasons[result.reason] || 0) + 1;
+      return { ...lead, email_check: result };
+    });
+    return { leads: checked, stats };
+  }
+
+  /**
+   * Offline result updated with the domain's MX lookup
+   * @private
+   */
+  static _withMx(result, lookup) {
+    if (!lookup) {
+      // Past maxDomains
+      return { ...result, status: 'unknown', reason: 'mx_not_checked', mx: 'skipped' };
+    }
+    switch (lookup.mx) {
+      case 'not_found':
+        return { ...result, status: 'undeliverable', reason: 'domain_not_found', mx: lookup.mx };
+      case 'none':
+        return { ...result, status: 'undeliverable', reason: 'no_mx', mx: lookup.mx };
+      case 'error':
+        return { ...result, status: 'unknown', reason: 'mx_lookup_failed', mx: lookup.mx };
+      default: {
+        const gateway = lookup.hosts.some(host => this.matchDomain(host, emailCheckConfig.catchAll.mxHosts));
+        if (gateway && result.status === 'deliverable') {
+          return { ...result, status: 'risky', reason: 'catch_all', mx: lookup.mx };
+        }
+        return { ...result, mx: lookup.mx };
+      }
+    }
+  }
+}
+
+module.exports = EmailDomainChecker;
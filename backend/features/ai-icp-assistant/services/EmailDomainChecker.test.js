@@ -0,0 +1,94 @@
+/**
+ * EmailDomainChecker: offline checks, and the MX path with a stubbed resolver
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EmailDomainChecker = require('./EmailDomainChecker');
+
+const dnsError = (code) => Object.assign(new Error(code), { code });
+const MX = {
+  'acme.com': [{ exchange: 'mx2.acme.com.', priority: 20 }, { exchange: 'mx1.acme.com.', priority: 10 }],
+  'gateway.io': [{ exchange: 'eu-smtp-1.mimecast.com', priority: 10 }],
+  'nullmx.org': [{ exchange: '.', priority: 0 }]
+};
+const lookups = [];
+const stub = {
+  async resolveMx(domain) {
+    lookups.push(domain);
+    if (domain === 'nodata.net') throw dnsError('ENODATA');
+    if (domain === 'timeout.net') throw dnsError('ETIMEOUT');
+    if (!MX[domain]) throw dnsError('ENOTFOUND');
+    return MX[domain].map(record => ({ ...record }));
+  }
+};
+
+test.beforeEach(() => {
+  // Also clears the MX cache
+  EmailDomainChecker.registerResolver('system', stub);
+  lookups.length = 0;
+});
+
+test('checks syntax', () => {
+  assert.equal(EmailDomainChecker.isValidSyntax('ann.lee+crm@acme.co.uk'), true);
+  assert.equal(EmailDomainChecker.isValidSyntax('ann@acme'), false);
+  assert.equal(EmailDomainChecker.isValidSyntax('ann..lee@acme.com'), false);
+  assert.equal(EmailDomainChecker.isValidSyntax('@acme.com'), false);
+  assert.equal(EmailDomainChecker.isValidSyntax(`${'a'.repeat(65)}@acme.com`), false);
+});
+
+test('offline checks: syntax and disposable domains, subdomains included', () => {
+  assert.deepEqual(EmailDomainChecker.checkOffline('nope'), { status: 'undeliverable', reason: 'invalid_syntax', domain: null, mx: 'skipped' });
+  assert.deepEqual(EmailDomainChecker.checkOffline('x@mail.mailinator.com'), { status: 'undeliverable', reason: 'disposable_domain', domain: 'mail.mailinator.com', mx: 'skipped' });
+  assert.deepEqual(EmailDomainChecker.checkOffline(' Ann@Acme.com '), { status: 'deliverable', reason: null, domain: 'acme.com', mx: 'skipped' });
+});
+
+test('looks up MX hosts in priority order and caches them', async () => {
+  assert.deepEqual(await EmailDomainChecker.lookupMx('acme.com'), { mx: 'found', hosts: ['mx1.acme.com', 'mx2.acme.com'] });
+  await EmailDomainChecker.lookupMx('acme.com');
+  assert.deepEqual(lookups, ['acme.com']);
+});
+
+test('maps DNS answers and errors to MX results; failures are not cached', async () => {
+  assert.equal((await EmailDomainChecker.lookupMx('nullmx.org')).mx, 'none');
+  assert.equal((await EmailDomainChecker.lookupMx('nodata.net')).mx, 'none');
+  assert.equal((await EmailDomainChecker.lookupMx('missing.example')).mx, 'not_found');
+  assert.equal((await EmailDomainChecker.lookupMx('timeout.net')).mx, 'error');
+  await EmailDomainChecker.lookupMx('timeout.net');
+  assert.equal(lookups.filter(domain => domain === 'timeout.net').length, 2);
+});
+
+test('checkLeads with MX: one lookup per domain, results per email', async () => {
+  const leads = [
+    { email: 'ann@acme.com' },
+    { email: 'bob@acme.com' },
+    { email: 'cy@gateway.io' },
+    { email: 'di@missing.example' },
+    { email: 'ed@nullmx.org' },
+    { email: 'fay@timeout.net' },
+    { email: 'x@mailinator.com' },
+    { full_name: 'No Email' }
+  ];
+  const { leads: checked, stats } = await EmailDomainChecker.checkLeads(leads, { mx: true });
+  assert.deepEqual(checked.map(lead => lead.email_check && [lead.email_check.status, lead.email_check.reason, lead.email_check.mx]), [
+    ['deliverable', null, 'found'],
+    ['deliverable', null, 'found'],
+    ['risky', 'catch_all', 'found'],
+    ['undeliverable', 'domain_not_found', 'not_found'],
+    ['undeliverable', 'no_mx', 'none'],
+    ['unknown', 'mx_lookup_failed', 'error'],
+    ['undeliverable', 'disposable_domain', 'skipped'],
+    undefined
+  ]);
+  // Disposable domains are not looked up
+  assert.deepEqual([...lookups].sort(), ['acme.com', 'gateway.io', 'missing.example', 'nullmx.org', 'timeout.net']);
+  assert.equal(stats.checked, 7);
+  assert.equal(stats.mx, 'checked');
+  assert.deepEqual(stats.reasons, { catch_all: 1, domain_not_found: 1, no_mx: 1, mx_lookup_failed: 1, disposable_domain: 1 });
+});
+
+test('checkLeads without MX stays offline', async () => {
+  const { leads: checked, stats } = await EmailDomainChecker.checkLeads([{ email: 'ann@acme.com' }], { mx: false });
+  assert.deepEqual(checked[0].email_check, { status: 'deliverable', reason: null, domain: 'acme.com', mx: 'skipped' });
+  assert.equal(stats.mx, 'skipped');
+  assert.deepEqual(lookups, []);
+});
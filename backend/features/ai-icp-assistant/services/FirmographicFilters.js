@@ -0,0 +1,297 @@
+/**
+ * Firmographic Filters
+ *
+ * Normalises company filters from chat ("50-200 employees", "over $10M revenue",
+ * "Series A or B", "founded after 2015", "uses HubSpot") into the Apollo-compatible
+ * buckets in config/firmographics.config.js.
+ *
+ * Targeting fields:
+ *   employee_ranges - ["51,100", "101,200"]   (organization_num_employees_ranges)
+ *   revenue_ranges  - ["10000000,50000000"]   (revenue_range buckets, USD)
+ *   funding_stages  - ["series_a"]            (keys of fundingStages; apolloCode for the API)
+ *   founded_year    - ["2015,"]               (one "min,max" year range)
+ *   technologies    - ["hubspot"]             (Apollo technology uids)
+ */
+const firmographicsConfig = require('../config/firmographics.config');
+
+const FIELDS = ['employee_ranges', 'revenue_ranges', 'funding_stages', 'founded_year', 'technologies'];
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+const AMOUNT = '\\$?\\s*(\\d+(?:[.,]\\d+)?)\\s*(k|thousand|mm|m|million|bn|b|billion)?\\b';
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const unique = (values) => [...new Set(values)];
+
+const parseRange = (range) => {
+  const [min, max] = String(range).split(',');
+  return { min: min === '' ? null : Number(min), max: max === '' || max === undefined ? null : Number(max) };
+};
+
+const parseAmount = (digits, unit) => {
+  const value = parseFloat(String(digits).replace(/,(?=\d{3}\b)/g, '').replace(',', '.'));
+  return unit ? value * MULTIPLIERS[unit.toLowerCase()] : value;
+};
+
+const formatCount = (n) => Number(n).toLocaleString('en-US');
+
+const formatMoney = (n) => {
+  if (n >= 1e9) return `$${+(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `$${+(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `$${+(n / 1e3).toFixed(1)}K`;
+  return `$${n}`;
+};
+
+class FirmographicFilters {
+  /**
+   * Parse "50-200", "between 10M and 50M", "over 1000", "under $5M", "500+" or "200" into { min, max }
+   * @returns {Object|null} Bounds (null side = open-ended) or null if no number was found
+   */
+  static parseBounds(text) {
+    const value = String(text).toLowerCase().trim();
+    if (/^\d*,\d*$/.test(value)) return parseRange(value);
+
+    const between = value.match(new RegExp(`(?:between\\s+)?${AMOUNT}\\s*(?:-|–|to|and)\\s*${AMOUNT}`, 'i'));
+    if (between) {
+      // "10-50M": the unit of the upper bound applies to both
+      const unit = between[2] || between[4];
+      return { min: parseAmount(between[1], unit), max: parseAmount(between[3], between[4]) };
+    }
+    const above = value.match(new RegExp(`(over|more than|above|greater than|bigger than|larger than|at least|min(?:imum)?|>=?)\\s*${AMOUNT}`, 'i'));
+    if (above) {
+      const amount = parseAmount(above[2], above[3]);
+      return { min: /at least|min|>=/.test(above[1]) ? amount : amount + 1, max: null };
+    }
+    const plus = value.match(new RegExp(`${AMOUNT}\\s*\\+`, 'i'));
+    if (plus) return { min: parseAmount(plus[1], plus[2]), max: null };
+    const below = value.match(new RegExp(`(under|less than|below|fewer than|smaller than|up to|at most|max(?:imum)?|<=?)\\s*${AMOUNT}`, 'i'));
+    if (below) {
+      const amount = parseAmount(below[2], below[3]);
+      return { min: null, max: /up to|at most|max|<=/.test(below[1]) ? amount : amount - 1 };
+    }
+    const single = value.match(new RegExp(AMOUNT, 'i'));
+    if (single) {
+      const amount = parseAmount(single[1], single[2]);
+      return { min: amount, max: amount };
+    }
+    return null;
+  }
+
+  /**
+   * Bucket ranges ("min,max") overlapping the bounds.
+   * Touching edges do not count ("50-200" does not pick "21,50"), except for a single value.
+   */
+  static bucketsFor(bounds, ranges) {
+    if (!bounds) return [];
+    const point = bounds.min !== null && bounds.min === bounds.max;
+    return ranges.filter(range => {
+      const bucket = parseRange(range);
+      if (point) {
+        return (bucket.min === null || bucket.min <= bounds.min) && (bucket.max === null || bucket.max >= bounds.min);
+      }
+      const startsBeforeMax = bounds.max === null || bucket.min === null || bucket.min < bounds.max;
+      const endsAfterMin = bounds.min === null || bucket.max === null || bucket.max > bounds.min;
+      return startsBeforeMax && endsAfterMin;
+    });
+  }
+
+  static normalizeEmployeeRanges(values) {
+    const { employeeRanges, companySizeWords } = firmographicsConfig;
+    return unique(toList(values).flatMap(value => {
+      const text = String(value).toLowerCase().trim();
+      if (employeeRanges.includes(text)) return [text];
+      const sizeWord = Object.keys(companySizeWords)
+        .sort((a, b) => b.length - a.length)
+        .find(word => new RegExp(`\\b${word}\\b`).test(text));
+      const bounds = this.parseBounds(text) || (sizeWord ? parseRange(companySizeWords[sizeWord]) : null);
+      return this.bucketsFor(bounds, employeeRanges);
+    })).sort((a, b) => employeeRanges.indexOf(a) - employeeRanges.indexOf(b));
+  }
+
+  static normalizeRevenueRanges(values) {
+    const ranges = firmographicsConfig.revenueRanges.map(r => r.range);
+    return unique(toList(values).flatMap(value => {
+      const text = String(value).toLowerCase().trim();
+      const known = firmographicsConfig.revenueRanges.find(r => r.range === text || r.label.toLowerCase() === text);
+      if (known) return [known.range];
+      // Revenue is in dollars: a bare "10" in "10-50 million" was handled by parseBounds; bare small numbers mean millions
+      const bounds = this.parseBounds(text);
+      if (bounds && !/(k|thousand|m|mm|million|b|bn|billion)\b/.test(text)) {
+        ['min', 'max'].forEach(side => {
+          if (bounds[side] !== null && bounds[side] < 10000) bounds[side] *= 1e6;
+        });
+      }
+      return this.bucketsFor(bounds, ranges);
+    })).sort((a, b) => ranges.indexOf(a) - ranges.indexOf(b));
+  }
+
+  static normalizeFundingStages(values) {
+    const { fundingStages, fundingStageGroups } = firmographicsConfig;
+    return unique(toList(values).flatMap(value => {
+      const text = String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+      if (fundingStageGroups[text]) return fundingStageGroups[text];
+      // "series a, b or c"
+      const series = text.match(/\bseries\s+([a-f](?:\s*(?:,|and|or|&|\/)\s*[a-f]\b)*)/);
+      const seriesKeys = series ? series[1].split(/\s*(?:,|and|or|&|\/)\s*/).filter(Boolean).map(letter => `series_${letter}`) : [];
+      const stages = fundingStages.filter(stage => stage.key === text ||
+        stage.aliases.some(alias => new RegExp(`\\b${alias.replace(/[-+]/g, '\\$&')}\\b`).test(text)));
+      return unique([...seriesKeys, ...stages.map(stage => stage.key)]);
+    }));
+  }
+
+  /**
+   * "after 2015", "before 2000", "2010-2015", "less than 5 years old" → one "min,max" year range
+   */
+  static normalizeFoundedYear(values) {
+    const currentYear = new Date().getFullYear();
+    for (const value of toList(values)) {
+      const text = String(value).toLowerCase().trim();
+      if (/^(\d{4})?,(\d{4})?$/.test(text) && text !== ',') return [text];
+      const age = text.match(/(less than|under|younger than|newer than|more than|over|older than)\s*(\d+)\s*years?/);
+      if (age) {
+        const year = currentYear - parseInt(age[2], 10);
+        return [/less|under|younger|newer/.test(age[1]) ? `${year},` : `,${year}`];
+      }
+      const years = (text.match(/\b(?:18|19|20)\d{2}\b/g) || []).map(Number);
+      if (years.length >= 2) return [`${Math.min(...years)},${Math.max(...years)}`];
+      if (years.length === 1) {
+        const [year] = years;
+        if (/\b(after|since|from|later than|newer than)\b/.test(text)) return [`${/after|later than|newer than/.test(text) ? year + 1 : year},`];
+        if (/\b(before|prior to|until|earlier than|older than)\b/.test(text)) return [`,${/before|prior|earlier|older/.test(text) ? year - 1 : year}`];
+        return [`${year},${year}`];
+      }
+    }
+    return [];
+  }
+
+  static normalizeTechnologies(values) {
+    const { technologyAliases } = firmographicsConfig;
+    return unique(toList(values).map(value => {
+      const text = String(value).toLowerCase().trim();
+      return technologyAliases[text] || text.replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }).filter(Boolean));
+  }
+
+  /**
+   * Normalise the values of one firmographic field (other fields are returned unchanged)
+   */
+  static normalizeField(field, values) {
+    switch (field) {
+      case 'employee_ranges': return this.normalizeEmployeeRanges(values);
+      case 'revenue_ranges': return this.normalizeRevenueRanges(values);
+      case 'funding_stages': return this.normalizeFundingStages(values);
+      case 'founded_year': return this.normalizeFoundedYear(values);
+      case 'technologies': return this.normalizeTechnologies(values);
+      default: return toList(values);
+    }
+  }
+
+  /**
+   * Normalise every firmographic field present on a targeting object
+   */
+  static normalize(targeting) {
+    if (!targeting) return targeting;
+    const normalized = { ...targeting };
+    FIELDS.forEach(field => {
+      if (normalized[field] !== undefined && normalized[field] !== null) {
+        normalized[field] = this.normalizeField(field, normalized[field]);
+      }
+    });
+    if (normalized.excluded_technologies) {
+      normalized.excluded_technologies = this.normalizeTechnologies(normalized.excluded_technologies);
+    }
+    return normalized;
+  }
+
+  /**
+   * Firmographic field a free-text value most likely belongs to (null if none).
+   * Words that are also job titles ("Head of Sales", "VP People", "Angel investors") only count
+   * with numeric or currency context ("over $10M sales", "500+ staff") or when the whole value
+   * is a funding stage ("angel", "Series A or B rounds").
+   */
+  static detectField(value) {
+    const text = String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+    const { companySizeWords, fundingStages, fundingStageGroups } = firmographicsConfig;
+    const numeric = /\d/.test(text);
+    const amount = /[$€£]\s*\d/.test(text) || /\d\s*(k|thousand|mm|m|million|bn|b|billion)\b/.test(text);
+    if ((numeric && /\b(employees?|staff|headcount|people|fte)\b/.test(text)) ||
+      Object.keys(companySizeWords).some(word => new RegExp(`\\b${word}\\b`).test(text))) return 'employee_ranges';
+    if (numeric && (amount || /\b(revenue|arr|turnover|sales)\b/.test(text))) return 'revenue_ranges';
+    if (fundingStageGroups[text]) return 'funding_stages';
+    const rest = fundingStages
+      .flatMap(stage => stage.aliases)
+      .sort((a, b) => b.length - a.length)
+      .reduce((remaining, alias) => remaining.replace(new RegExp(`\\b${alias.replace(/[-+]/g, '\\$&')}\\b`, 'g'), ' '), text)
+      .replace(/\b(series|rounds?|funding|funded|stages?|backed|companies|startups|or|and)\b|\b[a-f]\b|[,&/+]/g, ' ')
+      .trim();
+    if (!rest && rest !== text) return 'funding_stages';
+    if (numeric && /\bfounded\b|\byears? old\b|\bestablished\b/.test(text)) return 'founded_year';
+    return null;
+  }
+
+  /**
+   * Readable label for a normalised value ("51,100" → "51-100 employees")
+   */
+  static label(field, value) {
+    const { min, max } = parseRange(value);
+    switch (field) {
+      case 'employee_ranges':
+        return max === null ? `${formatCount(min)}+ employees` : `${formatCount(min)}-${formatCount(max)} employees`;
+      case 'revenue_ranges': {
+        const bucket = firmographicsConfig.revenueRanges.find(r => r.range === value);
+        return bucket ? `${bucket.label} revenue` : value;
+      }
+      case 'funding_stages':
+        return firmographicsConfig.fundingStages.find(stage => stage.key === value)?.label || value;
+      case 'founded_year':
+        if (min !== null && max !== null) return min === max ? `founded in ${min}` : `founded ${min}-${max}`;
+        return min !== null ? `founded ${min} or later` : `founded ${max} or earlier`;
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Readable labels for a field's values, merging adjacent buckets
+   * (["51,100", "101,200"] → ["51-200 employees"], revenue 10M..1B+ → ["$10M+ revenue"])
+   */
+  static summarize(field, values) {
+    const list = toList(values);
+    if (field !== 'employee_ranges' && field !== 'revenue_ranges') return list.map(value => this.label(field, value));
+    // Employee buckets are inclusive integers (…,100 then 101,…); revenue buckets share their edge
+    const gap = field === 'employee_ranges' ? 1 : 0;
+    const merged = [];
+    list.map(parseRange)
+      .sort((a, b) => (a.min || 0) - (b.min || 0))
+      .forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && last.max !== null && range.min !== null && range.min <= last.max + gap) {
+          last.max = range.max === null ? null : Math.max(last.max, range.max);
+        } else {
+          merged.push({ ...range });
+        }
+      });
+    return merged.map(({ min, max }) => {
+      if (field === 'employee_ranges') return this.label(field, `${min},${max === null ? '' : max}`);
+      if (max === null) return `${formatMoney(min)}+ revenue`;
+      if (!min) return `<${formatMoney(max)} revenue`;
+      return `${formatMoney(min)}-${formatMoney(max)} revenue`;
+    });
+  }
+
+  /**
+   * Apollo funding stage codes for funding_stages keys
+   */
+  static fundingStageCodes(keys) {
+    return toList(keys)
+      .map(key => firmographicsConfig.fundingStages.find(stage => stage.key === key)?.apolloCode)
+      .filter(code => code !== undefined);
+  }
+}
+
+FirmographicFilters.FIELDS = FIELDS;
+
+module.exports = FirmographicFilters;
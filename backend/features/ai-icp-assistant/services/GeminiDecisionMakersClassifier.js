@@ -5,12 +5,14 @@
 // Silent logger (console logs removed for production)
 const logger = {
   info: () => {},
+  warn: () => {},
   error: () => {}
 };
+const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
+const TaxonomyService = require('./TaxonomyService');
 class GeminiDecisionMakersClassifier {
   constructor() {
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-    this.geminiEndpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
     this.systemPrompt = `You are a job title classification expert that helps identify and standardize decision maker roles. Your goal is to analyze user input about target decision makers and return the most accurate, standardized job title.
 ## Job Title Format
 Use proper spelling and standard formatting for all roles:
@@ -61,37 +63,21 @@ IMPORTANT: Never mention standardization or corrections in the reasoning. Instea
   /**
    * Classify and standardize user's decision maker input using Gemini AI
    * @param {string} userInput - User's description of their target decision makers
+   * @param {Object} options - { tenantId } used to pick the LLM provider
    * @returns {Promise<Object>} Classification result with standardized roles
    */
-  async classifyDecisionMakers(userInput) {
+  async classifyDecisionMakers(userInput, options = {}) {
     try {
-      if (!this.geminiApiKey) {
+      const llmOptions = { task: llmConfig.tasks.CLASSIFY_DECISION_MAKERS, tenantId: options.tenantId };
+      if (!geminiClientService.isAvailable(llmOptions)) {
         logger.warn('[Gemini Decision Makers Classifier] API key not configured, returning fallback');
         return this._getFallbackClassification(userInput);
       }
       logger.info('[Gemini Decision Makers Classifier] Classifying decision makers', { userInput });
-      const response = await fetch(`${this.geminiEndpoint}?key=${this.geminiApiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `${this.systemPrompt}\n\nUser Input: "${userInput}"\n\nProvide your classification in JSON format.`
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 500,
-          }
-        })
-      });
-      if (!response.ok) {
-        throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
-      }
-      const data = await response.json();
-      const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      const generatedText = await geminiClientService.generateContent(
+        `${this.systemPrompt}\n\nUser Input: "${userInput}"\n\nProvide your classification in JSON format.`,
+        { ...llmOptions, temperature: 0.3, maxOutputTokens: 500 }
+      );
       if (!generatedText) {
         throw new Error('No response from Gemini');
       }
@@ -100,7 +86,7 @@ IMPORTANT: Never mention standardization or corrections in the reasoning. Instea
         .replace(/```json\n?/g, '')
         .replace(/```\n?/g, '')
         .trim();
-      const classification = JSON.parse(jsonText);
+      const classification = this._toTaxonomy(JSON.parse(jsonText), userInput);
       logger.info('[Gemini Decision Makers Classifier] Classification result', {
         primary_role: classification.primary_role,
         confidence: classification.confidence
@@ -118,44 +104,53 @@ IMPORTANT: Never mention standardization or corrections in the reasoning. Instea
       return this._getFallbackClassification(userInput);
     }
   }
+  /**
+   * Keep Gemini's answer only when it names a taxonomy role (canonical title);
+   * otherwise classify locally
+   * @private
+   */
+  _toTaxonomy(classification, userInput) {
+    const role = TaxonomyService.canonical('role', classification.primary_role);
+    if (!role) {
+      logger.warn('[Gemini Decision Makers Classifier] Role not in taxonomy, using fallback', { primary_role: classification.primary_role });
+      return this._getFallbackClassification(userInput);
+    }
+    return {
+      ...classification,
+      primary_role: role,
+      alternative_roles: TaxonomyService.members('role', classification.alternative_roles || [])
+        .filter(alternative => alternative !== role),
+      role_category: this._categorizeRole(role)
+    };
+  }
   /**
    * Get fallback classification when Gemini is unavailable
    * @private
    */
   _getFallbackClassification(userInput) {
-    // Basic role standardization without AI
-    const roleMap = {
-      'ceo': 'CEO',
-      'chief executive': 'CEO',
-      'cto': 'CTO',
-      'chief technology': 'CTO',
-      'cmo': 'CMO',
-      'chief marketing': 'CMO',
-      'cfo': 'CFO',
-      'chief financial': 'CFO',
-      'coo': 'COO',
-      'chief operating': 'COO',
-      'founder': 'Founder',
-      'cofounder': 'Co-Founder',
-      'co-founder': 'Co-Founder',
-      'vp sales': 'VP of Sales',
-      'vp marketing': 'VP of Marketing',
-      'head of sales': 'Head of Sales',
-      'head of marketing': 'Head of Marketing',
-      'sales director': 'Sales Director',
-      'marketing director': 'Marketing Director'
-    };
-    const normalized = userInput.toLowerCase().trim();
-    const matched = roleMap[normalized] || userInput;
+    const { match, confidence, alternatives } = TaxonomyService.classify('role', userInput);
+    if (!match) {
+      return {
+        success: true,
+        primary_role: null,
+        confidence: 'low',
+        reasoning: 'Tell me a little more about who makes the buying decision.',
+        alternative_roles: [],
+        original_input: userInput,
+        clarifying_question: 'Which job title should we target? For example CEO, VP of Sales or Marketing Director.',
+        role_category: this._categorizeRole(userInput),
+        isFallback: true
+      };
+    }
     return {
       success: true,
-      primary_role: matched,
-      confidence: 'high',
+      primary_role: match.value,
+      confidence,
       reasoning: `Great choice! This is a key decision maker role.`,
-      alternative_roles: [],
+      alternative_roles: alternatives,
       original_input: userInput,
-      clarifying_question: null,
-      role_category: this._categorizeRole(matched),
+      clarifying_question: confidence === 'low' ? `Did you mean ${match.value}?` : null,
+      role_category: match.category,
       isFallback: true
     };
   }
@@ -164,30 +159,7 @@ IMPORTANT: Never mention standardization or corrections in the reasoning. Instea
    * @private
    */
   _categorizeRole(role) {
-    const roleUpper = role.toUpperCase();
-    if (roleUpper.includes('CEO') || roleUpper.includes('CFO') || roleUpper.includes('CTO') || 
-        roleUpper.includes('CMO') || roleUpper.includes('COO') || roleUpper.includes('CHIEF')) {
-      return 'C-Level';
-    }
-    if (roleUpper.includes('VP') || roleUpper.includes('VICE PRESIDENT')) {
-      return 'VP-Level';
-    }
-    if (roleUpper.includes('DIRECTOR')) {
-      return 'Director';
-    }
-    if (roleUpper.includes('HEAD OF')) {
-      return 'Head';
-    }
-    if (roleUpper.includes('MANAGER')) {
-      return 'Manager';
-    }
-    if (roleUpper.includes('FOUNDER') || roleUpper.includes('CO-FOUNDER')) {
-      return 'Founder';
-    }
-    if (roleUpper.includes('OWNER')) {
-      return 'Owner';
-    }
-    return 'Other';
+    return TaxonomyService.roleCategory(role);
   }
   /**
    * Get decision maker suggestions for autocomplete (returns common roles)
@@ -195,46 +167,12 @@ IMPORTANT: Never mention standardization or corrections in the reasoning. Instea
    * @returns {Promise<Object>} Suggestions result
    */
   async getDecisionMakerSuggestions(query = '') {
-    const allRoles = [
-      'CEO',
-      'Founder',
-      'Co-Founder',
-      'CTO',
-      'CMO',
-      'CFO',
-      'COO',
-      'VP of Sales',
-      'VP of Marketing',
-      'VP of Engineering',
-      'Head of Sales',
-      'Head of Marketing',
-      'Head of Product',
-      'Sales Director',
-      'Marketing Director',
-      'Product Director',
-      'Engineering Director',
-      'Marketing Manager',
-      'Sales Manager',
-      'Product Manager',
-      'Owner',
-      'Business Owner'
-    ];
     const normalizedQuery = query.toLowerCase().trim();
-    if (!normalizedQuery) {
-      return {
-        success: true,
-        suggestions: allRoles.slice(0, 10),
-        query: ''
-      };
-    }
-    const filtered = allRoles.filter(role => 
-      role.toLowerCase().includes(normalizedQuery)
-    );
     return {
       success: true,
-      suggestions: filtered.slice(0, 10),
-      query
+      suggestions: TaxonomyService.suggest('role', normalizedQuery),
+      query: normalizedQuery ? query : ''
     };
   }
 }
-module.exports = new GeminiDecisionMakersClassifier();
\ No newline at end of file
+module.exports = new GeminiDecisionMakersClassifier();
@@ -5,48 +5,19 @@
 // Silent logger (console logs removed for production)
 const logger = {
   info: () => {},
+  warn: () => {},
   error: () => {}
 };
+const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
+const TaxonomyService = require('./TaxonomyService');
 class GeminiIndustryClassifier {
   constructor() {
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-    this.geminiEndpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+    const industryNames = TaxonomyService.list('industry').map(industry => industry.value).join(' | ');
     this.systemPrompt = `You are an industry classification expert that helps identify the exact industry category for a business. Your goal is to analyze user input about their business and return the most accurate industry name from the standardized list provided.
 ## Industry Format
-Use these exact industry names (spelling and formatting matter):
-- **Information Technology and Services** (not just "IT" or "Tech")
-- **Computer Software** (not "Software Development" or "SaaS")
-- **Marketing and Advertising** (not "Marketing Agency")
-- **Internet** (for internet-based businesses)
-- **Financial Services** (not "Finance")
-- **Hospital & Health Care** (not "Healthcare")
-- **Health, Wellness and Fitness** (for gyms, fitness centers)
-- **Retail** (for retail businesses)
-- **Real Estate** (exact phrasing)
-- **Construction** (for construction industry)
-- **Manufacturing** (for manufacturing companies)
-- **Telecommunications** (not "Telecom")
-- **Hospitality** (for hotels, restaurants, etc.)
-- **Education Management** (not "Education")
-- **Professional Services** (for consulting, legal, etc.)
-- **E-Learning** (for online education)
-- **Automotive** (for car industry)
-- **Pharmaceuticals** (not "Pharma")
-- **Banking** (separate from Financial Services)
-- **Insurance** (separate from Financial Services)
-- **Logistics and Supply Chain** (not just "Logistics")
-- **Food & Beverages** (with ampersand)
-- **Consumer Goods** (not "CPG" alone)
-- **Media & Entertainment** (with ampersand)
-- **Biotechnology** (not "Biotech")
-- **Oil & Energy** (with ampersand)
-- **Nonprofit Organization Management** (not just "Nonprofit")
-- **Government Administration** (not "Government")
-- **Legal Services** (separate from Professional Services)
-- **Architecture & Planning** (with ampersand)
-- **Civil Engineering** (separate industry)
-- **Electrical/Electronic Manufacturing** (with slash)
-- **Medical Devices** (separate from Healthcare)
+Use one of these exact industry names (spelling and formatting matter):
+${industryNames}
 ## Common Mappings
 Technology: "SaaS" → Computer Software, "IT services" → Information Technology and Services
 Marketing: "Digital marketing" → Marketing and Advertising
@@ -75,11 +46,13 @@ Respond ONLY with valid JSON (no markdown, no code blocks):
   /**
    * Classify user's industry input using Gemini AI
    * @param {string} userInput - User's description of their industry
+   * @param {Object} options - { tenantId } used to pick the LLM provider
    * @returns {Promise<Object>} Classification result
    */
-  async classifyIndustry(userInput) {
+  async classifyIndustry(userInput, options = {}) {
     try {
-      if (!this.geminiApiKey) {
+      const llmOptions = { task: llmConfig.tasks.CLASSIFY_INDUSTRY, tenantId: options.tenantId };
+      if (!geminiClientService.isAvailable(llmOptions)) {
         logger.warn('[Gemini Classifier] API key not configured, returning fallback');
         return this._getFallbackClassification(userInput);
       }
@@ -97,28 +70,10 @@ Respond ONLY with valid JSON (no markdown, no code blocks):
       }
       
       logger.info('[Gemini Classifier] Classifying industry', { userInput });
-      const response = await fetch(`${this.geminiEndpoint}?key=${this.geminiApiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `${this.systemPrompt}\n\nUser Input: "${userInput}"\n\nProvide your classification in JSON format.`
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 500,
-          }
-        })
-      });
-      if (!response.ok) {
-        throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
-      }
-      const data = await response.json();
-      const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      const generatedText = await geminiClientService.generateContent(
+        `${this.systemPrompt}\n\nUser Input: "${userInput}"\n\nProvide your classification in JSON format.`,
+        { ...llmOptions, temperature: 0.3, maxOutputTokens: 500 }
+      );
       if (!generatedText) {
         throw new Error('No response from Gemini');
       }
@@ -127,7 +82,7 @@ Respond ONLY with valid JSON (no markdown, no code blocks):
         .replace(/```json\n?/g, '')
         .replace(/```\n?/g, '')
         .trim();
-      const classification = JSON.parse(jsonText);
+      const classification = this._toTaxonomy(JSON.parse(jsonText), userInput);
       logger.info('[Gemini Classifier] Classification result', {
         apollo_industry: classification.apollo_industry,
         confidence: classification.confidence
@@ -146,158 +101,41 @@ Respond ONLY with valid JSON (no markdown, no code blocks):
   }
 
   /**
-   * Quick match for exact/common industry keywords (avoids Gemini misclassifications)
+   * Keep Gemini's answer only when it names a taxonomy industry (canonical spelling);
+   * otherwise classify locally
+   * @private
+   */
+  _toTaxonomy(classification, userInput) {
+    const industry = TaxonomyService.canonical('industry', classification.apollo_industry);
+    if (!industry) {
+      logger.warn('[Gemini Classifier] Industry not in taxonomy, using fallback', { apollo_industry: classification.apollo_industry });
+      return this._getFallbackClassification(userInput);
+    }
+    return {
+      ...classification,
+      apollo_industry: industry,
+      alternative_industries: TaxonomyService.members('industry', classification.alternative_industries || [])
+        .filter(alternative => alternative !== industry)
+    };
+  }
+
+  /**
+   * Quick match for exact industry names and synonyms (avoids Gemini misclassifications)
    * Returns early for high-confidence matches to prevent API from hallucinating
    * @private
    */
   _quickMatchIndustry(userInput) {
-    const input = userInput.toLowerCase().trim();
-    
-    // Exact single-word matches for critical industries
-    const exactMatches = {
-      'retail': { apollo_industry: 'Retail', confidence: 'high', reasoning: 'Perfect match for retail business.' },
-      'saas': { apollo_industry: 'Computer Software', confidence: 'high', reasoning: 'SaaS companies are software businesses.' },
-      'healthcare': { apollo_industry: 'Hospital & Health Care', confidence: 'high', reasoning: 'Healthcare provider.' },
-      'hospital': { apollo_industry: 'Hospital & Health Care', confidence: 'high', reasoning: 'Hospital and healthcare provider.' },
-      'hospitals': { apollo_industry: 'Hospital & Health Care', confidence: 'high', reasoning: 'Hospital and healthcare provider.' },
-      'medical': { apollo_industry: 'Hospital & Health Care', confidence: 'high', reasoning: 'Medical and healthcare services.' },
-      'clinic': { apollo_industry: 'Hospital & Health Care', confidence: 'high', reasoning: 'Medical clinic and healthcare.' },
-      'health': { apollo_industry: 'Hospital & Health Care', confidence: 'high', reasoning: 'Healthcare services.' },
-      'pharmacy': { apollo_industry: 'Pharmaceuticals', confidence: 'high', reasoning: 'Pharmacy and pharmaceutical services.' },
-      'pharmaceutical': { apollo_industry: 'Pharmaceuticals', confidence: 'high', reasoning: 'Pharmaceutical company.' },
-      'manufacturing': { apollo_industry: 'Manufacturing', confidence: 'high', reasoning: 'Manufacturing company.' },
-      'fintech': { apollo_industry: 'Financial Services', confidence: 'high', reasoning: 'Financial technology company.' },
-      'finance': { apollo_industry: 'Financial Services', confidence: 'high', reasoning: 'Financial services company.' },
-      'energy': { apollo_industry: 'Oil & Energy', confidence: 'high', reasoning: 'Energy industry company.' },
-      'oil': { apollo_industry: 'Oil & Energy', confidence: 'high', reasoning: 'Oil and energy sector.' },
-      'gas': { apollo_industry: 'Oil & Energy', confidence: 'high', reasoning: 'Gas and energy sector.' },
-      'utility': { apollo_industry: 'Oil & Energy', confidence: 'high', reasoning: 'Utilities and energy sector.' },
-      'power': { apollo_industry: 'Oil & Energy', confidence: 'high', reasoning: 'Power and energy sector.' },
-      'renewable': { apollo_industry: 'Oil & Energy', confidence: 'high', reasoning: 'Renewable energy sector.' },
-      'ecommerce': { apollo_industry: 'Retail', confidence: 'high', reasoning: 'E-commerce is retail business.' },
-      'e-commerce': { apollo_industry: 'Retail', confidence: 'high', reasoning: 'E-commerce is retail business.' },
-      'logistics': { apollo_industry: 'Logistics and Supply Chain', confidence: 'high', reasoning: 'Logistics company.' },
-      'telecom': { apollo_industry: 'Telecommunications', confidence: 'high', reasoning: 'Telecommunications company.' },
-      'telecommunications': { apollo_industry: 'Telecommunications', confidence: 'high', reasoning: 'Telecommunications company.' },
-      'insurance': { apollo_industry: 'Insurance', confidence: 'high', reasoning: 'Insurance company.' },
-      'banking': { apollo_industry: 'Banking', confidence: 'high', reasoning: 'Banking institution.' },
-      'bank': { apollo_industry: 'Banking', confidence: 'high', reasoning: 'Banking institution.' },
-      'pharma': { apollo_industry: 'Pharmaceuticals', confidence: 'high', reasoning: 'Pharmaceutical company.' },
-      'automotive': { apollo_industry: 'Automotive', confidence: 'high', reasoning: 'Automotive industry.' },
-      'car': { apollo_industry: 'Automotive', confidence: 'high', reasoning: 'Automotive industry.' },
-      'automobile': { apollo_industry: 'Automotive', confidence: 'high', reasoning: 'Automotive industry.' },
-      'hotel': { apollo_industry: 'Hospitality', confidence: 'high', reasoning: 'Hospitality business.' },
-      'hotels': { apollo_industry: 'Hospitality', confidence: 'high', reasoning: 'Hospitality business.' },
-      'restaurant': { apollo_industry: 'Hospitality', confidence: 'high', reasoning: 'Food service and hospitality.' },
-      'restaurants': { apollo_industry: 'Hospitality', confidence: 'high', reasoning: 'Food service and hospitality.' },
-      'hospitality': { apollo_industry: 'Hospitality', confidence: 'high', reasoning: 'Hospitality business.' },
-      'education': { apollo_industry: 'Education Management', confidence: 'high', reasoning: 'Education services.' },
-      'school': { apollo_industry: 'Education Management', confidence: 'high', reasoning: 'Education services.' },
-      'university': { apollo_industry: 'Higher Education', confidence: 'high', reasoning: 'Higher education institution.' },
-      'college': { apollo_industry: 'Higher Education', confidence: 'high', reasoning: 'Higher education institution.' },
-      'construction': { apollo_industry: 'Construction', confidence: 'high', reasoning: 'Construction company.' },
-      'real estate': { apollo_industry: 'Real Estate', confidence: 'high', reasoning: 'Real estate business.' },
-      'property': { apollo_industry: 'Real Estate', confidence: 'high', reasoning: 'Property and real estate.' },
-      'legal': { apollo_industry: 'Legal Services', confidence: 'high', reasoning: 'Legal services.' },
-      'law': { apollo_industry: 'Legal Services', confidence: 'high', reasoning: 'Legal services.' },
-      'lawyer': { apollo_industry: 'Legal Services', confidence: 'high', reasoning: 'Legal services.' },
-      'consulting': { apollo_industry: 'Professional Services', confidence: 'high', reasoning: 'Professional consulting services.' },
-      'professional services': { apollo_industry: 'Professional Services', confidence: 'high', reasoning: 'Professional services company.' },
-      'gym': { apollo_industry: 'Health, Wellness and Fitness', confidence: 'high', reasoning: 'Fitness and wellness business.' },
-      'fitness': { apollo_industry: 'Health, Wellness and Fitness', confidence: 'high', reasoning: 'Fitness and wellness business.' },
-      'wellness': { apollo_industry: 'Health, Wellness and Fitness', confidence: 'high', reasoning: 'Wellness and health business.' },
-      'software': { apollo_industry: 'Computer Software', confidence: 'high', reasoning: 'Software company.' },
-      'technology': { apollo_industry: 'Information Technology and Services', confidence: 'high', reasoning: 'Technology services company.' },
-      'it': { apollo_industry: 'Information Technology and Services', confidence: 'high', reasoning: 'IT services company.' },
-      'media': { apollo_industry: 'Media & Entertainment', confidence: 'high', reasoning: 'Media and entertainment company.' },
-      'entertainment': { apollo_industry: 'Media & Entertainment', confidence: 'high', reasoning: 'Entertainment industry.' },
-      'food': { apollo_industry: 'Food & Beverages', confidence: 'high', reasoning: 'Food and beverage industry.' },
-      'beverage': { apollo_industry: 'Food & Beverages', confidence: 'high', reasoning: 'Food and beverage industry.' },
-      'agriculture': { apollo_industry: 'Farming', confidence: 'high', reasoning: 'Agriculture and farming.' },
-      'farming': { apollo_industry: 'Farming', confidence: 'high', reasoning: 'Farming and agriculture.' },
-      'aviation': { apollo_industry: 'Airlines/Aviation', confidence: 'high', reasoning: 'Aviation industry.' },
-      'airline': { apollo_industry: 'Airlines/Aviation', confidence: 'high', reasoning: 'Airline industry.' },
-      'shipping': { apollo_industry: 'Maritime', confidence: 'high', reasoning: 'Maritime and shipping.' },
-      'maritime': { apollo_industry: 'Maritime', confidence: 'high', reasoning: 'Maritime industry.' },
-      'nonprofit': { apollo_industry: 'Nonprofit Organization Management', confidence: 'high', reasoning: 'Nonprofit organization.' },
-      'ngo': { apollo_industry: 'Nonprofit Organization Management', confidence: 'high', reasoning: 'Non-governmental organization.' },
-      'government': { apollo_industry: 'Government Administration', confidence: 'high', reasoning: 'Government administration.' }
-    };
-    
-    // Check exact match first
-    if (exactMatches[input]) {
-      return {
-        ...exactMatches[input],
-        alternative_industries: [],
-        isFallback: true
-      };
-    }
-    
-    // Check if input starts with or contains critical keywords
-    // This catches phrases like "hospital management", "healthcare industry", etc.
-    const criticalKeywords = [
-      // Healthcare
-      { keyword: 'hospital', industry: 'Hospital & Health Care', reasoning: 'Hospital and healthcare services.' },
-      { keyword: 'healthcare', industry: 'Hospital & Health Care', reasoning: 'Healthcare services.' },
-      { keyword: 'medical', industry: 'Hospital & Health Care', reasoning: 'Medical services.' },
-      { keyword: 'clinic', industry: 'Hospital & Health Care', reasoning: 'Medical clinic.' },
-      { keyword: 'doctor', industry: 'Hospital & Health Care', reasoning: 'Medical services.' },
-      { keyword: 'nursing', industry: 'Hospital & Health Care', reasoning: 'Healthcare and nursing.' },
-      // Retail
-      { keyword: 'retail', industry: 'Retail', reasoning: 'Retail business.' },
-      { keyword: 'ecommerce', industry: 'Retail', reasoning: 'E-commerce and retail.' },
-      { keyword: 'e-commerce', industry: 'Retail', reasoning: 'E-commerce and retail.' },
-      { keyword: 'store', industry: 'Retail', reasoning: 'Retail store.' },
-      { keyword: 'shop', industry: 'Retail', reasoning: 'Retail business.' },
-      // Hospitality
-      { keyword: 'hotel', industry: 'Hospitality', reasoning: 'Hospitality industry.' },
-      { keyword: 'restaurant', industry: 'Hospitality', reasoning: 'Restaurant and hospitality.' },
-      { keyword: 'tourism', industry: 'Hospitality', reasoning: 'Tourism and hospitality.' },
-      { keyword: 'travel', industry: 'Hospitality', reasoning: 'Travel and hospitality.' },
-      // Construction & Real Estate
-      { keyword: 'construction', industry: 'Construction', reasoning: 'Construction industry.' },
-      { keyword: 'real estate', industry: 'Real Estate', reasoning: 'Real estate business.' },
-      { keyword: 'property', industry: 'Real Estate', reasoning: 'Property and real estate.' },
-      // Education
-      { keyword: 'school', industry: 'Education Management', reasoning: 'Education services.' },
-      { keyword: 'education', industry: 'Education Management', reasoning: 'Education services.' },
-      { keyword: 'university', industry: 'Higher Education', reasoning: 'Higher education.' },
-      { keyword: 'college', industry: 'Higher Education', reasoning: 'Higher education.' },
-      // Finance
-      { keyword: 'bank', industry: 'Banking', reasoning: 'Banking institution.' },
-      { keyword: 'insurance', industry: 'Insurance', reasoning: 'Insurance services.' },
-      { keyword: 'finance', industry: 'Financial Services', reasoning: 'Financial services.' },
-      // Manufacturing
-      { keyword: 'manufacturing', industry: 'Manufacturing', reasoning: 'Manufacturing company.' },
-      { keyword: 'factory', industry: 'Manufacturing', reasoning: 'Manufacturing and factory.' },
-      // Energy
-      { keyword: 'oil', industry: 'Oil & Energy', reasoning: 'Oil and energy sector.' },
-      { keyword: 'energy', industry: 'Oil & Energy', reasoning: 'Energy sector.' },
-      { keyword: 'petroleum', industry: 'Oil & Energy', reasoning: 'Petroleum and energy.' },
-      // Logistics
-      { keyword: 'logistics', industry: 'Logistics and Supply Chain', reasoning: 'Logistics company.' },
-      { keyword: 'supply chain', industry: 'Logistics and Supply Chain', reasoning: 'Supply chain and logistics.' },
-      { keyword: 'transport', industry: 'Logistics and Supply Chain', reasoning: 'Transportation and logistics.' },
-      // Legal
-      { keyword: 'law', industry: 'Legal Services', reasoning: 'Legal services.' },
-      { keyword: 'legal', industry: 'Legal Services', reasoning: 'Legal services.' },
-      { keyword: 'lawyer', industry: 'Legal Services', reasoning: 'Legal services.' },
-      { keyword: 'attorney', industry: 'Legal Services', reasoning: 'Legal services.' }
-    ];
-    
-    for (const { keyword, industry, reasoning } of criticalKeywords) {
-      if (input.includes(keyword)) {
-        return {
-          apollo_industry: industry,
-          confidence: 'high',
-          reasoning: reasoning,
-          alternative_industries: [],
-          isFallback: true
-        };
-      }
+    const { match, confidence, alternatives } = TaxonomyService.classify('industry', userInput);
+    if (!match || confidence !== 'high') {
+      return null; // No quick match, proceed with Gemini
     }
-    
-    return null; // No quick match, proceed with Gemini
+    return {
+      apollo_industry: match.value,
+      confidence: 'high',
+      reasoning: `Perfect match for the ${match.value} industry.`,
+      alternative_industries: alternatives,
+      isFallback: true
+    };
   }
 
   /**
@@ -305,194 +143,19 @@ Respond ONLY with valid JSON (no markdown, no code blocks):
    * @private
    */
   _getFallbackClassification(userInput) {
-    const input = userInput.toLowerCase();
-    // Simple keyword-based fallback
-    const fallbackMap = {
-      'software|saas|app|tech|it|ai': {
-        apollo_industry: 'Computer Software',
-        confidence: 'medium',
-        reasoning: 'This matches companies in the software and technology industry.',
-        alternative_industries: ['Information Technology and Services', 'Internet']
-      },
-      'fitness|gym|wellness|health club|exercise|training': {
-        apollo_industry: 'Health, Wellness and Fitness',
-        confidence: 'high',
-        reasoning: 'Perfect match for fitness centers, gyms, and wellness businesses.',
-        alternative_industries: ['Hospital & Health Care', 'Professional Training & Coaching']
-      },
-      'marketing|advertising|seo|digital': {
-        apollo_industry: 'Marketing and Advertising',
-        confidence: 'high',
-        reasoning: 'This fits businesses in marketing, advertising, and digital services.',
-        alternative_industries: ['Internet', 'Media & Entertainment']
-      },
-      'finance|fintech|bank|investment': {
-        apollo_industry: 'Financial Services',
-        confidence: 'high',
-        reasoning: 'This matches companies in finance and financial technology.',
-        alternative_industries: ['Banking', 'Insurance']
-      },
-      'healthcare|medical|health|hospital': {
-        apollo_industry: 'Hospital & Health Care',
-        confidence: 'high',
-        reasoning: 'This matches healthcare providers, hospitals, and medical services.',
-        alternative_industries: ['Medical Devices', 'Pharmaceuticals']
-      },
-      'retail|ecommerce|e-commerce|store|retail business|retail company': {
-        apollo_industry: 'Retail',
-        confidence: 'high',
-        reasoning: 'Perfect match for retail and e-commerce businesses selling to consumers.',
-        alternative_industries: ['Internet', 'Consumer Goods']
-      },
-      'real estate|property': {
-        apollo_industry: 'Real Estate',
-        confidence: 'high',
-        reasoning: 'Perfect match for real estate and property businesses.',
-        alternative_industries: ['Construction']
-      },
-      'education|edtech|learning|training': {
-        apollo_industry: 'E-Learning',
-        confidence: 'medium',
-        reasoning: 'This matches companies in education and online learning.',
-        alternative_industries: ['Education Management', 'Professional Training & Coaching']
-      },
-      'consulting|professional services': {
-        apollo_industry: 'Professional Services',
-        confidence: 'high',
-        reasoning: 'This fits consulting and professional service businesses.',
-        alternative_industries: ['Management Consulting', 'Business Consulting']
-      },
-      'manufacturing|manufacturing|factory|production|industrial': {
-        apollo_industry: 'Manufacturing',
-        confidence: 'high',
-        reasoning: 'This matches manufacturing and industrial production companies.',
-        alternative_industries: ['Electrical/Electronic Manufacturing', 'Automotive']
-      },
-      'construction|building|contractor|civil': {
-        apollo_industry: 'Construction',
-        confidence: 'high',
-        reasoning: 'This matches construction and building companies.',
-        alternative_industries: ['Architecture & Planning', 'Civil Engineering']
-      },
-      'legal|law firm|attorney|lawyer': {
-        apollo_industry: 'Legal Services',
-        confidence: 'high',
-        reasoning: 'This matches law firms and legal service providers.',
-        alternative_industries: ['Professional Services']
-      },
-      'automotive|car|vehicle|motor|auto': {
-        apollo_industry: 'Automotive',
-        confidence: 'high',
-        reasoning: 'This matches automotive and motor vehicle companies.',
-        alternative_industries: ['Manufacturing', 'Electrical/Electronic Manufacturing']
-      },
-      'telecom|telecommunications|phone|wireless|mobile network': {
-        apollo_industry: 'Telecommunications',
-        confidence: 'high',
-        reasoning: 'This matches telecommunications and mobile network providers.',
-        alternative_industries: ['Internet', 'Information Technology and Services']
-      },
-      'hotel|hospitality|restaurant|food|catering|cafe|bar': {
-        apollo_industry: 'Hospitality',
-        confidence: 'high',
-        reasoning: 'This matches hospitality, hotel, and food service businesses.',
-        alternative_industries: ['Food & Beverages', 'Consumer Goods']
-      },
-      'pharmaceutical|pharma|drug|medicine': {
-        apollo_industry: 'Pharmaceuticals',
-        confidence: 'high',
-        reasoning: 'This matches pharmaceutical and drug manufacturing companies.',
-        alternative_industries: ['Medical Devices', 'Hospital & Health Care']
-      },
-      'biotech|biotechnology|life science': {
-        apollo_industry: 'Biotechnology',
-        confidence: 'high',
-        reasoning: 'This matches biotechnology and life science companies.',
-        alternative_industries: ['Pharmaceuticals', 'Medical Devices']
-      },
-      'medical device|medtech|health device': {
-        apollo_industry: 'Medical Devices',
-        confidence: 'high',
-        reasoning: 'This matches medical device manufacturers and healthcare technology.',
-        alternative_industries: ['Biotechnology', 'Pharmaceuticals']
-      },
-      'insurance|insurer|claims': {
-        apollo_industry: 'Insurance',
-        confidence: 'high',
-        reasoning: 'This matches insurance and insurance service companies.',
-        alternative_industries: ['Financial Services', 'Banking']
-      },
-      'bank|banking': {
-        apollo_industry: 'Banking',
-        confidence: 'high',
-        reasoning: 'This matches banks and banking institutions.',
-        alternative_industries: ['Financial Services', 'Insurance']
-      },
-      'logistics|supply chain|shipping|warehouse|delivery': {
-        apollo_industry: 'Logistics and Supply Chain',
-        confidence: 'high',
-        reasoning: 'This matches logistics, supply chain, and shipping companies.',
-        alternative_industries: ['Transportation', 'Retail']
-      },
-      'food|beverage|drink|brewery|winery': {
-        apollo_industry: 'Food & Beverages',
-        confidence: 'high',
-        reasoning: 'This matches food and beverage companies.',
-        alternative_industries: ['Hospitality', 'Consumer Goods']
-      },
-      'consumer goods|cpg|fmcg': {
-        apollo_industry: 'Consumer Goods',
-        confidence: 'high',
-        reasoning: 'This matches consumer goods and packaged goods companies.',
-        alternative_industries: ['Retail', 'Food & Beverages']
-      },
-      'media|entertainment|film|tv|broadcast|music|publishing': {
-        apollo_industry: 'Media & Entertainment',
-        confidence: 'high',
-        reasoning: 'This matches media, entertainment, and publishing companies.',
-        alternative_industries: ['Marketing and Advertising', 'Internet']
-      },
-      'energy|oil|gas|utility|power|renewable': {
-        apollo_industry: 'Oil & Energy',
-        confidence: 'high',
-        reasoning: 'This matches oil, gas, energy, and utility companies.',
-        alternative_industries: ['Manufacturing']
-      },
-      'nonprofit|ngo|charity|non-profit': {
-        apollo_industry: 'Nonprofit Organization Management',
-        confidence: 'high',
-        reasoning: 'This matches nonprofit organizations and charities.',
-        alternative_industries: ['Government Administration']
-      },
-      'government|public sector|federal|state|local': {
-        apollo_industry: 'Government Administration',
-        confidence: 'high',
-        reasoning: 'This matches government agencies and public sector organizations.',
-        alternative_industries: ['Nonprofit Organization Management']
-      },
-      'architecture|architect|design|planning|urban': {
-        apollo_industry: 'Architecture & Planning',
-        confidence: 'high',
-        reasoning: 'This matches architecture and urban planning firms.',
-        alternative_industries: ['Construction', 'Civil Engineering']
-      },
-      'civil engineering|engineer|infrastructure': {
-        apollo_industry: 'Civil Engineering',
-        confidence: 'high',
-        reasoning: 'This matches civil engineering and infrastructure companies.',
-        alternative_industries: ['Architecture & Planning', 'Construction']
-      }
-    };
-    for (const [pattern, classification] of Object.entries(fallbackMap)) {
-      const regex = new RegExp(pattern, 'i');
-      if (regex.test(input)) {
-        return {
-          success: true,
-          ...classification,
-          clarifying_question: 'Could you provide more details about your specific industry focus for better targeting?',
-          isFallback: true
-        };
-      }
+    const { match, confidence, alternatives } = TaxonomyService.classify('industry', userInput);
+    if (match) {
+      return {
+        success: true,
+        apollo_industry: match.value,
+        confidence,
+        reasoning: `This matches companies in the ${match.value} industry.`,
+        alternative_industries: alternatives,
+        clarifying_question: confidence === 'high'
+          ? null
+          : 'Could you provide more details about your specific industry focus for better targeting?',
+        isFallback: true
+      };
     }
     // Ultimate fallback
     return {
@@ -511,43 +174,7 @@ Respond ONLY with valid JSON (no markdown, no code blocks):
    * @returns {Array<string>} List of matching Apollo industries
    */
   getSuggestedIndustries(partialInput) {
-    const apolloIndustries = [
-      'Computer Software',
-      'Information Technology and Services',
-      'Marketing and Advertising',
-      'Financial Services',
-      'Hospital & Health Care',
-      'Retail',
-      'Real Estate',
-      'Construction',
-      'Manufacturing',
-      'E-Learning',
-      'Professional Services',
-      'Internet',
-      'Telecommunications',
-      'Banking',
-      'Insurance',
-      'Pharmaceuticals',
-      'Biotechnology',
-      'Medical Devices',
-      'Legal Services',
-      'Management Consulting',
-      'Media & Entertainment',
-      'Food & Beverages',
-      'Consumer Goods',
-      'Logistics and Supply Chain',
-      'Automotive',
-      'Oil & Energy',
-      'Architecture & Planning',
-      'Hospitality',
-      'Education Management',
-      'Nonprofit Organization Management',
-      'Government Administration'
-    ];
-    const input = partialInput.toLowerCase();
-    return apolloIndustries.filter(industry =>
-      industry.toLowerCase().includes(input)
-    );
+    return TaxonomyService.suggest('industry', partialInput);
   }
 }
 module.exports = new GeminiIndustryClassifier();
@@ -5,12 +5,14 @@
 // Silent logger (console logs removed for production)
 const logger = {
   info: () => {},
+  warn: () => {},
   error: () => {}
 };
+const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
+const TaxonomyService = require('./TaxonomyService');
 class GeminiLocationClassifier {
   constructor() {
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-    this.geminiEndpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
     this.systemPrompt = `You are a location classification expert that helps identify and correct location names. Your goal is to analyze user input about target locations and return the most accurate, properly spelled location name.
 ## Location Format
 Use proper spelling and formatting for all locations:
@@ -57,37 +59,21 @@ IMPORTANT: Never mention spelling corrections or mistakes in the reasoning. Inst
   /**
    * Classify and correct user's location input using Gemini AI
    * @param {string} userInput - User's description of their target location
+   * @param {Object} options - { tenantId } used to pick the LLM provider
    * @returns {Promise<Object>} Classification result with spelling corrections
    */
-  async classifyLocation(userInput) {
+  async classifyLocation(userInput, options = {}) {
     try {
-      if (!this.geminiApiKey) {
+      const llmOptions = { task: llmConfig.tasks.CLASSIFY_LOCATION, tenantId: options.tenantId };
+      if (!geminiClientService.isAvailable(llmOptions)) {
         logger.warn('[Gemini Location Classifier] API key not configured, returning fallback');
         return this._getFallbackClassification(userInput);
       }
       logger.info('[Gemini Location Classifier] Classifying location', { userInput });
-      const response = await fetch(`${this.geminiEndpoint}?key=${this.geminiApiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `${this.systemPrompt}\n\nUser Input: "${userInput}"\n\nProvide your classification in JSON format.`
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 500,
-          }
-        })
-      });
-      if (!response.ok) {
-        throw new Error(`Gemini API error: ${response.status} ${response.statusText}`);
-      }
-      const data = await response.json();
-      const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      const generatedText = await geminiClientService.generateContent(
+        `${this.systemPrompt}\n\nUser Input: "${userInput}"\n\nProvide your classification in JSON format.`,
+        { ...llmOptions, temperature: 0.3, maxOutputTokens: 500 }
+      );
       if (!generatedText) {
         throw new Error('No response from Gemini');
       }
@@ -96,7 +82,7 @@ IMPORTANT: Never mention spelling corrections or mistakes in the reasoning. Inst
         .replace(/```json\n?/g, '')
         .replace(/```\n?/g, '')
         .trim();
-      const classification = JSON.parse(jsonText);
+      const classification = this._toTaxonomy(JSON.parse(jsonText), userInput);
       logger.info('[Gemini Location Classifier] Classification result', {
         primary_location: classification.primary_location,
         confidence: classification.confidence
@@ -114,80 +100,65 @@ IMPORTANT: Never mention spelling corrections or mistakes in the reasoning. Inst
       return this._getFallbackClassification(userInput);
     }
   }
+  /**
+   * Keep Gemini's answer only when it names a taxonomy location (canonical spelling);
+   * otherwise classify locally
+   * @private
+   */
+  _toTaxonomy(classification, userInput) {
+    const location = TaxonomyService.canonical('location', classification.primary_location);
+    if (!location) {
+      logger.warn('[Gemini Location Classifier] Location not in taxonomy, using fallback', { primary_location: classification.primary_location });
+      return this._getFallbackClassification(userInput);
+    }
+    return {
+      ...classification,
+      primary_location: location,
+      alternative_locations: TaxonomyService.members('location', classification.alternative_locations || [])
+        .filter(alternative => alternative !== location)
+    };
+  }
   /**
    * Get fallback classification when Gemini is unavailable
+   * Spelling corrections and abbreviations come from the taxonomy synonyms and fuzzy match
    * @private
    */
   _getFallbackClassification(userInput) {
-    // Basic spelling corrections without AI
-    const corrections = {
-      'usa': 'United States',
-      'us': 'United States',
-      'uk': 'United Kingdom',
-      'uae': 'United Arab Emirates',
-      'dubay': 'Dubai',
-      'bangalor': 'Bangalore',
-      'singapur': 'Singapore',
-      'londan': 'London',
-      'berln': 'Berlin',
-      'tokio': 'Tokyo',
-      'mumbi': 'Mumbai',
-      'sydny': 'Sydney'
-    };
-    const normalized = userInput.toLowerCase().trim();
-    const corrected = corrections[normalized] || userInput;
+    const { match, confidence, alternatives } = TaxonomyService.classify('location', userInput);
+    if (!match) {
+      return {
+        success: true,
+        primary_location: null,
+        confidence: 'low',
+        reasoning: 'I need a bit more detail to pinpoint this location.',
+        alternative_locations: [],
+        original_input: userInput,
+        clarifying_question: 'Which country, region or city would you like to target?',
+        isFallback: true
+      };
+    }
     return {
       success: true,
-      primary_location: corrected,
-      confidence: 'high',
+      primary_location: match.value,
+      confidence,
       reasoning: `Great! This is a popular location for targeting campaigns.`,
-      alternative_locations: [],
+      alternative_locations: alternatives,
       original_input: userInput,
-      clarifying_question: null,
+      clarifying_question: confidence === 'low' ? `Did you mean ${match.value}?` : null,
       isFallback: true
     };
   }
   /**
-   * Get location suggestions for autocomplete (returns common locations)
+   * Get location suggestions for autocomplete (countries, regions and cities)
    * @param {string} query - Search query
    * @returns {Promise<Object>} Suggestions result
    */
   async getLocationSuggestions(query = '') {
-    const allLocations = [
-      'United States',
-      'United Kingdom',
-      'United Arab Emirates',
-      'India',
-      'Singapore',
-      'Australia',
-      'Canada',
-      'Germany',
-      'France',
-      'Netherlands',
-      'China',
-      'Japan',
-      'Dubai',
-      'London',
-      'New York',
-      'San Francisco',
-      'Bangalore',
-      'Mumbai'
-    ];
     const normalizedQuery = query.toLowerCase().trim();
-    if (!normalizedQuery) {
-      return {
-        success: true,
-        suggestions: allLocations.slice(0, 10),
-        query: ''
-      };
-    }
-    const filtered = allLocations.filter(loc => 
-      loc.toLowerCase().includes(normalizedQuery)
-    );
     return {
       success: true,
-      suggestions: filtered.slice(0, 10),
-      query
+      suggestions: TaxonomyService.suggest('location', normalizedQuery),
+      query: normalizedQuery ? query : ''
     };
   }
 }
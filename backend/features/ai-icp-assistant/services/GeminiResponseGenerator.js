@@ -3,19 +3,8 @@
  * Uses Gemini API to generate natural, conversational responses
  */
 const logger = require('../utils/logger');
-let genAI = null;
-let GoogleGenerativeAI = null;
-try {
-  GoogleGenerativeAI = require('@google/generative-ai').GoogleGenerativeAI;
-  const geminiApiKey = process.env.GEMINI_API_KEY;
-  if (geminiApiKey) {
-    genAI = new GoogleGenerativeAI(geminiApiKey);
-    logger.info('Gemini AI initialized for response generation');
-  }
-} catch (error) {
-  logger.warn('Gemini AI package not found for response generation');
-  genAI = null;
-}
+const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
 class GeminiResponseGenerator {
   /**
    * Generate natural conversational response using Gemini
@@ -25,9 +14,11 @@ class GeminiResponseGenerator {
     context,
     message,
     conversationHistory = [],
-    questionType = null
+    questionType = null,
+    tenantId = null
   }) {
-    if (!genAI) {
+    const llmOptions = { task: llmConfig.tasks.RESPONSE_GENERATION, tenantId };
+    if (!geminiClientService.isAvailable(llmOptions)) {
       return this.generateFallbackResponse(stage, context, questionType);
     }
     try {
@@ -64,10 +55,8 @@ ${stageInstructions}
 - Always move the conversation forward
 - Check the conversation history - if a question was already asked and answered, skip it
 Generate your response now (just the text, no JSON, no explanations):`;
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const responseText = response.text().trim();
+      const generatedText = await geminiClientService.generateContent(prompt, { ...llmOptions, stream: true });
+      const responseText = generatedText.trim();
       // Clean up the response (remove any markdown, quotes, etc.)
       let cleanResponse = responseText
         .replace(/^["']|["']$/g, '') // Remove surrounding quotes
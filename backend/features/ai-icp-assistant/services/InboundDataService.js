@@ -4,6 +4,7 @@
  * Handles inbound lead data analysis and dynamic question generation using Gemini AI
  */
 const GeminiClient = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
 const logger = require('../utils/logger');
 class InboundDataService {
   /**
@@ -210,7 +211,7 @@ class InboundDataService {
       }
       // Try to get enhanced analysis from Gemini
       try {
-        const geminiAnalysis = await this.getGeminiAnalysis(inboundData, availablePlatforms, missingPlatforms);
+        const geminiAnalysis = await this.getGeminiAnalysis(inboundData, availablePlatforms, missingPlatforms, tenantId);
         if (geminiAnalysis.summary) {
           validationSummary = geminiAnalysis.summary;
         }
@@ -253,8 +254,9 @@ class InboundDataService {
   }
   /**
    * Get enhanced analysis from Gemini AI
+   * @param {string} tenantId - Used to pick the LLM provider
    */
-  static async getGeminiAnalysis(inboundData, availablePlatforms, missingPlatforms) {
+  static async getGeminiAnalysis(inboundData, availablePlatforms, missingPlatforms, tenantId = null) {
     const prompt = `Analyze this inbound lead data and provide a brief summary:
 Company: ${inboundData.companyName}
 Available contact methods: ${availablePlatforms.join(', ')}
@@ -270,7 +272,10 @@ Provide a JSON response with:
 3. "additionalQuestions": Array of any additional questions that might be helpful (optional)
 Response in JSON format only:`;
     try {
-      const text = await GeminiClient.generateContent(prompt);
+      const text = await GeminiClient.generateContent(prompt, {
+        task: llmConfig.tasks.INBOUND_ANALYSIS,
+        tenantId
+      });
       // Try to parse JSON from response
       const jsonMatch = text.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
@@ -3,24 +3,16 @@
  * Extracts outreach intent from user messages
  */
 const logger = require('../utils/logger');
-
-let genAI = null;
-let GoogleGenerativeAI = null;
-try {
-  GoogleGenerativeAI = require('@google/generative-ai').GoogleGenerativeAI;
-  const geminiApiKey = process.env.GEMINI_API_KEY;
-  if (geminiApiKey) {
-    genAI = new GoogleGenerativeAI(geminiApiKey);
-  }
-} catch (error) {
-  genAI = null;
-}
+const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
 class IntentExtractor {
   /**
    * Extract outreach intent from message
+   * @param {Object} options - { tenantId } used to pick the LLM provider
    */
-  static async extractOutreachIntent(message, conversationHistory, currentContext) {
-    if (!genAI) {
+  static async extractOutreachIntent(message, conversationHistory, currentContext, options = {}) {
+    const llmOptions = { task: llmConfig.tasks.INTENT_EXTRACTION, tenantId: options.tenantId };
+    if (!geminiClientService.isAvailable(llmOptions)) {
       return this.extractIntentFallback(message, currentContext);
     }
     try {
@@ -56,10 +48,8 @@ Rules:
 - Extract arrays only if explicitly mentioned
 - confidenceScore: How confident you are (0-100)
 JSON response:`;
-      const model = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const responseText = response.text().trim();
+      const generatedText = await geminiClientService.generateContent(prompt, llmOptions);
+      const responseText = generatedText.trim();
       const jsonMatch = responseText.match(/\{[\s\S]*\}/);
       if (jsonMatch) {
         const intent = JSON.parse(jsonMatch[0]);
@@ -0,0 +1,422 @@
+/**
+ * Job Queue
+ *
+ * In-process queue for long-running lead work (config/jobs.config.js). Handlers are registered
+ * per job type; enqueue() returns at once and GET /jobs/:id reports the job:
+ *   status    queued | running | succeeded | failed | cancelled
+ *   progress  0-100, with a message, as reported by the handler
+ *   result    the handler's return value (succeeded) / error (failed)
+ *
+ * Failed attempts are retried with exponential backoff up to maxAttempts; errors made with
+ * JobQueue.permanent() (bad input) and timed-out attempts fail the job at once. cancel() stops a
+ * queued job and aborts a running one through job.signal. An attempt keeps its slot until its
+ * handler returns, also after a timeout or cancel, so handlers never run past the concurrency. With persistence 'postgres' every change is written to ai_jobs
+ * (JobRepository, non-fatal), so other instances can answer for a job and status survives a
+ * restart; an unfinished job there that hasn't changed for longer than the job timeout is taken
+ * to have died with its process and reported as failed.
+ *
+ * Handlers: async (payload, job) => result, where job = { id, type, tenantId, userId, attempt,
+ * signal, progress(percent, message), throwIfCancelled() }.
+ */
+const crypto = require('crypto');
+const jobsConfig = require('../config/jobs.config');
+const { JobRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+// Type → { run, maxAttempts, timeoutMs, onSettled }
+const handlers = new Map();
+// Id → job (with payload, timers and abort controller)
+const jobs = new Map();
+// Ids of queued jobs, in order
+const waiting = [];
+let running = 0;
+let lastCleanup = 0;
+
+const persisted = () => jobsConfig.persistence === 'postgres';
+
+class JobQueue {
+  /**
+   * Register the handler of a job type
+   * @param {string} type - e.g. 'leads.analyze'
+   * @param {Function} run - async (payload, job) => result
+   * @param {Object} options - { maxAttempts, timeoutMs, onSettled(payload, job) - called whenever the
+   *   job finishes (again after a retry), e.g. to delete a temp file }
+   */
+  static registerHandler(type, run, options = {}) {
+    handlers.set(type, {
+      run,
+      maxAttempts: options.maxAttempts || jobsConfig.retry.maxAttempts,
+      timeoutMs: options.timeoutMs || jobsConfig.timeoutMs,
+      onSettled: options.onSettled || null
+    });
+  }
+
+  static hasHandler(type) {
+    return handlers.has(type);
+  }
+
+  /**
+   * Error that fails the job without retrying (invalid input, nothing to process)
+   */
+  static permanent(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {*} payload - Handler input (kept in memory only)
+   * @param {Object} options - { tenantId, userId, maxAttempts }
+   * @returns {Object} The job as GET /jobs/:id shows it
+   */
+  static enqueue(type, payload, { tenantId, userId = null, maxAttempts } = {}) {
+    const handler = handlers.get(type);
+    if (!handler) throw new Error(`Unknown job type "${type}"`);
+    this._cleanup();
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      tenantId,
+      userId,
+      status: 'queued',
+      progress: 0,
+      message: null,
+      attempts: 0,
+      maxAttempts: maxAttempts || handler.maxAttempts,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: new Date(),
+      payload,
+      controller: null,
+      // The running handler's promise, until it settles
+      attempt: null,
+      retryTimer: null,
+      lastWrite: 0,
+      writes: Promise.resolve()
+    };
+    jobs.set(job.id, job);
+    waiting.push(job.id);
+    this._persist(job);
+    logger.info('[JobQueue] Job queued', { jobId: job.id, type, tenantId });
+    setImmediate(() => this._drain());
+    return this.toJSON(job);
+  }
+
+  /**
+   * Job of a tenant, from memory or ai_jobs (null when unknown)
+   * @param {string|null} userId - Only that user's job; null for any user of the tenant
+   */
+  static async get(jobId, tenantId, userId) {
+    const job = jobs.get(jobId);
+    if (job) return this._visible(job, tenantId, userId) ? this.toJSON(job) : null;
+    if (!persisted()) return null;
+    const row = await JobRepository.findById(jobId, tenantId);
+    return row && (userId === null || row.user_id === userId) ? this._fromRow(row) : null;
+  }
+
+  /**
+   * Cancel a queued or running job of a tenant (userId as for get())
+   * @returns {Object|null} The job, or null when unknown; unchanged when already finished
+   */
+  static async cancel(jobId, tenantId, userId) {
+    const job = jobs.get(jobId);
+    if (!job || !this._visible(job, tenantId, userId)) return this.get(jobId, tenantId, userId);
+    if (FINISHED.includes(job.status)) return this.toJSON(job);
+
+    const index = waiting.indexOf(job.id);
+    if (index !== -1) waiting.splice(index, 1);
+    clearTimeout(job.retryTimer);
+    // A running handler sees job.signal aborted; its result is dropped
+    if (job.controller) job.controller.abort();
+    this._finish(job, 'cancelled', { message: 'Cancelled' });
+    return this.toJSON(job);
+  }
+
+  /**
+   * Run a failed or cancelled job again, with its attempts reset (userId as for get())
+   * @returns {Object} { job } or { error, status } (404 unknown, 409 not retryable)
+   */
+  static async retry(jobId, tenantId, userId) {
+    const job = jobs.get(jobId);
+    if (!job || !this._visible(job, tenantId, userId)) {
+      const stored = await this.get(jobId, tenantId, userId);
+      return stored
+        ? { error: 'The job input is no longer available; start a new job', status: 409 }
+        : { error: 'Job not found', status: 404 };
+    }
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      return { error: `Only failed or cancelled jobs can be retried (job is ${job.status})`, status: 409 };
+    }
+    if (job.payload === undefined) {
+      return { error: 'The job input is no longer available; start a new job', status: 409 };
+    }
+    if (job.attempt) {
+      return { error: 'The last attempt is still stopping; retry shortly', status: 409 };
+    }
+    Object.assign(job, {
+      status: 'queued',
+      progress: 0,
+      message: null,
+      attempts: 0,
+      result: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: new Date()
+    });
+    waiting.push(job.id);
+    this._persist(job);
+    setImmediate(() => this._drain());
+    return { job: this.toJSON(job) };
+  }
+
+  /**
+   * Public shape of a job
+   */
+  static toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      message: job.message,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      result: job.status === 'succeeded' ? job.result : null,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      updatedAt: job.updatedAt
+    };
+  }
+
+  /**
+   * Queue counts (for health checks)
+   */
+  static stats() {
+    const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    jobs.forEach(job => { byStatus[job.status]++; });
+    return { running, waiting: waiting.length, concurrency: jobsConfig.concurrency, jobs: byStatus };
+  }
+
+  /**
+   * Start queued jobs while there are free slots
+   * @private
+   */
+  static _drain() {
+    while (running < jobsConfig.concurrency && waiting.length) {
+      const job = jobs.get(waiting.shift());
+      if (job && job.status === 'queued') this._run(job);
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * @private
+   */
+  static async _run(job) {
+    const handler = handlers.get(job.type);
+    running++;
+    job.attempts++;
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date();
+    job.updatedAt = new Date();
+    job.controller = new AbortController();
+    const { signal } = job.controller;
+    this._persist(job);
+
+    const context = {
+      id: job.id,
+      type: job.type,
+      tenantId: job.tenantId,
+      userId: job.userId,
+      attempt: job.attempts,
+      signal,
+      progress: (percent, message) => this._progress(job, signal, percent, message),
+      throwIfCancelled: () => {
+        if (signal.aborted) throw new Error('Job cancelled');
+      }
+    };
+
+    job.attempt = Promise.resolve().then(() => handler.run(job.payload, context));
+    let timer = null;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          job.controller.abort();
+          // The handler only stops at its next checkpoint; a retry could run alongside it
+          reject(this.permanent(`Job timed out after ${Math.round(handler.timeoutMs / 1000)}s`));
+        }, handler.timeoutMs);
+      });
+      const result = await Promise.race([job.attempt, timeout]);
+      if (job.status === 'running' && !signal.aborted) {
+        this._finish(job, 'succeeded', { result, progress: 100 });
+      }
+    } catch (error) {
+      // Cancelled jobs are already finished
+      if (job.status === 'running') this._failed(job, error);
+    } finally {
+      clearTimeout(timer);
+      await job.attempt.catch(() => {});
+      job.attempt = null;
+      job.controller = null;
+      running--;
+      setImmediate(() => this._drain());
+    }
+  }
+
+  /**
+   * Retry a failed attempt after a backoff, or fail the job
+   * @private
+   */
+  static _failed(job, error) {
+    const retryable = !error.permanent && job.attempts < job.maxAttempts;
+    logger.warn('[JobQueue] Job attempt failed', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      retrying: retryable,
+      error: error.message
+    });
+    if (!retryable) {
+      this._finish(job, 'failed', { error: error.message });
+      return;
+    }
+    const delay = jobsConfig.retry.backoffMs * 2 ** (job.attempts - 1);
+    job.status = 'queued';
+    job.message = `Attempt ${job.attempts} failed (${error.message}); retrying in ${Math.round(delay / 1000)}s`;
+    job.updatedAt = new Date();
+    this._persist(job);
+    job.retryTimer = setTimeout(() => {
+      job.retryTimer = null;
+      if (job.status !== 'queued') return;
+      waiting.push(job.id);
+      this._drain();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  static _finish(job, status, { result = null, error = null, progress = job.progress, message = job.message } = {}) {
+    Object.assign(job, {
+      status,
+      result,
+      error,
+      progress,
+      message,
+      finishedAt: new Date(),
+      updatedAt: new Date()
+    });
+    this._persist(job);
+    logger.info('[JobQueue] Job finished', { jobId: job.id, type: job.type, status, attempts: job.attempts });
+    const { onSettled } = handlers.get(job.type) || {};
+    if (onSettled) {
+      const { payload } = job;
+      Promise.resolve()
+        .then(() => onSettled(payload, this.toJSON(job)))
+        .catch(settleError => logger.warn('[JobQueue] onSettled failed', { jobId: job.id, error: settleError.message }));
+    }
+    // The input is only needed to retry
+    if (status === 'succeeded') job.payload = undefined;
+  }
+
+  /**
+   * Progress reported by a handler (ignored once the attempt is cancelled or timed out)
+   * @private
+   */
+  static _progress(job, signal, percent, message) {
+    if (signal.aborted || job.status !== 'running') return;
+    const value = Math.round(Math.min(Math.max(Number(percent) || 0, 0), 99));
+    job.progress = Math.max(job.progress, value);
+    if (message !== undefined) job.message = message;
+    job.updatedAt = new Date();
+    if (Date.now() - job.lastWrite >= jobsConfig.progressWriteMs) this._persist(job);
+  }
+
+  /**
+   * Write the job to ai_jobs (postgres persistence only; non-fatal). Writes of a job are chained,
+   * so a slow earlier write can't land after a later one.
+   * @private
+   */
+  static _persist(job) {
+    if (!persisted()) return;
+    job.lastWrite = Date.now();
+    let result = job.status === 'succeeded' ? job.result : null;
+    if (result !== null && result !== undefined) {
+      const size = Buffer.byteLength(JSON.stringify(result));
+      if (size > jobsConfig.maxResultBytes) {
+        logger.warn('[JobQueue] Job result too large to persist', { jobId: job.id, size });
+        result = null;
+      }
+    }
+    const snapshot = { ...job, result };
+    job.writes = job.writes.then(() => JobRepository.save(snapshot));
+  }
+
+  /**
+   * Drop finished jobs past the retention (memory, and ai_jobs at most every 10 minutes)
+   * @private
+   */
+  static _cleanup() {
+    const cutoff = Date.now() - jobsConfig.retentionMinutes * 60 * 1000;
+    const finished = [...jobs.values()]
+      .filter(job => FINISHED.includes(job.status))
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+    const excess = finished.length - jobsConfig.maxFinishedInMemory;
+    finished.forEach((job, index) => {
+      if (index < excess || job.finishedAt.getTime() < cutoff) jobs.delete(job.id);
+    });
+    if (persisted() && Date.now() - lastCleanup > 10 * 60 * 1000) {
+      lastCleanup = Date.now();
+      JobRepository.deleteFinishedBefore(new Date(cutoff));
+    }
+  }
+
+  /**
+   * Whether a job belongs to the tenant and, unless userId is null, to the user
+   * @private
+   */
+  static _visible(job, tenantId, userId) {
+    return job.tenantId === tenantId && (userId === null || job.userId === userId);
+  }
+
+  /**
+   * Job stored in ai_jobs that this process doesn't hold
+   * @private
+   */
+  static _fromRow(row) {
+    // Queued or running in a process that stopped
+    const interrupted = !FINISHED.includes(row.status) &&
+      Date.now() - new Date(row.updated_at).getTime() > jobsConfig.timeoutMs;
+    return {
+      id: row.id,
+      type: row.type,
+      status: interrupted ? 'failed' : row.status,
+      progress: row.progress,
+      message: row.message,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      result: row.status === 'succeeded' ? row.result : null,
+      error: interrupted ? 'The job was interrupted before it finished; start a new job' : row.error,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+JobQueue.STATUSES = STATUSES;
+
+module.exports = JobQueue;
@@ -0,0 +1,245 @@
+/**
+ * Lead Batch Service
+ *
+ * Stores uploaded leads as batches (ai_lead_batches / ai_lead_batch_items, migration 016), so a
+ * user can come back to an upload later. A batch's id is the upload's uploadId, and its status
+ * follows the lead flow:
+ *   uploaded  → /leads/upload parsed the file with the proposed column mapping
+ *   mapped    → /leads/mapping confirmed the mapping (or /leads/duplicates/merge changed the leads)
+ *   validated → /leads/validate checked the leads' readiness
+ *   assigned  → the batch was handed to a campaign
+ * Changing the leads of a validated batch takes it back to mapped (and drops the readiness report
+ * and ICP scores, which are kept by lead index); assigned batches can't be changed. A batch and its
+ * leads are written in one transaction. A batch belongs to the user who uploaded it; other users
+ * of the tenant need the manageLeadBatches capability (config/permissions.config.js) to use it. An upload that can't be stored still returns its leads,
+ * with the reason in batchError; a mapping that can't be stored fails.
+ */
+const uploadConfig = require('../config/upload.config');
+const permissionsConfig = require('../config/permissions.config');
+const { LeadBatchRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const STATUSES = ['uploaded', 'mapped', 'validated', 'assigned'];
+
+class LeadBatchService {
+  static get STATUSES() {
+    return STATUSES;
+  }
+
+  /**
+   * Whether a user may use a batch: its owner, or a user with the manageLeadBatches capability
+   * @param {Object} user - req.user
+   */
+  static canAccess(batch, user) {
+    if (!batch) return false;
+    return (Boolean(batch.owner_id) && batch.owner_id === user?.userId) ||
+      Boolean(user?.capabilities?.includes(permissionsConfig.manageLeadBatches));
+  }
+
+  /**
+   * Batch of the user's tenant that the user may use (null when unknown or another user's)
+   * @param {Object} user - req.user
+   */
+  static async findForUser(batchId, user) {
+    const batch = await LeadBatchRepository.findById(batchId, user?.tenantId);
+    return this.canAccess(batch, user) ? batch : null;
+  }
+
+  /**
+   * Ids among batchIds of the tenant's batches the user may use
+   * @param {Object} user - req.user
+   * @returns {Promise<Set<string>>}
+   */
+  static async accessibleIds(batchIds, user) {
+    if (!batchIds.length) return new Set();
+    const batches = await LeadBatchRepository.findOwners(batchIds, user?.tenantId);
+    return new Set(batches.filter(batch => this.canAccess(batch, user)).map(batch => batch.id));
+  }
+
+  /**
+   * Store the leads of an upload or mapping (never throws)
+   * @param {Object} batch - { id (uploadId), tenantId, ownerId, name, status, source }
+   * @param {Object} data - _leadsData() response data, plus mapping and format
+   * @param {string[][]|null} rows - Parsed file rows, kept for /leads/mapping (null keeps the stored ones)
+   * @returns {Promise<Object>} { batch (summary, null when not stored), error (why it was not
+   *   stored), status (409 assigned or not the tenant's, 503 database error) }
+   */
+  static async store({ id, tenantId, ownerId = null, name = null, status, source = null }, data, rows = null) {
+    if (!tenantId) return { batch: null, error: null };
+    try {
+      const existing = await LeadBatchRepository.findById(id, tenantId);
+      if (existing && existing.status === 'assigned') {
+        logger.warn('Lead batch is assigned to a campaign; not replacing its leads', { tenantId, batchId: id });
+        return { batch: null, error: 'The batch is assigned to a campaign; its leads can no longer change', status: 409 };
+      }
+      const saved = await LeadBatchRepository.saveWithItems({
+        id,
+        tenantId,
+        ownerId,
+        name,
+        status,
+        source,
+        // Mappings don't know the file format; keep the upload's
+        parseReport: { ...this.parseReport(data), format: data.format || existing?.parse_report?.format || null },
+        // New leads, so an earlier readiness report and AI analysis are dropped
+        analysis: {
+          platforms: data.platforms,
+          analysis: data.analysis,
+          summary: data.summary
+        },
+        leadCount: data.leads.length
+      }, data.leads, { chunkSize: uploadConfig.batches.chunkSize, rows });
+      if (!saved) {
+        return { batch: null, error: 'The uploadId belongs to another or a deleted batch', status: 409 };
+      }
+      return { batch: this.summary(saved), error: null };
+    } catch (error) {
+      logger.warn('Failed to store lead batch', {
+        error: error.message,
+        tenantId,
+        batchId: id
+      });
+      // Don't throw - the caller decides whether the leads are useful without a batch
+      return { batch: null, error: 'The leads could not be stored; try again', status: 503 };
+    }
+  }
+
+  /**
+   * Replace the leads of a stored batch after they were edited (duplicates merged)
+   * @returns {Promise<Object>} { batch } or { error, status } (404 unknown, 409 assigned)
+   */
+  static async replaceLeads(batchId, tenantId, leads, analysis = {}) {
+    const batch = await LeadBatchRepository.findById(batchId, tenantId);
+    if (!batch) return { error: 'Lead batch not found', status: 404 };
+    if (batch.status === 'assigned') {
+      return { error: 'The batch is assigned to a campaign; its leads can no longer change', status: 409 };
+    }
+    const { validation, icp_score: icpScore, ...previous } = batch.analysis || {};
+    const saved = await LeadBatchRepository.saveWithItems({
+      id: batchId,
+      tenantId,
+      // The readiness report and scores no longer match the leads
+      status: batch.status === 'validated' ? 'mapped' : batch.status,
+      parseReport: batch.parse_report,
+      analysis: { ...previous, ...analysis },
+      leadCount: leads.length
+    }, leads, { chunkSize: uploadConfig.batches.chunkSize });
+    // Deleted since it was read
+    if (!saved) return { error: 'Lead batch not found; the leads were not stored', status: 404 };
+    return { batch: this.summary(saved) };
+  }
+
+  /**
+   * All leads of a batch, in upload order (null when the batch is unknown)
+   */
+  static async leadsOf(batchId, tenantId) {
+    const batch = await LeadBatchRepository.findById(batchId, tenantId);
+    if (!batch) return null;
+    const items = await LeadBatchRepository.findItems(batchId, tenantId);
+    return items.map(item => item.lead);
+  }
+
+  /**
+   * Parsed file rows of a batch, for building its leads with another column mapping
+   */
+  static async rowsOf(batchId, tenantId) {
+    return LeadBatchRepository.findRows(batchId, tenantId);
+  }
+
+  /**
+   * Keep a readiness report with the batch and mark it validated; assigned batches stay assigned
+   * (never throws)
+   * @returns {Promise<Object|null>} Batch summary, or null when unknown or not updated
+   */
+  static async recordValidation(batchId, tenantId, validation) {
+    try {
+      const batch = await LeadBatchRepository.findById(batchId, tenantId);
+      if (!batch) return null;
+      const updated = await LeadBatchRepository.updateAnalysis(batchId, tenantId, { validation },
+        batch.status === 'assigned' ? null : 'validated');
+      return updated ? this.summary(updated) : null;
+    } catch (error) {
+      logger.warn('Failed to record lead batch validation', { error: error.message, tenantId, batchId });
+      return null;
+    }
+  }
+
+  /**
+   * Keep the AI analysis with the batch (never throws)
+   */
+  static async recordAnalysis(batchId, tenantId, analysis) {
+    try {
+      const updated = await LeadBatchRepository.updateAnalysis(batchId, tenantId, { ai: analysis });
+      return updated ? this.summary(updated) : null;
+    } catch (error) {
+      logger.warn('Failed to record lead batch analysis', { error: error.message, tenantId, batchId });
+      return null;
+    }
+  }
+
+  /**
+   * Keep the ICP fit scores of the batch's leads (never throws)
+   * @param {Object} profile - ai_icp_profiles row the leads were scored against
+   * @param {Object[]} leads - Scored leads in upload order (LeadsIcpScorer.scoreLeads with sort: false)
+   */
+  static async recordScores(batchId, tenantId, profile, leads) {
+    try {
+      const updated = await LeadBatchRepository.updateAnalysis(batchId, tenantId, {
+        icp_score: {
+          profile_id: profile.id,
+          profile_name: profile.name,
+          scores: leads.map(lead => lead.icp_score.score)
+        }
+      });
+      return updated ? this.summary(updated) : null;
+    } catch (error) {
+      logger.warn('Failed to record lead batch ICP scores', { error: error.message, tenantId, batchId });
+      return null;
+    }
+  }
+
+  /**
+   * Parse report kept with a batch: counts, row errors (capped), headers, format, template version,
+   * mapping and the normalisation, duplicate and email check reports
+   */
+  static parseReport(data) {
+    const { maxStoredErrors } = uploadConfig.batches;
+    return {
+      totalRows: data.totalRows,
+      validLeads: data.validLeads,
+      errorCount: data.errorCount,
+      errors: (data.errors || []).slice(0, maxStoredErrors),
+      rowErrors: (data.rowErrors || []).slice(0, maxStoredErrors),
+      headers: data.headers,
+      format: data.format || null,
+      templateVersion: data.templateVersion ?? null,
+      mapping: data.mapping
+        ? {
+          columns: data.mapping.columns.map(({ index, header, key, confidence, source }) => ({ index, header, key, confidence, source })),
+          savedMapping: data.mapping.savedMapping || null,
+          missingRequired: data.mapping.missingRequired || [],
+          needsReview: Boolean(data.mapping.needsReview)
+        }
+        : null,
+      normalization: data.normalization,
+      duplicates: data.duplicates,
+      emailCheck: data.emailCheck
+    };
+  }
+
+  /**
+   * Short form of a batch, returned with uploads and mappings
+   */
+  static summary(batch) {
+    return {
+      id: batch.id,
+      name: batch.name,
+      status: batch.status,
+      lead_count: batch.lead_count,
+      created_at: batch.created_at,
+      updated_at: batch.updated_at
+    };
+  }
+}
+
+module.exports = LeadBatchService;
@@ -16,6 +16,10 @@
 
 const geminiClientService = require('./gemini-client.service');
 const companyAnalyzer = require('./CompanyAnalyzerService');
+const llmConfig = require('../config/llm.config');
+const TargetingHistory = require('./TargetingHistory');
+const TargetingRefinement = require('./TargetingRefinement');
+const FirmographicFilters = require('./FirmographicFilters');
 const logger = require('../utils/logger');
 
 // ─── Intent labels ────────────────────────────────────────────────────────────
@@ -25,12 +29,16 @@ const INTENTS = {
     REFINE_LOCATION: 'refine_location',   // "try London instead"
     REFINE_TITLE: 'refine_title',      // "change to CTO"
     REFINE_INDUSTRY: 'refine_industry',   // "switch to healthcare"
+    MODIFY_TARGETING: 'modify_targeting', // "also add Berlin", "exclude agencies", "switch to CTOs in healthcare in Toronto"
     CLARIFY_LOCATION: 'clarify_location',  // answering a pending "which location?" prompt
     CLARIFY_TITLE: 'clarify_title',     // answering a pending "which title?" prompt
     CLARIFY_INDUSTRY: 'clarify_industry',  // answering a pending "which industry?" prompt
     CAMPAIGN_QUESTION: 'campaign_question', // "how many days should I run?"
     REQUEST_ICP_HELP: 'request_icp_help', // "who should I target?", "what type of leads?"
     ANALYZE_COMPANY_URLS: 'analyze_company_urls', // User provides linkedin OR website URL
+    UNDO_TARGETING: 'undo_targeting',  // "undo", "go back to London"
+    REDO_TARGETING: 'redo_targeting',  // "redo"
+    DIFF_TARGETING: 'diff_targeting',  // "what changed?"
     GENERAL_Q: 'general_q',         // everything else
 };
 
@@ -45,6 +53,23 @@ const TRIGGER_PHRASES = [
     /^do it$/i,
 ];
 
+// Targeting history commands — handled locally, never sent to Gemini
+const HISTORY_COMMANDS = {
+    backTo: /^(?:please\s+)?(?:(?:go|switch|change|roll)\s+back|revert)\s+to\s+(.+)$/i,
+    undo: /^(?:please\s+)?(?:undo|go back|revert|roll ?back)(?:\s+(\d+))?(?:\s+(?:steps?|times?|searches?))?[.!\s]*$/i,
+    redo: /^(?:please\s+)?redo[.!\s]*$/i,
+    diff: /\bwhat(?:'s| has| have)?\s+changed\b|\bwhat(?:'s| is) different\b|\bcompare (?:the |my )?(?:last |previous )?(?:searches|versions|targeting)\b/i,
+};
+
+// Intents whose "operations" are applied by _modifyTargeting
+const REFINEMENT_INTENTS = [INTENTS.REFINE_LOCATION, INTENTS.REFINE_TITLE, INTENTS.REFINE_INDUSTRY, INTENTS.MODIFY_TARGETING];
+
+// Locally parsed refinements at or above this confidence skip Gemini intent detection
+const FAST_PATH_CONFIDENCE = 0.9;
+
+// Company filters recognised in a whole message without Gemini ("companies with 50-200 employees")
+const FILTER_CONFIDENCE = 0.9;
+
 // ─── Main class ───────────────────────────────────────────────────────────────
 class LeadChatService {
     /**
@@ -55,24 +80,49 @@ class LeadChatService {
      * @param {Array}       params.history           - Recent messages [{role, text}]
      * @param {Object|null} params.currentTargeting  - Active targeting
      * @param {string|null} params.pendingIntent     - null | 'location' | 'title' | 'industry'
-     * @param {string|null} params.tenantId          - User tenant ID for Unipile config
+     * @param {string|null} params.tenantId          - User tenant ID for Unipile config and LLM provider routing
      * @param {Object|null} params.context           - Request context
-     * @returns {Promise<Object>} { response, newSearch, updatedTargeting, pendingIntent, options }
+     * @param {Object|null} params.targetingHistory  - Targeting version history { versions, cursor } (see TargetingHistory)
+     * @param {Function|null} params.onToken         - Streaming callback (chunk) => void for generated answer text
+     * @returns {Promise<Object>} { response, newSearch, updatedTargeting, pendingIntent, options, targetingHistory, targetingChanges? }
      */
-    async processMessage({ message, history = [], currentTargeting = null, pendingIntent = null, tenantId = null, context = null }) {
+    async processMessage({ message, history = [], currentTargeting = null, pendingIntent = null, tenantId = null, context = null, targetingHistory = null, onToken = null }) {
+        if (onToken) {
+            return geminiClientService.runWithTokenStream(onToken, () =>
+                this.processMessage({ message, history, currentTargeting, pendingIntent, tenantId, context, targetingHistory }));
+        }
+        const versionHistory = TargetingHistory.normalize(targetingHistory, currentTargeting);
+        const result = await this._routeMessage({ message, history, currentTargeting, pendingIntent, tenantId, context, versionHistory });
+        return this._withTargetingHistory(result, versionHistory, message);
+    }
+
+    /**
+     * Detect intent and build the reply for one message (see processMessage).
+     */
+    async _routeMessage({ message, history, currentTargeting, pendingIntent, tenantId, context, versionHistory }) {
+        // LLM routing for every Gemini/OpenAI/Ollama call made while handling this message
+        const llmOptions = { task: llmConfig.tasks.LEAD_CHAT, tenantId };
+
         try {
             // Step 1: Explicitly check for URLs to override trigger phrases
             const hasUrls = /(http:\/\/|https:\/\/|www\.|[a-z0-9-]+\.com(?=\s|$))/i.test(message);
             const isTrigger = !hasUrls && TRIGGER_PHRASES.some(re => re.test(message.trim()));
 
             // Step 2: Detect intent
+            const historyCommand = hasUrls ? null : this._detectHistoryCommand(message);
+            // Single commands whose field is obvious skip Gemini; compound or unclear ones go to Gemini
+            const operations = hasUrls || historyCommand ? null : TargetingRefinement.parseOperations(message, currentTargeting);
             let intent;
             if (hasUrls) {
                 intent = { type: INTENTS.ANALYZE_COMPANY_URLS, value: null };
+            } else if (historyCommand) {
+                intent = historyCommand;
+            } else if (operations?.every(op => op.field && op.confidence >= FAST_PATH_CONFIDENCE)) {
+                intent = { type: INTENTS.MODIFY_TARGETING, operations };
             } else {
                 intent = isTrigger
                     ? { type: INTENTS.CONTEXT_SEARCH, value: null }
-                    : await this._detectIntent(message, currentTargeting, pendingIntent, history);
+                    : await this._detectIntent(message, currentTargeting, pendingIntent, history, llmOptions);
             }
 
             logger.info('[LeadChatService] Intent', { type: intent.type, msg: message.substring(0, 80), isTrigger });
@@ -82,7 +132,7 @@ class LeadChatService {
 
                 // ── User describes leads directly (new full query) ─────────────────
                 case INTENTS.SEARCH_LEADS: {
-                    const targeting = await this._extractTargetingFromMessage(message, history);
+                    const targeting = await this._extractTargetingFromMessage(message, history, llmOptions);
                     return {
                         response: this._buildSearchConfirmText(targeting, message),
                         newSearch: true,
@@ -94,7 +144,7 @@ class LeadChatService {
 
                 // ── Trigger phrase: extract targeting from conversation history ─────
                 case INTENTS.CONTEXT_SEARCH: {
-                    const targeting = await this._extractTargetingFromHistory(history, currentTargeting);
+                    const targeting = await this._extractTargetingFromHistory(history, currentTargeting, llmOptions);
 
                     if (!targeting || (!targeting.job_titles?.length && !targeting.industries?.length && !targeting.locations?.length)) {
                         return {
@@ -118,7 +168,7 @@ class LeadChatService {
                 // ── Refine location only ───────────────────────────────────────────
                 case INTENTS.REFINE_LOCATION: {
                     if (intent.value) {
-                        const updatedTargeting = { ...(currentTargeting || {}), locations: [intent.value] };
+                        const updatedTargeting = TargetingRefinement.apply(currentTargeting, { operation: 'set', field: 'locations', values: [intent.value] });
                         return {
                             response: `📍 Updated location to **${intent.value}**. Searching for leads there now...`,
                             newSearch: true,
@@ -139,7 +189,7 @@ class LeadChatService {
                 // ── Refine job title only ──────────────────────────────────────────
                 case INTENTS.REFINE_TITLE: {
                     if (intent.value) {
-                        const updatedTargeting = { ...(currentTargeting || {}), job_titles: [intent.value] };
+                        const updatedTargeting = TargetingRefinement.apply(currentTargeting, { operation: 'set', field: 'job_titles', values: [intent.value] });
                         return {
                             response: `🎯 Updated job title to **${intent.value}**. Finding those leads now...`,
                             newSearch: true,
@@ -160,7 +210,7 @@ class LeadChatService {
                 // ── Refine industry only ───────────────────────────────────────────
                 case INTENTS.REFINE_INDUSTRY: {
                     if (intent.value) {
-                        const updatedTargeting = { ...(currentTargeting || {}), industries: [intent.value] };
+                        const updatedTargeting = TargetingRefinement.apply(currentTargeting, { operation: 'set', field: 'industries', values: [intent.value] });
                         return {
                             response: `🏭 Updated industry to **${intent.value}**. Searching now...`,
                             newSearch: true,
@@ -178,9 +228,13 @@ class LeadChatService {
                     };
                 }
 
+                // ── Add / remove / exclude without replacing the rest ─────────────
+                case INTENTS.MODIFY_TARGETING:
+                    return this._modifyTargeting(intent, currentTargeting);
+
                 // ── Answering a pending clarification ─────────────────────────────
                 case INTENTS.CLARIFY_LOCATION: {
-                    const updatedTargeting = { ...(currentTargeting || {}), locations: [message.trim()] };
+                    const updatedTargeting = TargetingRefinement.apply(currentTargeting, { operation: 'set', field: 'locations', values: [message.trim()] });
                     return {
                         response: `📍 Got it — **${message.trim()}**. Searching for leads there now...`,
                         newSearch: true,
@@ -191,7 +245,7 @@ class LeadChatService {
                 }
 
                 case INTENTS.CLARIFY_TITLE: {
-                    const updatedTargeting = { ...(currentTargeting || {}), job_titles: [message.trim()] };
+                    const updatedTargeting = TargetingRefinement.apply(currentTargeting, { operation: 'set', field: 'job_titles', values: [message.trim()] });
                     return {
                         response: `🎯 Perfect — targeting **${message.trim()}**. Finding leads now...`,
                         newSearch: true,
@@ -202,7 +256,7 @@ class LeadChatService {
                 }
 
                 case INTENTS.CLARIFY_INDUSTRY: {
-                    const updatedTargeting = { ...(currentTargeting || {}), industries: [message.trim()] };
+                    const updatedTargeting = TargetingRefinement.apply(currentTargeting, { operation: 'set', field: 'industries', values: [message.trim()] });
                     return {
                         response: `🏭 Great — **${message.trim()}** industry. Searching now...`,
                         newSearch: true,
@@ -212,9 +266,19 @@ class LeadChatService {
                     };
                 }
 
+                // ── Targeting history: undo / redo / what changed ─────────────────
+                case INTENTS.UNDO_TARGETING:
+                    return this._undoTargeting(intent, currentTargeting, versionHistory);
+
+                case INTENTS.REDO_TARGETING:
+                    return this._redoTargeting(currentTargeting, versionHistory);
+
+                case INTENTS.DIFF_TARGETING:
+                    return this._describeTargetingChanges(currentTargeting, versionHistory);
+
                 // ── Campaign question ──────────────────────────────────────────────
                 case INTENTS.CAMPAIGN_QUESTION: {
-                    const answer = await this._answerCampaignQuestion(message, currentTargeting);
+                    const answer = await this._answerCampaignQuestion(message, currentTargeting, llmOptions);
                     return {
                         response: answer,
                         newSearch: false,
@@ -279,7 +343,7 @@ class LeadChatService {
                 // ── General / fallback ─────────────────────────────────────────────
                 case INTENTS.GENERAL_Q:
                 default: {
-                    const answer = await this._answerGeneralQuestion(message, currentTargeting, history);
+                    const answer = await this._answerGeneralQuestion(message, currentTargeting, history, llmOptions);
                     return {
                         response: answer,
                         newSearch: false,
@@ -304,18 +368,159 @@ class LeadChatService {
 
     // ─── PRIVATE HELPERS ──────────────────────────────────────────────────────
 
+    /**
+     * Record the reply's targeting as a new version (unless the reply already moved the history)
+     * and attach what changed since the previous search.
+     */
+    _withTargetingHistory(result, versionHistory, message) {
+        if (result.targetingHistory) return result;
+        const previous = TargetingHistory.current(versionHistory);
+        const targetingHistory = TargetingHistory.record(versionHistory, result.updatedTargeting, { message });
+        const updated = { ...result, targetingHistory };
+        if (result.newSearch && previous && targetingHistory !== versionHistory) {
+            updated.targetingChanges = TargetingHistory.diff(previous.targeting, result.updatedTargeting);
+        }
+        return updated;
+    }
+
+    /**
+     * Apply the confident targeting operations of a message and ask only about the ambiguous ones
+     * (unknown field or confidence below TargetingRefinement.MIN_CONFIDENCE).
+     */
+    _modifyTargeting(intent, currentTargeting) {
+        const { targeting: updatedTargeting, applied, ambiguous } = TargetingRefinement.applyAll(currentTargeting, intent.operations);
+        const changed = applied.length > 0 && TargetingHistory.diff(currentTargeting, updatedTargeting).hasChanges;
+        const question = ambiguous.map(op => `❓ ${TargetingRefinement.clarifyQuestion(op)}`).join('\n');
+        const options = ambiguous.flatMap(op => TargetingRefinement.clarifyOptions(op));
+
+        logger.info('[LeadChatService] Targeting operations', {
+            applied: applied.map(({ operation, field, values, confidence }) => ({ operation, field, values, confidence })),
+            ambiguous: ambiguous.map(({ operation, field, values, confidence }) => ({ operation, field, values, confidence })),
+        });
+
+        if (!changed) {
+            let response = question;
+            if (!applied.length && !ambiguous.length) {
+                response = `Which titles, industries, locations, companies or seniority levels should I change?`;
+            } else if (applied.length) {
+                const [first] = applied;
+                const nothingChanged = applied.length === 1 && first.operation === 'remove'
+                    ? `**${first.values.join(', ')}** isn't in your ${TargetingRefinement.FIELDS[first.field].label}, so nothing changed.`
+                    : `Your targeting already reflects that — nothing changed.`;
+                response = question ? `${nothingChanged}\n\n${question}` : nothingChanged;
+            }
+            return {
+                response,
+                newSearch: false,
+                updatedTargeting: currentTargeting,
+                pendingIntent: null,
+                options,
+            };
+        }
+
+        const summary = applied.map(op => op.summary).join('\n');
+        return {
+            response: `${summary}\n\n${this._buildSearchConfirmText(updatedTargeting)}${question ? `\n\n${question}` : ''}`,
+            newSearch: true,
+            updatedTargeting,
+            pendingIntent: null,
+            options,
+        };
+    }
+
+    /** Match undo / redo / "what changed" commands without calling Gemini */
+    _detectHistoryCommand(message) {
+        const text = message.trim();
+        const backTo = text.match(HISTORY_COMMANDS.backTo);
+        if (backTo) return { type: INTENTS.UNDO_TARGETING, value: backTo[1].replace(/[.!?]+$/, '').trim() };
+        const undo = text.match(HISTORY_COMMANDS.undo);
+        if (undo) return { type: INTENTS.UNDO_TARGETING, value: null, steps: parseInt(undo[1] || '1', 10) };
+        if (HISTORY_COMMANDS.redo.test(text)) return { type: INTENTS.REDO_TARGETING, value: null };
+        if (HISTORY_COMMANDS.diff.test(text)) return { type: INTENTS.DIFF_TARGETING, value: null };
+        return null;
+    }
+
+    /** Undo one or more steps, or jump back to the version mentioning intent.value */
+    _undoTargeting(intent, currentTargeting, versionHistory) {
+        let moved;
+        if (intent.value && !/^(the\s+)?(previous|last|earlier)\b/i.test(intent.value)) {
+            const match = TargetingHistory.findVersionMentioning(versionHistory, intent.value);
+            if (!match) {
+                return this._historyReply(`I couldn't find an earlier search with **${intent.value}**. You can say "undo" to step back one search.`, currentTargeting, versionHistory);
+            }
+            moved = TargetingHistory.goTo(versionHistory, match.version);
+        } else {
+            moved = TargetingHistory.undo(versionHistory, intent.steps || 1);
+        }
+        if (!moved) {
+            return this._historyReply(`There's no earlier targeting to go back to.`, currentTargeting, versionHistory);
+        }
+        return {
+            response: `↩️ Back to version ${moved.version.version}.\n\n${this._buildSearchConfirmText(moved.version.targeting)}`,
+            newSearch: true,
+            updatedTargeting: moved.version.targeting,
+            pendingIntent: null,
+            options: [],
+            targetingHistory: moved.history,
+            targetingChanges: TargetingHistory.diff(currentTargeting, moved.version.targeting),
+        };
+    }
+
+    /** Re-apply the next version after an undo */
+    _redoTargeting(currentTargeting, versionHistory) {
+        const moved = TargetingHistory.redo(versionHistory);
+        if (!moved) {
+            return this._historyReply(`There's nothing to redo.`, currentTargeting, versionHistory);
+        }
+        return {
+            response: `↪️ Restored version ${moved.version.version}.\n\n${this._buildSearchConfirmText(moved.version.targeting)}`,
+            newSearch: true,
+            updatedTargeting: moved.version.targeting,
+            pendingIntent: null,
+            options: [],
+            targetingHistory: moved.history,
+            targetingChanges: TargetingHistory.diff(currentTargeting, moved.version.targeting),
+        };
+    }
+
+    /** Explain what changed between the previous and the active targeting version */
+    _describeTargetingChanges(currentTargeting, versionHistory) {
+        const active = TargetingHistory.current(versionHistory);
+        const previous = versionHistory.versions[versionHistory.cursor - 1];
+        if (!active || !previous) {
+            return this._historyReply(`There's only one version of your targeting so far, so nothing has changed yet.`, currentTargeting, versionHistory);
+        }
+        const diff = TargetingHistory.diff(previous.targeting, active.targeting);
+        return {
+            ...this._historyReply(`🔄 **Changes from version ${previous.version} to ${active.version}:**\n${TargetingHistory.describeDiff(diff)}`, currentTargeting, versionHistory),
+            targetingChanges: diff,
+        };
+    }
+
+    /** Reply that leaves targeting and history untouched */
+    _historyReply(response, currentTargeting, versionHistory) {
+        return {
+            response,
+            newSearch: false,
+            updatedTargeting: currentTargeting,
+            pendingIntent: null,
+            options: [],
+            targetingHistory: versionHistory,
+        };
+    }
+
     /**
      * Detect intent using Gemini with keyword fallback.
      * Accepts history so Gemini can consider prior context.
      */
-    async _detectIntent(message, currentTargeting, pendingIntent, history = []) {
+    async _detectIntent(message, currentTargeting, pendingIntent, history = [], llmOptions = {}) {
         // Pending clarification bypasses Gemini entirely
         if (pendingIntent === 'location') return { type: INTENTS.CLARIFY_LOCATION };
         if (pendingIntent === 'title') return { type: INTENTS.CLARIFY_TITLE };
         if (pendingIntent === 'industry') return { type: INTENTS.CLARIFY_INDUSTRY };
 
         const targetingCtx = currentTargeting
-            ? `Current targeting: titles=${JSON.stringify(currentTargeting.job_titles)}, industries=${JSON.stringify(currentTargeting.industries)}, locations=${JSON.stringify(currentTargeting.locations)}`
+            ? `Current targeting: titles=${JSON.stringify(currentTargeting.job_titles)}, industries=${JSON.stringify(currentTargeting.industries)}, locations=${JSON.stringify(currentTargeting.locations)}, companies=${JSON.stringify(currentTargeting.company_names)}, seniority=${JSON.stringify(currentTargeting.seniority)}, company filters=${JSON.stringify(this._pickFirmographics(currentTargeting))}, exclusions=${JSON.stringify(this._pickExclusions(currentTargeting))}`
             : 'No current targeting set.';
 
         const recentHistory = history.slice(-4).map(m => `${m.role === 'user' ? 'User' : 'AI'}: ${m.text?.substring(0, 2500)}`).join('\n');
@@ -335,6 +540,7 @@ Classify the user's intent as exactly ONE of these:
 - "refine_location"   — User wants to change ONLY the location
 - "refine_title"      — User wants to change ONLY the job title
 - "refine_industry"   — User wants to change ONLY the industry
+- "modify_targeting"  — User changes MORE THAN ONE field (e.g. "switch to CTOs in healthcare in Toronto"), or wants to ADD to, REMOVE from or EXCLUDE from the current targeting without replacing it (e.g. "also add Berlin", "drop the CMO role", "exclude agencies")
 - "campaign_question" — User asks about campaigns, scheduling, duration, daily limits, connection messages
 - "request_icp_help"  — User asks for advice on "who should I target?", "help me figure out what leads to search", "what companies should I find"
 - "analyze_company_urls" — User is providing a website URL (http/https) OR a LinkedIn URL, specifically for you to analyze their business.
@@ -342,19 +548,40 @@ Classify the user's intent as exactly ONE of these:
 
 IMPORTANT: If the message is short (under 6 words) and contains "find", "search", "go" or similar action words without specific lead details → use "context_search".
 
+For "refine_location", "refine_title", "refine_industry" and "modify_targeting" also return "operations", one entry per targeting change in the message:
+- "operation": "set" (replace the field: "switch to", "try ... instead") | "add" | "remove" | "exclude"
+- "field": "job_titles" | "industries" | "locations" | "company_names" | "seniority" | "employee_ranges" | "revenue_ranges" | "funding_stages" | "founded_year" | "technologies" (null if you cannot tell)
+- "values": the titles/industries/locations/companies/seniority levels; company filters as the user said them ("50-200 employees", "over $10M", "Series A", "after 2015", "HubSpot")
+- "confidence": 0.0-1.0, how sure you are about the field and values; below 0.6 when a value could belong to more than one field
+Example: "switch to CTOs in healthcare in Toronto" → three "set" operations (job_titles ["CTO"], industries ["Healthcare"], locations ["Toronto"]).
+
 Respond ONLY with valid JSON:
-{"type":"<intent>","value":"<extracted value if applicable, else null>","reasoning":"<one line>"}`;
+{"type":"<intent>","value":"<extracted value if applicable, else null>","operations":[],"reasoning":"<one line>"}`;
 
         try {
-            const raw = await geminiClientService.generateContent(prompt);
+            const raw = await geminiClientService.generateContent(prompt, llmOptions);
             const cleaned = raw.replace(/```json|```/g, '').trim();
             const parsed = JSON.parse(cleaned);
+            const operations = TargetingRefinement.normalizeOperations(parsed.operations);
+            if (operations.length && REFINEMENT_INTENTS.includes(parsed.type)) {
+                return { type: INTENTS.MODIFY_TARGETING, operations };
+            }
             return { type: parsed.type || INTENTS.GENERAL_Q, value: parsed.value || null };
         } catch (e) {
             logger.warn('[LeadChatService] Intent detection fallback', { error: e.message });
             const lower = message.toLowerCase();
             if (message.includes('http://') || message.includes('https://') || message.includes('www.') || message.includes('.com')) return { type: INTENTS.ANALYZE_COMPANY_URLS };
             if (/\b(campaign|schedule|daily|limit|days|run|duration|connection message)\b/.test(lower)) return { type: INTENTS.CAMPAIGN_QUESTION };
+            // Unsure operations are asked about, not applied
+            const operations = TargetingRefinement.parseOperations(message, currentTargeting);
+            if (operations) return { type: INTENTS.MODIFY_TARGETING, operations };
+            const filter = FirmographicFilters.detectField(message.replace(/[.!?]+$/, ''));
+            if (filter && FirmographicFilters.normalizeField(filter, [message]).length) {
+                return {
+                    type: INTENTS.MODIFY_TARGETING,
+                    operations: [{ operation: 'set', field: filter, values: [message.trim()], confidence: FILTER_CONFIDENCE }]
+                };
+            }
             if (/\b(try|change|switch|update|different)\b.*(location|city|country|place)/i.test(message)) return { type: INTENTS.REFINE_LOCATION };
             if (/\b(try|change|switch|update|different)\b.*(title|role|position|job)/i.test(message)) return { type: INTENTS.REFINE_TITLE };
             if (/\b(try|change|switch|update)\b.*(industry|sector|field)/i.test(message)) return { type: INTENTS.REFINE_INDUSTRY };
@@ -368,7 +595,7 @@ Respond ONLY with valid JSON:
      * Extract targeting from a direct user message (e.g. "Marketing directors in London").
      * Also uses history to fill in missing fields (e.g. location mentioned earlier).
      */
-    async _extractTargetingFromMessage(message, history = []) {
+    async _extractTargetingFromMessage(message, history = [], llmOptions = {}) {
         const historyCtx = history.slice(-6).map(m => `${m.role === 'user' ? 'User' : 'AI'}: ${m.text?.substring(0, 2500)}`).join('\n');
 
         const prompt = `Extract LinkedIn lead targeting from this search request.
@@ -379,7 +606,9 @@ Recent conversation context (use this to fill in missing fields):
 ${historyCtx || '(none)'}
 
 Rules:
-- Extract job titles, industries, locations, keywords from the message
+- Extract job titles, industries, locations, company names, seniority levels, keywords from the message
+- Put anything the user wants to leave out ("excluding agencies", "not at Google", "not using Salesforce") in the matching excluded_* list
+- Company filters keep the user's wording: employee_ranges ("50-200 employees", "startup"), revenue_ranges ("over $10M"), funding_stages ("Series A"), founded_year ("after 2015"), technologies ("HubSpot")
 - If location is NOT in the message but is clearly mentioned in recent conversation context, use that location
 - If industry is NOT in the message but is clearly mentioned in recent conversation context, use that industry
 - Use formal job title names (e.g. "Marketing Director" not "marketing directors")
@@ -390,21 +619,38 @@ Respond ONLY with valid JSON:
   "job_titles": ["array of specific job titles"],
   "industries": ["array of industries"],
   "locations": ["array of city/country strings"],
+  "company_names": ["array of company names"],
+  "seniority": ["array of seniority levels"],
+  "employee_ranges": [],
+  "revenue_ranges": [],
+  "funding_stages": [],
+  "founded_year": [],
+  "technologies": [],
   "keywords": ["array of additional keywords"],
-  "profile_language": []
+  "profile_language": [],
+  "excluded_titles": [],
+  "excluded_industries": [],
+  "excluded_locations": [],
+  "excluded_companies": [],
+  "excluded_seniority": [],
+  "excluded_technologies": []
 }`;
 
         try {
-            const raw = await geminiClientService.generateContent(prompt);
+            const raw = await geminiClientService.generateContent(prompt, llmOptions);
             const cleaned = raw.replace(/```json|```/g, '').trim();
             const parsed = JSON.parse(cleaned);
-            return {
+            return FirmographicFilters.normalize({
                 job_titles: parsed.job_titles || [],
                 industries: parsed.industries || [],
                 locations: parsed.locations || [],
+                company_names: parsed.company_names || [],
+                seniority: parsed.seniority || [],
+                ...Object.fromEntries(FirmographicFilters.FIELDS.map(field => [field, parsed[field] || []])),
                 keywords: parsed.keywords || [],
                 profile_language: parsed.profile_language || [],
-            };
+                ...this._pickExclusions(parsed),
+            });
         } catch (e) {
             logger.warn('[LeadChatService] Targeting extraction from message failed', { error: e.message });
             return { job_titles: [], industries: [], locations: [], keywords: [message], profile_language: [] };
@@ -416,7 +662,7 @@ Respond ONLY with valid JSON:
      * Used when the user says "find those leads" / "yes search" without repeating details.
      * Reads AI's previous suggestions for industries, roles, and location.
      */
-    async _extractTargetingFromHistory(history = [], currentTargeting = null) {
+    async _extractTargetingFromHistory(history = [], currentTargeting = null, llmOptions = {}) {
         if (!history || history.length === 0) return currentTargeting;
 
         // Build full conversation context for Gemini to scan
@@ -451,7 +697,7 @@ Respond ONLY with valid JSON:
 }`;
 
         try {
-            const raw = await geminiClientService.generateContent(prompt);
+            const raw = await geminiClientService.generateContent(prompt, llmOptions);
             const cleaned = raw.replace(/```json|```/g, '').trim();
             const parsed = JSON.parse(cleaned);
 
@@ -470,6 +716,8 @@ Respond ONLY with valid JSON:
                 locations: parsed.locations?.length ? parsed.locations : (currentTargeting?.locations || []),
                 keywords: parsed.keywords?.length ? parsed.keywords : (currentTargeting?.keywords || []),
                 profile_language: parsed.profile_language?.length ? parsed.profile_language : (currentTargeting?.profile_language || []),
+                ...this._pickFirmographics(currentTargeting),
+                ...this._pickExclusions(currentTargeting),
             };
         } catch (e) {
             logger.warn('[LeadChatService] History targeting extraction failed', { error: e.message });
@@ -478,7 +726,7 @@ Respond ONLY with valid JSON:
     }
 
     /** Answer a campaign-related question with Gemini */
-    async _answerCampaignQuestion(message, currentTargeting) {
+    async _answerCampaignQuestion(message, currentTargeting, llmOptions = {}) {
         const ctx = currentTargeting
             ? `The user is targeting: ${currentTargeting.job_titles?.join(', ') || 'any titles'} in ${currentTargeting.industries?.join(', ') || 'any industry'}, located in ${currentTargeting.locations?.join(', ') || 'any location'}.`
             : '';
@@ -496,14 +744,14 @@ Answer helpfully and concisely (3-5 sentences). Give specific actionable advice.
 Keep tone conversational and friendly. Use emojis sparingly.`;
 
         try {
-            return await geminiClientService.generateContent(prompt);
+            return await geminiClientService.generateContent(prompt, { ...llmOptions, stream: true });
         } catch (e) {
             return `📅 **Duration**: 2–4 weeks works well for most campaigns\n🔢 **Daily limit**: 10–25 connections/day to stay within LinkedIn's safe limits\n✉️ **Messages**: Keep under 300 characters and personalize with their name\n📆 **Schedule**: Monday–Friday gets the best response rates`;
         }
     }
 
     /** Answer a general question or web analysis request */
-    async _answerGeneralQuestion(message, currentTargeting, history) {
+    async _answerGeneralQuestion(message, currentTargeting, history, llmOptions = {}) {
         const recentHistory = (history || []).slice(-6).map(m => `${m.role === 'user' ? 'User' : 'AI'}: ${m.text?.substring(0, 300)}`).join('\n');
         const ctx = currentTargeting
             ? `Current targeting: ${currentTargeting.job_titles?.join(', ') || 'any titles'} in ${currentTargeting.industries?.join(', ') || 'any industry'}, ${currentTargeting.locations?.join(', ') || 'any location'}.`
@@ -527,18 +775,44 @@ Then invite the user to search for those leads by saying something like "Would y
 Keep tone friendly, professional, and helpful. Max 8 sentences.`;
 
         try {
-            return await geminiClientService.generateContent(prompt);
+            return await geminiClientService.generateContent(prompt, { ...llmOptions, stream: true });
         } catch (e) {
             return `I'm here to help you find the perfect leads! 🎯\n\nYou can:\n• **Find a person:** "John Smith, CTO at Stripe"\n• **People at a company:** "Find all people in Tesla"\n• **Decision makers:** "Find decision makers at Google"\n• **Specific role:** "Find founders at techiemaya"\n• **Industry search:** "Marketing directors in London"\n\nWhat would you like to do?`;
         }
     }
 
+    /** Non-empty exclusion lists (excluded_titles, excluded_industries, ...) of a targeting object */
+    _pickExclusions(targeting) {
+        const exclusions = {};
+        Object.keys(TargetingRefinement.FIELDS).forEach(field => {
+            const key = TargetingRefinement.exclusionField(field);
+            if (Array.isArray(targeting?.[key]) && targeting[key].length) exclusions[key] = targeting[key];
+        });
+        return exclusions;
+    }
+
+    /** Non-empty company filters (employee_ranges, revenue_ranges, ...) of a targeting object */
+    _pickFirmographics(targeting) {
+        const filters = {};
+        FirmographicFilters.FIELDS.forEach(field => {
+            if (Array.isArray(targeting?.[field]) && targeting[field].length) filters[field] = targeting[field];
+        });
+        return filters;
+    }
+
     /** Build a readable confirmation when triggering a search */
     _buildSearchConfirmText(targeting, originalMessage) {
         const parts = [];
         if (targeting.job_titles?.length) parts.push(`🎯 **Titles:** ${targeting.job_titles.join(', ')}`);
         if (targeting.industries?.length) parts.push(`🏭 **Industry:** ${targeting.industries.join(', ')}`);
         if (targeting.locations?.length) parts.push(`📍 **Location:** ${targeting.locations.join(', ')}`);
+        if (targeting.company_names?.length) parts.push(`🏢 **Companies:** ${targeting.company_names.join(', ')}`);
+        if (targeting.seniority?.length) parts.push(`📶 **Seniority:** ${targeting.seniority.join(', ')}`);
+        const companyFilters = Object.entries(this._pickFirmographics(targeting))
+            .flatMap(([field, values]) => FirmographicFilters.summarize(field, values));
+        if (companyFilters.length) parts.push(`📊 **Company filters:** ${companyFilters.join(', ')}`);
+        const excluded = Object.values(this._pickExclusions(targeting)).flat();
+        if (excluded.length) parts.push(`🚫 **Excluding:** ${excluded.join(', ')}`);
         if (!parts.length && targeting.keywords?.length) parts.push(`🔑 **Keywords:** ${targeting.keywords.join(', ')}`);
 
         if (!parts.length) {
@@ -0,0 +1,301 @@
+/**
+ * Lead Chat Session Service
+ *
+ * Server-side sessions for the Advanced Search AI chat (LeadChatService).
+ * A session is an ai_conversations row with metadata.type = 'lead_chat';
+ * turns are ai_messages rows, and every assistant turn stores the targeting
+ * snapshot it produced so a session can be resumed or forked at any turn.
+ *
+ * History, targeting and pending intent come from the database, never from the client.
+ * Stateless /lead-chat calls (no sessionId) keep going straight to LeadChatService.
+ */
+const { AIConversationRepository, AIMessageRepository } = require('../repositories');
+const LeadChatService = require('./LeadChatService');
+const TargetingHistory = require('./TargetingHistory');
+const logger = require('../utils/logger');
+
+const SESSION_TYPE = 'lead_chat';
+// Turns passed to LeadChatService as conversation history
+const HISTORY_LIMIT = 20;
+const TITLE_MAX_LENGTH = 80;
+
+const parseMetadata = (metadata) => {
+  if (typeof metadata === 'string') {
+    try {
+      return JSON.parse(metadata);
+    } catch (e) {
+      return {};
+    }
+  }
+  return metadata || {};
+};
+
+class LeadChatSessionService {
+  /**
+   * Create an empty session
+   * @returns {Promise<Object>} Session summary
+   */
+  async createSession({ userId, tenantId, title = null, currentTargeting = null }) {
+    const conversation = await AIConversationRepository.create({
+      userId,
+      tenantId,
+      title,
+      metadata: {
+        type: SESSION_TYPE,
+        currentTargeting,
+        pendingIntent: null
+      }
+    });
+    return this._toSession(conversation);
+  }
+
+  /**
+   * Load a session owned by the user (null if missing, not a lead-chat session, or not theirs)
+   */
+  async findSession(sessionId, userId, tenantId) {
+    const conversation = await AIConversationRepository.findById(sessionId, tenantId);
+    if (!conversation || conversation.user_id !== userId) return null;
+    if (parseMetadata(conversation.metadata).type !== SESSION_TYPE) return null;
+    return conversation;
+  }
+
+  /**
+   * List the user's sessions, newest first
+   */
+  async listSessions(userId, tenantId, { status = null, limit = 20 } = {}) {
+    const conversations = await AIConversationRepository.findByUser(userId, tenantId, {
+      type: SESSION_TYPE,
+      status,
+      limit
+    });
+    return conversations.map(conversation => this._toSession(conversation));
+  }
+
+  /**
+   * Resume a session: current state plus its full transcript
+   * @returns {Promise<Object|null>} { session, messages }
+   */
+  async resumeSession(sessionId, userId, tenantId) {
+    const conversation = await this.findSession(sessionId, userId, tenantId);
+    if (!conversation) return null;
+    const messages = await AIMessageRepository.findByConversation(sessionId, tenantId);
+    return {
+      session: this._toSession(conversation),
+      messages: messages.map(message => this._toTurn(message))
+    };
+  }
+
+  /**
+   * Process a message inside a session and persist both turns
+   * @param {Object} params - { sessionId, userId, tenantId, message, context, onToken }
+   * @returns {Promise<Object|null>} LeadChatService result plus sessionId (null if session not found)
+   */
+  async sendMessage({ sessionId, userId, tenantId, message, context = null, onToken = null }) {
+    const conversation = await this.findSession(sessionId, userId, tenantId);
+    if (!conversation) return null;
+    const metadata = parseMetadata(conversation.metadata);
+
+    const recent = await AIMessageRepository.findByConversation(sessionId, tenantId, { limit: HISTORY_LIMIT });
+    const history = recent
+      .reverse()
+      .map(m => ({ role: m.role === 'user' ? 'user' : 'ai', text: m.content }));
+
+    const result = await LeadChatService.processMessage({
+      message,
+      history,
+      currentTargeting: metadata.currentTargeting || null,
+      pendingIntent: metadata.pendingIntent || null,
+      tenantId,
+      context,
+      targetingHistory: metadata.targetingHistory || null,
+      onToken
+    });
+
+    await AIMessageRepository.create({
+      conversationId: sessionId,
+      tenantId,
+      role: 'user',
+      content: message,
+      messageData: { type: SESSION_TYPE }
+    });
+    const assistantMessage = await AIMessageRepository.create({
+      conversationId: sessionId,
+      tenantId,
+      role: 'assistant',
+      content: result.response || '',
+      messageData: {
+        type: SESSION_TYPE,
+        targeting: result.updatedTargeting || null,
+        pendingIntent: result.pendingIntent || null,
+        newSearch: result.newSearch === true,
+        options: result.options || []
+      }
+    });
+
+    const updates = {
+      metadata: {
+        ...metadata,
+        currentTargeting: result.updatedTargeting || null,
+        pendingIntent: result.pendingIntent || null,
+        targetingHistory: result.targetingHistory
+      }
+    };
+    if (!conversation.title) {
+      updates.title = message.substring(0, TITLE_MAX_LENGTH);
+    }
+    if (result.newSearch && result.updatedTargeting) {
+      updates.search_params = result.updatedTargeting;
+    }
+    await AIConversationRepository.update(sessionId, tenantId, updates);
+
+    return {
+      ...result,
+      sessionId,
+      messageId: assistantMessage.id
+    };
+  }
+
+  /**
+   * Fork a session into a new one, optionally at a given turn.
+   * The fork gets a copy of the transcript up to that turn and the targeting snapshot at that point.
+   * @param {Object} options - { messageId, title }
+   * @returns {Promise<Object|null>} New session summary (null if source session or message not found)
+   */
+  async forkSession(sessionId, userId, tenantId, { messageId = null, title = null } = {}) {
+    const source = await this.findSession(sessionId, userId, tenantId);
+    if (!source) return null;
+    const sourceMetadata = parseMetadata(source.metadata);
+
+    let forkPoint = null;
+    if (messageId) {
+      forkPoint = await AIMessageRepository.findById(messageId, tenantId);
+      if (!forkPoint || forkPoint.conversation_id !== sessionId) return null;
+    }
+
+    // Targeting/pending intent at the fork point: latest assistant snapshot at or before it
+    let currentTargeting = sourceMetadata.currentTargeting || null;
+    let pendingIntent = sourceMetadata.pendingIntent || null;
+    let targetingHistory = sourceMetadata.targetingHistory || null;
+    if (forkPoint) {
+      const messages = await AIMessageRepository.findByConversation(sessionId, tenantId);
+      const forkTime = new Date(forkPoint.created_at).getTime();
+      const snapshot = messages
+        .filter(m => m.role === 'assistant' && new Date(m.created_at).getTime() <= forkTime)
+        .pop();
+      const snapshotData = parseMetadata(snapshot?.message_data);
+      currentTargeting = snapshotData.targeting || null;
+      pendingIntent = snapshotData.pendingIntent || null;
+      // Version history is not snapshotted per turn; the fork starts a new one from the fork-point targeting
+      targetingHistory = TargetingHistory.normalize(null, currentTargeting);
+    }
+
+    const fork = await AIConversationRepository.create({
+      userId,
+      tenantId,
+      title: title || (source.title ? `${source.title} (fork)` : null),
+      metadata: {
+        type: SESSION_TYPE,
+        currentTargeting,
+        pendingIntent,
+        targetingHistory,
+        forkedFrom: { sessionId, messageId }
+      }
+    });
+    const copied = await AIMessageRepository.copyToConversation(sessionId, fork.id, tenantId, {
+      upToCreatedAt: forkPoint ? forkPoint.created_at : null
+    });
+    logger.info('[LeadChatSessionService] Forked session', { sessionId, forkId: fork.id, copied });
+    return this._toSession(fork);
+  }
+
+  /**
+   * Targeting version history of a session
+   * @returns {Promise<Object|null>} { history, current }
+   */
+  async getTargetingHistory(sessionId, userId, tenantId) {
+    const conversation = await this.findSession(sessionId, userId, tenantId);
+    if (!conversation) return null;
+    const metadata = parseMetadata(conversation.metadata);
+    const history = TargetingHistory.normalize(metadata.targetingHistory, metadata.currentTargeting);
+    return { history, current: TargetingHistory.current(history) };
+  }
+
+  /**
+   * Undo, redo or restore a targeting version and make it the session's current targeting
+   * @param {Object} move - { action: 'undo' | 'redo' | 'restore', steps, version }
+   * @returns {Promise<Object|null>} { history, current, changes } ({ error } if the move is not possible; null if session not found)
+   */
+  async moveTargeting(sessionId, userId, tenantId, { action, steps = 1, version = null }) {
+    const conversation = await this.findSession(sessionId, userId, tenantId);
+    if (!conversation) return null;
+    const metadata = parseMetadata(conversation.metadata);
+    const history = TargetingHistory.normalize(metadata.targetingHistory, metadata.currentTargeting);
+    let moved = null;
+    if (action === 'undo') moved = TargetingHistory.undo(history, steps);
+    if (action === 'redo') moved = TargetingHistory.redo(history, steps);
+    if (action === 'restore') moved = TargetingHistory.goTo(history, version);
+    if (!moved) {
+      return { error: action === 'restore' ? `Version ${version} not found` : `Nothing to ${action}` };
+    }
+    await AIConversationRepository.update(sessionId, tenantId, {
+      metadata: {
+        ...metadata,
+        currentTargeting: moved.version.targeting,
+        pendingIntent: null,
+        targetingHistory: moved.history
+      }
+    });
+    return {
+      history: moved.history,
+      current: moved.version,
+      changes: TargetingHistory.diff(metadata.currentTargeting, moved.version.targeting)
+    };
+  }
+
+  /**
+   * Diff two targeting versions of a session (defaults: previous → active)
+   * @returns {Promise<Object|null>} { from, to, diff, summary } ({ error } if a version is missing; null if session not found)
+   */
+  async diffTargeting(sessionId, userId, tenantId, { from = null, to = null } = {}) {
+    const result = await this.getTargetingHistory(sessionId, userId, tenantId);
+    if (!result) return null;
+    const { history } = result;
+    const toVersion = to || result.current?.version;
+    const fromVersion = from || history.versions[history.cursor - 1]?.version;
+    const compared = TargetingHistory.diffVersions(history, fromVersion, toVersion);
+    if (!compared) {
+      return { error: 'Both versions must exist in the targeting history' };
+    }
+    return { ...compared, summary: TargetingHistory.describeDiff(compared.diff) };
+  }
+
+  _toSession(conversation) {
+    const metadata = parseMetadata(conversation.metadata);
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      status: conversation.status,
+      currentTargeting: metadata.currentTargeting || null,
+      pendingIntent: metadata.pendingIntent || null,
+      targetingHistory: TargetingHistory.normalize(metadata.targetingHistory, metadata.currentTargeting),
+      forkedFrom: metadata.forkedFrom || null,
+      createdAt: conversation.created_at,
+      updatedAt: conversation.updated_at
+    };
+  }
+
+  _toTurn(message) {
+    const data = parseMetadata(message.message_data);
+    return {
+      id: message.id,
+      role: message.role === 'user' ? 'user' : 'ai',
+      text: message.content,
+      targeting: data.targeting || null,
+      pendingIntent: data.pendingIntent || null,
+      options: data.options || [],
+      createdAt: message.created_at
+    };
+  }
+}
+
+module.exports = new LeadChatSessionService();
@@ -0,0 +1,180 @@
+/**
+ * Lead Template Schema Service
+ *
+ * Tenant versions of the leads upload template (ai_lead_template_schemas, migration 017).
+ * A template lists columns { key, label, required, example, type, options, aliases }:
+ * - built-in lead fields (LeadsColumnMapper.FIELDS) keep their key and rules; the template
+ *   sets their label, example and whether they are required
+ * - custom fields (account_owner, deal_stage...) become lead fields of that key, typed text,
+ *   number, date, email, url or select (one of options)
+ * Every column is a personalisation token ({{key}}). The column mapper recognises a column by
+ * its label, key and aliases, and the template_fields validation rule checks required columns
+ * and custom value types. Tenants without a template use LeadsTemplateService.TEMPLATE_COLUMNS;
+ * resetting saves a version without columns, so batches keep the version they were uploaded with.
+ */
+const LeadsTemplateService = require('./LeadsTemplateService');
+const LeadsColumnMapper = require('./LeadsColumnMapper');
+const uploadConfig = require('../config/upload.config');
+const { LeadTemplateSchemaRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Lead keys the upload steps write (annotations), never template columns
+const RESERVED_KEYS = ['company_domain', 'normalization', 'duplicate', 'merged_from', 'email_check', 'icp_score', 'custom_fields'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+class LeadTemplateSchemaService {
+  /**
+   * Template of a tenant: the version asked for, else its current version, else the default
+   * template. A lookup failure of the current version falls back to the default template; a
+   * version asked for (a stored batch's) is that version or an error, never another template.
+   * @returns {Promise<{ version: number|null, is_default: boolean, columns: Object[], created_at: string|null }>}
+   *   version is null when the tenant never saved a template; columns as described by describe()
+   */
+  static async schemaFor(tenantId, version = null) {
+    if (tenantId && version) {
+      const row = await LeadTemplateSchemaRepository.findByVersion(tenantId, version);
+      if (!row) {
+        throw new Error(`Lead template version ${version} not found`);
+      }
+      return this.fromRow(row);
+    }
+    let row = null;
+    if (tenantId) {
+      try {
+        row = await LeadTemplateSchemaRepository.findCurrent(tenantId);
+      } catch (error) {
+        logger.warn('[LeadTemplateSchemaService] Tenant template unavailable, using the default', { error: error.message, tenantId });
+      }
+    }
+    return this.fromRow(row);
+  }
+
+  /**
+   * A stored version of a tenant's template (null when unknown or not a version number)
+   */
+  static async versionOf(tenantId, version) {
+    if (!/^[1-9]\d{0,8}$/.test(String(version))) return null;
+    const row = await LeadTemplateSchemaRepository.findByVersion(tenantId, parseInt(version, 10));
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * { version, is_default, columns, created_at } of a stored version (the default template for
+   * null and for reset versions, which have no columns)
+   */
+  static fromRow(row) {
+    const isDefault = !row?.columns;
+    return {
+      version: row ? row.version : null,
+      is_default: isDefault,
+      columns: this.describe(isDefault ? LeadsTemplateService.TEMPLATE_COLUMNS : row.columns),
+      created_at: row ? row.created_at : null
+    };
+  }
+
+  /**
+   * Columns as returned to clients: custom flag, value type, platform of built-in fields and
+   * personalisation token added
+   */
+  static describe(columns) {
+    const defaults = new Map(LeadsTemplateService.TEMPLATE_COLUMNS.map(column => [column.key, column]));
+    return columns.map(column => {
+      const custom = !LeadsColumnMapper.FIELDS.includes(column.key);
+      return {
+        ...column,
+        required: Boolean(column.required),
+        type: custom ? column.type || 'text' : 'text',
+        ...(!custom && defaults.get(column.key)?.platform ? { platform: defaults.get(column.key).platform } : {}),
+        custom,
+        token: `{{${column.key}}}`
+      };
+    });
+  }
+
+  /**
+   * Check template columns sent by a tenant
+   * @param {Object[]} columns - [{ key, label?, required?, example?, type?, options?, aliases? }]
+   * @returns {{ error: string|null, columns: Object[] }} columns holds what to store
+   */
+  static prepareColumns(columns) {
+    const { maxColumns, maxOptions, maxAliases, types } = uploadConfig.templates;
+    if (!Array.isArray(columns) || columns.length === 0) {
+      return { error: 'columns must be a non-empty array', columns: [] };
+    }
+    if (columns.length > maxColumns) {
+      return { error: `A template has at most ${maxColumns} columns`, columns: [] };
+    }
+    const defaults = new Map(LeadsTemplateService.TEMPLATE_COLUMNS.map(column => [column.key, column]));
+    const keys = new Set();
+    const labels = new Set();
+    const prepared = [];
+    for (const [index, column] of columns.entries()) {
+      const at = `columns[${index}]`;
+      if (!column || typeof column !== 'object' || Array.isArray(column)) {
+        return { error: `${at} must be an object`, columns: [] };
+      }
+      const { key, label, required, example, type, options, aliases } = column;
+      if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        return { error: `${at}.key must be lower-case letters, digits and underscores (up to 50, starting with a letter)`, columns: [] };
+      }
+      if (RESERVED_KEYS.includes(key)) {
+        return { error: `${at}.key ${key} is reserved`, columns: [] };
+      }
+      if (keys.has(key)) {
+        return { error: `${at}.key ${key} is used twice`, columns: [] };
+      }
+      keys.add(key);
+      const custom = !LeadsColumnMapper.FIELDS.includes(key);
+      if (label !== undefined && (typeof label !== 'string' || !label.trim() || label.length > 100)) {
+        return { error: `${at}.label must be a non-empty string of at most 100 characters`, columns: [] };
+      }
+      if (custom && label === undefined) {
+        return { error: `${at}.label is required for custom field ${key}`, columns: [] };
+      }
+      const text = (label || defaults.get(key)?.label || key.replace(/_/g, ' ')).trim();
+      const header = LeadsColumnMapper.normalizeHeader(text);
+      if (labels.has(header)) {
+        return { error: `${at}.label "${text}" is used twice`, columns: [] };
+      }
+      labels.add(header);
+      if (required !== undefined && typeof required !== 'boolean') {
+        return { error: `${at}.required must be true or false`, columns: [] };
+      }
+      if (example !== undefined && (typeof example !== 'string' || example.length > 200)) {
+        return { error: `${at}.example must be a string of at most 200 characters`, columns: [] };
+      }
+      if (type !== undefined && (!custom || !types.includes(type))) {
+        return {
+          error: custom ? `${at}.type must be one of: ${types.join(', ')}` : `${at}.type applies to custom fields only`,
+          columns: []
+        };
+      }
+      if (type === 'select' && (!isStringList(options) || options.length === 0 || options.length > maxOptions)) {
+        return { error: `${at}.options must be a list of 1 to ${maxOptions} values`, columns: [] };
+      }
+      if (type !== 'select' && options !== undefined) {
+        return { error: `${at}.options applies to select fields only`, columns: [] };
+      }
+      if (aliases !== undefined && (!isStringList(aliases) || aliases.length > maxAliases)) {
+        return { error: `${at}.aliases must be a list of at most ${maxAliases} header texts`, columns: [] };
+      }
+      prepared.push({
+        key,
+        label: text,
+        required: Boolean(required ?? defaults.get(key)?.required),
+        example: example ?? defaults.get(key)?.example ?? '',
+        ...(custom ? { type: type || 'text' } : {}),
+        ...(type === 'select' ? { options: options.map(option => option.trim()) } : {}),
+        ...(aliases?.length ? { aliases: aliases.map(alias => alias.trim()) } : {})
+      });
+    }
+    // Rows without a name are left out of every upload
+    if (!prepared.some(column => LeadsColumnMapper.NAME_FIELDS.includes(column.key))) {
+      return { error: `A template needs a name column: ${LeadsColumnMapper.NAME_FIELDS.join(', ')}`, columns: [] };
+    }
+    return { error: null, columns: prepared };
+  }
+}
+
+module.exports = LeadTemplateSchemaService;
@@ -4,6 +4,7 @@
  */
 const GeminiResponseGenerator = require('./GeminiResponseGenerator');
 const LeadsTemplateService = require('./LeadsTemplateService');
+const LeadsValidator = require('./LeadsValidator');
 const logger = require('../utils/logger');
 class LeadsAnalyzerService {
   /**
@@ -77,7 +78,7 @@ Top Locations: ${context.locations.map(l => l.name).join(', ') || 'Not specified
 Unique Companies: ${context.uniqueCompanies}
 Platform Data Coverage:
 - LinkedIn URLs: ${context.platformCoverage.linkedin?.percentage || 0}%
-- Email Addresses: ${context.platformCoverage.email?.percentage || 0}%
+- Deliverable Email Addresses: ${context.platformCoverage.email?.percentage || 0}%
 - Phone Numbers: ${context.platformCoverage.voice?.percentage || 0}%
 - WhatsApp: ${context.platformCoverage.whatsapp?.percentage || 0}%
 Sample Leads:
@@ -134,7 +135,7 @@ Provide a brief, actionable summary focusing on:
         platform: 'email',
         action: 'email_sequence',
         priority: 'high',
-        reason: `${platforms.coverage.email.percentage}% of leads have email addresses`
+        reason: `${platforms.coverage.email.percentage}% of leads have deliverable email addresses`
       });
     }
     if (platforms.available.includes('voice') && platforms.coverage.voice.percentage >= 30) {
@@ -266,60 +267,46 @@ Provide a brief, actionable summary focusing on:
     return questions;
   }
   /**
-   * Validate leads for campaign execution
+   * Validate leads for campaign execution with the rules of LeadsValidator
+   * Leads are normalised first (a no-op for leads the upload already normalised), so checks
+   * run on clean values and the normalisation flags
+   * @param {Object} options - { rules (tenant's effective rules, default config), actions ({ platform: action }),
+   *   steps, defaultCountryCode }
+   * @returns {Object} valid / invalid leads (issues: the error messages), counts and the readiness report
    */
-  static validateForExecution(leads, selectedPlatforms) {
-    const issues = [];
+  static validateForExecution(leads, selectedPlatforms, options = {}) {
+    const { leads: cleanLeads, report } = LeadsValidator.validate(leads, selectedPlatforms, options);
     const valid = [];
     const invalid = [];
-    for (let i = 0; i < leads.length; i++) {
-      const lead = leads[i];
-      const leadIssues = [];
-      // Check required data for each selected platform
-      for (const platform of selectedPlatforms) {
-        switch (platform) {
-          case 'linkedin':
-            if (!lead.linkedin_url) {
-              leadIssues.push('Missing LinkedIn URL');
-            }
-            break;
-          case 'email':
-            if (!lead.email || !this.isValidEmail(lead.email)) {
-              leadIssues.push('Invalid or missing email');
-            }
-            break;
-          case 'voice':
-            if (!lead.phone) {
-              leadIssues.push('Missing phone number');
-            }
-            break;
-          case 'whatsapp':
-            if (!lead.whatsapp && !lead.phone) {
-              leadIssues.push('Missing WhatsApp/phone number');
-            }
-            break;
-        }
-      }
-      if (leadIssues.length > 0) {
-        invalid.push({ index: i, lead, issues: leadIssues });
-      } else {
+    report.leads.forEach(entry => {
+      const lead = cleanLeads[entry.index];
+      if (entry.ready) {
         valid.push(lead);
+        return;
       }
-    }
+      const reasons = Object.values(entry.platforms).flatMap(platform => platform.reasons);
+      invalid.push({
+        index: entry.index,
+        lead,
+        issues: reasons.filter(reason => reason.severity === 'error').map(reason => reason.message),
+        reasons
+      });
+    });
     return {
       valid,
       invalid,
-      totalLeads: leads.length,
+      totalLeads: cleanLeads.length,
       validCount: valid.length,
       invalidCount: invalid.length,
-      canExecute: valid.length > 0
+      canExecute: valid.length > 0,
+      report
     };
   }
   /**
-   * Simple email validation
+   * Email validation (see LeadsValidator.isValidEmail)
    */
   static isValidEmail(email) {
-    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    return LeadsValidator.isValidEmail(email);
   }
 }
 module.exports = LeadsAnalyzerService;
\ No newline at end of file
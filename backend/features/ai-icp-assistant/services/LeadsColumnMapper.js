@@ -0,0 +1,387 @@
+/**
+ * Leads Column Mapper
+ *
+ * Proposes which lead field each column of an uploaded file holds, and turns parsed rows into
+ * leads once the mapping is confirmed. Sources, strongest first:
+ * - a saved tenant mapping for the same header set (or the one picked by id)
+ * - header aliases (config/leadMapping.config.js), checked against the column's sample values
+ * - sample values alone (emails, phone numbers, LinkedIn / Twitter / website URLs, size ranges)
+ * - optionally the LLM, for columns still unmapped or unsure
+ * Each field is used by at most one column; columns mapped to nothing are kept per lead under
+ * custom_fields[header]. With a tenant template (LeadTemplateSchemaService), its custom fields
+ * can be mapped too, and its labels and aliases count as header aliases.
+ */
+const crypto = require('crypto');
+const geminiClientService = require('./gemini-client.service');
+const LeadsTemplateService = require('./LeadsTemplateService');
+const { LeadColumnMappingRepository } = require('../repositories');
+const mappingConfig = require('../config/leadMapping.config');
+const uploadConfig = require('../config/upload.config');
+const llmConfig = require('../config/llm.config');
+const logger = require('../utils/logger');
+
+const FIELDS = Object.keys(mappingConfig.aliases);
+const NAME_FIELDS = ['first_name', 'last_name', 'full_name'];
+
+// Value patterns, tried in order (LinkedIn / Twitter URLs before websites). fits, when set, is
+// the looser check for a column whose header already names the field
+const VALUE_PATTERNS = [
+  { key: 'email', test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) },
+  { key: 'linkedin_url', test: value => /linkedin\.com\//i.test(value) },
+  { key: 'twitter_url', test: value => /^(https?:\/\/)?(www\.)?(twitter|x)\.com\//i.test(value) },
+  { key: 'website', test: value => /^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i.test(value) },
+  { key: 'phone', test: value => /^\+?[\d\s().-]{7,20}$/.test(value) && value.replace(/\D/g, '').length >= 7 },
+  {
+    key: 'company_size',
+    test: value => /^\d[\d,]*\s*(-|–|to)\s*\d[\d,]*$|^\d[\d,]*\+$/i.test(value),
+    fits: value => /^\d[\d,]*(\s*(-|–|to)\s*\d[\d,]*|\+)?$/i.test(value)
+  }
+];
+
+class LeadsColumnMapper {
+  static get FIELDS() {
+    return FIELDS;
+  }
+
+  static get NAME_FIELDS() {
+    return NAME_FIELDS;
+  }
+
+  /**
+   * Header aliases per field: the configured ones, plus the template's fields with their labels
+   * and aliases
+   * @param {Object[]|null} template - Tenant template columns (null: built-in fields only)
+   * @returns {Object} { field: [normalised header texts] }
+   */
+  static aliasesFor(template = null) {
+    if (!template) return mappingConfig.aliases;
+    const aliases = { ...mappingConfig.aliases };
+    template.forEach(column => {
+      const texts = [column.label, ...(column.aliases || [])].map(text => this.normalizeHeader(text)).filter(Boolean);
+      aliases[column.key] = [...new Set([...(aliases[column.key] || []), ...texts])];
+    });
+    return aliases;
+  }
+
+  /**
+   * Header text as compared with aliases: "E-mail Address" → "e mail address"
+   */
+  static normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * Hash of a header set, order-insensitive (finds the saved mapping for a recurring export)
+   */
+  static headerSignature(headers) {
+    const normalized = [...new Set(headers.map(header => this.normalizeHeader(header)))].sort();
+    return crypto.createHash('sha256').update(normalized.join('\n')).digest('hex');
+  }
+
+  /**
+   * Propose a mapping for parsed columns
+   * @param {string[]} headers - Header text per column
+   * @param {string[][]} rows - Parsed rows (values in column order); the first sampleRows are read
+   * @param {Object} options - { tenantId, mappingId (saved mapping to apply), useAI, template (tenant
+   *   template columns) }
+   * @returns {Promise<Object>} { columns: [{ index, header, key, confidence, source, samples }],
+   *   savedMapping, missingRequired ('name' and required template fields no column holds), needsReview }
+   */
+  static async propose(headers, rows, options = {}) {
+    const { tenantId = null, mappingId = null, useAI = mappingConfig.ai.enabled, template = null } = options;
+    const aliases = this.aliasesFor(template);
+    const fields = Object.keys(aliases);
+    const sample = rows.slice(0, mappingConfig.sampleRows);
+    const columns = headers.map((header, index) => {
+      const values = sample.map(row => row[index] || '').filter(value => value !== '');
+      return {
+        index,
+        header,
+        key: null,
+        confidence: 0,
+        source: 'none',
+        samples: [...new Set(values)].slice(0, mappingConfig.previewValues),
+        _candidate: this._heuristic(header, values, aliases)
+      };
+    });
+    const taken = new Set();
+
+    const saved = await this._findSaved(headers, tenantId, mappingId);
+    if (saved) {
+      columns.forEach(column => {
+        const key = saved.mapping[this.normalizeHeader(column.header)];
+        if (key === undefined) return;
+        column.source = 'saved';
+        column.confidence = 1;
+        if (fields.includes(key) && !taken.has(key)) {
+          column.key = key;
+          taken.add(key);
+        }
+      });
+    }
+
+    // Strongest heuristic claims a field first; ties go to the leftmost column
+    columns
+      .filter(column => column.source === 'none' && column._candidate)
+      .sort((a, b) => b._candidate.confidence - a._candidate.confidence || a.index - b.index)
+      .forEach(column => {
+        if (taken.has(column._candidate.key)) return;
+        Object.assign(column, column._candidate);
+        taken.add(column.key);
+      });
+
+    if (useAI) {
+      await this._proposeWithAI(columns, taken, tenantId, template);
+    }
+
+    const proposal = columns.map(({ _candidate, ...column }) => ({
+      ...column,
+      confidence: Math.round(column.confidence * 100) / 100
+    }));
+    const missingRequired = [
+      ...(proposal.some(column => NAME_FIELDS.includes(column.key)) ? [] : ['name']),
+      ...(template || [])
+        .filter(field => field.required && !NAME_FIELDS.includes(field.key) && !taken.has(field.key))
+        .map(field => field.key)
+    ];
+    return {
+      columns: proposal,
+      savedMapping: saved ? { id: saved.id, name: saved.name, source_format: saved.source_format } : null,
+      missingRequired,
+      needsReview: missingRequired.length > 0 ||
+        proposal.some(column => column.source !== 'saved' && column.confidence < mappingConfig.reviewBelow)
+    };
+  }
+
+  /**
+   * Check a client-supplied mapping ([{ header, key }] in column order)
+   * @param {Object[]|null} template - Tenant template columns (their custom fields are keys too)
+   * @returns {string|null} Error message
+   */
+  static validate(columns, template = null) {
+    const fields = Object.keys(this.aliasesFor(template));
+    if (!Array.isArray(columns) || columns.length === 0) {
+      return 'columns must be a non-empty array';
+    }
+    const used = new Map();
+    for (const [index, column] of columns.entries()) {
+      if (!column || typeof column !== 'object') {
+        return `columns[${index}] must be an object`;
+      }
+      const { key } = column;
+      if (key === null || key === undefined || key === '') continue;
+      if (!fields.includes(key)) {
+        return `columns[${index}].key must be one of: ${fields.join(', ')} (or null to keep it as a custom field)`;
+      }
+      if (used.has(key)) {
+        return `Columns ${used.get(key) + 1} and ${index + 1} both map to ${key}`;
+      }
+      used.set(key, index);
+    }
+    return null;
+  }
+
+  /**
+   * Build leads from rows with a mapping; rows without a name are reported and left out
+   * @param {string[][]} rows - Values in column order
+   * @param {Object[]} columns - [{ header, key }] (key null → custom_fields[header])
+   * @param {Object} options - { rowNumbers (row per entry of rows, default position), rowErrors, errorCount (parse errors to merge) }
+   * @returns {Object} { leads, totalRows, validLeads, headers, errors, rowErrors, errorCount }
+   */
+  static apply(rows, columns, options = {}) {
+    const { rowNumbers = null, rowErrors: parseErrors = [], errorCount: parseErrorCount = 0 } = options;
+    const mapped = columns.map((column, index) => ({ index, key: column.key || null, header: column.header || `Column ${index + 1}` }));
+    const custom = mapped.filter(column => !column.key);
+    const leads = [];
+    const nameErrors = [];
+    rows.forEach((values, position) => {
+      const lead = {};
+      mapped.forEach(({ index, key }) => {
+        if (key) lead[key] = String(values[index] ?? '').trim();
+      });
+      if (custom.length) {
+        lead.custom_fields = {};
+        custom.forEach(({ index, header }) => {
+          lead.custom_fields[header] = String(values[index] ?? '').trim();
+        });
+      }
+      if (!NAME_FIELDS.some(field => lead[field])) {
+        const row = rowNumbers ? rowNumbers[position] : position + 1;
+        nameErrors.push({ row, line: row, column: null, field: null, code: 'missing_name', message: 'Missing name fields' });
+        return;
+      }
+      leads.push(lead);
+    });
+    const rowErrors = [...parseErrors, ...nameErrors]
+      .sort((a, b) => a.row - b.row)
+      .slice(0, uploadConfig.leads.maxReportedErrors);
+    return {
+      leads,
+      totalRows: rows.length,
+      validLeads: leads.length,
+      headers: mapped.filter(column => column.key).map(column => column.key),
+      errors: rowErrors.map(error => LeadsTemplateService.formatRowError(error)),
+      rowErrors,
+      errorCount: parseErrorCount + nameErrors.length
+    };
+  }
+
+  /**
+   * Save a confirmed mapping for the tenant (replaces a mapping with the same name)
+   */
+  static async save(tenantId, { name, format = null, columns, userId = null }) {
+    const headers = columns.map(column => this.normalizeHeader(column.header));
+    const mapping = {};
+    columns.forEach((column, index) => {
+      mapping[headers[index]] = column.key || null;
+    });
+    return LeadColumnMappingRepository.save({
+      tenantId,
+      name,
+      sourceFormat: format,
+      headers,
+      headerSignature: this.headerSignature(headers),
+      mapping,
+      userId
+    });
+  }
+
+  /**
+   * Best field for one column from its header and sample values
+   * @private
+   */
+  static _heuristic(header, values, aliases = mappingConfig.aliases) {
+    const byHeader = this._matchHeader(header, aliases);
+    const byValues = this._matchValues(values);
+    if (byHeader) {
+      const pattern = VALUE_PATTERNS.find(p => p.key === byHeader.key);
+      const fits = pattern && values.length ? values.filter(pattern.fits || pattern.test).length / values.length : null;
+      if (byValues && byValues.key === byHeader.key) {
+        return { key: byHeader.key, confidence: Math.min(1, byHeader.confidence + 0.1), source: 'header' };
+      }
+      // A weak header match loses to values that clearly hold something else
+      if (byValues && byHeader.confidence < 0.9) {
+        return byValues;
+      }
+      // "Email" column without emails in it
+      if (fits !== null && fits < 0.5) {
+        return { key: byHeader.key, confidence: byHeader.confidence * 0.6, source: 'header' };
+      }
+      return byHeader;
+    }
+    return byValues;
+  }
+
+  /**
+   * Exact field name 1, exact alias 0.95, alias inside the header 0.6 (0.75 when it ends it,
+   * "Contact Email" vs "Email Opt Out")
+   * @private
+   */
+  static _matchHeader(header, aliases = mappingConfig.aliases) {
+    const text = this.normalizeHeader(header);
+    if (!text) return null;
+    let best = null;
+    for (const key of Object.keys(aliases)) {
+      if (text === key.replace(/_/g, ' ')) {
+        return { key, confidence: 1, source: 'header' };
+      }
+      for (const alias of aliases[key]) {
+        let confidence = 0;
+        if (text === alias) {
+          confidence = 0.95;
+        } else if (` ${text} `.includes(` ${alias} `)) {
+          confidence = text.endsWith(` ${alias}`) ? 0.75 : 0.6;
+        }
+        // Longer alias wins a tie ("company name for emails" over "company")
+        if (confidence && (!best || confidence > best.confidence ||
+          (confidence === best.confidence && alias.length > best.aliasLength))) {
+          best = { key, confidence, aliasLength: alias.length };
+        }
+      }
+    }
+    return best ? { key: best.key, confidence: best.confidence, source: 'header' } : null;
+  }
+
+  /**
+   * Field whose value pattern fits most of the samples
+   * @private
+   */
+  static _matchValues(values) {
+    if (!values.length) return null;
+    for (const { key, test } of VALUE_PATTERNS) {
+      const ratio = values.filter(test).length / values.length;
+      if (ratio >= mappingConfig.valueMatchRatio) {
+        return { key, confidence: 0.85 * ratio, source: 'values' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Saved mapping to apply: the one asked for, else the latest for the same header set
+   * (lookup failures only cost the saved mapping, never the upload)
+   * @private
+   */
+  static async _findSaved(headers, tenantId, mappingId) {
+    if (!tenantId) return null;
+    try {
+      if (mappingId) {
+        const saved = await LeadColumnMappingRepository.findById(mappingId, tenantId);
+        if (!saved) throw new Error(`Column mapping ${mappingId} not found`);
+        LeadColumnMappingRepository.recordUse(saved.id);
+        return saved;
+      }
+      const saved = await LeadColumnMappingRepository.findBySignature(tenantId, this.headerSignature(headers));
+      if (saved) LeadColumnMappingRepository.recordUse(saved.id);
+      return saved;
+    } catch (error) {
+      logger.warn('[LeadsColumnMapper] Saved mapping lookup failed', { error: error.message, tenantId, mappingId });
+      return null;
+    }
+  }
+
+  /**
+   * Ask the LLM about columns still unmapped or below reviewBelow
+   * @private
+   */
+  static async _proposeWithAI(columns, taken, tenantId, template = null) {
+    const fields = Object.keys(this.aliasesFor(template));
+    // Custom template fields are described by their label
+    const custom = new Map((template || []).filter(field => !FIELDS.includes(field.key)).map(field => [field.key, field.label]));
+    const unsure = columns
+      .filter(column => column.source !== 'saved' && column.confidence < mappingConfig.reviewBelow)
+      .slice(0, mappingConfig.ai.maxColumns);
+    const llmOptions = { task: llmConfig.tasks.MAP_LEAD_COLUMNS, tenantId };
+    if (!unsure.length || !geminiClientService.isAvailable(llmOptions)) return;
+    const mappedFields = columns.filter(column => column.key).map(column => `${column.header} → ${column.key}`);
+    const prompt = `Map columns of an uploaded B2B leads spreadsheet to lead fields.
+Lead fields: ${fields.map(field => (custom.has(field) ? `${field} (${custom.get(field)})` : field)).join(', ')}
+Already mapped: ${mappedFields.join('; ') || 'none'}
+Columns to map (header: sample values):
+${unsure.map(column => `- "${column.header}": ${column.samples.map(value => JSON.stringify(value)).join(', ') || '(empty)'}`).join('\n')}
+Use each lead field at most once and only when the column clearly holds it; use null otherwise.
+Respond ONLY with valid JSON (no markdown) mapping each header to a lead field or null, e.g. {"Contact": "full_name", "Source": null}`;
+    try {
+      const text = await geminiClientService.generateContent(prompt, { ...llmOptions, temperature: 0, maxOutputTokens: 1000 });
+      const jsonMatch = text.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) return;
+      const answer = JSON.parse(jsonMatch[0]);
+      unsure.forEach(column => {
+        const key = answer[column.header];
+        if (!fields.includes(key)) return;
+        if (column.key === key) {
+          column.confidence = Math.max(column.confidence, mappingConfig.ai.confidence);
+          column.source = 'ai';
+        } else if (!taken.has(key)) {
+          if (column.key) taken.delete(column.key);
+          Object.assign(column, { key, confidence: mappingConfig.ai.confidence, source: 'ai' });
+          taken.add(key);
+        }
+      });
+    } catch (error) {
+      logger.warn('[LeadsColumnMapper] AI column mapping failed', { error: error.message });
+    }
+  }
+}
+
+module.exports = LeadsColumnMapper;
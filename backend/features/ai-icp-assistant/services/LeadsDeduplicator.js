@@ -0,0 +1,415 @@
+/**
+ * Leads Deduplicator
+ *
+ * Finds duplicate leads in an upload, and leads the tenant uploaded before, on the keys in
+ * config/dedupe.config.js (run after LeadsNormalizer, so emails, phones and LinkedIn URLs are
+ * already canonical):
+ * - email, linkedin_url, phone: equal values
+ * - name_company: same company (case, accents, punctuation and legal suffixes ignored) and same
+ *   person; within an upload both may also differ by a typo ("Jonathon Smith, Acme" =
+ *   "Jonathan Smith, ACME Inc.")
+ *
+ * Leads linked by any key form a cluster, with a merge suggestion: the most complete lead,
+ * with its empty fields filled from the others, and the fields the leads disagree on.
+ * Previous uploads are matched through ai_lead_identities (record() writes them); when the
+ * database is unavailable the upload is only checked against itself. A match in a batch the
+ * user may not use (another user's, see LeadBatchService.canAccess) only names the upload and
+ * row, without the lead.
+ */
+const dedupeConfig = require('../config/dedupe.config');
+const TaxonomyService = require('./TaxonomyService');
+const LeadBatchService = require('./LeadBatchService');
+const { LeadIdentityRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const KEYS = ['email', 'linkedin_url', 'phone', 'name_company'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Bookkeeping fields, never merged or compared
+const META_FIELDS = ['normalization', 'duplicate', 'merged_from'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+function companyKey(company) {
+  let words = TaxonomyService.normalizeText(company).replace(/\band\b/g, ' ').split(/\s+/).filter(Boolean);
+  const suffixes = dedupeConfig.companySuffixes;
+  while (words.length > 1) {
+    const last = words[words.length - 1];
+    const lastTwo = words.slice(-2).join(' ');
+    if (suffixes.includes(lastTwo)) words = words.slice(0, -2);
+    else if (suffixes.includes(last)) words = words.slice(0, -1);
+    else break;
+  }
+  return words.join(' ');
+}
+
+function personName(lead) {
+  const first = TaxonomyService.normalizeText(lead.first_name);
+  const last = TaxonomyService.normalizeText(lead.last_name);
+  const full = first || last ? `${first} ${last}`.trim() : TaxonomyService.normalizeText(lead.full_name);
+  return { first, last, full };
+}
+
+// "J Smith" = "John Smith"; otherwise first and last names must each be similar
+function sameFirstName(a, b, threshold) {
+  if (a.length === 1 || b.length === 1) return a[0] === b[0];
+  return TaxonomyService.similarity(a, b) >= threshold;
+}
+
+function sameName(a, b) {
+  const threshold = dedupeConfig.fuzzy.nameSimilarity;
+  if (a.full === b.full) return true;
+  if (a.first && a.last && b.first && b.last) {
+    const similar = (x, y) => TaxonomyService.similarity(x.last, y.last) >= threshold && sameFirstName(x.first, y.first, threshold);
+    // "Lee Ann" = "Ann Lee"
+    return similar(a, b) || similar(a, { first: b.last, last: b.first });
+  }
+  return TaxonomyService.similarity(a.full, b.full) >= threshold;
+}
+
+function unionFind(size) {
+  const parent = Array.from({ length: size }, (_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  // The lower index stays the root, so clusters are ordered by their first lead
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) return false;
+    parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    return true;
+  };
+  return { find, union };
+}
+
+class LeadsDeduplicator {
+  static get KEYS() {
+    return KEYS;
+  }
+
+  /**
+   * Check a requested key list
+   * @returns {string|null} Error message
+   */
+  static validateKeys(keys) {
+    if (!Array.isArray(keys) || keys.length === 0 || keys.some(key => !KEYS.includes(key))) {
+      return `keys must be a list of: ${KEYS.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Normalised identity keys of a lead (only the ones it has)
+   * @returns {Object} { email?, linkedin_url?, phone?, name_company? }
+   */
+  static keysOf(lead) {
+    const keys = {};
+    const email = String(lead.email || '').trim().toLowerCase();
+    if (EMAIL_PATTERN.test(email)) keys.email = email;
+    const linkedin = String(lead.linkedin_url || '').trim().toLowerCase()
+      .replace(/^https?:\/\/([a-z]{2,3}\.)?/, '')
+      .replace(/[?#].*$/, '')
+      .replace(/\/+$/, '');
+    if (/^linkedin\.com\/(in|pub|company|school)\/[^/]+/.test(linkedin)) keys.linkedin_url = linkedin;
+    const phone = String(lead.phone || '').replace(/\D/g, '');
+    if (phone.length >= 7 && phone.length <= 15) keys.phone = phone;
+    const name = personName(lead).full;
+    const company = companyKey(lead.company);
+    if (name && company) keys.name_company = `${name}|${company}`;
+    return keys;
+  }
+
+  /**
+   * Find duplicate clusters in the leads, and leads matching the tenant's previous uploads
+   * @param {Object[]} leads - Normalised leads
+   * @param {Object} options - { keys (default config), tenantId, userId, capabilities (of the user, for
+   *   the batches it may see), uploadId (this upload, not matched), history (default config) }
+   * @returns {Promise<Object>} { leads (copies), keys, clusters: [{ id, leads, matchedOn, suggestion: { keep, lead, conflicts } }],
+   *   previous: [{ index, matchedOn, upload: { id, row_index, created_at? }, lead? }], stats }
+   *   (created_at and lead only for batches the user may use)
+   *   Leads in a cluster or matching a previous upload get lead.duplicate = { cluster?, previous? }
+   */
+  static async detect(leads, options = {}) {
+    const keys = options.keys || dedupeConfig.keys;
+    const leadKeys = leads.map(lead => this.keysOf(lead));
+    const clusters = this._cluster(leads, leadKeys, keys);
+
+    let previous = [];
+    let history = 'skipped';
+    if (options.tenantId && (options.history ?? dedupeConfig.history.enabled)) {
+      try {
+        previous = await this._matchHistory(leadKeys, keys, options);
+        history = 'checked';
+      } catch (error) {
+        logger.warn('[LeadsDeduplicator] Previous uploads not checked', { error: error.message });
+        history = 'unavailable';
+      }
+    }
+
+    const annotated = leads.map(lead => {
+      const { duplicate, ...rest } = lead;
+      return rest;
+    });
+    clusters.forEach(cluster => {
+      cluster.leads.forEach(index => {
+        annotated[index].duplicate = { cluster: cluster.id };
+      });
+    });
+    previous.forEach(match => {
+      annotated[match.index].duplicate = {
+        ...annotated[match.index].duplicate,
+        previous: { upload_id: match.upload.id, matchedOn: match.matchedOn }
+      };
+    });
+
+    return {
+      leads: annotated,
+      keys,
+      clusters,
+      previous,
+      stats: {
+        clusters: clusters.length,
+        // Leads a merge of every cluster would remove
+        duplicateLeads: clusters.reduce((sum, cluster) => sum + cluster.leads.length - 1, 0),
+        previousMatches: previous.length,
+        history
+      }
+    };
+  }
+
+  /**
+   * Record the leads of an upload, so later uploads are checked against them (never throws)
+   * @returns {Promise<boolean>} Whether they were recorded
+   */
+  static async record(tenantId, uploadId, leads, userId = null) {
+    if (!tenantId || !dedupeConfig.history.enabled) return false;
+    const identities = [];
+    leads.forEach((lead, rowIndex) => {
+      const snapshot = {};
+      ['first_name', 'last_name', 'full_name', 'email', 'company', 'job_title'].forEach(field => {
+        if (!isEmpty(lead[field])) snapshot[field] = lead[field];
+      });
+      Object.entries(this.keysOf(lead)).forEach(([keyType, keyValue]) => {
+        identities.push({ rowIndex, keyType, keyValue, lead: snapshot });
+      });
+    });
+    return LeadIdentityRepository.replaceUpload({
+      tenantId,
+      uploadId,
+      identities,
+      userId,
+      chunkSize: dedupeConfig.history.insertChunk
+    });
+  }
+
+  /**
+   * Check merge instructions against the leads
+   * @param {Object[]} clusters - [{ leads: number[], keep?, fields? }]
+   * @returns {string|null} Error message
+   */
+  static validateMerge(leads, clusters) {
+    if (!Array.isArray(clusters) || clusters.length === 0) {
+      return 'clusters must be a non-empty array';
+    }
+    const seen = new Set();
+    for (const cluster of clusters) {
+      const indexes = cluster?.leads;
+      if (!Array.isArray(indexes) || indexes.length < 2) {
+        return 'each cluster needs at least two lead indexes';
+      }
+      if (indexes.some(index => !Number.isInteger(index) || index < 0 || index >= leads.length)) {
+        return `lead indexes must be between 0 and ${leads.length - 1}`;
+      }
+      if (indexes.some(index => seen.has(index)) || new Set(indexes).size !== indexes.length) {
+        return 'a lead can be in only one cluster';
+      }
+      indexes.forEach(index => seen.add(index));
+      if (cluster.keep !== undefined && !indexes.includes(cluster.keep)) {
+        return 'keep must be one of the cluster\'s lead indexes';
+      }
+      if (cluster.fields !== undefined && (typeof cluster.fields !== 'object' || Array.isArray(cluster.fields))) {
+        return 'fields must be an object of field values';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Merge each cluster into one lead, at the position of the lead kept
+   * @param {Object[]} clusters - [{ leads, keep? (default: suggested), fields? (values chosen for conflicts) }]
+   * @returns {{ leads: Object[], merged: number, removed: number }}
+   */
+  static merge(leads, clusters) {
+    const replaced = new Map();
+    const removed = new Set();
+    clusters.forEach(cluster => {
+      const suggestion = this._suggest(leads, cluster.leads, cluster.keep);
+      const lead = { ...suggestion.lead, ...(cluster.fields || {}), merged_from: [...cluster.leads].sort((a, b) => a - b) };
+      delete lead.duplicate;
+      replaced.set(suggestion.keep, lead);
+      cluster.leads.filter(index => index !== suggestion.keep).forEach(index => removed.add(index));
+    });
+    const merged = [];
+    leads.forEach((lead, index) => {
+      if (removed.has(index)) return;
+      merged.push(replaced.get(index) || lead);
+    });
+    return { leads: merged, merged: clusters.length, removed: removed.size };
+  }
+
+  /**
+   * Union leads sharing a key; name_company also fuzzily within blocks of similar companies
+   * @private
+   */
+  static _cluster(leads, leadKeys, keys) {
+    const { find, union } = unionFind(leads.length);
+    const edges = [];
+    const link = (a, b, key) => {
+      union(a, b);
+      edges.push([a, key]);
+    };
+
+    keys.forEach(key => {
+      const first = new Map();
+      leadKeys.forEach((values, index) => {
+        const value = values[key];
+        if (!value) return;
+        if (first.has(value)) link(first.get(value), index, key);
+        else first.set(value, index);
+      });
+    });
+
+    if (keys.includes('name_company')) {
+      const blocks = new Map();
+      leads.forEach((lead, index) => {
+        if (!leadKeys[index].name_company) return;
+        const company = companyKey(lead.company);
+        const block = company.slice(0, 4);
+        if (!blocks.has(block)) blocks.set(block, []);
+        blocks.get(block).push({ index, company, name: personName(lead) });
+      });
+      blocks.forEach(entries => {
+        if (entries.length < 2 || entries.length > dedupeConfig.fuzzy.maxBlockSize) return;
+        for (let i = 0; i < entries.length; i++) {
+          for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i];
+            const b = entries[j];
+            if (find(a.index) === find(b.index)) continue;
+            const sameCompany = a.company === b.company ||
+              TaxonomyService.similarity(a.company, b.company) >= dedupeConfig.fuzzy.companySimilarity;
+            if (sameCompany && sameName(a.name, b.name)) link(a.index, b.index, 'name_company');
+          }
+        }
+      });
+    }
+
+    const groups = new Map();
+    leads.forEach((lead, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, { leads: [], matchedOn: new Set() });
+      groups.get(root).leads.push(index);
+    });
+    edges.forEach(([index, key]) => groups.get(find(index)).matchedOn.add(key));
+
+    const clusters = [];
+    groups.forEach(group => {
+      if (group.leads.length < 2) return;
+      clusters.push({
+        id: `c${clusters.length + 1}`,
+        leads: group.leads,
+        matchedOn: KEYS.filter(key => group.matchedOn.has(key)),
+        suggestion: this._suggest(leads, group.leads)
+      });
+    });
+    return clusters;
+  }
+
+  /**
+   * Merge suggestion: keep the most complete lead (or the one given), fill its empty fields
+   * from the others in order, and list the fields with different values
+   * @private
+   */
+  static _suggest(leads, indexes, keep) {
+    const filled = (lead) => Object.entries(lead)
+      .filter(([field, value]) => !META_FIELDS.includes(field) && field !== 'custom_fields' && !isEmpty(value)).length;
+    const keepIndex = keep ?? indexes.reduce((best, index) => (filled(leads[index]) > filled(leads[best]) ? index : best), indexes[0]);
+    const lead = { ...leads[keepIndex] };
+    const conflicts = {};
+    const ordered = [keepIndex, ...indexes.filter(index => index !== keepIndex)];
+    ordered.forEach(index => {
+      Object.entries(leads[index]).forEach(([field, value]) => {
+        if (META_FIELDS.includes(field) || isEmpty(value)) return;
+        if (field === 'custom_fields') {
+          lead.custom_fields = { ...value, ...lead.custom_fields };
+          return;
+        }
+        if (isEmpty(lead[field])) {
+          lead[field] = value;
+          return;
+        }
+        if (lead[field] !== value) {
+          conflicts[field] = [...new Set([...(conflicts[field] || [lead[field]]), value])];
+        }
+      });
+    });
+    return { keep: keepIndex, lead, conflicts };
+  }
+
+  /**
+   * Leads whose keys were in previous uploads, with the latest match for each (the lead only
+   * from batches the user may use)
+   * @private
+   */
+  static async _matchHistory(leadKeys, keys, options) {
+    const { lookupChunk, retentionDays } = dedupeConfig.history;
+    const since = retentionDays > 0 ? new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) : null;
+    const matches = new Map();
+    for (const key of keys) {
+      const byValue = new Map();
+      leadKeys.forEach((values, index) => {
+        const value = values[key];
+        if (!value) return;
+        if (!byValue.has(value)) byValue.set(value, []);
+        byValue.get(value).push(index);
+      });
+      const values = [...byValue.keys()];
+      for (let start = 0; start < values.length; start += lookupChunk) {
+        const rows = await LeadIdentityRepository.findMatches(options.tenantId, key, values.slice(start, start + lookupChunk), {
+          excludeUploadId: options.uploadId,
+          since
+        });
+        rows.forEach(row => {
+          byValue.get(row.key_value).forEach(index => {
+            const match = matches.get(index);
+            if (!match) {
+              matches.set(index, {
+                index,
+                matchedOn: [key],
+                upload: { id: row.upload_id, row_index: row.row_index, created_at: row.created_at },
+                lead: row.lead
+              });
+            } else if (!match.matchedOn.includes(key)) {
+              match.matchedOn.push(key);
+            }
+          });
+        });
+      }
+    }
+    const visible = await LeadBatchService.accessibleIds([...new Set([...matches.values()].map(match => match.upload.id))], {
+      tenantId: options.tenantId,
+      userId: options.userId,
+      capabilities: options.capabilities
+    });
+    return [...matches.values()]
+      .map(match => (visible.has(match.upload.id)
+        ? match
+        : { index: match.index, matchedOn: match.matchedOn, upload: { id: match.upload.id, row_index: match.upload.row_index } }))
+      .sort((a, b) => a.index - b.index);
+  }
+}
+
+module.exports = LeadsDeduplicator;
@@ -0,0 +1,91 @@
+/**
+ * LeadsDeduplicator: clusters within an upload, merge suggestions and merging
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LeadsDeduplicator = require('./LeadsDeduplicator');
+const { LeadIdentityRepository, LeadBatchRepository } = require('../repositories');
+
+const leads = [
+  { first_name: 'Jonathon', last_name: 'Smith', company: 'Acme', email: 'j@acme.com' },
+  { first_name: 'Jonathan', last_name: 'Smith', company: 'ACME Inc.', phone: '+14155550100' },
+  { first_name: 'Ann', last_name: 'Lee', company: 'Beta', email: 'ann@beta.io' },
+  { full_name: 'Bob Ray', company: 'Gamma', email: 'ann@beta.io', job_title: 'CTO' },
+  { first_name: 'J', last_name: 'Smith', company: 'Acme' },
+  { first_name: 'Zed', last_name: 'Quinn', company: 'Other' }
+];
+
+test('clusters leads by equal keys and by similar names at the same company', async () => {
+  const { clusters, stats } = await LeadsDeduplicator.detect(leads);
+  assert.deepEqual(clusters.map(cluster => [cluster.leads, cluster.matchedOn]), [
+    [[0, 1, 4], ['name_company']],
+    [[2, 3], ['email']]
+  ]);
+  assert.deepEqual(stats, { clusters: 2, duplicateLeads: 3, previousMatches: 0, history: 'skipped' });
+});
+
+test('annotates clustered leads and leaves the input untouched', async () => {
+  const { leads: annotated } = await LeadsDeduplicator.detect(leads);
+  assert.deepEqual(annotated.map(lead => lead.duplicate?.cluster ?? null), ['c1', 'c1', 'c2', 'c2', 'c1', null]);
+  assert.equal(leads[0].duplicate, undefined);
+});
+
+test('suggests the most complete lead, filled from the others, with the conflicting fields', async () => {
+  const { suggestion } = (await LeadsDeduplicator.detect(leads)).clusters[0];
+  assert.equal(suggestion.keep, 0);
+  assert.equal(suggestion.lead.phone, '+14155550100');
+  assert.deepEqual(suggestion.conflicts, {
+    first_name: ['Jonathon', 'Jonathan', 'J'],
+    company: ['Acme', 'ACME Inc.']
+  });
+});
+
+test('only matches on the keys asked for', async () => {
+  const { clusters } = await LeadsDeduplicator.detect(leads, { keys: ['email'] });
+  assert.deepEqual(clusters.map(cluster => cluster.leads), [[2, 3]]);
+});
+
+test('previous uploads show the lead only from batches the user may use', async (t) => {
+  const mine = '11111111-1111-4111-8111-111111111111';
+  const theirs = '22222222-2222-4222-8222-222222222222';
+  t.mock.method(LeadIdentityRepository, 'findMatches', async (tenantId, keyType, values) => (keyType === 'email' ? values.map(value => ({
+    upload_id: value === 'j@acme.com' ? mine : theirs,
+    row_index: 3,
+    key_value: value,
+    lead: { full_name: 'Someone', email: value },
+    created_at: '2026-10-01T00:00:00.000Z'
+  })) : []));
+  t.mock.method(LeadBatchRepository, 'findOwners', async () => [{ id: mine, owner_id: 'u1' }, { id: theirs, owner_id: 'u2' }]);
+
+  const { previous } = await LeadsDeduplicator.detect(leads, { tenantId: 't', userId: 'u1', history: true });
+  assert.deepEqual(previous.map(match => [match.index, match.upload.id, Boolean(match.lead)]), [[0, mine, true], [2, theirs, false], [3, theirs, false]]);
+  assert.deepEqual(previous[1], { index: 2, matchedOn: ['email'], upload: { id: theirs, row_index: 3 } });
+
+  const managed = await LeadsDeduplicator.detect(leads, { tenantId: 't', userId: 'u3', capabilities: ['manage_ai_icp_lead_batches'], history: true });
+  assert.ok(managed.previous.every(match => match.lead));
+});
+
+test('merges a cluster at the position of the lead kept', () => {
+  const result = LeadsDeduplicator.merge(leads, [{ leads: [2, 3], fields: { company: 'Gamma' } }]);
+  assert.equal(result.merged, 1);
+  assert.equal(result.removed, 1);
+  assert.equal(result.leads.length, leads.length - 1);
+  assert.deepEqual(result.leads[2], {
+    first_name: 'Ann',
+    last_name: 'Lee',
+    company: 'Gamma',
+    email: 'ann@beta.io',
+    full_name: 'Bob Ray',
+    job_title: 'CTO',
+    merged_from: [2, 3]
+  });
+});
+
+test('rejects invalid merge instructions', () => {
+  assert.equal(LeadsDeduplicator.validateMerge(leads, []), 'clusters must be a non-empty array');
+  assert.equal(LeadsDeduplicator.validateMerge(leads, [{ leads: [1] }]), 'each cluster needs at least two lead indexes');
+  assert.equal(LeadsDeduplicator.validateMerge(leads, [{ leads: [0, 9] }]), 'lead indexes must be between 0 and 5');
+  assert.equal(LeadsDeduplicator.validateMerge(leads, [{ leads: [0, 1] }, { leads: [1, 2] }]), 'a lead can be in only one cluster');
+  assert.equal(LeadsDeduplicator.validateMerge(leads, [{ leads: [0, 1], keep: 2 }]), 'keep must be one of the cluster\'s lead indexes');
+  assert.equal(LeadsDeduplicator.validateMerge(leads, [{ leads: [0, 1], keep: 1 }]), null);
+});
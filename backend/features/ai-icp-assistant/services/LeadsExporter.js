@@ -0,0 +1,189 @@
+/**
+ * Leads Exporter
+ *
+ * Writes stored leads back out (GET /leads/batches/:id/export):
+ *   csv  - UTF-8 with a BOM for Excel
+ *   xlsx - one "Leads" sheet
+ *   json - the leads as stored, with their normalisation, duplicate and email check annotations
+ * CSV and XLSX have one column per template field (the tenant's template, else TEMPLATE_COLUMNS;
+ * template labels and order, so the file uploads again with the same mapping), then other lead
+ * fields and custom fields. Annotated exports add the upload steps' results after them:
+ * normalisation changes and flags, email check, duplicate cluster, ICP score, and per-platform
+ * readiness with validation errors and warnings when the batch was validated. CSV text that a
+ * spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a leading apostrophe,
+ * except phone numbers and numbers (+14155550123, -5). XLSX cells are written as text, which
+ * spreadsheets never run, so they are left as they are.
+ */
+const XLSX = require('xlsx');
+const LeadsTemplateService = require('./LeadsTemplateService');
+
+// Annotations added by the upload steps, not lead data
+const META_FIELDS = ['normalization', 'duplicate', 'merged_from', 'email_check', 'icp_score', 'custom_fields'];
+const FORMATS = ['csv', 'xlsx', 'json'];
+// First characters that make Excel, Sheets and LibreOffice read a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+// Phone numbers (E.164 from normalisation) and signed numbers, which open as values, not formulas
+const NUMBER_LIKE = /^[+-]?[\d\s().-]+$/;
+const MIME_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json'
+};
+
+class LeadsExporter {
+  static get FORMATS() {
+    return FORMATS;
+  }
+
+  /**
+   * Export leads in a format
+   * @param {Object[]} leads
+   * @param {Object} options - { format, name (file name without extension), columns (template
+   *   columns, default TEMPLATE_COLUMNS), annotations (null for lead columns only, else
+   *   { validation (readiness report of /leads/validate), icpScores ({ profile_id, scores by lead index }) }) }
+   * @returns {{ content: string|Buffer, filename: string, mimeType: string }}
+   */
+  static export(leads, { format = 'csv', name = 'leads', columns = LeadsTemplateService.TEMPLATE_COLUMNS, annotations = null } = {}) {
+    const filename = `${this._fileName(name)}.${format}`;
+    const mimeType = MIME_TYPES[format];
+    if (format === 'json') {
+      return { content: JSON.stringify({ leads }, null, 2), filename, mimeType };
+    }
+    const table = this.toTable(leads, annotations, columns);
+    if (format === 'xlsx') {
+      return { content: this.toXLSX(table), filename, mimeType };
+    }
+    return { content: this.toCSV(table), filename, mimeType };
+  }
+
+  /**
+   * Header row and one row per lead: template fields, other lead fields in first-seen order,
+   * custom fields, then the annotation columns
+   * @param {Object|null} annotations - See export()
+   * @param {Object[]} columns - Template columns ({ key, label })
+   * @returns {Array[]} Rows of cell values (strings, numbers, arrays, objects or empty)
+   */
+  static toTable(leads, annotations = null, columns = LeadsTemplateService.TEMPLATE_COLUMNS) {
+    const labels = new Map(columns.map(column => [column.key, column.label]));
+    const fields = [...labels.keys()];
+    const custom = [];
+    leads.forEach(lead => {
+      Object.keys(lead).forEach(field => {
+        if (!META_FIELDS.includes(field) && !fields.includes(field)) fields.push(field);
+      });
+      Object.keys(lead.custom_fields || {}).forEach(header => {
+        if (!custom.includes(header)) custom.push(header);
+      });
+    });
+    const extra = annotations ? this._annotationColumns(annotations) : [];
+    const rows = [[...fields.map(field => labels.get(field) || field), ...custom, ...extra.map(column => column.label)]];
+    leads.forEach((lead, index) => {
+      rows.push([
+        ...fields.map(field => lead[field]),
+        ...custom.map(header => lead.custom_fields?.[header]),
+        ...extra.map(column => column.value(lead, index))
+      ]);
+    });
+    return rows;
+  }
+
+  /**
+   * Table as CSV (RFC 4180, CRLF rows)
+   */
+  static toCSV(table) {
+    return '\uFEFF' + table.map(values => values.map(value => this._cell(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Table as an XLSX workbook
+   * @returns {Buffer}
+   */
+  static toXLSX(table) {
+    // Numbers stay numbers; missing values leave the cell empty
+    const cells = table.map(values => values.map(value => (
+      value === undefined || value === null ? null : typeof value === 'number' ? value : this._text(value)
+    )));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(cells), 'Leads');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * Annotation columns: { label, value(lead, index) }
+   * @private
+   */
+  static _annotationColumns({ validation = null, icpScores = null }) {
+    const columns = [
+      {
+        label: 'Normalised Fields',
+        value: lead => (lead.normalization?.changes || []).map(change => (
+          change.from === undefined || change.from === null || change.from === ''
+            ? `${change.field}: ${change.to}`
+            : `${change.field}: ${change.from} → ${change.to}`
+        ))
+      },
+      { label: 'Normalisation Flags', value: lead => lead.normalization?.flags },
+      { label: 'Email Check', value: lead => lead.email_check?.status },
+      { label: 'Duplicate Cluster', value: lead => lead.duplicate?.cluster },
+      {
+        label: 'ICP Score',
+        value: (lead, index) => icpScores?.scores?.[index] ?? lead.icp_score?.score
+      }
+    ];
+    const report = validation?.report;
+    if (!report) return columns;
+    const entries = new Map(report.leads.map(entry => [entry.index, entry]));
+    const yesNo = ready => (ready === undefined ? null : ready ? 'yes' : 'no');
+    const messages = (entry, severity) => Object.values(entry?.platforms || {})
+      .flatMap(platform => platform.reasons)
+      .filter(reason => reason.severity === severity)
+      .map(reason => `${reason.platform}: ${reason.message}`);
+    return [
+      ...columns,
+      { label: 'Ready', value: (lead, index) => yesNo(entries.get(index)?.ready) },
+      ...Object.keys(report.summary.platforms).map(platform => ({
+        label: `${platform[0].toUpperCase()}${platform.slice(1)} Ready`,
+        value: (lead, index) => yesNo(entries.get(index)?.platforms[platform]?.ready)
+      })),
+      { label: 'Validation Errors', value: (lead, index) => messages(entries.get(index), 'error') },
+      { label: 'Validation Warnings', value: (lead, index) => messages(entries.get(index), 'warning') }
+    ];
+  }
+
+  /**
+   * One CSV field (RFC 4180 quoting)
+   * @private
+   */
+  static _cell(value) {
+    const text = typeof value === 'number' ? String(value) : this._safeText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV cell text that a spreadsheet never runs as a formula (lead values come from uploaded
+   * files); phone numbers and numbers are kept so the file uploads again unchanged
+   * @private
+   */
+  static _safeText(value) {
+    const text = this._text(value);
+    return FORMULA_START.test(text) && !NUMBER_LIKE.test(text) ? `'${text}` : text;
+  }
+
+  /**
+   * Cell value as text: lists joined with "; ", objects as JSON
+   * @private
+   */
+  static _text(value) {
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join('; ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * @private
+   */
+  static _fileName(name) {
+    return String(name).replace(/\.[a-z0-9]+$/i, '').replace(/[^\w.-]+/g, '_').slice(0, 100) || 'leads';
+  }
+}
+
+module.exports = LeadsExporter;
@@ -0,0 +1,40 @@
+/**
+ * LeadsExporter: CSV quoting and formula guard, XLSX cell types
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const LeadsExporter = require('./LeadsExporter');
+
+const header = ['Name', 'Notes', 'Score'];
+const rowOf = (csv) => csv.replace(/^﻿/, '').split('\r\n')[1];
+const sheetOf = (table) => XLSX.read(LeadsExporter.toXLSX(table), { type: 'buffer' }).Sheets.Leads;
+
+test('CSV quotes delimiters, quotes and line breaks', () => {
+  const csv = LeadsExporter.toCSV([header, ['Lee, Ann', 'said "hi"\nbye', 7]]);
+  assert.ok(csv.startsWith('﻿Name,Notes,Score\r\n'));
+  assert.equal(rowOf(csv), '"Lee, Ann","said ""hi""\nbye",7');
+});
+
+test('CSV joins lists and leaves missing values empty', () => {
+  assert.equal(rowOf(LeadsExporter.toCSV([header, ['Ann', ['a', 'b'], null]])), 'Ann,a; b,');
+});
+
+test('CSV prefixes text that a spreadsheet would run as a formula', () => {
+  ['=HYPERLINK("http://x")', '-2+3', '@SUM(A1)', '+cmd', '\tx', '\rx'].forEach(value => {
+    const csv = LeadsExporter.toCSV([header, [value]]);
+    assert.ok(rowOf(csv).replace(/^"/, '').startsWith(`'${value[0]}`), value);
+  });
+});
+
+test('CSV keeps phone numbers and numbers', () => {
+  assert.equal(rowOf(LeadsExporter.toCSV([header, ['+14155550123', '+1 (415) 555-0123', -5]])), '+14155550123,+1 (415) 555-0123,-5');
+  assert.equal(rowOf(LeadsExporter.toCSV([header, ['Ann', '-12.5', null]])), 'Ann,-12.5,');
+});
+
+test('XLSX writes text cells as they are and no formulas', () => {
+  const sheet = sheetOf([header, ['=1+1', ['+14155550123', 'b'], -5]]);
+  assert.deepEqual(XLSX.utils.sheet_to_json(sheet, { header: 1 })[1], ['=1+1', '+14155550123; b', -5]);
+  assert.equal(sheet.A2.t, 's');
+  assert.equal(Object.keys(sheet).filter(cell => sheet[cell].f).length, 0);
+});
@@ -0,0 +1,244 @@
+/**
+ * Leads ICP Drafter
+ *
+ * Reverse-engineers an ICP profile from an uploaded list of won customers: counts the
+ * industries, titles, seniorities, countries and company sizes in the list, targets the values
+ * most customers share (scoring.config.js draft) and weights each criterion by how consistently
+ * the customers match it. The draft is shaped for ICPProfileRepository.create:
+ *   icpData      - targeted values, weights (read by LeadsIcpScorer), distributions and examples
+ *   searchParams - the same values as targeting ApolloSearchCompiler compiles
+ */
+const scoringConfig = require('../config/scoring.config');
+const ApolloSearchCompiler = require('./ApolloSearchCompiler');
+const FirmographicFilters = require('./FirmographicFilters');
+const LeadsIcpScorer = require('./LeadsIcpScorer');
+const TaxonomyService = require('./TaxonomyService');
+
+// Draft field → scoring criterion it feeds
+const FIELD_CRITERIA = {
+  industries: 'industry',
+  job_titles: 'seniority',
+  seniority: 'seniority',
+  locations: 'location',
+  employee_ranges: 'company_size'
+};
+
+const EXAMPLE_FIELDS = ['first_name', 'last_name', 'full_name', 'company', 'job_title', 'industry', 'location', 'company_size'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class LeadsIcpDrafter {
+  /**
+   * Draft an ICP profile from customer leads
+   * @param {Object[]} leads - Customers (job_title, industry, location, company_size)
+   * @param {Object} options - { name, description }
+   * @returns {Object} { profile: { name, description, icpData, searchParams }, distributions,
+   *   weights, examples, stats } or { error } when the list is too short or has nothing in common
+   */
+  static draft(leads, { name = null, description = null } = {}) {
+    const { draft: draftConfig } = scoringConfig;
+    if (leads.length < draftConfig.minLeads) {
+      return { error: `At least ${draftConfig.minLeads} customers are needed to draft an ICP` };
+    }
+    const resolve = LeadsIcpScorer.resolver();
+    // Per lead: the values it has for each field (null when the field is empty)
+    const values = leads.map(lead => this._values(lead, resolve));
+
+    const distributions = {};
+    const targeting = {};
+    const coverage = {};
+    const completeness = {};
+    Object.keys(FIELD_CRITERIA).forEach(field => {
+      const withField = values.filter(leadValues => leadValues[field]);
+      completeness[field] = withField.length / leads.length;
+      const counted = this._count(withField.map(leadValues => leadValues[field]), withField.length);
+      distributions[field] = counted.slice(0, draftConfig.distributionSize).map(({ value, count, share }) => ({ value, count, share }));
+      if (completeness[field] < draftConfig.minCompleteness) return;
+      const selected = this._select(counted, draftConfig.maxValues[field]);
+      if (!selected.length) return;
+      const keys = new Set(selected.map(entry => entry.key));
+      targeting[field] = selected.map(entry => entry.value);
+      coverage[field] = withField.filter(leadValues => leadValues[field].some(value => keys.has(value.key))).length / withField.length;
+    });
+    if (targeting.employee_ranges) {
+      // Buckets in size order
+      targeting.employee_ranges = FirmographicFilters.normalizeEmployeeRanges(targeting.employee_ranges);
+    }
+
+    const weights = this._weights(coverage, completeness);
+    if (!Object.values(weights).some(weight => weight > 0)) {
+      return { error: 'The customers have no industry, title, location or company size in common to draft an ICP from' };
+    }
+    const examples = this._examples(leads, targeting, weights);
+    const summary = this._summary(targeting);
+    const icpData = {
+      source: 'customer_list',
+      customers: leads.length,
+      industries: targeting.industries || [],
+      job_titles: targeting.job_titles || [],
+      seniority: targeting.seniority || [],
+      locations: targeting.locations || [],
+      company_size: targeting.employee_ranges
+        ? FirmographicFilters.summarize('employee_ranges', targeting.employee_ranges)
+        : [],
+      weights,
+      distributions,
+      examples
+    };
+    const searchParams = ApolloSearchCompiler.compile(targeting, { source: 'targeting' }).targeting || targeting;
+
+    return {
+      profile: {
+        name: name || `ICP from ${leads.length} customers`,
+        description: description || `Drafted from ${leads.length} customers: ${summary}`,
+        icpData,
+        searchParams
+      },
+      distributions,
+      weights,
+      examples,
+      stats: {
+        customers: leads.length,
+        completeness: Object.fromEntries(Object.entries(completeness).map(([field, share]) => [field, round(share)])),
+        coverage: Object.fromEntries(Object.entries(coverage).map(([field, share]) => [field, round(share)]))
+      }
+    };
+  }
+
+  /**
+   * Values of one lead per draft field, as { key, value } (key groups spellings)
+   * @private
+   */
+  static _values(lead, resolve) {
+    const entry = (value) => ({ key: TaxonomyService.normalizeText(value), value });
+    const result = {};
+    const industry = String(lead.industry || '').trim();
+    if (industry) result.industries = [entry(resolve('industry', industry)?.value || industry)];
+
+    const title = String(lead.job_title || '').trim();
+    if (title) {
+      const role = LeadsIcpScorer.roleOf(title, resolve);
+      result.job_titles = [entry(role?.title || title)];
+      if (role) result.seniority = [entry(role.seniority)];
+    }
+
+    const location = String(lead.location || '').trim();
+    if (location) {
+      // Countries: cities are too narrow to describe a customer base
+      const { country, places } = LeadsIcpScorer.parseLocation(location, resolve);
+      const region = places.find(place => place.kind === 'region');
+      const place = country || region?.value;
+      if (place) result.locations = [entry(place)];
+    }
+
+    const size = String(lead.company_size ?? '').trim();
+    const buckets = size ? FirmographicFilters.normalizeEmployeeRanges(size) : [];
+    if (buckets.length) result.employee_ranges = buckets.map(entry);
+    return result;
+  }
+
+  /**
+   * Values by the number of leads having them, most common first
+   * @private
+   * @returns {Array<{ key, value, count, share }>}
+   */
+  static _count(valueLists, total) {
+    const counts = new Map();
+    valueLists.forEach(list => {
+      list.forEach(({ key, value }) => {
+        // The first spelling seen names the group
+        if (!counts.has(key)) counts.set(key, { key, value, count: 0 });
+        counts.get(key).count++;
+      });
+    });
+    return [...counts.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(entry => ({ ...entry, share: total ? round(entry.count / total) : 0 }));
+  }
+
+  /**
+   * Most common values until they cover draft.coverage of the customers
+   * @private
+   */
+  static _select(counted, maxValues) {
+    const { minShare, coverage } = scoringConfig.draft;
+    const selected = [];
+    let covered = 0;
+    for (const entry of counted) {
+      if (selected.length >= maxValues || covered >= coverage || entry.share < minShare) break;
+      selected.push(entry);
+      covered += entry.share;
+    }
+    return selected;
+  }
+
+  /**
+   * Criterion weights summing to 100: criteria most customers fill in and match weigh more
+   * @private
+   */
+  static _weights(coverage, completeness) {
+    const raw = {};
+    LeadsIcpScorer.CRITERIA.forEach(criterion => { raw[criterion] = 0; });
+    Object.entries(coverage).forEach(([field, share]) => {
+      const criterion = FIELD_CRITERIA[field];
+      raw[criterion] = Math.max(raw[criterion], share * completeness[field]);
+    });
+    const total = Object.values(raw).reduce((sum, weight) => sum + weight, 0);
+    const weights = {};
+    if (!total) {
+      Object.keys(raw).forEach(criterion => { weights[criterion] = 0; });
+      return weights;
+    }
+    // Largest remainders, so the rounded weights still add up to 100
+    const exact = Object.entries(raw).map(([criterion, weight]) => ({ criterion, value: (weight / total) * 100 }));
+    exact.forEach(({ criterion, value }) => { weights[criterion] = Math.floor(value); });
+    const left = 100 - Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    [...exact]
+      .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+      .slice(0, left)
+      .forEach(({ criterion }) => { weights[criterion]++; });
+    return weights;
+  }
+
+  /**
+   * Best-matching customers of distinct companies
+   * @private
+   */
+  static _examples(leads, targeting, weights) {
+    const cache = new Map();
+    const companies = new Set();
+    return leads
+      .map((lead, index) => ({ index, lead, score: LeadsIcpScorer.score(lead, targeting, { weights, cache }).score }))
+      .sort((a, b) => b.score - a.score)
+      .filter(({ lead }) => {
+        const company = TaxonomyService.normalizeText(lead.company);
+        if (!company) return true;
+        if (companies.has(company)) return false;
+        companies.add(company);
+        return true;
+      })
+      .slice(0, scoringConfig.draft.examples)
+      .map(({ index, lead, score }) => ({
+        index,
+        score,
+        lead: Object.fromEntries(EXAMPLE_FIELDS.filter(field => lead[field]).map(field => [field, lead[field]]))
+      }));
+  }
+
+  /**
+   * One-line summary of the targeted values
+   * @private
+   */
+  static _summary(targeting) {
+    const labels = TaxonomyService.list('seniority');
+    const parts = [
+      targeting.industries && targeting.industries.slice(0, 3).join(', '),
+      targeting.seniority && targeting.seniority.map(value => labels.find(entry => entry.value === value)?.label || value).join(', '),
+      targeting.locations && targeting.locations.slice(0, 3).join(', '),
+      targeting.employee_ranges && FirmographicFilters.summarize('employee_ranges', targeting.employee_ranges).join(', ')
+    ].filter(Boolean);
+    return parts.join('; ');
+  }
+}
+
+module.exports = LeadsIcpDrafter;
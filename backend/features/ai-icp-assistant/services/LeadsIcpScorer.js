@@ -0,0 +1,398 @@
+/**
+ * Leads ICP Scorer
+ *
+ * Rates uploaded leads 0-100 against a saved ICP profile (config/scoring.config.js), so they
+ * can be sorted or filtered before a campaign is created. The profile's search_params and
+ * icp_data are compiled to targeting with ApolloSearchCompiler, then each lead is compared on:
+ *   seniority    - job_title against the targeted titles and seniorities (TaxonomyService roles)
+ *   industry     - industry against the targeted industries and their related industries
+ *   location     - location against the targeted cities, countries and regions
+ *   company_size - company_size against the targeted employee ranges (FirmographicFilters)
+ *
+ * Every criterion comes back with its credit (0-1), its share of the score and an explanation.
+ * Weights come from config, or from the profile's icp_data.weights (profiles drafted from a
+ * customer list by LeadsIcpDrafter).
+ */
+const scoringConfig = require('../config/scoring.config');
+const firmographicsConfig = require('../config/firmographics.config');
+const taxonomyConfig = require('../config/taxonomy');
+const ApolloSearchCompiler = require('./ApolloSearchCompiler');
+const FirmographicFilters = require('./FirmographicFilters');
+const TaxonomyService = require('./TaxonomyService');
+
+const CRITERIA = ['seniority', 'industry', 'location', 'company_size'];
+
+// Targeting fields each criterion reads
+const CRITERION_FIELDS = {
+  seniority: ['job_titles', 'seniority'],
+  industry: ['industries'],
+  location: ['locations'],
+  company_size: ['employee_ranges']
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const unique = (values) => [...new Set(values)];
+const quoteList = (values) => values.map(value => `"${value}"`).join(', ');
+
+class LeadsIcpScorer {
+  /**
+   * Targeting of a saved profile: search_params first, icp_data for the fields it lacks
+   * @param {Object} profile - ai_icp_profiles row (or { icp_data, search_params })
+   * @returns {Object} Normalised targeting ({ job_titles, seniority, industries, ... })
+   */
+  static profileTargeting(profile) {
+    const targeting = {};
+    [profile?.search_params, profile?.icp_data]
+      .filter(source => source && typeof source === 'object' && !Array.isArray(source))
+      .forEach(source => {
+        // As the compiler reads the shape, then with the chat icp_data keys read as targeting fields
+        [ApolloSearchCompiler.compile(source), ApolloSearchCompiler.compile(this._aliased(source), { source: 'targeting' })]
+          .forEach(({ targeting: compiled }) => {
+            Object.entries(compiled || {}).forEach(([field, values]) => {
+              if (!targeting[field]) targeting[field] = values;
+            });
+          });
+      });
+    return targeting;
+  }
+
+  /**
+   * Criterion weights of a profile: icp_data.weights over the configured ones
+   */
+  static weightsFor(profile) {
+    const custom = profile?.icp_data?.weights;
+    const weights = { ...scoringConfig.weights };
+    if (custom && typeof custom === 'object') {
+      CRITERIA.forEach(criterion => {
+        const weight = custom[criterion];
+        if (typeof weight === 'number' && Number.isFinite(weight) && weight >= 0) weights[criterion] = weight;
+      });
+    }
+    return weights;
+  }
+
+  /**
+   * Criteria the targeting gives something to score against
+   */
+  static criteriaFor(targeting, weights = scoringConfig.weights) {
+    return CRITERIA.filter(criterion =>
+      weights[criterion] > 0 && CRITERION_FIELDS[criterion].some(field => targeting[field]?.length)
+    );
+  }
+
+  /**
+   * Taxonomy lookup memoised in a cache: resolve(type, text, minScore?)
+   * @param {Map} cache - Lookups shared across the leads of one request
+   */
+  static resolver(cache = new Map()) {
+    return (type, text, minScore) => {
+      const key = `${type}:${minScore}:${TaxonomyService.normalizeText(text)}`;
+      if (!cache.has(key)) cache.set(key, TaxonomyService.resolve(type, text, minScore ? { minScore } : undefined));
+      return cache.get(key);
+    };
+  }
+
+  /**
+   * Places a free-text location names: "San Francisco, CA, United States" → the city and its country
+   * @param {Function} resolve - resolver()
+   * @returns {Object} { places: taxonomy entries, city, country (name or null) }
+   */
+  static parseLocation(location, resolve = this.resolver()) {
+    const places = String(location || '').split(/[,;|/]/)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => resolve('location', part, taxonomyConfig.thresholds.high))
+      .filter(Boolean);
+    const city = places.find(place => place.kind === 'city') || null;
+    const country = places.find(place => place.kind === 'country')?.value || city?.country || null;
+    return { places, city, country };
+  }
+
+  /**
+   * Seniority, department and catalogue title of a job title (null when not recognised)
+   * @param {Function} resolve - resolver()
+   */
+  static roleOf(title, resolve = this.resolver()) {
+    const role = resolve('role', title, taxonomyConfig.thresholds.high);
+    if (role) return { title: role.value, seniority: role.seniority, department: role.department };
+    const seniority = resolve('seniority', title);
+    if (!seniority) return null;
+    return { title: null, seniority: seniority.value, department: resolve('department', title)?.value || null };
+  }
+
+  /**
+   * Score one lead
+   * @param {Object} lead - Lead (job_title, industry, location, company_size)
+   * @param {Object} targeting - Profile targeting (profileTargeting)
+   * @param {Object} options - { weights (weightsFor), cache (taxonomy lookups shared across the leads of one request) }
+   * @returns {Object} { score (0-100), criteria: [{ criterion, weight, credit, points, match, explanation }] }
+   *   match: full | partial | none | excluded | missing
+   */
+  static score(lead, targeting, { weights = scoringConfig.weights, cache = new Map() } = {}) {
+    const criteria = this.criteriaFor(targeting, weights);
+    const totalWeight = criteria.reduce((sum, criterion) => sum + weights[criterion], 0);
+    const resolve = this.resolver(cache);
+
+    const results = criteria.map(criterion => {
+      const weight = totalWeight ? (weights[criterion] / totalWeight) * 100 : 0;
+      const { credit, match, explanation } = this[`_${criterion}`](lead, targeting, resolve);
+      return {
+        criterion,
+        weight: round(weight, 1),
+        credit: round(credit),
+        points: round(credit * weight, 1),
+        match,
+        explanation
+      };
+    });
+    const total = criteria.reduce((sum, criterion, i) => sum + results[i].credit * weights[criterion], 0);
+    return {
+      score: totalWeight ? Math.round((total / totalWeight) * 100) : 0,
+      criteria: results
+    };
+  }
+
+  /**
+   * Score a list of leads against a profile
+   * @param {Object[]} leads - Leads
+   * @param {Object} profile - ai_icp_profiles row
+   * @param {Object} options - { minScore (drop leads below it), sort (best first, default true) }
+   * @returns {Object} { leads: copies with icp_score = { profile_id, score, criteria }, criteria,
+   *   targeting, stats: { scored, returned, filtered, average } }
+   */
+  static scoreLeads(leads, profile, { minScore = null, sort = true } = {}) {
+    const targeting = this.profileTargeting(profile);
+    const weights = this.weightsFor(profile);
+    const cache = new Map();
+    let scored = leads.map(lead => ({
+      ...lead,
+      icp_score: { profile_id: profile.id || null, ...this.score(lead, targeting, { weights, cache }) }
+    }));
+    const average = scored.length
+      ? Math.round(scored.reduce((sum, lead) => sum + lead.icp_score.score, 0) / scored.length)
+      : 0;
+    if (minScore !== null && minScore !== undefined) {
+      scored = scored.filter(lead => lead.icp_score.score >= minScore);
+    }
+    if (sort) {
+      // Array.prototype.sort is stable: equal scores keep the upload order
+      scored.sort((a, b) => b.icp_score.score - a.icp_score.score);
+    }
+    return {
+      leads: scored,
+      criteria: this.criteriaFor(targeting, weights),
+      targeting,
+      stats: {
+        scored: leads.length,
+        returned: scored.length,
+        filtered: leads.length - scored.length,
+        average
+      }
+    };
+  }
+
+  /**
+   * Profile keys of the chat icp_data shape mapped onto targeting fields
+   * @private
+   */
+  static _aliased(source) {
+    const aliased = { ...source };
+    Object.entries(scoringConfig.profileAliases).forEach(([field, aliases]) => {
+      const key = [field, ...aliases].find(name => source[name] !== undefined && source[name] !== null && source[name] !== '');
+      if (key && aliased[field] === undefined) aliased[field] = source[key];
+    });
+    return aliased;
+  }
+
+  /**
+   * @private
+   */
+  static _sameText(a, b) {
+    const left = TaxonomyService.normalizeText(a);
+    const right = TaxonomyService.normalizeText(b);
+    return left === right || TaxonomyService.similarity(left, right) >= scoringConfig.textSimilarity;
+  }
+
+  /**
+   * @private
+   */
+  static _missing(what) {
+    return { credit: scoringConfig.missingCredit, match: 'missing', explanation: `No ${what} on the lead` };
+  }
+
+  /**
+   * @private
+   */
+  static _seniority(lead, targeting, resolve) {
+    const title = String(lead.job_title || '').trim();
+    if (!title) return this._missing('job title');
+    const role = this.roleOf(title, resolve);
+    const sameTitle = (target) => {
+      if (this._sameText(target, title)) return true;
+      const targetRole = resolve('role', target, taxonomyConfig.thresholds.high);
+      return Boolean(targetRole && role?.title && targetRole.value === role.title);
+    };
+
+    const excludedTitle = (targeting.excluded_titles || []).find(sameTitle);
+    if (excludedTitle) {
+      return { credit: 0, match: 'excluded', explanation: `Title "${title}" is excluded ("${excludedTitle}")` };
+    }
+    const seniorities = TaxonomyService.list('seniority');
+    const labelOf = (value) => seniorities.find(entry => entry.value === value)?.label || value;
+    if (role && (targeting.excluded_seniority || []).includes(role.seniority)) {
+      return { credit: 0, match: 'excluded', explanation: `${labelOf(role.seniority)} seniority is excluded` };
+    }
+    const titles = targeting.job_titles || [];
+    const matchedTitle = titles.find(sameTitle);
+    if (matchedTitle) {
+      return { credit: 1, match: 'full', explanation: `Title "${title}" matches the targeted title "${matchedTitle}"` };
+    }
+
+    const targetRoles = titles.map(target => this.roleOf(target, resolve)).filter(Boolean);
+    const targetSeniorities = unique([...(targeting.seniority || []), ...targetRoles.map(target => target.seniority)]);
+    if (!targetSeniorities.length) {
+      return { credit: 0, match: 'none', explanation: `Title "${title}" is not one of the targeted titles (${quoteList(titles)})` };
+    }
+    if (!role) {
+      return { credit: 0, match: 'none', explanation: `Seniority of "${title}" not recognised` };
+    }
+    const targetLabels = targetSeniorities.map(labelOf).join(', ');
+    if (targetSeniorities.includes(role.seniority)) {
+      const departments = unique(targetRoles.map(target => target.department).filter(Boolean));
+      if (departments.length && role.department && !departments.includes(role.department)) {
+        return {
+          credit: scoringConfig.partial.otherDepartment,
+          match: 'partial',
+          explanation: `${labelOf(role.seniority)} seniority is targeted, but "${title}" is outside the targeted departments`
+        };
+      }
+      return { credit: 1, match: 'full', explanation: `${labelOf(role.seniority)} seniority is targeted` };
+    }
+    const order = seniorities.map(entry => entry.value);
+    const distance = Math.min(...targetSeniorities.map(value => Math.abs(order.indexOf(value) - order.indexOf(role.seniority))));
+    if (distance === 1) {
+      return {
+        credit: scoringConfig.partial.adjacentSeniority,
+        match: 'partial',
+        explanation: `${labelOf(role.seniority)} is one level from the targeted seniority (${targetLabels})`
+      };
+    }
+    return { credit: 0, match: 'none', explanation: `${labelOf(role.seniority)} seniority is not targeted (${targetLabels})` };
+  }
+
+  /**
+   * @private
+   */
+  static _industry(lead, targeting, resolve) {
+    const industry = String(lead.industry || '').trim();
+    if (!industry) return this._missing('industry');
+    const leadIndustry = resolve('industry', industry);
+    const targetOf = (target) => resolve('industry', target);
+    const nameOf = (target) => targetOf(target)?.value || target;
+    const same = (target) => {
+      const resolved = targetOf(target);
+      return Boolean(resolved && leadIndustry && resolved.value === leadIndustry.value) || this._sameText(target, industry);
+    };
+
+    const excluded = (targeting.excluded_industries || []).find(same);
+    if (excluded) {
+      return { credit: 0, match: 'excluded', explanation: `Industry "${industry}" is excluded ("${nameOf(excluded)}")` };
+    }
+    const targets = targeting.industries || [];
+    const matched = targets.find(same);
+    if (matched) {
+      return { credit: 1, match: 'full', explanation: `Industry "${industry}" matches the targeted "${nameOf(matched)}"` };
+    }
+    const related = leadIndustry && targets.find(target => {
+      const resolved = targetOf(target);
+      return resolved && ((resolved.related || []).includes(leadIndustry.value) || (leadIndustry.related || []).includes(resolved.value));
+    });
+    if (related) {
+      return {
+        credit: scoringConfig.partial.relatedIndustry,
+        match: 'partial',
+        explanation: `Industry "${industry}" is related to the targeted "${nameOf(related)}"`
+      };
+    }
+    return { credit: 0, match: 'none', explanation: `Industry "${industry}" is not targeted (${quoteList(targets.map(nameOf))})` };
+  }
+
+  /**
+   * @private
+   */
+  static _location(lead, targeting, resolve) {
+    const location = String(lead.location || '').trim();
+    if (!location) return this._missing('location');
+    const { places, country } = this.parseLocation(location, resolve);
+    const text = ` ${TaxonomyService.normalizeText(location)} `;
+    const credit = (target) => {
+      const resolved = resolve('location', target);
+      if (!resolved) return text.includes(` ${TaxonomyService.normalizeText(target)} `) ? 1 : 0;
+      if (places.some(place => place.value === resolved.value)) return 1;
+      if (resolved.kind === 'country') return country === resolved.value ? 1 : 0;
+      if (resolved.kind === 'region') return (resolved.countries || []).includes(country) ? 1 : 0;
+      return country && country === resolved.country ? scoringConfig.partial.sameCountry : 0;
+    };
+
+    const excluded = (targeting.excluded_locations || []).find(target => credit(target) === 1);
+    if (excluded) {
+      return { credit: 0, match: 'excluded', explanation: `Location "${location}" is excluded ("${excluded}")` };
+    }
+    const targets = targeting.locations || [];
+    const [best] = targets
+      .map(target => ({ target, credit: credit(target) }))
+      .sort((a, b) => b.credit - a.credit);
+    if (best && best.credit === 1) {
+      return { credit: 1, match: 'full', explanation: `Location "${location}" is in the targeted "${best.target}"` };
+    }
+    if (best && best.credit > 0) {
+      return {
+        credit: best.credit,
+        match: 'partial',
+        explanation: `Location "${location}" is in the same country as the targeted "${best.target}"`
+      };
+    }
+    return { credit: 0, match: 'none', explanation: `Location "${location}" is outside the targeted locations (${quoteList(targets)})` };
+  }
+
+  /**
+   * @private
+   */
+  static _company_size(lead, targeting) {
+    const size = String(lead.company_size ?? '').trim();
+    if (!size) return this._missing('company size');
+    const targets = targeting.employee_ranges || [];
+    const targetLabel = FirmographicFilters.summarize('employee_ranges', targets).join(', ');
+    const buckets = FirmographicFilters.normalizeEmployeeRanges(size);
+    if (!buckets.length) {
+      return { credit: 0, match: 'none', explanation: `Company size "${size}" not understood` };
+    }
+    const leadLabel = FirmographicFilters.summarize('employee_ranges', buckets).join(', ');
+    const inside = buckets.filter(bucket => targets.includes(bucket));
+    if (inside.length === buckets.length) {
+      return { credit: 1, match: 'full', explanation: `${leadLabel} is within the targeted ${targetLabel}` };
+    }
+    if (inside.length) {
+      // A range wider than the target ("51-200" for 51-100) gets the share of its buckets inside it
+      return {
+        credit: inside.length / buckets.length,
+        match: 'partial',
+        explanation: `${leadLabel} is partly within the targeted ${targetLabel}`
+      };
+    }
+    const order = firmographicsConfig.employeeRanges;
+    const adjacent = buckets.some(bucket => targets.some(target => Math.abs(order.indexOf(bucket) - order.indexOf(target)) === 1));
+    if (adjacent) {
+      return {
+        credit: scoringConfig.partial.adjacentSize,
+        match: 'partial',
+        explanation: `${leadLabel} is next to the targeted ${targetLabel}`
+      };
+    }
+    return { credit: 0, match: 'none', explanation: `${leadLabel} is outside the targeted ${targetLabel}` };
+  }
+}
+
+LeadsIcpScorer.CRITERIA = CRITERIA;
+
+module.exports = LeadsIcpScorer;
@@ -0,0 +1,258 @@
+/**
+ * Leads Normalizer
+ *
+ * Cleans mapped leads with the steps listed in config/normalization.config.js:
+ * - whitespace: collapses runs of spaces, tabs and non-breaking spaces in every text field
+ * - email: lower-cased, "mailto:" / "Name <...>" stripped, first of several kept; flags
+ *   invalid_email and role_email (info@, sales@...)
+ * - phone: phone and whatsapp as E.164 (+971501234567); flags invalid_phone / invalid_whatsapp, or
+ *   phone_no_country_code / whatsapp_no_country_code for local numbers when no default country is set
+ * - linkedin / twitter: canonical profile URLs; flags invalid_linkedin / invalid_twitter
+ * - website: https URL with a lower-case host and no query; flags invalid_website
+ * - name: full_name split into first_name / last_name (titles and suffixes dropped), ALL CAPS
+ *   or all-lower-case names capitalised
+ * - company_domain: from the website, else from a non-free email domain
+ *
+ * Each lead keeps a record of what changed under lead.normalization = { changes: [{ field,
+ * step, from, to }], flags }. Running the steps again changes nothing, so leads can be
+ * normalised more than once (validateForExecution re-checks what the client sends).
+ */
+const normalizationConfig = require('../config/normalization.config');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+function parseUrl(value) {
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    return /^https?:$/.test(url.protocol) && url.hostname.includes('.') ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ALL CAPS and all-lower-case names are capitalised ("o'neil-smith" → "O'Neil-Smith"); mixed case is kept
+function fixNameCase(name) {
+  if (!/\p{L}/u.test(name) || (name !== name.toUpperCase() && name !== name.toLowerCase())) return name;
+  return name.toLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+const STEPS = {
+  whitespace(lead, { set }) {
+    Object.entries(lead).forEach(([field, value]) => {
+      if (typeof value === 'string') {
+        set(field, value.replace(/[\s\u200b]+/g, ' ').trim());
+      }
+    });
+  },
+
+  email(lead, { set, flag }) {
+    if (!lead.email) return;
+    let email = lead.email.trim().replace(/^mailto:/i, '');
+    const bracketed = /<([^>]+)>/.exec(email);
+    if (bracketed) email = bracketed[1];
+    email = email.split(/[\s,;]+/).filter(Boolean)[0] || '';
+    email = email.toLowerCase();
+    set('email', email);
+    if (!EMAIL_PATTERN.test(email)) {
+      flag('invalid_email');
+      return;
+    }
+    const localPart = email.split('@')[0].split('+')[0];
+    if (normalizationConfig.email.roleAccounts.includes(localPart)) {
+      flag('role_email');
+    }
+  },
+
+  phone(lead, { set, flag }, options) {
+    normalizationConfig.phone.fields.forEach(field => {
+      if (!lead[field]) return;
+      const phone = LeadsNormalizer.toE164(lead[field], options.defaultCountryCode);
+      const digits = lead[field].replace(/\D/g, '').length;
+      if (phone) {
+        set(field, phone);
+      } else if (digits >= 7 && digits <= 15 && !/[a-z]/i.test(lead[field])) {
+        // Local number and no default country code: kept as written
+        flag(`${field}_no_country_code`);
+      } else {
+        flag(`invalid_${field}`);
+      }
+    });
+  },
+
+  linkedin(lead, { set, flag }) {
+    if (!lead.linkedin_url) return;
+    const url = parseUrl(lead.linkedin_url.trim());
+    const match = url && /(^|\.)linkedin\.com$/i.test(url.hostname)
+      ? /^\/(in|pub|company|school)\/([^/]+)/i.exec(url.pathname)
+      : null;
+    if (!match) {
+      flag('invalid_linkedin');
+      return;
+    }
+    set('linkedin_url', `https://www.linkedin.com/${match[1].toLowerCase()}/${match[2].toLowerCase()}`);
+  },
+
+  twitter(lead, { set, flag }) {
+    if (!lead.twitter_url) return;
+    const value = lead.twitter_url.trim();
+    let handle = /^@?(\w{1,15})$/.exec(value)?.[1];
+    if (!handle) {
+      const url = parseUrl(value);
+      if (url && /(^|\.)(twitter|x)\.com$/i.test(url.hostname)) {
+        handle = /^\/@?(\w{1,15})(\/|$)/.exec(url.pathname)?.[1];
+      }
+    }
+    if (!handle) {
+      flag('invalid_twitter');
+      return;
+    }
+    set('twitter_url', `https://x.com/${handle}`);
+  },
+
+  website(lead, { set, flag }) {
+    if (!lead.website) return;
+    const url = parseUrl(lead.website.trim());
+    if (!url) {
+      flag('invalid_website');
+      return;
+    }
+    set('website', `${url.protocol}//${url.hostname.toLowerCase()}${url.pathname.replace(/\/+$/, '')}`);
+  },
+
+  name(lead, { set }) {
+    const { prefixes, suffixes } = normalizationConfig.name;
+    if (lead.full_name && !lead.first_name && !lead.last_name) {
+      let first;
+      let last;
+      const comma = lead.full_name.split(',');
+      if (comma.length === 2 && comma[1].trim() && !suffixes.includes(comma[1].trim().toLowerCase().replace(/\./g, ''))) {
+        // "Lee, Ann"
+        [last, first] = comma.map(part => part.trim());
+      } else {
+        const words = lead.full_name.replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+        while (words.length > 1 && prefixes.includes(words[0].toLowerCase().replace(/\./g, ''))) words.shift();
+        while (words.length > 1 && suffixes.includes(words[words.length - 1].toLowerCase().replace(/\./g, ''))) words.pop();
+        first = words.shift() || '';
+        last = words.join(' ');
+      }
+      set('first_name', fixNameCase(first));
+      set('last_name', fixNameCase(last));
+    }
+    ['first_name', 'last_name', 'full_name'].forEach(field => {
+      if (lead[field]) set(field, fixNameCase(lead[field]));
+    });
+  },
+
+  company_domain(lead, { set }) {
+    if (lead.company_domain) return;
+    const website = lead.website && parseUrl(lead.website);
+    if (website) {
+      set('company_domain', website.hostname.toLowerCase().replace(/^www\./, ''));
+      return;
+    }
+    const domain = lead.email && EMAIL_PATTERN.test(lead.email) ? lead.email.split('@')[1] : null;
+    if (domain && !normalizationConfig.email.freeDomains.includes(domain)) {
+      set('company_domain', domain);
+    }
+  }
+};
+
+class LeadsNormalizer {
+  static get STEPS() {
+    return Object.keys(STEPS);
+  }
+
+  /**
+   * Normalise one lead
+   * @param {Object} lead - Mapped lead
+   * @param {Object} options - { steps (default config order), defaultCountryCode }
+   * @returns {Object} Cleaned copy of the lead (with normalization: { changes, flags } when anything changed or was flagged)
+   */
+  static normalize(lead, options = {}) {
+    const steps = options.steps || normalizationConfig.steps;
+    const stepOptions = { defaultCountryCode: options.defaultCountryCode || normalizationConfig.phone.defaultCountryCode };
+    const { normalization: previous, ...clean } = lead;
+    const changes = [...(previous?.changes || [])];
+    const flags = new Set();
+    steps.forEach(step => {
+      const context = {
+        set: (field, value) => {
+          const from = clean[field] === undefined ? '' : clean[field];
+          if (from === value) return;
+          changes.push({ field, step, from, to: value });
+          clean[field] = value;
+        },
+        flag: name => flags.add(name)
+      };
+      STEPS[step](clean, context, stepOptions);
+    });
+    if (changes.length || flags.size) {
+      clean.normalization = { changes, flags: [...flags] };
+    }
+    return clean;
+  }
+
+  /**
+   * Normalise a list of leads
+   * @returns {{ leads: Object[], stats: Object }} stats: { steps, changedLeads, changes (count by field), flags (count by flag) }
+   */
+  static normalizeAll(leads, options = {}) {
+    const steps = options.steps || normalizationConfig.steps;
+    const stats = { steps, changedLeads: 0, changes: {}, flags: {} };
+    const normalized = leads.map(lead => {
+      const before = lead.normalization?.changes?.length || 0;
+      const clean = this.normalize(lead, { ...options, steps });
+      const record = clean.normalization;
+      if (!record) return clean;
+      const added = record.changes.slice(before);
+      if (added.length) stats.changedLeads++;
+      added.forEach(({ field }) => {
+        stats.changes[field] = (stats.changes[field] || 0) + 1;
+      });
+      record.flags.forEach(name => {
+        stats.flags[name] = (stats.flags[name] || 0) + 1;
+      });
+      return clean;
+    });
+    return { leads: normalized, stats };
+  }
+
+  /**
+   * Check a requested step list
+   * @returns {string|null} Error message
+   */
+  static validateSteps(steps) {
+    if (!Array.isArray(steps) || steps.some(step => !STEPS[step])) {
+      return `steps must be a list of: ${this.STEPS.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Phone number as E.164, or null when it can't be read as one
+   * @param {string} value - e.g. "(050) 123-4567", "00971 50 123 4567", "+1 555 123 4567 ext 12"
+   * @param {string} [defaultCountryCode] - Calling code for numbers without one
+   */
+  static toE164(value, defaultCountryCode = null) {
+    const text = String(value).split(/[,;/]|\s{2,}/)[0].trim().replace(/\s*(ext\.?|extension|x)\s*\d+$/i, '');
+    if (/[a-z]/i.test(text)) return null;
+    const digits = text.replace(/\D/g, '');
+    const countryCode = defaultCountryCode ? String(defaultCountryCode).replace(/\D/g, '') : null;
+    let phone = null;
+    if (text.startsWith('+')) {
+      phone = `+${digits}`;
+    } else if (digits.startsWith('00')) {
+      phone = `+${digits.slice(2)}`;
+    } else if (countryCode && digits.startsWith('0')) {
+      phone = `+${countryCode}${digits.slice(1)}`;
+    } else if (countryCode && digits.length <= 10) {
+      phone = `+${countryCode}${digits}`;
+    } else if (digits.length >= 11) {
+      phone = `+${digits}`;
+    }
+    return phone && E164_PATTERN.test(phone) ? phone : null;
+  }
+}
+
+module.exports = LeadsNormalizer;
@@ -1,8 +1,16 @@
 /**
  * Leads Template Service
- * Generates CSV templates and parses uploaded lead data
+ * Generates CSV templates and parses uploaded lead data: CSV / TSV (see CsvParser), Excel
+ * workbooks and JSON arrays all become the same { columns, rows, rowErrors } result, which
+ * LeadsColumnMapper turns into leads
  */
 const logger = require('../utils/logger');
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const CsvParser = require('./CsvParser');
+const EmailDomainChecker = require('./EmailDomainChecker');
+const uploadConfig = require('../config/upload.config');
 class LeadsTemplateService {
   /**
    * Template columns with metadata for smart detection
@@ -35,10 +43,14 @@ class LeadsTemplateService {
   };
   /**
    * Generate CSV template content
+   * @param {Object[]} columns - Template columns (a tenant's template, default TEMPLATE_COLUMNS)
+   * @param {Object} options - { filename }
    */
-  static generateTemplate() {
-    const headers = this.TEMPLATE_COLUMNS.map(col => col.label);
-    const examples = this.TEMPLATE_COLUMNS.map(col => col.example);
+  static generateTemplate(columns = this.TEMPLATE_COLUMNS, { filename = 'leads_template.csv' } = {}) {
+    // Labels and examples may hold commas ("New York, USA")
+    const cell = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const headers = columns.map(col => cell(col.label));
+    const examples = columns.map(col => cell(col.example || ''));
     const csvContent = [
       headers.join(','),
       examples.join(','),
@@ -49,107 +61,284 @@ class LeadsTemplateService {
     ].join('\n');
     return {
       content: csvContent,
-      filename: 'leads_template.csv',
+      filename,
       mimeType: 'text/csv',
-      columns: this.TEMPLATE_COLUMNS
+      columns
     };
   }
   /**
-   * Parse uploaded CSV data
+   * Parse CSV content held in a string (JSON uploads)
    * @param {string} csvContent - Raw CSV content
-   * @returns {Object} Parsed leads with platform detection
+   * @param {Object} options - { delimiter, encoding } to skip detection
+   * @returns {Object} { success, columns (header text), rows (values in column order), rowNumbers,
+   *   totalRows, errors, rowErrors, errorCount, format }
    */
-  static parseCSV(csvContent) {
+  static parseCSV(csvContent, options = {}) {
     try {
-      const lines = csvContent.trim().split('\n');
-      if (lines.length < 2) {
-        throw new Error('CSV must have at least a header row and one data row');
-      }
-      const headers = this.parseCSVLine(lines[0]).map(h => this.normalizeHeader(h));
-      const leads = [];
-      const errors = [];
-      for (let i = 1; i < lines.length; i++) {
-        const values = this.parseCSVLine(lines[i]);
-        if (values.every(v => !v || v.trim() === '')) continue; // Skip empty rows
-        const lead = {};
-        headers.forEach((header, index) => {
-          lead[header] = values[index]?.trim() || '';
-        });
-        // Validate required fields
-        const hasName = lead.first_name || lead.last_name || lead.name || lead.full_name;
-        if (!hasName) {
-          errors.push(`Row ${i + 1}: Missing name fields`);
-          continue;
-        }
-        leads.push(lead);
-      }
+      const collector = this._createLeadCollector();
+      const parser = new CsvParser({ ...options, onRecord: record => collector.add(record) });
+      parser.write(csvContent);
+      parser.end();
+      return collector.finish(this._csvFormat(parser.info()));
+    } catch (error) {
+      logger.error('[LeadsTemplateService] Parse error:', error);
       return {
-        success: true,
-        leads,
-        totalRows: lines.length - 1,
-        validLeads: leads.length,
-        errors,
-        headers
+        success: false,
+        error: error.message,
+        rows: [],
+        totalRows: 0
       };
+    }
+  }
+  /**
+   * Parse a CSV file stream row by row (multipart uploads)
+   * @param {stream.Readable} stream - File contents as bytes
+   * @param {Object} options - { delimiter, encoding } to skip detection
+   * @returns {Promise<Object>} Same shape as parseCSV
+   */
+  static async parseCSVStream(stream, options = {}) {
+    try {
+      const collector = this._createLeadCollector();
+      const parser = new CsvParser({ ...options, onRecord: record => collector.add(record) });
+      for await (const chunk of stream) {
+        parser.write(chunk);
+      }
+      parser.end();
+      return collector.finish(this._csvFormat(parser.info()));
     } catch (error) {
       logger.error('[LeadsTemplateService] Parse error:', error);
       return {
         success: false,
         error: error.message,
-        leads: [],
-        validLeads: 0
+        rows: [],
+        totalRows: 0
+      };
+    }
+  }
+  /**
+   * Upload format from file name, then MIME type
+   * @returns {string|null} csv | tsv | xlsx | xls | json
+   */
+  static detectFormat(filename = '', mimetype = '') {
+    const extension = path.extname(filename).toLowerCase().slice(1);
+    if (uploadConfig.leads.formats[extension]) return uploadConfig.leads.formats[extension];
+    const byMime = Object.entries(uploadConfig.leads.mimeTypes).find(([, mimes]) => mimes.includes(mimetype));
+    return byMime ? byMime[0] : null;
+  }
+  /**
+   * Parse an uploaded file in any supported format
+   * @param {string} filePath - Temp file written by multer
+   * @param {Object} options - { format, sheet (xlsx / xls: name or 1-based index), delimiter, encoding }
+   * @returns {Promise<Object>} Same shape as parseCSV
+   */
+  static async parseFile(filePath, options = {}) {
+    const { format = 'csv', sheet = null, delimiter = null, encoding = null } = options;
+    switch (format) {
+      case 'xlsx':
+      case 'xls':
+        return this.parseSpreadsheet(filePath, { sheet, format });
+      case 'json':
+        try {
+          const content = await fs.promises.readFile(filePath, 'utf-8');
+          return this.parseLeadObjects(JSON.parse(content.replace(/^\uFEFF/, '')));
+        } catch (error) {
+          logger.error('[LeadsTemplateService] JSON parse error:', error);
+          return { success: false, error: `Invalid JSON file: ${error.message}`, rows: [], totalRows: 0 };
+        }
+      case 'tsv':
+        return this.parseCSVStream(fs.createReadStream(filePath), { delimiter: '\t', encoding });
+      default:
+        return this.parseCSVStream(fs.createReadStream(filePath), { delimiter, encoding });
+    }
+  }
+  /**
+   * Parse one sheet of an Excel workbook (.xlsx / .xls). Cells keep their value rather than
+   * their display format, so long phone numbers don't turn into 9.71501E+11
+   * @param {string} filePath - Workbook file
+   * @param {Object} options - { sheet } name or 1-based index (default first sheet), { format } xlsx | xls
+   */
+  static parseSpreadsheet(filePath, options = {}) {
+    try {
+      const sheetNames = XLSX.readFile(filePath, { bookSheets: true }).SheetNames;
+      let sheetName = sheetNames[0];
+      if (options.sheet !== null && options.sheet !== undefined && options.sheet !== '') {
+        const index = /^\d+$/.test(String(options.sheet)) ? parseInt(options.sheet, 10) - 1 : -1;
+        sheetName = sheetNames[index] || sheetNames.find(name => name === String(options.sheet));
+        if (!sheetName) {
+          throw new Error(`Sheet "${options.sheet}" not found. Available sheets: ${sheetNames.join(', ')}`);
+        }
+      }
+      if (!sheetName) {
+        throw new Error('Workbook has no sheets');
+      }
+      const workbook = XLSX.readFile(filePath, { dense: true, sheets: sheetName, cellDates: true });
+      const worksheet = workbook.Sheets[sheetName];
+      const firstRow = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']).s.r + 1 : 1;
+      const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: true, defval: '', blankrows: true });
+      const collector = this._createLeadCollector();
+      rows.forEach((values, index) => {
+        const row = firstRow + index;
+        collector.add({ row, line: row, values: values.map(value => this._cellText(value)), errors: [] });
+      });
+      return collector.finish({
+        type: options.format || 'xlsx',
+        sheet: sheetName,
+        sheets: sheetNames
+      });
+    } catch (error) {
+      logger.error('[LeadsTemplateService] Spreadsheet parse error:', error);
+      return {
+        success: false,
+        error: error.message,
+        rows: [],
+        totalRows: 0
       };
     }
   }
   /**
-   * Parse a single CSV line handling quoted values
+   * Parse a JSON array of lead objects ({ "First Name": "Jo", ... }); keys become the columns.
+   * Also accepts { leads: [...] }
    */
-  static parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current);
-        current = '';
-      } else {
-        current += char;
+  static parseLeadObjects(data) {
+    try {
+      const items = Array.isArray(data) ? data : data?.leads;
+      if (!Array.isArray(items)) {
+        throw new Error('JSON must be an array of lead objects');
       }
+      const keys = [];
+      for (const item of items) {
+        if (item && typeof item === 'object' && !Array.isArray(item)) {
+          Object.keys(item).forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+          });
+        }
+      }
+      const collector = this._createLeadCollector();
+      collector.add({ row: 0, line: 0, values: keys, errors: [] });
+      items.forEach((item, index) => {
+        const row = index + 1;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          collector.add({
+            row,
+            line: row,
+            values: [],
+            errors: [{ column: null, code: 'invalid_row', message: 'Entry is not a lead object' }]
+          });
+          return;
+        }
+        const values = keys.map(key => {
+          const value = item[key];
+          if (value === null || value === undefined) return '';
+          return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+        collector.add({ row, line: row, values, errors: [] });
+      });
+      return collector.finish({ type: 'json' });
+    } catch (error) {
+      logger.error('[LeadsTemplateService] Lead objects parse error:', error);
+      return {
+        success: false,
+        error: error.message,
+        rows: [],
+        totalRows: 0
+      };
     }
-    result.push(current);
-    return result;
   }
   /**
-   * Normalize header to standard key format
+   * Spreadsheet cell value as text (dates as YYYY-MM-DD)
+   * @private
    */
-  static normalizeHeader(header) {
-    const normalized = header.toLowerCase()
-      .replace(/['"]/g, '')
-      .trim()
-      .replace(/\s+/g, '_')
-      .replace(/[^a-z0-9_]/g, '');
-    // Map common variations
-    const mappings = {
-      'firstname': 'first_name',
-      'lastname': 'last_name',
-      'fullname': 'full_name',
-      'emailaddress': 'email',
-      'phonenumber': 'phone',
-      'companyname': 'company',
-      'jobtitle': 'job_title',
-      'linkedinprofile': 'linkedin_url',
-      'linkedinurl': 'linkedin_url',
-      'companysize': 'company_size'
+  static _cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    return String(value);
+  }
+  /**
+   * @private
+   */
+  static _csvFormat({ encoding, delimiter, bom }) {
+    return { type: delimiter === '\t' ? 'tsv' : 'csv', encoding, delimiter, bom };
+  }
+  /**
+   * Collects parsed records as rows; the first non-empty record is the header row.
+   * Row errors are { row, line, column, field, code, message } (row as a spreadsheet numbers it,
+   * line in the file; they differ once a quoted field spans lines)
+   * @private
+   */
+  static _createLeadCollector() {
+    const { maxReportedErrors } = uploadConfig.leads;
+    const rows = [];
+    const rowNumbers = [];
+    const rowErrors = [];
+    let columns = null;
+    let errorCount = 0;
+    const report = (error) => {
+      errorCount++;
+      if (rowErrors.length < maxReportedErrors) rowErrors.push(error);
+    };
+    return {
+      add: ({ row, line, values, errors }) => {
+        errors.forEach(({ column, code, message }) => report({
+          row,
+          line,
+          column,
+          field: columns && column ? columns[column - 1] || null : null,
+          code,
+          message
+        }));
+        if (values.every(v => v.trim() === '')) return; // Skip empty rows
+        if (!columns) {
+          columns = values.map((h, index) => h.trim() || `Column ${index + 1}`);
+          return;
+        }
+        if (values.slice(columns.length).some(v => v.trim() !== '')) {
+          report({
+            row,
+            line,
+            column: columns.length + 1,
+            field: null,
+            code: 'extra_values',
+            message: `Row has ${values.length} values but the header has ${columns.length} columns`
+          });
+        }
+        rows.push(columns.map((header, index) => values[index]?.trim() || ''));
+        rowNumbers.push(row);
+      },
+      finish: (format) => {
+        if (!columns || rows.length === 0) {
+          if (format.type === 'json') {
+            throw new Error('JSON must contain at least one lead object');
+          }
+          const label = { xlsx: 'Sheet', xls: 'Sheet', tsv: 'TSV' }[format.type] || 'CSV';
+          throw new Error(`${label} must have at least a header row and one data row`);
+        }
+        return {
+          success: true,
+          columns,
+          rows,
+          rowNumbers,
+          totalRows: rows.length,
+          errors: rowErrors.map(error => this.formatRowError(error)),
+          rowErrors,
+          errorCount,
+          format
+        };
+      }
     };
-    return mappings[normalized] || normalized;
+  }
+  /**
+   * "Row 5, column 2 (email): message"
+   */
+  static formatRowError({ row, column, field, message }) {
+    let location = `Row ${row}`;
+    if (column) location += `, column ${column}${field ? ` (${field})` : ''}`;
+    return `${location}: ${message}`;
   }
   /**
    * Detect available platforms from leads data
    * @param {Array} leads - Parsed leads array
-   * @returns {Object} Platform availability analysis
+   * @returns {Object} Platform availability analysis; email coverage counts deliverable addresses
+   * (with risky / withEmail counts), so catch-all, disposable and malformed emails don't inflate it
    */
   static detectPlatforms(leads) {
     if (!leads || leads.length === 0) {
@@ -162,20 +351,36 @@ class LeadsTemplateService {
     const platformCoverage = {};
     const totalLeads = leads.length;
     // Check each platform
+    const percentage = (count) => Math.round((count / totalLeads) * 100);
     for (const [platform, fields] of Object.entries(this.PLATFORM_FIELDS)) {
       let count = 0;
+      let withField = 0;
+      let risky = 0;
       for (const lead of leads) {
-        const hasField = fields.some(field => {
-          const value = lead[field];
-          return value && value.trim() !== '';
-        });
-        if (hasField) count++;
+        const value = fields.map(field => lead[field]).find(item => item && item.trim() !== '');
+        if (!value) continue;
+        withField++;
+        if (platform !== 'email') {
+          count++;
+          continue;
+        }
+        // Email coverage counts deliverable addresses: the upload's email_check, else the offline checks
+        const { status } = lead.email_check || EmailDomainChecker.checkOffline(value);
+        if (status === 'deliverable') count++;
+        else if (status === 'risky') risky++;
       }
       platformCoverage[platform] = {
         count,
-        percentage: Math.round((count / totalLeads) * 100),
-        available: count > 0
+        percentage: percentage(count),
+        available: count > 0 || risky > 0
       };
+      if (platform === 'email') {
+        Object.assign(platformCoverage.email, {
+          risky,
+          withEmail: withField,
+          withEmailPercentage: percentage(withField)
+        });
+      }
     }
     const available = Object.entries(platformCoverage)
       .filter(([, data]) => data.available)
@@ -0,0 +1,382 @@
+/**
+ * Leads Validator
+ *
+ * Rule engine behind LeadsAnalyzerService.validateForExecution. Each selected platform runs
+ * required_fields (by the action chosen for it) and its rules from config/validation.config.js:
+ * - email: email_syntax, email_disposable, email_domain (MX lookup result of the upload), email_role
+ * - linkedin: linkedin_profile (person profile, not a company page)
+ * - voice: phone_valid (E.164 length per country, allowed countries), phone_country_code
+ * - whatsapp: whatsapp_capable (mobile number in international format)
+ * With a tenant template (LeadTemplateSchemaService), every platform also runs template_fields:
+ * the template's required columns, and the types of its custom fields.
+ *
+ * Every finding is a reason { rule, severity, platform, field, message }; a lead is ready for
+ * a platform when none of its reasons there has severity 'error'. Tenants change severities
+ * and rule settings in ai_lead_validation_rules (see prepareRules / rulesFor).
+ */
+const validationConfig = require('../config/validation.config');
+const normalizationConfig = require('../config/normalization.config');
+const LeadsNormalizer = require('./LeadsNormalizer');
+const LeadsColumnMapper = require('./LeadsColumnMapper');
+const EmailDomainChecker = require('./EmailDomainChecker');
+const { LeadValidationRuleRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const PLATFORMS = Object.keys(validationConfig.platformRules);
+const RULES = Object.keys(validationConfig.rules);
+const FIELDS = [...LeadsColumnMapper.FIELDS, 'company_domain'];
+const CALLING_CODE_PATTERN = /^[1-9]\d{0,2}$/;
+const URL_PATTERN = /^(https?:\/\/)?[^\s/@]+\.[^\s/@]+(\/\S*)?$/i;
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+const hasValue = (lead, field) => typeof lead[field] === 'string' ? lead[field].trim() !== '' : !!lead[field];
+
+// Settings each rule accepts besides severity, with their checks
+const SETTINGS = {
+  required_fields: {
+    fields: (value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object of platform → action → fields';
+      for (const [platform, actions] of Object.entries(value)) {
+        if (!PLATFORMS.includes(platform)) return `platform must be one of: ${PLATFORMS.join(', ')}`;
+        if (!actions || typeof actions !== 'object' || Array.isArray(actions)) return `${platform} must be an object of action → fields`;
+        for (const [action, specs] of Object.entries(actions)) {
+          if (!isStringList(specs) && !(Array.isArray(specs) && specs.length === 0)) return `${platform}.${action} must be a list of fields`;
+          const unknown = specs.flatMap(spec => spec.split('|')).find(field => !FIELDS.includes(field.trim()));
+          if (unknown) return `${platform}.${action}: unknown field ${unknown}`;
+        }
+      }
+      return null;
+    }
+  },
+  email_disposable: {
+    domains: (value) => isStringList(value) ? null : 'must be a list of domains'
+  },
+  email_role: {
+    allow: (value) => isStringList(value) ? null : 'must be a list of mailbox names'
+  },
+  phone_valid: {
+    countries: (value) => Array.isArray(value) && value.every(code => CALLING_CODE_PATTERN.test(String(code).replace(/^\+/, '')))
+      ? null
+      : 'must be a list of calling codes such as 1, 44 or 971'
+  }
+};
+
+class LeadsValidator {
+  static get PLATFORMS() {
+    return PLATFORMS;
+  }
+
+  static get RULES() {
+    return RULES;
+  }
+
+  /**
+   * Email syntax (see EmailDomainChecker.isValidSyntax)
+   */
+  static isValidEmail(email) {
+    return EmailDomainChecker.isValidSyntax(email);
+  }
+
+  /**
+   * Read a phone number against the country table
+   * @returns {Object} { e164, callingCode, national, known (country in the table), valid, mobile (true | false | null) }
+   *   or { e164: null } for numbers without a country code
+   */
+  static parsePhone(value) {
+    const text = String(value || '').trim();
+    if (!/^\+[1-9]\d{7,14}$/.test(text)) return { e164: null };
+    const digits = text.slice(1);
+    const callingCode = [1, 2, 3].map(length => digits.slice(0, length)).find(code => validationConfig.phoneCountries[code]);
+    if (!callingCode) {
+      return { e164: text, callingCode: null, national: null, known: false, valid: true, mobile: null };
+    }
+    const { lengths, mobile } = validationConfig.phoneCountries[callingCode];
+    const national = digits.slice(callingCode.length);
+    return {
+      e164: text,
+      callingCode,
+      national,
+      known: true,
+      valid: national.length >= lengths[0] && national.length <= lengths[1],
+      mobile: mobile ? mobile.some(prefix => national.startsWith(prefix)) : null
+    };
+  }
+
+  /**
+   * Check tenant rule settings
+   * @param {Object} rules - { ruleId: { severity?, ...settings } }
+   * @returns {{ error: string|null, rules: Object }} rules holds the settings to store
+   */
+  static prepareRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return { error: 'rules must be an object of rule settings', rules: {} };
+    }
+    const prepared = {};
+    for (const [ruleId, settings] of Object.entries(rules)) {
+      if (!RULES.includes(ruleId)) {
+        return { error: `Unknown rule ${ruleId}; rules are: ${RULES.join(', ')}`, rules: {} };
+      }
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { error: `${ruleId} must be an object of settings`, rules: {} };
+      }
+      const rule = {};
+      for (const [name, value] of Object.entries(settings)) {
+        if (name === 'severity') {
+          if (!validationConfig.severities.includes(value)) {
+            return { error: `${ruleId}.severity must be one of: ${validationConfig.severities.join(', ')}`, rules: {} };
+          }
+        } else {
+          const check = SETTINGS[ruleId]?.[name];
+          if (!check) {
+            return { error: `${ruleId} has no setting ${name}`, rules: {} };
+          }
+          const error = check(value);
+          if (error) {
+            return { error: `${ruleId}.${name} ${error}`, rules: {} };
+          }
+        }
+        rule[name] = value;
+      }
+      if (rule.domains) rule.domains = rule.domains.map(domain => domain.trim().toLowerCase());
+      if (rule.allow) rule.allow = rule.allow.map(name => name.trim().toLowerCase());
+      if (rule.countries) rule.countries = rule.countries.map(code => String(code).replace(/^\+/, ''));
+      prepared[ruleId] = rule;
+    }
+    return { error: null, rules: prepared };
+  }
+
+  /**
+   * Default rules with tenant settings merged over them. Tenant disposable domains are added
+   * to the defaults; required fields replace the defaults per platform action.
+   */
+  static effectiveRules(tenantRules = {}) {
+    const rules = {};
+    RULES.forEach(ruleId => {
+      const defaults = validationConfig.rules[ruleId];
+      const tenant = tenantRules[ruleId] || {};
+      rules[ruleId] = { ...defaults, ...tenant };
+      if (ruleId === 'email_disposable' && tenant.domains) {
+        rules[ruleId].domains = [...new Set([...defaults.domains, ...tenant.domains])];
+      }
+      if (ruleId === 'required_fields' && tenant.fields) {
+        rules[ruleId].fields = { ...defaults.fields };
+        Object.entries(tenant.fields).forEach(([platform, actions]) => {
+          rules[ruleId].fields[platform] = { ...defaults.fields[platform], ...actions };
+        });
+      }
+    });
+    return rules;
+  }
+
+  /**
+   * Effective rules of a tenant; the defaults when its settings can't be read
+   * @returns {Promise<{ rules: Object, settings: Object, updated_at: string|null }>}
+   */
+  static async rulesFor(tenantId) {
+    let row = null;
+    if (tenantId) {
+      try {
+        row = await LeadValidationRuleRepository.findByTenant(tenantId);
+      } catch (error) {
+        logger.warn('[LeadsValidator] Tenant rules unavailable, using defaults', { error: error.message, tenantId });
+      }
+    }
+    const settings = row?.rules || {};
+    return { rules: this.effectiveRules(settings), settings, updated_at: row?.updated_at || null };
+  }
+
+  /**
+   * Validate leads for the selected platforms
+   * @param {Object[]} leads - Leads (normalised first, so checks run on clean values)
+   * @param {string[]} platforms - linkedin | email | voice | whatsapp
+   * @param {Object} options - { rules (effective rules), actions ({ platform: action }), steps, defaultCountryCode,
+   *   template (columns of the tenant's template, for template_fields) }
+   * @returns {{ leads: Object[], report: { leads: Object[], summary: Object } }} Normalised leads and
+   *   the readiness report: per lead { index, ready, platforms: { platform: { ready, reasons } } }
+   */
+  static validate(leads, platforms, options = {}) {
+    const rules = options.rules || this.effectiveRules();
+    const actions = options.actions || {};
+    const { leads: cleanLeads } = LeadsNormalizer.normalizeAll(leads, {
+      steps: options.steps,
+      defaultCountryCode: options.defaultCountryCode
+    });
+    const selected = platforms.filter(platform => PLATFORMS.includes(platform));
+    const summary = {
+      ready: 0,
+      notReady: 0,
+      withWarnings: 0,
+      platforms: Object.fromEntries(selected.map(platform => [platform, { ready: 0, notReady: 0 }])),
+      rules: {}
+    };
+    const reportLeads = cleanLeads.map((lead, index) => {
+      const entry = { index, ready: true, platforms: {} };
+      let warned = false;
+      selected.forEach(platform => {
+        const reasons = this._check(lead, platform, actions[platform], rules, options.template);
+        const ready = !reasons.some(reason => reason.severity === 'error');
+        entry.platforms[platform] = { ready, reasons };
+        summary.platforms[platform][ready ? 'ready' : 'notReady']++;
+        if (!ready) entry.ready = false;
+        reasons.forEach(reason => {
+          if (reason.severity === 'warning') warned = true;
+          const counts = summary.rules[reason.rule] || (summary.rules[reason.rule] = { errors: 0, warnings: 0 });
+          counts[reason.severity === 'error' ? 'errors' : 'warnings']++;
+        });
+      });
+      summary[entry.ready ? 'ready' : 'notReady']++;
+      if (warned) summary.withWarnings++;
+      return entry;
+    });
+    return { leads: cleanLeads, report: { actions, leads: reportLeads, summary } };
+  }
+
+  /**
+   * Reasons a lead is (or may not be) ready for one platform
+   * @private
+   */
+  static _check(lead, platform, action, rules, template = null) {
+    const reasons = [];
+    const flags = lead.normalization?.flags || [];
+    const add = (rule, field, message) => {
+      const severity = rules[rule].severity;
+      if (severity !== 'off') reasons.push({ rule, severity, platform, field, message });
+    };
+    const missing = new Set();
+    const required = rules.required_fields.fields[platform] || {};
+    const specs = (action && required[action]) || required.default || [];
+    specs.forEach(spec => {
+      const fields = spec.split('|').map(field => field.trim());
+      if (fields.some(field => hasValue(lead, field))) return;
+      fields.forEach(field => missing.add(field));
+      add('required_fields', spec, `Missing ${fields.join(' or ')}${action ? ` (required for ${action})` : ''}`);
+    });
+
+    if (template && rules.template_fields.severity !== 'off') {
+      template.forEach(column => {
+        const problem = this._templateProblem(lead, column);
+        if (problem) add('template_fields', column.key, problem);
+      });
+    }
+
+    validationConfig.platformRules[platform].forEach(rule => {
+      if (rules[rule].severity === 'off') return;
+      switch (rule) {
+        case 'email_syntax':
+          if (hasValue(lead, 'email') && !this.isValidEmail(lead.email)) {
+            add(rule, 'email', 'Invalid email address');
+          }
+          break;
+        case 'email_disposable': {
+          if (!hasValue(lead, 'email') || !this.isValidEmail(lead.email)) break;
+          const domain = lead.email.split('@').pop().toLowerCase();
+          const match = EmailDomainChecker.matchDomain(domain, rules[rule].domains);
+          if (match) add(rule, 'email', `Disposable email domain (${match})`);
+          break;
+        }
+        case 'email_domain': {
+          const reason = hasValue(lead, 'email') && lead.email_check?.reason;
+          if (reason === 'domain_not_found') add(rule, 'email', 'Email domain does not exist');
+          else if (reason === 'no_mx') add(rule, 'email', 'Email domain does not receive mail (no MX records)');
+          break;
+        }
+        case 'email_role': {
+          if (!hasValue(lead, 'email') || !this.isValidEmail(lead.email)) break;
+          const local = lead.email.split('@')[0].split('+')[0].toLowerCase();
+          if (normalizationConfig.email.roleAccounts.includes(local) && !rules[rule].allow.includes(local)) {
+            add(rule, 'email', `Shared mailbox (${local}@) rather than a person`);
+          }
+          break;
+        }
+        case 'linkedin_profile': {
+          if (!hasValue(lead, 'linkedin_url')) break;
+          if (flags.includes('invalid_linkedin')) {
+            add(rule, 'linkedin_url', 'Invalid LinkedIn URL');
+          } else if (/linkedin\.com\/(company|school)\//i.test(lead.linkedin_url)) {
+            add(rule, 'linkedin_url', 'LinkedIn URL is a company page, not a person profile');
+          } else if (!/linkedin\.com\/(in|pub)\/[^/]+/i.test(lead.linkedin_url)) {
+            add(rule, 'linkedin_url', 'Invalid LinkedIn URL');
+          }
+          break;
+        }
+        case 'phone_valid':
+          if (hasValue(lead, 'phone')) this._checkPhone(lead.phone, rules[rule], message => add(rule, 'phone', message));
+          break;
+        case 'phone_country_code':
+          if (hasValue(lead, 'phone') && !this.parsePhone(lead.phone).e164 && !flags.includes('invalid_phone')) {
+            add(rule, 'phone', 'Phone number has no country code');
+          }
+          break;
+        case 'whatsapp_capable': {
+          // WhatsApp number, else the phone number
+          const field = hasValue(lead, 'whatsapp') && !flags.includes('invalid_whatsapp') ? 'whatsapp' : 'phone';
+          if (!hasValue(lead, field) || missing.has(field)) break;
+          const phone = this.parsePhone(lead[field]);
+          if (!phone.e164) {
+            add(rule, field, flags.includes(`invalid_${field}`)
+              ? 'Invalid WhatsApp/phone number'
+              : 'WhatsApp needs the number in international format (+country code)');
+          } else if (!phone.valid) {
+            add(rule, field, `Invalid WhatsApp/phone number for +${phone.callingCode}`);
+          } else if (phone.mobile === false) {
+            add(rule, field, `WhatsApp needs a mobile number (${phone.e164} looks like a landline)`);
+          }
+          break;
+        }
+      }
+    });
+    return reasons;
+  }
+
+  /**
+   * template_fields on one column: missing when required, else a value the custom field's type
+   * doesn't allow
+   * @private
+   */
+  static _templateProblem(lead, column) {
+    if (!hasValue(lead, column.key)) {
+      return column.required ? `Missing ${column.label}` : null;
+    }
+    if (!column.custom) return null;
+    const value = String(lead[column.key]).trim();
+    switch (column.type) {
+      case 'number':
+        return Number.isFinite(Number(value.replace(/[,\s]/g, ''))) ? null : `${column.label} must be a number`;
+      case 'date':
+        return Number.isNaN(Date.parse(value)) ? `${column.label} must be a date` : null;
+      case 'email':
+        return this.isValidEmail(value) ? null : `${column.label} must be an email address`;
+      case 'url':
+        return URL_PATTERN.test(value) ? null : `${column.label} must be a URL`;
+      case 'select':
+        return column.options.some(option => option.toLowerCase() === value.toLowerCase())
+          ? null
+          : `${column.label} must be one of: ${column.options.join(', ')}`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * phone_valid on one number (numbers without a country code are left to phone_country_code)
+   * @private
+   */
+  static _checkPhone(value, rule, report) {
+    const phone = this.parsePhone(value);
+    if (!phone.e164) {
+      if (!/^\+?[\d\s().-]{7,}$/.test(value) || value.replace(/\D/g, '').length > 15) {
+        report('Invalid phone number');
+      }
+      return;
+    }
+    if (!phone.valid) {
+      report(`Invalid phone number for +${phone.callingCode}`);
+    } else if (rule.countries.length && !(phone.callingCode
+      ? rule.countries.includes(phone.callingCode)
+      : rule.countries.some(code => phone.e164.startsWith(`+${code}`)))) {
+      report(`Phone country not allowed (allowed: ${rule.countries.map(code => `+${code}`).join(', ')})`);
+    }
+  }
+}
+
+module.exports = LeadsValidator;
@@ -0,0 +1,65 @@
+/**
+ * LeadsValidator: readiness per platform and the reasons behind it
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LeadsValidator = require('./LeadsValidator');
+
+const reasonsOf = (lead, platform, options) => LeadsValidator.validate([lead], [platform], options)
+  .report.leads[0].platforms[platform].reasons
+  .map(reason => [reason.rule, reason.severity, reason.field, reason.message]);
+
+test('a complete lead is ready everywhere', () => {
+  const { report } = LeadsValidator.validate([{
+    full_name: 'Ann Lee',
+    email: 'ann@acme.com',
+    linkedin_url: 'https://www.linkedin.com/in/annlee',
+    phone: '+971501234567'
+  }], ['email', 'linkedin', 'voice', 'whatsapp']);
+  assert.equal(report.leads[0].ready, true);
+  assert.ok(Object.values(report.leads[0].platforms).every(platform => platform.reasons.length === 0));
+});
+
+test('missing required fields are errors', () => {
+  assert.deepEqual(reasonsOf({ full_name: 'Ann Lee' }, 'voice'), [['required_fields', 'error', 'phone', 'Missing phone']]);
+  assert.deepEqual(reasonsOf({ full_name: 'Ann Lee' }, 'whatsapp'), [['required_fields', 'error', 'whatsapp|phone', 'Missing whatsapp or phone']]);
+});
+
+test('email reasons: syntax, disposable domain, shared mailbox', () => {
+  assert.deepEqual(reasonsOf({ full_name: 'A', email: 'not-an-email' }, 'email'), [['email_syntax', 'error', 'email', 'Invalid email address']]);
+  assert.deepEqual(reasonsOf({ full_name: 'A', email: 'x@mailinator.com' }, 'email'), [['email_disposable', 'error', 'email', 'Disposable email domain (mailinator.com)']]);
+  assert.deepEqual(reasonsOf({ full_name: 'A', email: 'info@acme.com' }, 'email'), [['email_role', 'warning', 'email', 'Shared mailbox (info@) rather than a person']]);
+});
+
+test('email check results become email_domain reasons', () => {
+  const lead = { full_name: 'A', email: 'a@nowhere.example', email_check: { status: 'undeliverable', reason: 'no_mx' } };
+  assert.deepEqual(reasonsOf(lead, 'email'), [['email_domain', 'error', 'email', 'Email domain does not receive mail (no MX records)']]);
+});
+
+test('a LinkedIn company page is not a person profile', () => {
+  assert.deepEqual(reasonsOf({ full_name: 'A', linkedin_url: 'https://www.linkedin.com/company/acme' }, 'linkedin'), [
+    ['linkedin_profile', 'error', 'linkedin_url', 'LinkedIn URL is a company page, not a person profile']
+  ]);
+});
+
+test('phone reasons for voice and WhatsApp', () => {
+  assert.deepEqual(reasonsOf({ full_name: 'A', phone: '12' }, 'voice'), [['phone_valid', 'error', 'phone', 'Invalid phone number']]);
+  assert.deepEqual(reasonsOf({ full_name: 'A', phone: '12' }, 'whatsapp'), [['whatsapp_capable', 'error', 'phone', 'Invalid WhatsApp/phone number']]);
+});
+
+test('warnings are reported but do not make a lead not ready', () => {
+  const { report } = LeadsValidator.validate([{ full_name: 'A', email: 'info@acme.com' }], ['email']);
+  assert.equal(report.leads[0].ready, true);
+  assert.equal(report.summary.withWarnings, 1);
+  assert.deepEqual(report.summary.rules, { email_role: { errors: 0, warnings: 1 } });
+});
+
+test('tenant rules can turn a rule off', () => {
+  const rules = LeadsValidator.effectiveRules({ email_role: { severity: 'off' } });
+  assert.deepEqual(reasonsOf({ full_name: 'A', email: 'info@acme.com' }, 'email', { rules }), []);
+});
+
+test('rejects unknown rules and severities', () => {
+  assert.equal(LeadsValidator.prepareRules({ email_role: { severity: 'loud' } }).error, 'email_role.severity must be one of: error, warning, off');
+  assert.match(LeadsValidator.prepareRules({ nope: {} }).error, /^Unknown rule nope/);
+});
@@ -0,0 +1,198 @@
+/**
+ * Targeting History
+ *
+ * Ordered version history of lead-chat targeting with undo/redo and diff.
+ * Pure functions over a plain JSON object so it can travel with the client
+ * (stateless /lead-chat) or live in ai_conversations.metadata (sessions):
+ *
+ *   { versions: [{ version, targeting, message, createdAt }], cursor }
+ *
+ * `cursor` is the index of the active version. Recording a new version after
+ * an undo drops the redo branch, like an editor.
+ */
+const MAX_VERSIONS = 50;
+
+const FIELD_LABELS = {
+  job_titles: '🎯 Titles',
+  industries: '🏭 Industry',
+  locations: '📍 Location',
+  company_names: '🏢 Companies',
+  seniority: '📶 Seniority',
+  employee_ranges: '👥 Company size',
+  revenue_ranges: '💰 Revenue',
+  funding_stages: '🚀 Funding stage',
+  founded_year: '📅 Founded',
+  technologies: '🧩 Technologies',
+  keywords: '🔑 Keywords',
+  excluded_titles: '🚫 Excluded titles',
+  excluded_industries: '🚫 Excluded industries',
+  excluded_locations: '🚫 Excluded locations',
+  excluded_companies: '🚫 Excluded companies',
+  excluded_seniority: '🚫 Excluded seniority',
+  excluded_technologies: '🚫 Excluded technologies'
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const hasTargeting = (targeting) => !!targeting &&
+  Object.values(targeting).some(value => toList(value).length > 0);
+
+class TargetingHistory {
+  /**
+   * Build a valid history from client/session data, seeding it with currentTargeting if empty
+   */
+  static normalize(history, currentTargeting = null) {
+    if (history && Array.isArray(history.versions) && history.versions.length > 0) {
+      const versions = history.versions.slice(-MAX_VERSIONS);
+      const cursor = Number.isInteger(history.cursor)
+        ? Math.min(Math.max(history.cursor, 0), versions.length - 1)
+        : versions.length - 1;
+      return { versions, cursor };
+    }
+    if (hasTargeting(currentTargeting)) {
+      return {
+        versions: [{ version: 1, targeting: currentTargeting, message: null, createdAt: new Date().toISOString() }],
+        cursor: 0
+      };
+    }
+    return { versions: [], cursor: -1 };
+  }
+
+  /**
+   * Active version (null if history is empty)
+   */
+  static current(history) {
+    return history.versions[history.cursor] || null;
+  }
+
+  /**
+   * Record targeting as the newest version (no-op if it equals the active version)
+   * @param {Object} meta - { message } user message that produced this targeting
+   */
+  static record(history, targeting, meta = {}) {
+    if (!hasTargeting(targeting)) return history;
+    const active = this.current(history);
+    if (active && !this.diff(active.targeting, targeting).hasChanges) return history;
+    const versions = history.versions.slice(0, history.cursor + 1);
+    const lastVersion = history.versions.reduce((max, v) => Math.max(max, v.version), 0);
+    versions.push({
+      version: lastVersion + 1,
+      targeting,
+      message: meta.message ? String(meta.message).substring(0, 200) : null,
+      createdAt: new Date().toISOString()
+    });
+    const trimmed = versions.slice(-MAX_VERSIONS);
+    return { versions: trimmed, cursor: trimmed.length - 1 };
+  }
+
+  /**
+   * Move the cursor back
+   * @returns {Object|null} { history, version } or null when there is nothing to undo
+   */
+  static undo(history, steps = 1) {
+    const cursor = history.cursor - Math.max(1, steps);
+    if (history.cursor <= 0 || cursor < 0) return null;
+    const moved = { ...history, cursor };
+    return { history: moved, version: this.current(moved) };
+  }
+
+  /**
+   * Move the cursor forward
+   * @returns {Object|null} { history, version } or null when there is nothing to redo
+   */
+  static redo(history, steps = 1) {
+    const cursor = history.cursor + Math.max(1, steps);
+    if (cursor >= history.versions.length) return null;
+    const moved = { ...history, cursor };
+    return { history: moved, version: this.current(moved) };
+  }
+
+  /**
+   * Jump to a version number
+   * @returns {Object|null} { history, version } or null if the version does not exist
+   */
+  static goTo(history, versionNumber) {
+    const index = history.versions.findIndex(v => v.version === Number(versionNumber));
+    if (index === -1) return null;
+    const moved = { ...history, cursor: index };
+    return { history: moved, version: this.current(moved) };
+  }
+
+  /**
+   * Version whose targeting mentions the text (e.g. "go back to London").
+   * Prefers the latest earlier version, then the redo branch. A version whose fields that mention
+   * the text equal the active version's is skipped while another differs, so "go back to London"
+   * after London + Berlin returns to London alone, the version before that change.
+   */
+  static findVersionMentioning(history, text) {
+    const needle = String(text || '').toLowerCase().trim();
+    if (!needle) return null;
+    const fieldsMentioning = (version) => Object.keys(version.targeting || {})
+      .filter(field => toList(version.targeting[field]).some(value => String(value).toLowerCase().includes(needle)));
+    const active = this.current(history)?.targeting || {};
+    const differs = (version) => fieldsMentioning(version)
+      .some(field => this.diff({ [field]: version.targeting[field] }, { [field]: active[field] }).hasChanges);
+    const earlier = history.versions.slice(0, Math.max(history.cursor, 0)).reverse();
+    const later = history.versions.slice(history.cursor + 1);
+    const candidates = [...earlier, ...later].filter(version => fieldsMentioning(version).length);
+    return candidates.find(differs) || candidates[0] || null;
+  }
+
+  /**
+   * Field-level diff between two targeting objects
+   * @returns {Object} { added: {field: []}, removed: {field: []}, hasChanges }
+   */
+  static diff(fromTargeting = {}, toTargeting = {}) {
+    const from = fromTargeting || {};
+    const to = toTargeting || {};
+    const added = {};
+    const removed = {};
+    const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    fields.forEach(field => {
+      const before = toList(from[field]).map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+      const after = toList(to[field]).map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v)));
+      const beforeKeys = before.map(v => v.toLowerCase());
+      const afterKeys = after.map(v => v.toLowerCase());
+      const fieldAdded = after.filter((v, i) => !beforeKeys.includes(afterKeys[i]));
+      const fieldRemoved = before.filter((v, i) => !afterKeys.includes(beforeKeys[i]));
+      if (fieldAdded.length) added[field] = fieldAdded;
+      if (fieldRemoved.length) removed[field] = fieldRemoved;
+    });
+    return {
+      added,
+      removed,
+      hasChanges: Object.keys(added).length > 0 || Object.keys(removed).length > 0
+    };
+  }
+
+  /**
+   * Diff two versions of a history by version number
+   * @returns {Object|null} { from, to, diff } or null if either version is missing
+   */
+  static diffVersions(history, fromVersion, toVersion) {
+    const from = history.versions.find(v => v.version === Number(fromVersion));
+    const to = history.versions.find(v => v.version === Number(toVersion));
+    if (!from || !to) return null;
+    return { from, to, diff: this.diff(from.targeting, to.targeting) };
+  }
+
+  /**
+   * Human-readable summary of a diff for chat replies
+   */
+  static describeDiff(diff) {
+    if (!diff.hasChanges) return 'No changes to the targeting.';
+    const fields = [...new Set([...Object.keys(diff.added), ...Object.keys(diff.removed)])];
+    return fields.map(field => {
+      const label = FIELD_LABELS[field] || field;
+      const parts = [];
+      if (diff.removed[field]) parts.push(`~~${diff.removed[field].join(', ')}~~`);
+      if (diff.added[field]) parts.push(`**${diff.added[field].join(', ')}**`);
+      return `${label}: ${parts.join(' → ')}`;
+    }).join('\n');
+  }
+}
+
+module.exports = TargetingHistory;
@@ -0,0 +1,40 @@
+/**
+ * TargetingHistory: going back to a version that mentions a value
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TargetingHistory = require('./TargetingHistory');
+
+const build = (...targetings) => targetings.reduce(
+  (history, targeting) => TargetingHistory.record(history, targeting),
+  TargetingHistory.normalize(null)
+);
+
+test('goes back to the version before the mentioned field changed', () => {
+  const history = build(
+    { job_titles: ['CTO'], locations: ['London'] },
+    { job_titles: ['CEO'], locations: ['London'] },
+    { job_titles: ['CEO'], locations: ['London', 'Berlin'] },
+    { job_titles: ['CFO'], locations: ['London', 'Berlin'] }
+  );
+  assert.equal(TargetingHistory.findVersionMentioning(history, 'london').version, 2);
+});
+
+test('takes the latest earlier version when every version has the same value', () => {
+  const history = build(
+    { job_titles: ['CTO'], locations: ['London'] },
+    { job_titles: ['CEO'], locations: ['London'] }
+  );
+  assert.equal(TargetingHistory.findVersionMentioning(history, 'London').version, 1);
+});
+
+test('looks in the redo branch after an undo and finds nothing for unknown text', () => {
+  const history = build(
+    { locations: ['London'] },
+    { locations: ['Paris'] },
+    { locations: ['Berlin'] }
+  );
+  const { history: undone } = TargetingHistory.undo(history, 2);
+  assert.equal(TargetingHistory.findVersionMentioning(undone, 'berlin').version, 3);
+  assert.equal(TargetingHistory.findVersionMentioning(undone, 'Tokyo'), null);
+});
@@ -0,0 +1,400 @@
+/**
+ * Targeting Refinement
+ *
+ * Add / remove / exclude operations on lead-chat targeting, so "also add Berlin",
+ * "drop the CMO role" or "exclude agencies" change one list instead of replacing it.
+ *
+ * Refinable fields and their exclusion lists:
+ *   job_titles → excluded_titles        industries → excluded_industries
+ *   locations → excluded_locations      company_names → excluded_companies
+ *   seniority → excluded_seniority
+ *
+ * Company filters (employee_ranges, revenue_ranges, funding_stages, founded_year,
+ * technologies) are normalised to Apollo buckets by FirmographicFilters; only
+ * technologies has an exclusion list (excluded_technologies).
+ *
+ * Exclusion lists are plain targeting fields, so they travel with updatedTargeting
+ * into the search params, the session metadata and the version history.
+ *
+ * One message can carry several operations ("switch to CTOs in healthcare in Toronto").
+ * Each operation has a confidence (0-1); applyAll applies the confident ones and
+ * returns the rest as ambiguous so the chat only asks about those.
+ */
+const FirmographicFilters = require('./FirmographicFilters');
+const TaxonomyService = require('./TaxonomyService');
+
+const FIELDS = {
+  job_titles: { exclusion: 'excluded_titles', label: 'titles', icon: '🎯' },
+  industries: { exclusion: 'excluded_industries', label: 'industries', icon: '🏭' },
+  locations: { exclusion: 'excluded_locations', label: 'locations', icon: '📍' },
+  company_names: { exclusion: 'excluded_companies', label: 'companies', icon: '🏢' },
+  seniority: { exclusion: 'excluded_seniority', label: 'seniority levels', icon: '📶' },
+  employee_ranges: { exclusion: null, label: 'company sizes', icon: '👥' },
+  revenue_ranges: { exclusion: null, label: 'revenue ranges', icon: '💰' },
+  funding_stages: { exclusion: null, label: 'funding stages', icon: '🚀' },
+  founded_year: { exclusion: null, label: 'founding years', icon: '📅', single: true },
+  technologies: { exclusion: 'excluded_technologies', label: 'technologies', icon: '🧩' }
+};
+
+const OPERATIONS = ['set', 'add', 'remove', 'exclude'];
+
+// Operations below this confidence are asked about instead of applied
+const MIN_CONFIDENCE = 0.6;
+
+// Confidence of locally parsed commands, by how the field was found
+const LOCAL_CONFIDENCE = {
+  explicit: 0.95,  // "drop the CMO role"
+  targeting: 0.9,  // value already in that field of the current targeting
+  pattern: 0.9,    // unmistakable company filter ("50-200 employees", "Series A")
+  hint: 0.7        // looks like a title, or a seniority / location / industry in the taxonomy
+};
+
+// Field word used when turning an operation back into a command (clarification options)
+const FIELD_WORDS = {
+  job_titles: 'title',
+  industries: 'industry',
+  locations: 'location',
+  company_names: 'company',
+  seniority: 'seniority',
+  employee_ranges: 'company size',
+  revenue_ranges: 'revenue',
+  funding_stages: 'funding stage',
+  founded_year: 'founded year',
+  technologies: 'technology'
+};
+
+// Fields offered when the field of a value is unknown
+const CLARIFY_FIELDS = ['job_titles', 'industries', 'locations', 'company_names'];
+
+// Words users (and the LLM) use for each field
+const FIELD_ALIASES = {
+  job_titles: ['job_titles', 'job_title', 'title', 'titles', 'job title', 'job titles', 'role', 'roles', 'position', 'positions'],
+  industries: ['industries', 'industry', 'sector', 'sectors', 'vertical', 'verticals'],
+  locations: ['locations', 'location', 'city', 'cities', 'country', 'countries', 'region', 'regions'],
+  company_names: ['company_names', 'company_name', 'company', 'companies', 'account', 'accounts'],
+  seniority: ['seniority', 'seniorities', 'level', 'levels', 'seniority level', 'seniority levels'],
+  employee_ranges: ['employee_ranges', 'company size', 'company sizes', 'size', 'headcount', 'employees', 'employee count'],
+  revenue_ranges: ['revenue_ranges', 'revenue', 'annual revenue', 'revenue range'],
+  funding_stages: ['funding_stages', 'funding', 'funding stage', 'funding stages', 'stage'],
+  founded_year: ['founded_year', 'founded year', 'founding year', 'founded'],
+  technologies: ['technologies', 'technology', 'tech', 'tech stack', 'stack', 'tool', 'tools']
+};
+
+// Taxonomy match needed before a bare value is taken as a seniority, location or industry
+const TAXONOMY_HINT_SCORE = 0.9;
+
+const TITLE_HINT = /\b(ceo|cto|cmo|cfo|coo|cio|ciso|cro|chief|vp|vice president|head of|director|manager|engineer|developer|founder|officer|lead|recruiter|consultant|analyst|investor)s?\b/i;
+
+// Local command patterns: the operation verb, then the values (optionally followed by a field word)
+const COMMANDS = [
+  { operation: 'set', pattern: /^(?:please\s+)?(?:(?:can you|could you)\s+)?(?:switch|change|set|update)\s+(?:it\s+|that\s+)?to\s+(.+)$/i },
+  { operation: 'add', pattern: /^(?:please\s+)?(?:(?:can you|could you)\s+)?(?:also\s+)?(?:add|include)\s+(.+)$/i },
+  { operation: 'remove', pattern: /^(?:please\s+)?(?:(?:can you|could you)\s+)?(?:remove|drop|delete|take out|get rid of)\s+(.+)$/i },
+  { operation: 'exclude', pattern: /^(?:please\s+)?(?:(?:can you|could you)\s+)?(?:exclude|filter out|leave out)\s+(.+)$/i }
+];
+
+// A second command verb means a compound message, which is left to the LLM
+const COMPOUND_VERB = /\b(?:add|include|remove|drop|delete|exclude|filter out|leave out|switch|change)\b/i;
+
+// "in healthcare", "at Stripe": a further field of a set / add command ("CTOs in healthcare in Toronto")
+const QUALIFIER = /\s+(?=(?:in|at)\s+\S)/i;
+
+const FIELD_SUFFIX = new RegExp(
+  `\\s+(?:as\\s+(?:an?\\s+)?|from\\s+(?:the\\s+)?)?(${Object.values(FIELD_ALIASES).flat().sort((a, b) => b.length - a.length).join('|')})$`,
+  'i'
+);
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const without = (list, values) => toList(list).filter(item => !values.some(value => sameValue(item, value)));
+
+const union = (list, values) => {
+  const result = [...toList(list)];
+  values.forEach(value => {
+    if (!result.some(item => sameValue(item, value))) result.push(value);
+  });
+  return result;
+};
+
+class TargetingRefinement {
+  /**
+   * Canonical field name for a field word ("role" → job_titles); null if unknown
+   */
+  static resolveField(name) {
+    if (!name) return null;
+    const key = String(name).trim().toLowerCase();
+    return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(key)) || null;
+  }
+
+  /**
+   * Exclusion list name for a field (industries → excluded_industries)
+   */
+  static exclusionField(field) {
+    return FIELDS[field]?.exclusion || null;
+  }
+
+  /**
+   * Apply one refinement and return the new targeting (the input is not mutated).
+   * - set: replace the field
+   * - add: append values (and stop excluding them)
+   * - remove: drop values from the field, or from its exclusion list if they were excluded
+   * - exclude: add values to the exclusion list (and drop them from the field)
+   * @param {Object} refinement - { operation, field, values }
+   */
+  static apply(targeting, refinement) {
+    const resolved = this.resolve(refinement);
+    if (!resolved) return targeting;
+    const { operation, field: canonical, exclusion, values: list } = resolved;
+    const current = { ...(targeting || {}) };
+
+    switch (operation) {
+      case 'set':
+        current[canonical] = list;
+        if (exclusion) current[exclusion] = without(current[exclusion], list);
+        break;
+      case 'add':
+        current[canonical] = union(current[canonical], list);
+        if (exclusion) current[exclusion] = without(current[exclusion], list);
+        break;
+      case 'remove': {
+        const inField = list.filter(value => toList(current[canonical]).some(item => sameValue(item, value)));
+        current[canonical] = without(current[canonical], list);
+        if (exclusion) current[exclusion] = without(current[exclusion], list.filter(value => !inField.includes(value)));
+        break;
+      }
+      case 'exclude':
+        current[canonical] = without(current[canonical], list);
+        current[exclusion] = union(current[exclusion], list);
+        break;
+      default:
+        break;
+    }
+    if (exclusion && !current[exclusion].length) delete current[exclusion];
+    return current;
+  }
+
+  /**
+   * Canonical field, effective operation and normalised values of a refinement (null if invalid).
+   * Company filters are bucketed, "add" on a single-valued field replaces it, and "exclude"
+   * on a field without an exclusion list removes instead.
+   */
+  static resolve({ operation, field, values }) {
+    const canonical = this.resolveField(field);
+    if (!canonical || !OPERATIONS.includes(operation)) return null;
+    const exclusion = this.exclusionField(canonical);
+    const cleaned = toList(values).map(value => String(value).trim()).filter(Boolean);
+    let effective = operation;
+    if (operation === 'add' && FIELDS[canonical].single) effective = 'set';
+    if (operation === 'exclude' && !exclusion) effective = 'remove';
+    return {
+      operation: effective,
+      field: canonical,
+      exclusion,
+      values: FirmographicFilters.FIELDS.includes(canonical)
+        ? FirmographicFilters.normalizeField(canonical, cleaned)
+        : cleaned
+    };
+  }
+
+  /**
+   * Parse a single set / add / remove / exclude command without the LLM.
+   * The field comes from a trailing field word ("the CMO role"), the current targeting,
+   * title hints or the taxonomy (seniority, location, industry); it is null (confidence 0) when it cannot be told.
+   * Set and add commands are split at "in" / "at" into one operation per field ("switch to CTOs in
+   * healthcare in Toronto": titles, industries, locations); "at" names a company unless the taxonomy
+   * says otherwise. Remove and exclude commands with "in" / "at" ("exclude agencies in London") are
+   * not split, and stay unsure unless the whole value is in the current targeting.
+   * @returns {Object[]|null} [{ operation, field, values, confidence }] or null if the message is not a single command
+   */
+  static parseOperations(message, currentTargeting = null) {
+    const text = String(message || '').trim().replace(/[.!?]+$/, '');
+    const command = COMMANDS.find(({ pattern }) => pattern.test(text));
+    if (!command) return null;
+
+    let rest = text.match(command.pattern)[1]
+      .replace(/\s+(?:from|to|in)\s+(?:the\s+|my\s+)?(?:search|targeting|filters?|list)$/i, '')
+      .replace(/\s+instead$/i, '')
+      .trim();
+    if (COMPOUND_VERB.test(rest)) return null;
+    let field = null;
+    const suffix = rest.match(FIELD_SUFFIX);
+    if (suffix) {
+      field = this.resolveField(suffix[1]);
+      rest = rest.slice(0, suffix.index).trim();
+    }
+    // Company filters keep their "in" / "at" ("founded in 2015", "at least 50 employees")
+    const filter = !field && !TITLE_HINT.test(rest) && FirmographicFilters.detectField(rest);
+    const parts = field || filter ? [rest] : rest.split(QUALIFIER);
+    if (parts.length === 1) {
+      const operation = this._parseValues(command.operation, rest, field, currentTargeting);
+      return operation ? [operation] : null;
+    }
+    const whole = this.inferField([rest], command.operation, currentTargeting);
+    if (whole.confidence === LOCAL_CONFIDENCE.targeting) {
+      return [{ operation: command.operation, values: [rest], ...whole }];
+    }
+    if (command.operation === 'remove' || command.operation === 'exclude') {
+      return [{ operation: command.operation, values: [rest], field: null, confidence: 0 }];
+    }
+    const operations = parts.map((part, index) => {
+      const [, word, value] = index ? part.match(/^(in|at)\s+(.+)$/i) : [null, null, part];
+      const operation = this._parseValues(command.operation, value, null, currentTargeting);
+      if (operation && !operation.field && /^at$/i.test(word || '')) {
+        return { ...operation, field: 'company_names', confidence: LOCAL_CONFIDENCE.hint };
+      }
+      return operation;
+    });
+    return operations.every(Boolean) ? operations : null;
+  }
+
+  /**
+   * One operation from the values of a command, with the field given or inferred
+   * @private
+   */
+  static _parseValues(operation, rest, field, currentTargeting) {
+    // "between 10 and 50 employees" / "Series A and B" stay one value for FirmographicFilters;
+    // titles ("Head of Sales", "VP People") are checked first
+    const firmographic = field
+      ? (FirmographicFilters.FIELDS.includes(field) ? field : null)
+      : (TITLE_HINT.test(rest) ? null : FirmographicFilters.detectField(rest));
+    if (firmographic) {
+      return {
+        operation,
+        values: [rest],
+        field: firmographic,
+        confidence: field ? LOCAL_CONFIDENCE.explicit : LOCAL_CONFIDENCE.pattern
+      };
+    }
+    const values = rest
+      .replace(/^(?:the|all|any)\s+/i, '')
+      .split(/\s*,\s*|\s+and\s+|\s*&\s*/)
+      .map(value => value.replace(/^(?:the|all|any)\s+/i, '').trim())
+      .filter(Boolean);
+    if (!values.length) return null;
+
+    const inferred = field
+      ? { field, confidence: LOCAL_CONFIDENCE.explicit }
+      : this.inferField(values, operation, currentTargeting);
+    return { operation, values, ...inferred };
+  }
+
+  /**
+   * Guess which field values belong to
+   * @returns {Object} { field, confidence } (field null, confidence 0 when unsure)
+   */
+  static inferField(values, operation, currentTargeting = null) {
+    if (currentTargeting && operation !== 'set') {
+      const lists = operation === 'remove'
+        ? Object.keys(FIELDS).flatMap(field => [[field, field], [field, FIELDS[field].exclusion]])
+        : Object.keys(FIELDS).map(field => [field, field]);
+      const owner = lists.find(([, key]) => values.every(value => toList(currentTargeting[key]).some(item => sameValue(item, value))));
+      if (owner) return { field: owner[0], confidence: LOCAL_CONFIDENCE.targeting };
+    }
+    if (values.every(value => TITLE_HINT.test(value))) return { field: 'job_titles', confidence: LOCAL_CONFIDENCE.hint };
+    const firmographic = FirmographicFilters.detectField(values[0]);
+    if (firmographic && values.every(value => FirmographicFilters.detectField(value) === firmographic)) {
+      return { field: firmographic, confidence: LOCAL_CONFIDENCE.pattern };
+    }
+    const inTaxonomy = (type) => values.every(value => TaxonomyService.resolve(type, value, { minScore: TAXONOMY_HINT_SCORE }));
+    if (inTaxonomy('seniority')) return { field: 'seniority', confidence: LOCAL_CONFIDENCE.hint };
+    if (inTaxonomy('location')) return { field: 'locations', confidence: LOCAL_CONFIDENCE.hint };
+    if (inTaxonomy('industry')) return { field: 'industries', confidence: LOCAL_CONFIDENCE.hint };
+    return { field: null, confidence: 0 };
+  }
+
+  /**
+   * Clean up operations from the LLM or the local parser: canonical fields, string values,
+   * confidence clamped to 0-1 (1 when missing). Operations without values are dropped.
+   */
+  static normalizeOperations(operations) {
+    return toList(operations)
+      .filter(op => op && OPERATIONS.includes(op.operation))
+      .map(op => {
+        const confidence = Number(op.confidence);
+        return {
+          operation: op.operation,
+          field: this.resolveField(op.field),
+          values: toList(op.values).map(value => String(value).trim()).filter(Boolean),
+          confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 1
+        };
+      })
+      .filter(op => op.values.length > 0);
+  }
+
+  /**
+   * Apply every confident operation in order
+   * @returns {Object} { targeting, applied: [{ ...operation, summary }], ambiguous: [operation] }
+   */
+  static applyAll(targeting, operations, minConfidence = MIN_CONFIDENCE) {
+    let current = targeting;
+    const applied = [];
+    const ambiguous = [];
+    this.normalizeOperations(operations).forEach(op => {
+      if (!op.field || op.confidence < minConfidence) {
+        ambiguous.push(op);
+        return;
+      }
+      // Company filters that do not map to any bucket ("add 'lots of' employees")
+      if (!this.resolve(op).values.length) {
+        ambiguous.push({ ...op, field: null });
+        return;
+      }
+      applied.push({ ...op, summary: this.describe(op, current) });
+      current = this.apply(current, op);
+    });
+    return { targeting: current, applied, ambiguous };
+  }
+
+  /**
+   * Clarifying question for an ambiguous operation
+   */
+  static clarifyQuestion({ operation, field, values }) {
+    const list = values.map(value => `**${value}**`).join(', ');
+    const verb = operation === 'set' ? 'switch to' : operation;
+    if (field) {
+      const word = field === 'seniority' ? 'seniority level' : FIELD_WORDS[field];
+      return `Did you mean to ${verb} ${list} as ${/^[aeiou]/i.test(word) ? 'an' : 'a'} ${word}?`;
+    }
+    return `Should I ${verb} ${list} as a title, industry, location or company?`;
+  }
+
+  /**
+   * Quick-reply options for an ambiguous operation; each value is a command parseOperations understands
+   */
+  static clarifyOptions({ operation, field, values }) {
+    const list = values.join(', ');
+    const verb = operation === 'set' ? 'switch to' : operation;
+    const fields = field
+      ? [field, ...CLARIFY_FIELDS.filter(f => f !== field)]
+      : CLARIFY_FIELDS;
+    return fields.map(f => ({ label: `${list} (${FIELD_WORDS[f]})`, value: `${verb} ${list} ${FIELD_WORDS[f]}` }));
+  }
+
+  /**
+   * Chat confirmation for an applied refinement
+   * @param {Object} previousTargeting - targeting before the refinement (tells "removed" from "no longer excluded")
+   */
+  static describe(refinement, previousTargeting = null) {
+    const { operation, field: canonical, exclusion, values } = this.resolve(refinement);
+    const { label, icon } = FIELDS[canonical];
+    const list = FirmographicFilters.summarize(canonical, values).map(value => `**${value}**`).join(', ');
+    if (operation === 'add') return `${icon} Added ${list} to ${label}.`;
+    if (operation === 'remove') {
+      const wasIncluded = !exclusion || values.some(value => toList(previousTargeting?.[canonical]).some(item => sameValue(item, value)));
+      return wasIncluded ? `${icon} Removed ${list} from ${label}.` : `✅ No longer excluding ${list} from ${label}.`;
+    }
+    if (operation === 'exclude') return `🚫 Excluding ${list} from ${label}.`;
+    return `${icon} Updated ${label} to ${list}.`;
+  }
+}
+
+TargetingRefinement.FIELDS = FIELDS;
+TargetingRefinement.OPERATIONS = OPERATIONS;
+TargetingRefinement.MIN_CONFIDENCE = MIN_CONFIDENCE;
+
+module.exports = TargetingRefinement;
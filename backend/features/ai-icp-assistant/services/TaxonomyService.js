@@ -0,0 +1,319 @@
+/**
+ * Taxonomy Service
+ *
+ * Offline catalogue of the values targeting can use (config/taxonomy), with synonyms and
+ * fuzzy search. Classifiers validate LLM output against it and fall back to it when no LLM
+ * is available; the suggestion endpoints search it.
+ *
+ * Types:
+ *   industry   - Apollo industry ("Computer Software"); related industries
+ *   location   - kind country | region | city ("Dubai"); country / countries
+ *   seniority  - Apollo person_seniorities value ("c_suite", label "C-Suite")
+ *   department - "sales" (label "Sales") with its functions
+ *   role       - job title ("VP of Sales") with seniority, department and role category
+ *
+ * Scores are 0-1: exact name 1, synonym 0.97, prefix / phrase / typo matches below that.
+ */
+const taxonomyConfig = require('../config/taxonomy');
+
+const TYPES = ['industry', 'location', 'seniority', 'department', 'role'];
+
+// Shortest synonym matched inside a longer phrase ("hospital" in "hospital management");
+// shorter ones ("it", "uk") only match on their own
+const MIN_CONTAINED_LENGTH = { industry: 3, location: 3, seniority: 2, department: 3, role: 2 };
+
+const indexes = new Map();
+
+const normalizeText = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9+#]+/g, ' ')
+  .trim();
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+const round = (score) => Math.round(score * 100) / 100;
+
+class TaxonomyService {
+  static get version() {
+    return taxonomyConfig.version;
+  }
+
+  static normalizeText(text) {
+    return normalizeText(text);
+  }
+
+  /**
+   * Similarity of two strings, 0-1: 1 minus their edit distance over the longer length
+   */
+  static similarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length ? 1 - editDistance(a, b) / length : 1;
+  }
+
+  /**
+   * Catalogue version and entry counts per type
+   */
+  static info() {
+    return {
+      version: taxonomyConfig.version,
+      types: Object.fromEntries(TYPES.map(type => [type, this._index(type).entries.length]))
+    };
+  }
+
+  /**
+   * Every entry of a type (optionally one location kind)
+   */
+  static list(type, { kinds = null } = {}) {
+    return this._index(type).entries
+      .filter(entry => !kinds || kinds.includes(entry.kind))
+      .map(entry => this._toResult(entry));
+  }
+
+  /**
+   * Fuzzy search: synonyms, prefixes (autocomplete), phrases containing a synonym and typos
+   * @param {string} type - One of TYPES
+   * @param {string} query - User text
+   * @param {Object} options - { limit, kinds, minScore }
+   * @returns {Array<Object>} Entries with score and the synonym that matched, best first
+   */
+  static search(type, query, { limit = 10, kinds = null, minScore = taxonomyConfig.thresholds.low } = {}) {
+    const index = this._index(type);
+    const text = normalizeText(query);
+    if (!text) {
+      const featured = (taxonomyConfig.featured[type] || []).map(value => index.byValue.get(normalizeText(value))).filter(Boolean);
+      return (featured.length ? featured : index.entries)
+        .filter(entry => !kinds || kinds.includes(entry.kind))
+        .slice(0, limit)
+        .map(entry => this._toResult(entry));
+    }
+
+    const best = new Map();
+    index.keys.forEach(key => {
+      const entry = index.entries[key.entry];
+      if (kinds && !kinds.includes(entry.kind)) return;
+      const score = this._score(text, key, MIN_CONTAINED_LENGTH[type]);
+      if (score >= minScore && score > (best.get(key.entry)?.score || 0)) {
+        best.set(key.entry, { score, matched: key.text });
+      }
+    });
+
+    return [...best.entries()]
+      .sort((a, b) => b[1].score - a[1].score || a[0] - b[0])
+      .slice(0, limit)
+      .map(([entryIndex, { score, matched }]) => ({ ...this._toResult(index.entries[entryIndex]), score: round(score), matched }));
+  }
+
+  /**
+   * Best entry for the text, or null when nothing matches well enough
+   */
+  static resolve(type, input, { kinds = null, minScore = taxonomyConfig.thresholds.medium } = {}) {
+    return this.search(type, input, { limit: 1, kinds, minScore })[0] || null;
+  }
+
+  /**
+   * Classify free text into one entry with a confidence and alternatives
+   * @returns {Object} { match, confidence: 'high' | 'medium' | 'low', alternatives: [values] }
+   */
+  static classify(type, input, { limit = 4, kinds = null } = {}) {
+    const { high, medium } = taxonomyConfig.thresholds;
+    const [match = null, ...others] = this.search(type, input, { limit, kinds });
+    if (!match) return { match: null, confidence: 'low', alternatives: [] };
+
+    const confidence = match.score >= high ? 'high' : match.score >= medium ? 'medium' : 'low';
+    // Other search hits are only offered when the match itself is uncertain
+    const alternatives = [
+      ...(match.related || []),
+      ...(match.kind === 'city' ? [match.country] : []),
+      ...(confidence === 'high' ? [] : others.map(other => other.value))
+    ].filter((value, i, all) => value !== match.value && all.indexOf(value) === i);
+
+    return { match, confidence, alternatives: alternatives.slice(0, limit - 1) };
+  }
+
+  /**
+   * Catalogue value for a name that is already (nearly) exact - a synonym, spelling or
+   * formatting variant - or null. Used to validate LLM output.
+   */
+  static canonical(type, value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    return this.resolve(type, value, { minScore: taxonomyConfig.thresholds.high })?.value || null;
+  }
+
+  /**
+   * Map values onto catalogue values, dropping the ones that are not in it
+   */
+  static members(type, values) {
+    const resolved = (Array.isArray(values) ? values : [values])
+      .map(value => this.canonical(type, value))
+      .filter(Boolean);
+    return [...new Set(resolved)];
+  }
+
+  static isMember(type, value) {
+    return this._index(type).byValue.has(normalizeText(value));
+  }
+
+  /**
+   * Labels for autocomplete; featured values for an empty query
+   */
+  static suggest(type, query = '', limit = 10) {
+    return this.search(type, query, { limit }).map(result => result.label);
+  }
+
+  /**
+   * Role category (C-Level, VP-Level, Director, Head, Manager, Founder, Owner, Other) of a title
+   */
+  static roleCategory(title) {
+    const role = this.resolve('role', title, { minScore: taxonomyConfig.thresholds.high });
+    if (role) return role.category;
+    const seniority = this.resolve('seniority', title);
+    return seniority ? seniority.category : 'Other';
+  }
+
+  static _score(text, key, minContained) {
+    if (text === key.text) return key.isName ? 1 : 0.97;
+    const length = text.length;
+    const keyLength = key.text.length;
+
+    // Autocomplete: "soft" → "software"
+    if (length >= 2 && key.text.startsWith(text)) return 0.75 + 0.15 * (length / keyLength);
+
+    // Phrase containing the synonym: "hospital management software" → "hospital"
+    if (keyLength >= minContained && keyLength < length) {
+      const at = ` ${text} `.indexOf(` ${key.text} `);
+      if (at !== -1) return 0.8 - 0.05 * (at / length) + 0.05 * (keyLength / length);
+    }
+
+    // Every word typed is the start of a word in the synonym: "vp eng" → "vp engineering"
+    const words = text.split(' ');
+    const keyWords = key.text.split(' ');
+    if (words.length > 1 && words.every(word => keyWords.some(keyWord => keyWord.startsWith(word)))) {
+      return 0.65 + 0.2 * (length / keyLength);
+    }
+
+    if (length >= 3 && key.text.includes(text)) return 0.6 + 0.2 * (length / keyLength);
+
+    // Typos: "berln" → "berlin", "singapur" → "singapore"
+    if (length >= 4 && Math.abs(length - keyLength) <= 2) {
+      const similarity = 1 - editDistance(text, key.text) / Math.max(length, keyLength);
+      if (similarity >= 0.75) return similarity * 0.95;
+    }
+    return 0;
+  }
+
+  static _toResult(entry) {
+    return { value: entry.value, label: entry.label, type: entry.type, ...(entry.kind ? { kind: entry.kind } : {}), ...entry.meta };
+  }
+
+  /**
+   * Entries and search keys for a type, built once
+   */
+  static _index(type) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown taxonomy type "${type}" (expected one of: ${TYPES.join(', ')})`);
+    }
+    if (indexes.has(type)) return indexes.get(type);
+
+    const entries = this._buildEntries(type);
+    const keys = [];
+    const byValue = new Map();
+    entries.forEach((entry, i) => {
+      byValue.set(normalizeText(entry.value), entry);
+      byValue.set(normalizeText(entry.label), entry);
+      const seen = new Set();
+      [entry.label, entry.value, ...entry.synonyms].forEach((synonym, position) => {
+        const text = normalizeText(synonym);
+        if (!text || seen.has(text)) return;
+        seen.add(text);
+        keys.push({ text, entry: i, isName: position < 2 });
+      });
+    });
+
+    const index = { entries, keys, byValue };
+    indexes.set(type, index);
+    return index;
+  }
+
+  static _buildEntries(type) {
+    const { industries, regions, countries, cities, seniorities, departments, executives, titleTemplates } = taxonomyConfig;
+    switch (type) {
+      case 'industry':
+        return industries.map(({ name, synonyms = [], related = [] }) => ({
+          type, value: name, label: name, synonyms, meta: { related }
+        }));
+      case 'location': {
+        const countryNames = Object.fromEntries(countries.map(([code, name]) => [code, name]));
+        const continentCountries = (key) => countries.filter(([, , continent]) => continent === key).map(([code]) => code);
+        const regionCountries = (region) => {
+          if (region.countries) return region.countries;
+          if (region.includes) return region.includes.flatMap(continentCountries);
+          return continentCountries(region.key);
+        };
+        const continentNames = Object.fromEntries(regions.map(region => [region.key, region.name]));
+        return [
+          ...countries.map(([code, name, continent, synonyms = []]) => ({
+            type, kind: 'country', value: name, label: name, synonyms, meta: { code, region: continentNames[continent] }
+          })),
+          ...regions.map(region => ({
+            type, kind: 'region', value: region.name, label: region.name, synonyms: region.synonyms || [],
+            meta: { countries: regionCountries(region).map(code => countryNames[code]) }
+          })),
+          ...cities.map(([name, code, synonyms = []]) => ({
+            type, kind: 'city', value: name, label: name, synonyms, meta: { country: countryNames[code], countryCode: code }
+          }))
+        ];
+      }
+      case 'seniority':
+        return seniorities.map(({ value, label, category, group, synonyms = [] }) => ({
+          type, value, label, synonyms, meta: { category, group }
+        }));
+      case 'department':
+        return departments.map(({ value, label, synonyms = [], functions = [] }) => ({
+          type, value, label, synonyms, meta: { functions }
+        }));
+      case 'role': {
+        const categories = Object.fromEntries(seniorities.map(seniority => [seniority.value, seniority.category]));
+        const roles = executives.map(({ title, seniority, department, synonyms = [] }) => ({
+          type, value: title, label: title, synonyms, meta: { seniority, department, category: categories[seniority] }
+        }));
+        departments.forEach(department => {
+          const names = [department.label.toLowerCase(), ...department.synonyms];
+          titleTemplates.forEach(([pattern, synonymPatterns, seniority]) => {
+            const title = pattern.replace('{label}', department.label);
+            roles.push({
+              type,
+              value: title,
+              label: title,
+              synonyms: synonymPatterns.flatMap(synonymPattern => names.map(name => synonymPattern.replace('{syn}', name))),
+              meta: { seniority, department: department.value, category: categories[seniority] }
+            });
+          });
+        });
+        return roles;
+      }
+      default:
+        return [];
+    }
+  }
+}
+
+TaxonomyService.TYPES = TYPES;
+
+module.exports = TaxonomyService;
@@ -1,77 +1,116 @@
 /**
  * Gemini Client Service
- * 
- * Handles Gemini API initialization and communication.
+ *
+ * Single entry point for LLM calls in this feature.
  * No business logic - only API interaction.
- * 
- * NOTE: Uses lazy initialization to support optional API keys.
- * If GEMINI_API_KEY is not set, the service will return mock responses
- * for testing/development purposes.
+ *
+ * Despite the historical name, calls are routed through the LLM adapter
+ * registry (services/llm), so Gemini, OpenAI-compatible or Ollama endpoints
+ * can serve any call, picked per tenant or per task (see config/llm.config.js).
+ *
+ * NOTE: Adapters initialize lazily, so a missing API key only throws
+ * when that provider is actually called.
+ *
+ * Streaming: callers that produce user-facing text pass `stream: true`.
+ * Inside runWithTokenStream(onToken, fn) those calls stream chunks to onToken
+ * (used by the SSE chat routes); everywhere else they behave like normal calls.
  */
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { AsyncLocalStorage } = require('async_hooks');
+const llmAdapters = require('./llm');
+const llmConfig = require('../config/llm.config');
 const logger = require('../utils/logger');
+// Token sink of the SSE request currently being handled (if any)
+const tokenSinks = new AsyncLocalStorage();
 class GeminiClientService {
-  constructor() {
-    this._initialized = false;
-    this.genAI = null;
-    this.model = null;
-    this._geminiAvailable = false;
-  }
   /**
-   * Initialize Gemini client (lazy initialization)
-   * Throws error if API key is missing AND Gemini is actually needed
+   * Generate content from the LLM resolved for this call
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { task, tenantId, provider, temperature, maxOutputTokens, model, stream }
+   * @returns {Promise<string>} Generated text
    */
-  _initialize() {
-    if (this._initialized) return;
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      logger.warn('[GeminiClientService] GEMINI_API_KEY not set - using mock responses for development');
-      this._geminiAvailable = false;
-      this._initialized = true;
-      return;
+  async generateContent(prompt, options = {}) {
+    const onToken = options.stream ? tokenSinks.getStore() : null;
+    if (onToken) {
+      let text = '';
+      for await (const chunk of this.generateContentStream(prompt, options)) {
+        text += chunk;
+        onToken(chunk);
+      }
+      return text;
     }
+    const adapter = this._getAvailableAdapter(options);
     try {
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      const modelName = process.env.AI_MODEL || process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-      this.model = this.genAI.getGenerativeModel({ model: modelName });
-      this._geminiAvailable = true;
-      logger.info(`[GeminiClientService] Gemini API initialized with model: ${modelName}`);
+      return await adapter.generateContent(prompt, this._withDefaults(options));
     } catch (error) {
-      logger.error('[GeminiClientService] Failed to initialize Gemini:', error);
-      this._geminiAvailable = false;
+      logger.error(`[GeminiClientService] Error generating content (${adapter.name}):`, error);
+      throw new Error(`${adapter.name === 'gemini' ? 'Gemini' : adapter.name} API error: ${error.message}`);
     }
-    this._initialized = true;
   }
   /**
-   * Generate content from Gemini
+   * Stream content from the LLM resolved for this call
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - Same as generateContent
+   * @returns {AsyncGenerator<string>} Text chunks
    */
-  async generateContent(prompt) {
-    this._initialize();
-    if (!this._geminiAvailable) {
-      throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.');
-    }
+  async *generateContentStream(prompt, options = {}) {
+    const adapter = this._getAvailableAdapter(options);
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      return response.text();
+      if (typeof adapter.generateContentStream !== 'function') {
+        yield await adapter.generateContent(prompt, this._withDefaults(options));
+        return;
+      }
+      yield* adapter.generateContentStream(prompt, this._withDefaults(options));
     } catch (error) {
-      logger.error('[GeminiClientService] Error generating content:', error);
-      throw new Error(`Gemini API error: ${error.message}`);
+      logger.error(`[GeminiClientService] Error streaming content (${adapter.name}):`, error);
+      throw new Error(`${adapter.name === 'gemini' ? 'Gemini' : adapter.name} API error: ${error.message}`);
     }
   }
   /**
-   * Get model instance (for advanced usage)
+   * Run fn so that every `stream: true` call made inside it forwards its chunks to onToken
+   * @param {Function} onToken - (chunk: string) => void
+   * @param {Function} fn - async () => result
+   */
+  runWithTokenStream(onToken, fn) {
+    return tokenSinks.run(onToken, fn);
+  }
+  _getAvailableAdapter(options) {
+    const adapter = llmAdapters.getAdapter(options);
+    if (!adapter.isAvailable()) {
+      if (adapter.name === 'gemini') {
+        throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.');
+      }
+      throw new Error(`LLM provider "${adapter.name}" is not configured`);
+    }
+    return adapter;
+  }
+  _withDefaults(options) {
+    const { temperature, maxOutputTokens, timeoutMs } = llmConfig.generation;
+    return {
+      temperature,
+      maxOutputTokens,
+      timeoutMs,
+      ...options
+    };
+  }
+  /**
+   * Get Gemini model instance (for advanced usage)
    */
   getModel() {
-    this._initialize();
-    return this.model;
+    const adapter = llmAdapters.getAdapter({ provider: 'gemini' });
+    return adapter.getModel();
+  }
+  /**
+   * Check if the LLM resolved for this call is available
+   * @param {Object} options - { task, tenantId, provider }
+   */
+  isAvailable(options = {}) {
+    return llmAdapters.getAdapter(options).isAvailable();
   }
   /**
-   * Check if Gemini is available
+   * Name of the provider that would serve this call
    */
-  isAvailable() {
-    this._initialize();
-    return this._geminiAvailable;
+  getProviderName(options = {}) {
+    return llmAdapters.getAdapter(options).name;
   }
 }
 module.exports = new GeminiClientService();
@@ -5,6 +5,7 @@
  * Uses Gemini for complex analysis, but business rules are here.
  */
 const geminiClientService = require('./gemini-client.service');
+const llmConfig = require('../config/llm.config');
 const onboardingConfig = require('../config/onboarding.config');
 const logger = require('../utils/logger');
 class IntentAnalyzerService {
@@ -26,7 +27,9 @@ class IntentAnalyzerService {
         currentQuestion,
         collectedAnswers,
       });
-      const response = await geminiClientService.generateContent(prompt);
+      const response = await geminiClientService.generateContent(prompt, {
+        task: llmConfig.tasks.ONBOARDING_ANALYSIS
+      });
       const analysis = this.parseAnalysisResponse(response);
       return {
         isValid: analysis.isValid !== false,
@@ -0,0 +1,58 @@
+/**
+ * Base LLM Adapter
+ *
+ * Contract every LLM provider adapter implements.
+ * No business logic - only prompt in, text out.
+ */
+class BaseLLMAdapter {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+  }
+  /**
+   * Whether the provider is configured well enough to be called
+   */
+  isAvailable() {
+    return false;
+  }
+  /**
+   * Generate a text completion for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} options - { temperature, maxOutputTokens, model }
+   * @returns {Promise<string>} Generated text
+   */
+  async generateContent(prompt, options = {}) {
+    throw new Error(`${this.name} adapter does not implement generateContent`);
+  }
+  /**
+   * Stream a completion as text chunks.
+   * Default for providers without native streaming: one chunk with the full completion.
+   * @returns {AsyncGenerator<string>}
+   */
+  async *generateContentStream(prompt, options = {}) {
+    yield await this.generateContent(prompt, options);
+  }
+  /**
+   * Split a Node readable stream (e.g. an axios `responseType: 'stream'` body) into lines
+   * @returns {AsyncGenerator<string>}
+   */
+  async *_readLines(stream) {
+    let buffer = '';
+    for await (const data of stream) {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+    if (buffer.trim()) yield buffer.trim();
+  }
+  /**
+   * Model name used for a call (per-call override wins)
+   */
+  getModelName(options = {}) {
+    return options.model || this.settings.model;
+  }
+}
+module.exports = BaseLLMAdapter;
@@ -0,0 +1,51 @@
+/**
+ * LLM Fixture Store
+ *
+ * File-backed store of prompt/response pairs, one JSON file per prompt hash.
+ * Used by RecordReplayAdapter so LLM-driven flows can run offline with repeatable output.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+class FixtureStore {
+  constructor(fixturesDir) {
+    this.fixturesDir = fixturesDir;
+  }
+  /**
+   * Stable key for a prompt (sha256 of the exact prompt text)
+   */
+  hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(String(prompt), 'utf8').digest('hex');
+  }
+  _fixturePath(hash) {
+    return path.join(this.fixturesDir, `${hash}.json`);
+  }
+  /**
+   * Get the stored fixture for a prompt
+   * @returns {Object|null} { hash, provider, task, prompt, response, recordedAt }
+   */
+  get(prompt) {
+    const file = this._fixturePath(this.hashPrompt(prompt));
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  /**
+   * Store (or overwrite) the response recorded for a prompt
+   * @param {Object} meta - { provider, task }
+   */
+  save(prompt, response, meta = {}) {
+    const hash = this.hashPrompt(prompt);
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    const fixture = {
+      hash,
+      provider: meta.provider || null,
+      task: meta.task || null,
+      prompt,
+      response,
+      recordedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(this._fixturePath(hash), JSON.stringify(fixture, null, 2));
+    return fixture;
+  }
+}
+module.exports = FixtureStore;
@@ -0,0 +1,68 @@
+/**
+ * Gemini LLM Adapter
+ *
+ * Talks to Google Gemini through @google/generative-ai.
+ * Lazy initialization so a missing GEMINI_API_KEY only matters when Gemini is actually used.
+ */
+const BaseLLMAdapter = require('./BaseLLMAdapter');
+const logger = require('../../utils/logger');
+class GeminiAdapter extends BaseLLMAdapter {
+  constructor(settings = {}) {
+    super('gemini', settings);
+    this.genAI = null;
+    this._initialized = false;
+  }
+  _initialize() {
+    if (this._initialized) return;
+    this._initialized = true;
+    if (!this.settings.apiKey) {
+      logger.warn('[GeminiAdapter] GEMINI_API_KEY not set - Gemini calls will be unavailable');
+      return;
+    }
+    try {
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      this.genAI = new GoogleGenerativeAI(this.settings.apiKey);
+      logger.info(`[GeminiAdapter] Gemini API initialized with model: ${this.settings.model}`);
+    } catch (error) {
+      logger.error('[GeminiAdapter] Failed to initialize Gemini:', error);
+      this.genAI = null;
+    }
+  }
+  isAvailable() {
+    this._initialize();
+    return !!this.genAI;
+  }
+  /**
+   * Get a model instance (for advanced usage)
+   */
+  getModel(options = {}) {
+    this._initialize();
+    if (!this.genAI) return null;
+    const generationConfig = {};
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = options.maxOutputTokens;
+    return this.genAI.getGenerativeModel({
+      model: this.getModelName(options),
+      ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+    });
+  }
+  async generateContent(prompt, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.');
+    }
+    const result = await this.getModel(options).generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+  async *generateContentStream(prompt, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY in your .env file.');
+    }
+    const result = await this.getModel(options).generateContentStream(prompt);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+}
+module.exports = GeminiAdapter;
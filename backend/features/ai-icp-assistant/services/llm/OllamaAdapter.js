@@ -0,0 +1,58 @@
+/**
+ * Ollama LLM Adapter
+ *
+ * Calls a local Ollama-style server through its /api/generate endpoint. Only available once
+ * OLLAMA_BASE_URL is set, so callers keep their fallback when no server was configured.
+ */
+const axios = require('axios');
+const BaseLLMAdapter = require('./BaseLLMAdapter');
+class OllamaAdapter extends BaseLLMAdapter {
+  constructor(settings = {}) {
+    super('ollama', settings);
+  }
+  isAvailable() {
+    return !!this.settings.baseUrl && !!this.settings.model;
+  }
+  _buildRequest(prompt, options, stream) {
+    if (!this.isAvailable()) {
+      throw new Error('Ollama endpoint not configured. Please set OLLAMA_BASE_URL and OLLAMA_MODEL.');
+    }
+    const modelOptions = {};
+    if (options.temperature !== undefined) modelOptions.temperature = options.temperature;
+    if (options.maxOutputTokens !== undefined) modelOptions.num_predict = options.maxOutputTokens;
+    return {
+      url: `${this.settings.baseUrl.replace(/\/$/, '')}/api/generate`,
+      body: {
+        model: this.getModelName(options),
+        prompt,
+        stream,
+        options: modelOptions
+      },
+      config: {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: options.timeoutMs,
+        ...(stream && { responseType: 'stream' })
+      }
+    };
+  }
+  async generateContent(prompt, options = {}) {
+    const { url, body, config } = this._buildRequest(prompt, options, false);
+    const response = await axios.post(url, body, config);
+    const text = response.data?.response;
+    if (typeof text !== 'string') {
+      throw new Error('No completion returned from Ollama endpoint');
+    }
+    return text;
+  }
+  async *generateContentStream(prompt, options = {}) {
+    const { url, body, config } = this._buildRequest(prompt, options, true);
+    const response = await axios.post(url, body, config);
+    // Newline-delimited JSON: { response, done }
+    for await (const line of this._readLines(response.data)) {
+      const chunk = JSON.parse(line);
+      if (chunk.response) yield chunk.response;
+      if (chunk.done) return;
+    }
+  }
+}
+module.exports = OllamaAdapter;
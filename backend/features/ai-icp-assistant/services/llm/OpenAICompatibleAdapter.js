@@ -0,0 +1,66 @@
+/**
+ * OpenAI-Compatible LLM Adapter
+ *
+ * Works with any endpoint that speaks the OpenAI /chat/completions protocol
+ * (OpenAI, Azure OpenAI proxies, vLLM, LM Studio, local mock servers).
+ */
+const axios = require('axios');
+const BaseLLMAdapter = require('./BaseLLMAdapter');
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+class OpenAICompatibleAdapter extends BaseLLMAdapter {
+  constructor(settings = {}) {
+    super('openai', settings);
+  }
+  /**
+   * Configured with an API key (OpenAI itself) or an explicit endpoint (local servers need no key)
+   */
+  isAvailable() {
+    return (!!this.settings.apiKey || !!this.settings.baseUrl) && !!this.settings.model;
+  }
+  _buildRequest(prompt, options, stream) {
+    if (!this.isAvailable()) {
+      throw new Error('OpenAI-compatible endpoint not configured. Please set OPENAI_API_KEY or OPENAI_BASE_URL, and OPENAI_MODEL.');
+    }
+    const body = {
+      model: this.getModelName(options),
+      messages: [{ role: 'user', content: prompt }],
+      ...(stream && { stream: true })
+    };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.maxOutputTokens !== undefined) body.max_tokens = options.maxOutputTokens;
+    return {
+      url: `${(this.settings.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '')}/chat/completions`,
+      body,
+      config: {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.settings.apiKey && { Authorization: `Bearer ${this.settings.apiKey}` })
+        },
+        timeout: options.timeoutMs,
+        ...(stream && { responseType: 'stream' })
+      }
+    };
+  }
+  async generateContent(prompt, options = {}) {
+    const { url, body, config } = this._buildRequest(prompt, options, false);
+    const response = await axios.post(url, body, config);
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('No completion returned from OpenAI-compatible endpoint');
+    }
+    return text;
+  }
+  async *generateContentStream(prompt, options = {}) {
+    const { url, body, config } = this._buildRequest(prompt, options, true);
+    const response = await axios.post(url, body, config);
+    // Server-Sent Events: "data: {json}" lines, terminated by "data: [DONE]"
+    for await (const line of this._readLines(response.data)) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+}
+module.exports = OpenAICompatibleAdapter;
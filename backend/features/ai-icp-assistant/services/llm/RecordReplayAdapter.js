@@ -0,0 +1,66 @@
+/**
+ * Record/Replay LLM Adapter
+ *
+ * Wraps a real provider adapter:
+ * - record: calls the provider and stores each prompt/response pair in the fixture store
+ * - replay: serves stored responses only and never calls the provider
+ *
+ * In replay mode the adapter always reports itself available, so callers take their
+ * LLM path instead of the rule-based fallback. A prompt with no fixture throws, which
+ * callers already handle like any other LLM error.
+ */
+const BaseLLMAdapter = require('./BaseLLMAdapter');
+const logger = require('../../utils/logger');
+class RecordReplayAdapter extends BaseLLMAdapter {
+  /**
+   * @param {BaseLLMAdapter} adapter - Real provider adapter
+   * @param {FixtureStore} store - Fixture store
+   * @param {string} mode - 'record' | 'replay'
+   */
+  constructor(adapter, store, mode) {
+    super(adapter.name, adapter.settings);
+    this.adapter = adapter;
+    this.store = store;
+    this.mode = mode;
+  }
+  isAvailable() {
+    if (this.mode === 'replay') return true;
+    return this.adapter.isAvailable();
+  }
+  getModel(options = {}) {
+    return typeof this.adapter.getModel === 'function' ? this.adapter.getModel(options) : null;
+  }
+  async generateContent(prompt, options = {}) {
+    if (this.mode === 'replay') {
+      const fixture = this.store.get(prompt);
+      if (!fixture) {
+        throw new Error(`No recorded LLM fixture for prompt ${this.store.hashPrompt(prompt)}`);
+      }
+      return fixture.response;
+    }
+    const response = await this.adapter.generateContent(prompt, options);
+    try {
+      this.store.save(prompt, response, { provider: this.name, task: options.task });
+    } catch (error) {
+      logger.warn('[RecordReplayAdapter] Failed to record fixture:', error.message);
+    }
+    return response;
+  }
+  async *generateContentStream(prompt, options = {}) {
+    if (this.mode === 'replay') {
+      yield await this.generateContent(prompt, options);
+      return;
+    }
+    let response = '';
+    for await (const chunk of this.adapter.generateContentStream(prompt, options)) {
+      response += chunk;
+      yield chunk;
+    }
+    try {
+      this.store.save(prompt, response, { provider: this.name, task: options.task });
+    } catch (error) {
+      logger.warn('[RecordReplayAdapter] Failed to record fixture:', error.message);
+    }
+  }
+}
+module.exports = RecordReplayAdapter;
@@ -0,0 +1,105 @@
+/**
+ * LLM Adapter Registry
+ *
+ * Resolves which provider adapter serves a call (per tenant or per task)
+ * and caches one adapter instance per provider.
+ * When record/replay is enabled, every adapter is wrapped in RecordReplayAdapter.
+ */
+const llmConfig = require('../../config/llm.config');
+const GeminiAdapter = require('./GeminiAdapter');
+const OpenAICompatibleAdapter = require('./OpenAICompatibleAdapter');
+const OllamaAdapter = require('./OllamaAdapter');
+const RecordReplayAdapter = require('./RecordReplayAdapter');
+const FixtureStore = require('./FixtureStore');
+const logger = require('../../utils/logger');
+class LLMAdapterRegistry {
+  constructor() {
+    this._factories = {
+      gemini: () => new GeminiAdapter(llmConfig.providers.gemini),
+      openai: () => new OpenAICompatibleAdapter(llmConfig.providers.openai),
+      ollama: () => new OllamaAdapter(llmConfig.providers.ollama),
+    };
+    this._instances = new Map();
+    this._fixtureStore = null;
+  }
+  /**
+   * Register a custom provider (or replace a built-in one, e.g. with a mock in tests)
+   * @param {string} name - Provider name used in config
+   * @param {Object|Function} adapterOrFactory - Adapter instance or factory returning one
+   */
+  registerAdapter(name, adapterOrFactory) {
+    this._factories[name] = typeof adapterOrFactory === 'function'
+      ? adapterOrFactory
+      : () => adapterOrFactory;
+    this._instances.delete(name);
+  }
+  /**
+   * Pick the provider name for a call: tenant override → task override → default
+   */
+  resolveProviderName({ tenantId = null, task = null } = {}) {
+    if (tenantId && llmConfig.tenantProviders[tenantId]) {
+      return llmConfig.tenantProviders[tenantId];
+    }
+    if (task && llmConfig.taskProviders[task]) {
+      return llmConfig.taskProviders[task];
+    }
+    return llmConfig.defaultProvider;
+  }
+  /**
+   * Get the adapter serving a call
+   * @param {Object} options - { tenantId, task, provider } (explicit provider wins)
+   */
+  getAdapter(options = {}) {
+    const name = options.provider || this.resolveProviderName(options);
+    if (!this._instances.has(name)) {
+      const factory = this._factories[name];
+      if (!factory) {
+        if (name === llmConfig.defaultProvider) {
+          throw new Error(`Unknown default LLM provider "${name}"`);
+        }
+        logger.warn(`[LLMAdapterRegistry] Unknown LLM provider "${name}", using ${llmConfig.defaultProvider}`);
+        return this.getAdapter({ provider: llmConfig.defaultProvider });
+      }
+      this._instances.set(name, this._wrapForRecordReplay(factory()));
+    }
+    return this._instances.get(name);
+  }
+  /**
+   * Current record/replay mode: 'off' | 'record' | 'replay'
+   */
+  getRecordReplayMode() {
+    const { mode } = llmConfig.recordReplay;
+    return mode === 'record' || mode === 'replay' ? mode : 'off';
+  }
+  /**
+   * Fixture store backing record/replay
+   */
+  getFixtureStore() {
+    if (!this._fixtureStore) {
+      this._fixtureStore = new FixtureStore(llmConfig.recordReplay.fixturesDir);
+    }
+    return this._fixtureStore;
+  }
+  /**
+   * Switch record/replay at runtime (e.g. from a test harness)
+   * @param {Object} settings - { mode, fixturesDir }
+   */
+  configureRecordReplay({ mode, fixturesDir } = {}) {
+    if (mode !== undefined) llmConfig.recordReplay.mode = mode;
+    if (fixturesDir !== undefined) llmConfig.recordReplay.fixturesDir = fixturesDir;
+    this._fixtureStore = null;
+    this._instances.clear();
+  }
+  _wrapForRecordReplay(adapter) {
+    const mode = this.getRecordReplayMode();
+    if (mode === 'off') return adapter;
+    return new RecordReplayAdapter(adapter, this.getFixtureStore(), mode);
+  }
+  /**
+   * Names of all registered providers
+   */
+  listProviders() {
+    return Object.keys(this._factories);
+  }
+}
+module.exports = new LLMAdapterRegistry();
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events Utility
+ *
+ * Minimal SSE writer for streaming chat endpoints.
+ * Events: `token` ({ text }), `final` (full structured result), `error` ({ success: false, error }).
+ * Tokens are the raw LLM output. The reply is cleaned up (or replaced by a fallback when the LLM
+ * fails mid-way) after they were sent, so the `final` text is authoritative: when it differs
+ * from what was streamed, `final` has `replaceStreamedText: true` and clients show its text instead.
+ */
+const openEventStream = (res) => {
+  let closed = false;
+  let streamedText = '';
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+  res.on('close', () => {
+    closed = true;
+  });
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression middleware buffers writes unless flushed
+      if (typeof res.flush === 'function') res.flush();
+    },
+    token(text) {
+      streamedText += text;
+      this.send('token', { text });
+    },
+    /**
+     * Send the final result. text is the reply it carries; replies built without the LLM
+     * (greetings, confirmations, fallbacks) are sent as one token first.
+     */
+    final(data, text) {
+      if (!streamedText && text) this.token(text);
+      this.send('final', {
+        ...data,
+        replaceStreamedText: streamedText.trim() !== (text || '').trim()
+      });
+    },
+    end() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    isClosed: () => closed
+  };
+};
+module.exports = { openEventStream };
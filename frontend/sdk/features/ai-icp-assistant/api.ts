@@ -10,12 +10,56 @@ import type {
   ICPAnswerRequest,
   ICPAnswerResponse,
   LeadsTemplateColumn,
+  LeadsTemplateColumnInput,
+  LeadsTemplateSchemaResponse,
+  LeadsTemplateSchemaVersionsResponse,
   LeadsUploadResponse,
+  LeadsFileFormat,
+  LeadsMappingRequest,
+  LeadsMappingResponse,
+  LeadsSavedColumnMapping,
+  LeadsNormalizeOptions,
+  LeadsDedupeOptions,
+  LeadsEmailCheckOptions,
+  LeadsMergeCluster,
+  LeadsMergeResponse,
   LeadsAIAnalysisResponse,
   PlatformQuestionsResponse,
   LeadsValidation,
+  LeadValidationRuleSettings,
+  LeadValidationRulesResponse,
+  LeadsIcpScoreOptions,
+  LeadsIcpScoreResponse,
+  LeadsIcpDraftOptions,
+  LeadsIcpDraftResponse,
+  LeadBatchStatus,
+  LeadBatchSummary,
+  LeadBatchesResponse,
+  LeadBatchResponse,
+  LeadBatchAssignResponse,
+  LeadBatchExportOptions,
   ParsedLead,
   PlatformDetection,
+  LeadChatRequest,
+  LeadChatResponse,
+  AssistantChatRequest,
+  AssistantChatResponse,
+  ChatStreamHandlers,
+  TargetingCompileRequest,
+  TargetingCompileResponse,
+  TaxonomyType,
+  TaxonomySearchResponse,
+  ClassificationType,
+  ClassificationBatchResponse,
+  ClassificationCacheEntry,
+  ClassificationOverride,
+  ClassificationOverrideInput,
+  ClassificationOverrideReport,
+  JobResponse,
+  LeadsUploadJobResult,
+  LeadsAnalysisJobResult,
+  LeadsIcpScoreJobResult,
+  ClassificationBatchJobResult,
 } from './types';
 
 // Re-export types that are used by hooks
@@ -353,15 +397,104 @@ export async function processICPAnswer(
   return responseData;
 }
 // ============================================================================
+// Chat Streaming API (Server-Sent Events)
+// ============================================================================
+/**
+ * POST a JSON body and consume the Server-Sent Events reply.
+ * `token` events go to onToken; resolves with the `final` event payload. The final text is
+ * authoritative: when it differs from the streamed tokens it goes to onReplace.
+ */
+async function postEventStream<TFinal>(
+  path: string,
+  body: unknown,
+  handlers: ChatStreamHandlers<TFinal> = {}
+): Promise<TFinal> {
+  const baseUrl = getBackendUrl();
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify(body),
+    signal: handlers.signal,
+  });
+  if (!response.ok || !response.body) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to stream chat: ${response.statusText}`);
+  }
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalResult: TFinal | null = null;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const rawEvents = buffer.split('\n\n');
+    buffer = rawEvents.pop() || '';
+    for (const rawEvent of rawEvents) {
+      let event = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (!data) continue;
+      const payload = JSON.parse(data);
+      if (event === 'token') {
+        handlers.onToken?.(payload.text);
+      } else if (event === 'final') {
+        finalResult = payload as TFinal;
+        if (payload.replaceStreamedText) {
+          handlers.onReplace?.(payload.response ?? payload.text ?? '');
+        }
+        handlers.onFinal?.(finalResult);
+      } else if (event === 'error') {
+        throw new Error(payload.error || 'Chat stream failed');
+      }
+    }
+  }
+  if (!finalResult) {
+    throw new Error('Chat stream ended without a result');
+  }
+  return finalResult;
+}
+/**
+ * Stream a lead-chat reply (Advanced Search AI page)
+ * Final result carries updatedTargeting, pendingIntent and options
+ */
+export async function streamLeadChatMessage(
+  request: LeadChatRequest,
+  handlers: ChatStreamHandlers<LeadChatResponse> = {}
+): Promise<LeadChatResponse> {
+  logger.debug('Streaming lead chat message', { length: request.message.length });
+  return postEventStream<LeadChatResponse>('/api/ai-icp-assistant/lead-chat/stream', request, handlers);
+}
+/**
+ * Stream an assistant chat reply
+ * Final result carries assistantContext, options and status like /chat
+ */
+export async function streamChatMessage(
+  request: AssistantChatRequest,
+  handlers: ChatStreamHandlers<AssistantChatResponse> = {}
+): Promise<AssistantChatResponse> {
+  logger.debug('Streaming chat message', { conversationId: request.conversationId });
+  return postEventStream<AssistantChatResponse>('/api/ai-icp-assistant/chat/stream', request, handlers);
+}
+// ============================================================================
 // Leads Upload API
 // ============================================================================
 /**
- * Download leads template CSV
+ * Download leads template CSV (the tenant's current template, or one of its saved versions)
  * Returns the template file as a blob
  */
-export async function downloadLeadsTemplate(): Promise<Blob> {
+export async function downloadLeadsTemplate(version?: number): Promise<Blob> {
   const baseUrl = getBackendUrl();
-  const url = `${baseUrl}/api/ai-icp-assistant/leads/template`;
+  const query = version ? `?version=${version}` : '';
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template${query}`;
   const response = await fetch(url, {
     method: 'GET',
     headers: {
@@ -370,20 +503,126 @@ export async function downloadLeadsTemplate(): Promise<Blob> {
     credentials: 'include',
   });
   if (!response.ok) {
-    throw new Error(`Failed to download template: ${response.statusText}`);
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to download template: ${response.statusText}`);
   }
   return response.blob();
 }
 /**
- * Get template column definitions
+ * Get template column definitions (the tenant's current template, or one of its saved versions)
  */
-export async function getLeadsTemplateColumns(): Promise<{
+export async function getLeadsTemplateColumns(version?: number): Promise<{
   success: boolean;
   columns: LeadsTemplateColumn[];
+  version: number | null; // null: the tenant never saved a template
+  isDefault: boolean; // The default template's columns (no template saved, or reset)
   platformFields: Record<string, string[]>;
 }> {
   const baseUrl = getBackendUrl();
-  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/columns`;
+  const query = version ? `?version=${version}` : '';
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/columns${query}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get template columns: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Current lead template of the tenant (version null: the default template)
+ */
+export async function getLeadsTemplateSchema(): Promise<LeadsTemplateSchemaResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/schema`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get lead template: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Save template columns (built-in and custom fields) as the tenant's next template version
+ */
+export async function saveLeadsTemplateSchema(columns: LeadsTemplateColumnInput[]): Promise<LeadsTemplateSchemaResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/schema`;
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ columns }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to save lead template: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Reset the tenant to the default lead template, saved as its next version (earlier versions
+ * stay readable)
+ */
+export async function resetLeadsTemplateSchema(): Promise<LeadsTemplateSchemaResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/schema`;
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to reset lead template: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Saved versions of the tenant's lead template, newest first
+ */
+export async function getLeadsTemplateSchemaVersions(): Promise<LeadsTemplateSchemaVersionsResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/schema/versions`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to list lead template versions: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * One saved version of the tenant's lead template
+ */
+export async function getLeadsTemplateSchemaVersion(version: number): Promise<LeadsTemplateSchemaResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/template/schema/versions/${version}`;
   const response = await fetch(url, {
     method: 'GET',
     headers: {
@@ -393,25 +632,34 @@ export async function getLeadsTemplateColumns(): Promise<{
     credentials: 'include',
   });
   if (!response.ok) {
-    throw new Error(`Failed to get template columns: ${response.statusText}`);
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get lead template version: ${response.statusText}`);
   }
   return response.json();
 }
+type LeadsUploadFileOptions = {
+  sheet?: string | number;
+  format?: LeadsFileFormat['type'];
+  mappingId?: string; // Saved column mapping to apply
+  aiMapping?: boolean; // Ask the LLM about columns the heuristics could not map
+  batchName?: string; // Name of the stored batch (default: the file name)
+} & LeadsNormalizeOptions & LeadsDedupeOptions & LeadsEmailCheckOptions;
 /**
- * Upload leads CSV file
+ * Upload a leads file: CSV, TSV, Excel (.xlsx / .xls; first sheet unless `sheet` is given) or JSON
  */
-export async function uploadLeadsFile(file: File): Promise<LeadsUploadResponse> {
+export async function uploadLeadsFile(
+  file: File,
+  options: LeadsUploadFileOptions = {}
+): Promise<LeadsUploadResponse> {
   const baseUrl = getBackendUrl();
   const url = `${baseUrl}/api/ai-icp-assistant/leads/upload`;
-  const formData = new FormData();
-  formData.append('file', file);
   const response = await fetch(url, {
     method: 'POST',
     headers: {
       ...getAuthHeaders(),
     },
     credentials: 'include',
-    body: formData,
+    body: leadsUploadFormData(file, options),
   });
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
@@ -419,10 +667,55 @@ export async function uploadLeadsFile(file: File): Promise<LeadsUploadResponse>
   }
   return response.json();
 }
+/**
+ * Upload a leads file as a background job; poll it with getJob (or useJob)
+ */
+export async function uploadLeadsFileAsync(
+  file: File,
+  options: LeadsUploadFileOptions = {}
+): Promise<JobResponse<LeadsUploadJobResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/upload`;
+  const formData = leadsUploadFormData(file, options);
+  formData.append('async', 'true');
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: formData,
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to queue file upload: ${response.statusText}`);
+  }
+  return response.json();
+}
+function leadsUploadFormData(file: File, options: LeadsUploadFileOptions): FormData {
+  const formData = new FormData();
+  if (options.format) formData.append('format', options.format);
+  if (options.sheet !== undefined) formData.append('sheet', String(options.sheet));
+  if (options.mappingId) formData.append('mappingId', options.mappingId);
+  if (options.aiMapping !== undefined) formData.append('aiMapping', String(options.aiMapping));
+  if (options.batchName) formData.append('batchName', options.batchName);
+  if (options.normalize !== undefined) formData.append('normalize', String(options.normalize));
+  if (options.normalizeSteps) formData.append('normalizeSteps', options.normalizeSteps.join(','));
+  if (options.countryCode) formData.append('countryCode', options.countryCode);
+  if (options.dedupe !== undefined) formData.append('dedupe', String(options.dedupe));
+  if (options.dedupeKeys) formData.append('dedupeKeys', options.dedupeKeys.join(','));
+  if (options.checkHistory !== undefined) formData.append('checkHistory', String(options.checkHistory));
+  if (options.checkMx !== undefined) formData.append('checkMx', String(options.checkMx));
+  formData.append('file', file);
+  return formData;
+}
 /**
  * Upload leads as CSV content string
  */
-export async function uploadLeadsContent(csvContent: string): Promise<LeadsUploadResponse> {
+export async function uploadLeadsContent(
+  csvContent: string,
+  options: LeadsNormalizeOptions & LeadsDedupeOptions & LeadsEmailCheckOptions & { batchName?: string } = {}
+): Promise<LeadsUploadResponse> {
   const baseUrl = getBackendUrl();
   const url = `${baseUrl}/api/ai-icp-assistant/leads/upload`;
   const response = await fetch(url, {
@@ -432,7 +725,7 @@ export async function uploadLeadsContent(csvContent: string): Promise<LeadsUploa
       ...getAuthHeaders(),
     },
     credentials: 'include',
-    body: JSON.stringify({ csvContent }),
+    body: JSON.stringify({ csvContent, ...options }),
   });
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
@@ -441,11 +734,11 @@ export async function uploadLeadsContent(csvContent: string): Promise<LeadsUploa
   return response.json();
 }
 /**
- * Deep AI analysis of uploaded leads
+ * Upload leads as an array of lead objects (keys are matched like CSV headers)
  */
-export async function analyzeLeads(leads: ParsedLead[]): Promise<LeadsAIAnalysisResponse> {
+export async function uploadLeadObjects(leads: Record<string, unknown>[]): Promise<LeadsUploadResponse> {
   const baseUrl = getBackendUrl();
-  const url = `${baseUrl}/api/ai-icp-assistant/leads/analyze`;
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/upload`;
   const response = await fetch(url, {
     method: 'POST',
     headers: {
@@ -455,12 +748,148 @@ export async function analyzeLeads(leads: ParsedLead[]): Promise<LeadsAIAnalysis
     credentials: 'include',
     body: JSON.stringify({ leads }),
   });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to upload leads: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Build leads from uploaded rows with a confirmed or corrected column mapping
+ */
+export async function confirmLeadsMapping(request: LeadsMappingRequest): Promise<LeadsMappingResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/mapping`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify(request),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to apply column mapping: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Merge duplicate leads (clusters from the upload response's duplicates); batchId stores the
+ * merged leads in that batch
+ */
+export async function mergeLeadDuplicates(
+  leads: ParsedLead[],
+  clusters: LeadsMergeCluster[],
+  batchId?: string
+): Promise<LeadsMergeResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/duplicates/merge`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads, clusters, batchId }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to merge duplicate leads: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Saved column mappings of the tenant
+ */
+export async function getLeadsColumnMappings(): Promise<{ success: boolean; mappings: LeadsSavedColumnMapping[] }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/mappings`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get column mappings: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Delete a saved column mapping
+ */
+export async function deleteLeadsColumnMapping(id: string): Promise<{ success: boolean }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/mappings/${id}`;
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to delete column mapping: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Deep AI analysis of uploaded leads; with batchId the batch's stored leads are analysed (leads
+ * may be null) and the analysis is kept with it
+ */
+export async function analyzeLeads(
+  leads: ParsedLead[] | null,
+  options: { batchId?: string } = {}
+): Promise<LeadsAIAnalysisResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/analyze`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads: leads ?? undefined, ...options }),
+  });
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
     throw new Error(errorData.error || `Failed to analyze leads: ${response.statusText}`);
   }
   return response.json();
 }
+/**
+ * Deep AI analysis of uploaded leads as a background job
+ */
+export async function analyzeLeadsAsync(
+  leads: ParsedLead[] | null,
+  options: { batchId?: string } = {}
+): Promise<JobResponse<LeadsAnalysisJobResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/analyze`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads: leads ?? undefined, ...options, async: true }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to queue lead analysis: ${response.statusText}`);
+  }
+  return response.json();
+}
 /**
  * Get platform-specific questions based on lead data
  */
@@ -486,14 +915,11 @@ export async function getPlatformQuestions(
   return response.json();
 }
 /**
- * Validate leads for campaign execution
+ * Preview the Apollo search payload for targeting (validation only, no search)
  */
-export async function validateLeadsForExecution(
-  leads: ParsedLead[],
-  selectedPlatforms: string[]
-): Promise<{ success: boolean; data: LeadsValidation }> {
+export async function compileTargeting(request: TargetingCompileRequest): Promise<TargetingCompileResponse> {
   const baseUrl = getBackendUrl();
-  const url = `${baseUrl}/api/ai-icp-assistant/leads/validate`;
+  const url = `${baseUrl}/api/ai-icp-assistant/targeting/compile`;
   const response = await fetch(url, {
     method: 'POST',
     headers: {
@@ -501,11 +927,612 @@ export async function validateLeadsForExecution(
       ...getAuthHeaders(),
     },
     credentials: 'include',
-    body: JSON.stringify({ leads, selectedPlatforms }),
+    body: JSON.stringify(request),
   });
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error || `Failed to validate leads: ${response.statusText}`);
+    throw new Error(errorData.error || `Failed to compile targeting: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Search the taxonomy (industries, locations, seniorities, departments, roles)
+ */
+export async function searchTaxonomy(
+  type: TaxonomyType,
+  query: string = '',
+  options: { kind?: string; limit?: number } = {}
+): Promise<TaxonomySearchResponse> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams({ q: query });
+  if (options.kind) params.set('kind', options.kind);
+  if (options.limit) params.set('limit', String(options.limit));
+  const url = `${baseUrl}/api/ai-icp-assistant/taxonomy/${type}?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to search taxonomy: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Classify many raw industry, location or job title inputs at once (max 500)
+ */
+export async function classifyBatch(
+  type: ClassificationType,
+  inputs: string[]
+): Promise<ClassificationBatchResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classify/batch`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ type, inputs }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to classify inputs: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Classify many raw inputs as a background job (progress counts inputs not cached yet)
+ */
+export async function classifyBatchAsync(
+  type: ClassificationType,
+  inputs: string[]
+): Promise<JobResponse<ClassificationBatchJobResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classify/batch`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ type, inputs, async: true }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to queue classification: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * List the tenant's cached classifications
+ */
+export async function getClassificationCache(
+  options: { type?: ClassificationType; limit?: number; offset?: number } = {}
+): Promise<{ success: boolean; entries: ClassificationCacheEntry[] }> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams();
+  if (options.type) params.set('type', options.type);
+  if (options.limit) params.set('limit', String(options.limit));
+  if (options.offset) params.set('offset', String(options.offset));
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-cache?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get classification cache: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Manually set how an input is classified for the tenant (value must be a taxonomy value);
+ * saved as the exact-match override rule for the input
+ */
+export async function setClassificationOverride(
+  type: ClassificationType,
+  input: string,
+  value: string
+): Promise<{ success: boolean; override: ClassificationOverride }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-cache`;
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ type, input, value }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to set classification override: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Remove one cached classification
+ */
+export async function deleteClassificationCacheEntry(id: string): Promise<{ success: boolean }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-cache/${id}`;
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to delete cache entry: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * List the tenant's classification override rules
+ */
+export async function getClassificationOverrides(
+  options: { type?: ClassificationType; active?: boolean } = {}
+): Promise<{ success: boolean; overrides: ClassificationOverride[] }> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams();
+  if (options.type) params.set('type', options.type);
+  if (options.active !== undefined) params.set('active', String(options.active));
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-overrides?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get classification overrides: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Create a rule mapping matching inputs to a fixed classification
+ */
+export async function createClassificationOverride(
+  override: ClassificationOverrideInput
+): Promise<{ success: boolean; override: ClassificationOverride }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-overrides`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify(override),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to create classification override: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Update a classification override rule
+ */
+export async function updateClassificationOverride(
+  id: string,
+  updates: Partial<Omit<ClassificationOverrideInput, 'type'>> & { is_active?: boolean }
+): Promise<{ success: boolean; override: ClassificationOverride }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-overrides/${id}`;
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify(updates),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to update classification override: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Delete a classification override rule
+ */
+export async function deleteClassificationOverride(id: string): Promise<{ success: boolean }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-overrides/${id}`;
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to delete classification override: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Most-hit classification override rules with per-type totals
+ */
+export async function getClassificationOverrideReport(
+  options: { type?: ClassificationType; limit?: number } = {}
+): Promise<ClassificationOverrideReport> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams();
+  if (options.type) params.set('type', options.type);
+  if (options.limit) params.set('limit', String(options.limit));
+  const url = `${baseUrl}/api/ai-icp-assistant/classification-overrides/report?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get classification override report: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Validate leads for campaign execution
+ */
+export async function validateLeadsForExecution(
+  leads: ParsedLead[] | null,
+  selectedPlatforms: string[],
+  options: Pick<LeadsNormalizeOptions, 'normalizeSteps' | 'countryCode'> & {
+    actions?: Record<string, string>; // Platform → action chosen in the platform questions
+    batchId?: string; // Validate the batch's stored leads (leads may be null), keep the report with it and mark it validated
+  } = {}
+): Promise<{ success: boolean; data: LeadsValidation; batch?: LeadBatchSummary | null }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/validate`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads: leads ?? undefined, selectedPlatforms, ...options }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to validate leads: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Lead validation rules of the tenant
+ */
+export async function getLeadValidationRules(): Promise<LeadValidationRulesResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/validation-rules`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get lead validation rules: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Replace the tenant's rule settings (severities, disposable domains, required fields...)
+ */
+export async function updateLeadValidationRules(rules: LeadValidationRuleSettings): Promise<LeadValidationRulesResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/validation-rules`;
+  const response = await fetch(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ rules }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to update lead validation rules: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Reset the tenant to the default validation rules
+ */
+export async function resetLeadValidationRules(): Promise<{ success: boolean; deleted: boolean }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/validation-rules`;
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to reset lead validation rules: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Score leads 0-100 against a saved ICP profile, with an explanation per criterion
+ * (with options.batchId the batch's stored leads are scored, and leads may be null)
+ */
+export async function scoreLeadsAgainstProfile(
+  leads: ParsedLead[] | null,
+  profileId: string,
+  options: LeadsIcpScoreOptions = {}
+): Promise<LeadsIcpScoreResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/score`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads: leads ?? undefined, profileId, ...options }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to score leads: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Score leads against a saved ICP profile as a background job
+ */
+export async function scoreLeadsAgainstProfileAsync(
+  leads: ParsedLead[] | null,
+  profileId: string,
+  options: LeadsIcpScoreOptions = {}
+): Promise<JobResponse<LeadsIcpScoreJobResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/score`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads: leads ?? undefined, profileId, ...options, async: true }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to queue lead scoring: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Draft an ICP profile from a list of won customers (optionally saving it)
+ */
+export async function draftIcpProfileFromLeads(
+  leads: ParsedLead[],
+  options: LeadsIcpDraftOptions = {}
+): Promise<LeadsIcpDraftResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/icp-draft`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ leads, ...options }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to draft ICP profile: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Stored lead uploads of the tenant, newest first
+ */
+export async function getLeadBatches(
+  options: { status?: LeadBatchStatus; mine?: boolean; limit?: number; offset?: number } = {}
+): Promise<LeadBatchesResponse> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams();
+  if (options.status) params.set('status', options.status);
+  if (options.mine) params.set('mine', 'true');
+  if (options.limit) params.set('limit', String(options.limit));
+  if (options.offset) params.set('offset', String(options.offset));
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/batches?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get lead batches: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * A stored upload with its parsing report, analysis and a page of its leads (500 by default, 5000 at most)
+ */
+export async function getLeadBatch(
+  batchId: string,
+  options: { limit?: number; offset?: number } = {}
+): Promise<LeadBatchResponse> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams();
+  if (options.limit) params.set('limit', String(options.limit));
+  if (options.offset) params.set('offset', String(options.offset));
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/batches/${encodeURIComponent(batchId)}?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get lead batch: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Download a stored upload's leads as CSV, XLSX or JSON (CSV and XLSX with annotation columns
+ * unless annotations is false)
+ */
+export async function exportLeadBatch(batchId: string, options: LeadBatchExportOptions = {}): Promise<Blob> {
+  const baseUrl = getBackendUrl();
+  const params = new URLSearchParams({ format: options.format || 'csv' });
+  if (options.annotations === false) params.set('annotations', 'false');
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/batches/${encodeURIComponent(batchId)}/export?${params.toString()}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to export lead batch: ${response.statusText}`);
+  }
+  return response.blob();
+}
+/**
+ * Assign a validated upload to a campaign
+ */
+export async function assignLeadBatch(batchId: string, campaignId: string): Promise<LeadBatchAssignResponse> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/batches/${encodeURIComponent(batchId)}/assign`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+    body: JSON.stringify({ campaignId }),
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to assign lead batch: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Delete a stored upload and its leads
+ */
+export async function deleteLeadBatch(batchId: string): Promise<{ success: boolean }> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/leads/batches/${encodeURIComponent(batchId)}`;
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: {
+      'Content-Type': 'application/json',
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to delete lead batch: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Status, progress and (once succeeded) result of a background job
+ */
+export async function getJob<TResult = unknown>(jobId: string): Promise<JobResponse<TResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/jobs/${encodeURIComponent(jobId)}`;
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to get job: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Cancel a queued or running background job
+ */
+export async function cancelJob<TResult = unknown>(jobId: string): Promise<JobResponse<TResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/jobs/${encodeURIComponent(jobId)}/cancel`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to cancel job: ${response.statusText}`);
+  }
+  return response.json();
+}
+/**
+ * Run a failed or cancelled background job again
+ */
+export async function retryJob<TResult = unknown>(jobId: string): Promise<JobResponse<TResult>> {
+  const baseUrl = getBackendUrl();
+  const url = `${baseUrl}/api/ai-icp-assistant/jobs/${encodeURIComponent(jobId)}/retry`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      ...getAuthHeaders(),
+    },
+    credentials: 'include',
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Failed to retry job: ${response.statusText}`);
   }
   return response.json();
 }
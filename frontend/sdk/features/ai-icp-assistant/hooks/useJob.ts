@@ -0,0 +1,99 @@
+/**
+ * useJob Hook
+ * 
+ * Polls a background job (started with an *Async API call) until it succeeds, fails or is
+ * cancelled, with cancel and retry
+ */
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getJob, cancelJob, retryJob } from '../api';
+import type { Job, JobStatus } from '../types';
+const FINISHED: JobStatus[] = ['succeeded', 'failed', 'cancelled'];
+export interface JobState<TResult = unknown> {
+  job: Job<TResult> | null;
+  isPolling: boolean;
+  error: string | null;
+}
+export interface UseJobOptions<TResult = unknown> {
+  interval?: number; // Milliseconds between polls (default 1000)
+  onFinished?: (job: Job<TResult>) => void;
+}
+export function useJob<TResult = unknown>(
+  jobId: string | null,
+  options: UseJobOptions<TResult> = {}
+) {
+  const { interval = 1000 } = options;
+  const [state, setState] = useState<JobState<TResult>>({ job: null, isPolling: false, error: null });
+  // Bumped to poll again after a retry
+  const [generation, setGeneration] = useState(0);
+  const onFinishedRef = useRef(options.onFinished);
+  onFinishedRef.current = options.onFinished;
+  useEffect(() => {
+    if (!jobId) {
+      setState({ job: null, isPolling: false, error: null });
+      return;
+    }
+    let stopped = false;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    const poll = async () => {
+      try {
+        const { job } = await getJob<TResult>(jobId);
+        if (stopped) return;
+        const finished = FINISHED.includes(job.status);
+        setState({ job, isPolling: !finished, error: null });
+        if (finished) {
+          onFinishedRef.current?.(job);
+          return;
+        }
+        timer = setTimeout(poll, interval);
+      } catch (err) {
+        if (stopped) return;
+        const error = err instanceof Error ? err.message : 'Failed to get job';
+        setState(prev => ({ ...prev, isPolling: false, error }));
+      }
+    };
+    setState(prev => ({ ...prev, isPolling: true, error: null }));
+    poll();
+    return () => {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+    };
+  }, [jobId, interval, generation]);
+  /**
+   * Cancel the job (polling stops with the cancelled job)
+   */
+  const cancel = useCallback(async () => {
+    if (!jobId) return null;
+    try {
+      const { job } = await cancelJob<TResult>(jobId);
+      setState(prev => ({ ...prev, job, error: null }));
+      return job;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to cancel job';
+      setState(prev => ({ ...prev, error }));
+      return null;
+    }
+  }, [jobId]);
+  /**
+   * Run a failed or cancelled job again and resume polling
+   */
+  const retry = useCallback(async () => {
+    if (!jobId) return null;
+    try {
+      const { job } = await retryJob<TResult>(jobId);
+      setState(prev => ({ ...prev, job, error: null }));
+      setGeneration(value => value + 1);
+      return job;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to retry job';
+      setState(prev => ({ ...prev, error }));
+      return null;
+    }
+  }, [jobId]);
+  return {
+    ...state,
+    isFinished: state.job ? FINISHED.includes(state.job.status) : false,
+    result: state.job?.status === 'succeeded' ? state.job.result : null,
+    cancel,
+    retry,
+  };
+}
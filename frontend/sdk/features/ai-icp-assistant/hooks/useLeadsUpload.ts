@@ -1,7 +1,8 @@
 /**
  * useLeadsUpload Hook
  * 
- * Manages leads upload flow: template download, file upload, analysis, platform detection
+ * Manages leads upload flow: template download, file upload, column mapping, duplicate merge, ICP scoring and
+ * drafting, analysis, platform detection, and reopening stored upload batches
  */
 import { useState, useCallback } from 'react';
 import {
@@ -9,14 +10,28 @@ import {
   getLeadsTemplateColumns,
   uploadLeadsFile,
   uploadLeadsContent,
+  confirmLeadsMapping,
+  mergeLeadDuplicates,
   analyzeLeads,
   getPlatformQuestions,
   validateLeadsForExecution,
+  scoreLeadsAgainstProfile,
+  draftIcpProfileFromLeads,
+  getLeadBatch,
 } from '../api';
 import type {
   ParsedLead,
   LeadsTemplateColumn,
   LeadsUploadResponse,
+  LeadsColumnMappingProposal,
+  LeadsMappingRequest,
+  LeadsDuplicates,
+  LeadsMergeCluster,
+  LeadsIcpScoreOptions,
+  LeadsIcpScoreResponse,
+  LeadsIcpDraftOptions,
+  LeadsIcpDraftResponse,
+  LeadBatchSummary,
   LeadsAIAnalysisResponse,
   PlatformDetection,
   PlatformQuestion,
@@ -33,6 +48,21 @@ export interface LeadsUploadState {
   validLeads: number;
   totalRows: number;
   uploadErrors: string[];
+  // Column mapping (the stored batch keeps the parsed rows; rows only holds them when it wasn't stored)
+  uploadId: string | null;
+  rows: string[][];
+  mapping: LeadsColumnMappingProposal | null;
+  // Stored batch of the upload (id = uploadId); analysis, validation, scores and merges are kept with it
+  batch: LeadBatchSummary | null;
+  // False once scoring reordered or filtered the leads: validation and scores are kept by lead
+  // index, so they are no longer sent with the batch id
+  leadsMatchBatch: boolean;
+  // Duplicates found on upload (cleared once merged)
+  duplicates: LeadsDuplicates | null;
+  // ICP fit scoring (leads carry icp_score)
+  icpScoring: Omit<LeadsIcpScoreResponse['data'], 'leads' | 'totalLeads'> | null;
+  // ICP profile drafted from the leads as a customer list
+  icpDraft: LeadsIcpDraftResponse['data'] | null;
   // Platform detection
   platforms: PlatformDetection | null;
   // Analysis
@@ -43,7 +73,7 @@ export interface LeadsUploadState {
   // Validation
   validation: LeadsValidation | null;
   // Flow state
-  step: 'idle' | 'template' | 'uploading' | 'uploaded' | 'analyzing' | 'analyzed' | 'configuring' | 'validated';
+  step: 'idle' | 'template' | 'uploading' | 'mapping' | 'uploaded' | 'analyzing' | 'analyzed' | 'configuring' | 'validated';
 }
 const initialState: LeadsUploadState = {
   isLoading: false,
@@ -53,6 +83,14 @@ const initialState: LeadsUploadState = {
   validLeads: 0,
   totalRows: 0,
   uploadErrors: [],
+  uploadId: null,
+  rows: [],
+  mapping: null,
+  batch: null,
+  leadsMatchBatch: true,
+  duplicates: null,
+  icpScoring: null,
+  icpDraft: null,
   platforms: null,
   analysis: null,
   summary: null,
@@ -60,6 +98,16 @@ const initialState: LeadsUploadState = {
   validation: null,
   step: 'idle',
 };
+// Leads fetched per request when a stored batch is reopened (the server's maximum)
+const BATCH_PAGE_SIZE = 5000;
+// Batch id to send with lead requests, while the leads are still in the batch's order
+function batchIdOf(state: LeadsUploadState): string | undefined {
+  return state.leadsMatchBatch ? state.batch?.id : undefined;
+}
+// Leads to send with a request: none when the server reads them from the batch
+function leadsToSend(state: LeadsUploadState): ParsedLead[] | null {
+  return batchIdOf(state) ? null : state.leads;
+}
 export function useLeadsUpload() {
   const [state, setState] = useState<LeadsUploadState>(initialState);
   /**
@@ -112,12 +160,12 @@ export function useLeadsUpload() {
     }
   }, []);
   /**
-   * Upload a CSV file
+   * Upload a lead file (CSV, TSV, Excel or JSON)
    */
-  const uploadFile = useCallback(async (file: File) => {
+  const uploadFile = useCallback(async (file: File, options?: Parameters<typeof uploadLeadsFile>[1]) => {
     setState(prev => ({ ...prev, isLoading: true, error: null, step: 'uploading' }));
     try {
-      const response = await uploadLeadsFile(file);
+      const response = await uploadLeadsFile(file, options);
       if (!response.success) {
         throw new Error(response.error || 'Upload failed');
       }
@@ -128,9 +176,16 @@ export function useLeadsUpload() {
         validLeads: response.data.validLeads,
         totalRows: response.data.totalRows,
         uploadErrors: response.data.errors,
+        uploadId: response.data.uploadId,
+        rows: response.data.rows || [],
+        mapping: response.data.mapping,
+        batch: response.data.batch,
+        leadsMatchBatch: true,
+        duplicates: response.data.duplicates,
+        icpScoring: null,
         platforms: response.data.platforms,
         summary: response.data.summary,
-        step: 'uploaded',
+        step: response.data.mapping.needsReview ? 'mapping' : 'uploaded',
       }));
       return response;
     } catch (err) {
@@ -156,9 +211,16 @@ export function useLeadsUpload() {
         validLeads: response.data.validLeads,
         totalRows: response.data.totalRows,
         uploadErrors: response.data.errors,
+        uploadId: response.data.uploadId,
+        rows: response.data.rows || [],
+        mapping: response.data.mapping,
+        batch: response.data.batch,
+        leadsMatchBatch: true,
+        duplicates: response.data.duplicates,
+        icpScoring: null,
         platforms: response.data.platforms,
         summary: response.data.summary,
-        step: 'uploaded',
+        step: response.data.mapping.needsReview ? 'mapping' : 'uploaded',
       }));
       return response;
     } catch (err) {
@@ -167,6 +229,149 @@ export function useLeadsUpload() {
       return null;
     }
   }, []);
+  /**
+   * Confirm or correct the proposed column mapping (optionally saving it for recurring exports)
+   */
+  const confirmMapping = useCallback(async (
+    columns: LeadsMappingRequest['columns'],
+    save?: LeadsMappingRequest['save']
+  ) => {
+    if (!state.batch && state.rows.length === 0) {
+      setState(prev => ({ ...prev, error: 'No uploaded rows to map' }));
+      return null;
+    }
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    try {
+      const response = await confirmLeadsMapping({
+        uploadId: state.uploadId || undefined,
+        rows: state.rows.length > 0 ? state.rows : undefined,
+        columns,
+        save,
+      });
+      if (!response.success) {
+        throw new Error(response.error || 'Mapping failed');
+      }
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        leads: response.data.leads,
+        validLeads: response.data.validLeads,
+        totalRows: response.data.totalRows,
+        uploadErrors: response.data.errors,
+        mapping: prev.mapping && {
+          ...prev.mapping,
+          columns: prev.mapping.columns.map((column, index) => ({
+            ...column,
+            key: columns[index]?.key ?? null,
+          })),
+          savedMapping: response.data.mapping.savedMapping || prev.mapping.savedMapping,
+          missingRequired: [],
+          needsReview: false,
+        },
+        batch: response.data.batch ?? prev.batch,
+        leadsMatchBatch: true,
+        duplicates: response.data.duplicates,
+        icpScoring: null,
+        platforms: response.data.platforms,
+        summary: response.data.summary,
+        step: 'uploaded',
+      }));
+      return response;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to apply column mapping';
+      setState(prev => ({ ...prev, isLoading: false, error }));
+      return null;
+    }
+  }, [state.uploadId, state.rows, state.batch]);
+  /**
+   * Merge duplicate clusters (defaults to every cluster found, with its suggested lead kept)
+   */
+  const mergeDuplicates = useCallback(async (clusters?: LeadsMergeCluster[]) => {
+    const toMerge = clusters || state.duplicates?.clusters.map(cluster => ({ leads: cluster.leads })) || [];
+    if (toMerge.length === 0) {
+      setState(prev => ({ ...prev, error: 'No duplicate leads to merge' }));
+      return null;
+    }
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    try {
+      const response = await mergeLeadDuplicates(state.leads, toMerge, batchIdOf(state));
+      if (!response.success) {
+        throw new Error(response.error || 'Merge failed');
+      }
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        leads: response.data.leads,
+        validLeads: response.data.totalLeads,
+        // Lead indexes changed
+        duplicates: null,
+        batch: response.data.batch ?? prev.batch,
+        platforms: response.data.platforms,
+        summary: response.data.summary,
+      }));
+      return response;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to merge duplicate leads';
+      setState(prev => ({ ...prev, isLoading: false, error }));
+      return null;
+    }
+  }, [state.leads, state.duplicates, state.batch, state.leadsMatchBatch]);
+  /**
+   * Score the leads against a saved ICP profile; the leads are replaced by the scored ones
+   * (best first unless sort is false, without those below minScore)
+   */
+  const scoreAgainstProfile = useCallback(async (profileId: string, options: LeadsIcpScoreOptions = {}) => {
+    if (state.leads.length === 0) {
+      setState(prev => ({ ...prev, error: 'No leads to score' }));
+      return null;
+    }
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    try {
+      const response = await scoreLeadsAgainstProfile(leadsToSend(state), profileId, { ...options, batchId: batchIdOf(state) });
+      if (!response.success) {
+        throw new Error(response.error || 'Scoring failed');
+      }
+      const { leads, totalLeads, ...icpScoring } = response.data;
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        leads,
+        validLeads: totalLeads,
+        // Lead indexes changed
+        duplicates: null,
+        batch: response.batch ?? prev.batch,
+        leadsMatchBatch: prev.leadsMatchBatch && options.sort === false && icpScoring.stats.filtered === 0,
+        icpScoring,
+      }));
+      return response.data;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to score leads';
+      setState(prev => ({ ...prev, isLoading: false, error }));
+      return null;
+    }
+  }, [state.leads, state.batch, state.leadsMatchBatch]);
+  /**
+   * Draft an ICP profile from the leads, read as a list of won customers (save: true creates it)
+   */
+  const draftIcpProfile = useCallback(async (options: LeadsIcpDraftOptions = {}) => {
+    if (state.leads.length === 0) {
+      setState(prev => ({ ...prev, error: 'No customers to draft an ICP from' }));
+      return null;
+    }
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    try {
+      const response = await draftIcpProfileFromLeads(state.leads, options);
+      if (!response.success) {
+        throw new Error(response.error || 'ICP draft failed');
+      }
+      setState(prev => ({ ...prev, isLoading: false, icpDraft: response.data }));
+      return response.data;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to draft ICP profile';
+      setState(prev => ({ ...prev, isLoading: false, error }));
+      return null;
+    }
+  }, [state.leads]);
   /**
    * Perform AI analysis on uploaded leads
    */
@@ -177,7 +382,7 @@ export function useLeadsUpload() {
     }
     setState(prev => ({ ...prev, isLoading: true, error: null, step: 'analyzing' }));
     try {
-      const response = await analyzeLeads(state.leads);
+      const response = await analyzeLeads(leadsToSend(state), { batchId: batchIdOf(state) });
       if (!response.success) {
         throw new Error('Analysis failed');
       }
@@ -185,6 +390,7 @@ export function useLeadsUpload() {
         ...prev,
         isLoading: false,
         analysis: response.data,
+        batch: response.batch ?? prev.batch,
         step: 'analyzed',
       }));
       return response.data;
@@ -193,7 +399,7 @@ export function useLeadsUpload() {
       setState(prev => ({ ...prev, isLoading: false, error, step: 'uploaded' }));
       return null;
     }
-  }, [state.leads]);
+  }, [state.leads, state.batch, state.leadsMatchBatch]);
   /**
    * Fetch platform-specific questions
    */
@@ -222,16 +428,23 @@ export function useLeadsUpload() {
     }
   }, [state.platforms]);
   /**
-   * Validate leads for execution with selected platforms
+   * Validate leads for execution with selected platforms (actions: platform → action answered in the
+   * platform questions, which decides the required fields)
    */
-  const validateForExecution = useCallback(async (selectedPlatforms: string[]) => {
+  const validateForExecution = useCallback(async (
+    selectedPlatforms: string[],
+    actions?: Record<string, string>
+  ) => {
     if (state.leads.length === 0) {
       setState(prev => ({ ...prev, error: 'No leads to validate' }));
       return null;
     }
     setState(prev => ({ ...prev, isLoading: true, error: null }));
     try {
-      const response = await validateLeadsForExecution(state.leads, selectedPlatforms);
+      const response = await validateLeadsForExecution(leadsToSend(state), selectedPlatforms, {
+        actions,
+        batchId: batchIdOf(state),
+      });
       if (!response.success) {
         throw new Error('Validation failed');
       }
@@ -239,6 +452,7 @@ export function useLeadsUpload() {
         ...prev,
         isLoading: false,
         validation: response.data,
+        batch: response.batch ?? prev.batch,
         step: 'validated',
       }));
       return response.data;
@@ -247,7 +461,54 @@ export function useLeadsUpload() {
       setState(prev => ({ ...prev, isLoading: false, error }));
       return null;
     }
-  }, [state.leads]);
+  }, [state.leads, state.batch, state.leadsMatchBatch]);
+  /**
+   * Reopen a stored upload batch: its leads (all pages), reports, analysis and validation
+   */
+  const openBatch = useCallback(async (batchId: string) => {
+    setState(prev => ({ ...prev, isLoading: true, error: null }));
+    try {
+      const first = await getLeadBatch(batchId, { limit: BATCH_PAGE_SIZE });
+      if (!first.success) {
+        throw new Error(first.error || 'Failed to open lead batch');
+      }
+      const leads = [...first.leads];
+      while (leads.length < first.pagination.total) {
+        const page = await getLeadBatch(batchId, { limit: BATCH_PAGE_SIZE, offset: leads.length });
+        if (page.leads.length === 0) break;
+        leads.push(...page.leads);
+      }
+      const { batch } = first;
+      setState({
+        ...initialState,
+        templateColumns: state.templateColumns,
+        leads,
+        validLeads: leads.length,
+        totalRows: batch.parse_report.totalRows ?? leads.length,
+        uploadErrors: batch.parse_report.errors || [],
+        uploadId: batch.id,
+        batch: {
+          id: batch.id,
+          name: batch.name,
+          status: batch.status,
+          lead_count: batch.lead_count,
+          created_at: batch.created_at,
+          updated_at: batch.updated_at,
+        },
+        duplicates: batch.parse_report.duplicates,
+        platforms: batch.analysis.platforms || null,
+        analysis: batch.analysis.ai || null,
+        summary: batch.analysis.summary || null,
+        validation: batch.analysis.validation || null,
+        step: batch.analysis.validation ? 'validated' : batch.analysis.ai ? 'analyzed' : 'uploaded',
+      });
+      return batch;
+    } catch (err) {
+      const error = err instanceof Error ? err.message : 'Failed to open lead batch';
+      setState(prev => ({ ...prev, isLoading: false, error }));
+      return null;
+    }
+  }, [state.templateColumns]);
   /**
    * Get available platforms
    */
@@ -280,9 +541,14 @@ export function useLeadsUpload() {
     fetchTemplateColumns,
     uploadFile,
     uploadContent,
+    confirmMapping,
+    mergeDuplicates,
+    scoreAgainstProfile,
+    draftIcpProfile,
     performAnalysis,
     fetchPlatformQuestions,
     validateForExecution,
+    openBatch,
     // Helpers
     isPlatformAvailable,
     getPlatformCoverage,
@@ -18,11 +18,63 @@ export type { BufferedMessage } from './api';
 export {
   downloadLeadsTemplate,
   getLeadsTemplateColumns,
+  getLeadsTemplateSchema,
+  saveLeadsTemplateSchema,
+  resetLeadsTemplateSchema,
+  getLeadsTemplateSchemaVersions,
+  getLeadsTemplateSchemaVersion,
   uploadLeadsFile,
   uploadLeadsContent,
+  uploadLeadObjects,
+  confirmLeadsMapping,
+  getLeadsColumnMappings,
+  deleteLeadsColumnMapping,
+  mergeLeadDuplicates,
   analyzeLeads,
   getPlatformQuestions,
   validateLeadsForExecution,
+  getLeadValidationRules,
+  updateLeadValidationRules,
+  resetLeadValidationRules,
+  scoreLeadsAgainstProfile,
+  draftIcpProfileFromLeads,
+} from './api';
+// Lead Batches API
+export {
+  getLeadBatches,
+  getLeadBatch,
+  exportLeadBatch,
+  assignLeadBatch,
+  deleteLeadBatch,
+} from './api';
+// Background Jobs API
+export {
+  uploadLeadsFileAsync,
+  analyzeLeadsAsync,
+  classifyBatchAsync,
+  scoreLeadsAgainstProfileAsync,
+  getJob,
+  cancelJob,
+  retryJob,
+} from './api';
+// Targeting & Taxonomy API
+export {
+  compileTargeting,
+  searchTaxonomy,
+  classifyBatch,
+  getClassificationCache,
+  setClassificationOverride,
+  deleteClassificationCacheEntry,
+  getClassificationOverrides,
+  createClassificationOverride,
+  updateClassificationOverride,
+  deleteClassificationOverride,
+  getClassificationOverrideReport,
+} from './api';
+// Chat Streaming API
+export {
+  streamLeadChatMessage,
+  streamChatMessage,
 } from './api';
 // ICP Types
 export type {
@@ -31,22 +83,130 @@ export type {
   ICPAnswerRequest,
   ICPAnswerResponse,
 } from './types';
+// Chat Streaming Types
+export type {
+  LeadChatTargeting,
+  TargetingVersion,
+  TargetingVersionHistory,
+  TargetingDiff,
+  LeadChatRequest,
+  LeadChatResponse,
+  AssistantChatRequest,
+  AssistantChatResponse,
+  ChatStreamHandlers,
+} from './types';
+// Targeting & Taxonomy Types
+export type {
+  TargetingCompileRequest,
+  TargetingCompileIssue,
+  TargetingCompileResponse,
+  TaxonomyType,
+  TaxonomyEntry,
+  TaxonomySearchResponse,
+  ClassificationType,
+  ClassificationResult,
+  ClassificationBatchResponse,
+  ClassificationCacheEntry,
+  ClassificationOverrideMatchType,
+  ClassificationOverride,
+  ClassificationOverrideInput,
+  ClassificationOverrideReport,
+} from './types';
+// Background Job Types
+export type {
+  JobStatus,
+  JobType,
+  Job,
+  JobResponse,
+  LeadsUploadJobResult,
+  LeadsAnalysisJobResult,
+  LeadsIcpScoreJobResult,
+  ClassificationBatchJobResult,
+} from './types';
 // Leads Types
 export type {
   LeadsTemplateColumn,
+  LeadsTemplateColumnType,
+  LeadsTemplateColumnInput,
+  LeadsTemplateSchema,
+  LeadsTemplateSchemaVersion,
+  LeadsTemplateSchemaResponse,
+  LeadsTemplateSchemaVersionsResponse,
+  LeadsTemplateField,
   ParsedLead,
   PlatformCoverage,
   PlatformDetection,
   LeadsAnalysis,
   LeadsUploadResponse,
+  LeadsRowError,
+  LeadsFileFormat,
+  LeadField,
+  LeadsColumnProposal,
+  LeadsColumnMappingProposal,
+  LeadsSavedMappingRef,
+  LeadsMappedData,
+  LeadsMappingRequest,
+  LeadsMappingResponse,
+  LeadsSavedColumnMapping,
+  LeadNormalizationStep,
+  LeadNormalizationChange,
+  LeadNormalization,
+  LeadsNormalizationStats,
+  LeadsNormalizeOptions,
+  LeadDedupeKey,
+  LeadDuplicateMark,
+  LeadsDuplicateCluster,
+  LeadsPreviousUploadMatch,
+  LeadsDuplicates,
+  LeadsDedupeOptions,
+  LeadsMergeCluster,
+  LeadsMergeResponse,
+  LeadEmailCheck,
+  LeadsEmailCheckStats,
+  LeadsEmailCheckOptions,
   PlatformQuestion,
   PlatformQuestionOption,
   PlatformQuestionsResponse,
   RecommendedAction,
   LeadsAIAnalysisResponse,
   LeadsValidation,
+  LeadValidationPlatform,
+  LeadValidationRuleId,
+  LeadValidationSeverity,
+  LeadValidationReason,
+  LeadReadiness,
+  LeadsReadinessReport,
+  LeadValidationRules,
+  LeadValidationRuleSettings,
+  LeadValidationRulesResponse,
+  LeadIcpCriterion,
+  LeadIcpCriterionScore,
+  LeadIcpScore,
+  LeadsIcpScoreOptions,
+  LeadsIcpScoreResponse,
+  LeadsIcpDraftField,
+  LeadsIcpDistributionEntry,
+  LeadsIcpDraftExample,
+  LeadsIcpDraft,
+  LeadsIcpDraftOptions,
+  LeadsIcpDraftResponse,
   LeadsFlowContext,
 } from './types';
+// Lead Batch Types
+export type {
+  LeadBatchStatus,
+  LeadBatchSummary,
+  LeadBatchSource,
+  LeadBatchParseReport,
+  LeadBatchListItem,
+  LeadBatch,
+  LeadBatchesResponse,
+  LeadBatchResponse,
+  LeadBatchAssignResponse,
+  LeadBatchIcpScores,
+  LeadBatchExportFormat,
+  LeadBatchExportOptions,
+} from './types';
 // ICP Hooks
 export {
   useItem,
@@ -57,6 +217,9 @@ export {
 // Leads Upload Hook
 export { useLeadsUpload } from './hooks/useLeadsUpload';
 export type { LeadsUploadState } from './hooks/useLeadsUpload';
+// Background Job Hook
+export { useJob } from './hooks/useJob';
+export type { JobState, UseJobOptions } from './hooks/useJob';
 // Legacy service (if exists)
 export { 
   AIICPAssistantService,
@@ -1,5 +1,13 @@
 import { apiPost } from '@/lib/api';
 import { PLATFORM_FEATURES } from '@/lib/platformFeatures';
+import { streamLeadChatMessage, streamChatMessage } from '../api';
+import type {
+  LeadChatRequest,
+  LeadChatResponse,
+  AssistantChatRequest,
+  AssistantChatResponse,
+  ChatStreamHandlers,
+} from '../types';
 export interface MayaMessage {
   role: 'user' | 'ai';
   content: string;
@@ -65,6 +73,46 @@ class MayaAIService {
       };
     }
   }
+  /**
+   * Send a lead-chat message and stream the reply (Server-Sent Events)
+   * onToken receives text as it is generated; resolves with updatedTargeting, pendingIntent and options
+   */
+  async streamLeadChat(
+    request: LeadChatRequest,
+    handlers: ChatStreamHandlers<LeadChatResponse> = {}
+  ): Promise<LeadChatResponse> {
+    try {
+      return await streamLeadChatMessage(request, handlers);
+    } catch (error) {
+      console.error('[MayaAI] Error streaming lead chat:', error);
+      return {
+        success: false,
+        response: 'I had trouble processing that. Please try again.',
+        newSearch: false,
+        updatedTargeting: request.currentTargeting || null,
+        pendingIntent: request.pendingIntent || null,
+        options: [],
+      };
+    }
+  }
+  /**
+   * Send an assistant chat message and stream the reply (Server-Sent Events)
+   */
+  async streamChat(
+    request: AssistantChatRequest,
+    handlers: ChatStreamHandlers<AssistantChatResponse> = {}
+  ): Promise<AssistantChatResponse> {
+    try {
+      return await streamChatMessage(request, handlers);
+    } catch (error) {
+      console.error('[MayaAI] Error streaming chat:', error);
+      return {
+        success: false,
+        text: 'I apologize, but I encountered an error. Please try again.',
+        options: null,
+      };
+    }
+  }
   /**
    * Ask about platform features
    */
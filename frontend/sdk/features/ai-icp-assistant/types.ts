@@ -96,12 +96,49 @@ export interface WorkflowNode {
 /**
  * Leads Upload Types
  */
+export type LeadsTemplateColumnType = 'text' | 'number' | 'date' | 'email' | 'url' | 'select';
 export interface LeadsTemplateColumn {
-  key: string;
-  label: string;
+  key: string; // Lead field (LeadField) or a custom field of the tenant's template
+  label: string; // Header in the template file
   required: boolean;
   example: string;
   platform?: string;
+  type: LeadsTemplateColumnType; // Always 'text' for built-in fields
+  options?: string[]; // select fields
+  aliases?: string[]; // Other headers the column mapper recognises
+  custom: boolean;
+  token: string; // Personalisation token, e.g. '{{account_owner}}'
+}
+/**
+ * Tenant lead template: version is null when the tenant never saved one; is_default is also
+ * true for a reset version
+ */
+export interface LeadsTemplateSchema {
+  version: number | null;
+  is_default: boolean;
+  columns: LeadsTemplateColumn[];
+  created_at: string | null;
+}
+export type LeadsTemplateColumnInput = Pick<LeadsTemplateColumn, 'key'> &
+  Partial<Pick<LeadsTemplateColumn, 'label' | 'required' | 'example' | 'type' | 'options' | 'aliases'>>; // label is required for custom fields
+export interface LeadsTemplateSchemaVersion {
+  id: string;
+  tenant_id: string;
+  version: number;
+  is_default: boolean; // A reset to the default template
+  column_count: number | null;
+  created_by: string | null;
+  created_at: string;
+}
+export interface LeadsTemplateSchemaResponse {
+  success: boolean;
+  schema: LeadsTemplateSchema;
+  error?: string;
+}
+export interface LeadsTemplateSchemaVersionsResponse {
+  success: boolean;
+  versions: LeadsTemplateSchemaVersion[];
+  error?: string;
 }
 export interface ParsedLead {
   first_name?: string;
@@ -118,12 +155,138 @@ export interface ParsedLead {
   notes?: string;
   whatsapp?: string;
   twitter_url?: string;
-  [key: string]: string | undefined;
+  full_name?: string;
+  company_domain?: string; // Derived from website or email by normalisation
+  custom_fields?: Record<string, string>; // Columns not mapped to a lead field, by header
+  normalization?: LeadNormalization; // Present when normalisation changed or flagged something
+  duplicate?: LeadDuplicateMark; // Present when the lead is in a duplicate cluster or was uploaded before
+  merged_from?: number[]; // Lead indexes merged into this one
+  email_check?: LeadEmailCheck; // Present when the lead has an email
+  icp_score?: LeadIcpScore; // Present on leads returned by scoreLeadsAgainstProfile
+  [key: string]: string | Record<string, string> | LeadNormalization | LeadDuplicateMark | LeadEmailCheck | LeadIcpScore | number[] | undefined;
+}
+export interface LeadEmailCheck {
+  status: 'deliverable' | 'risky' | 'undeliverable' | 'unknown';
+  reason:
+    | 'invalid_syntax'
+    | 'disposable_domain'
+    | 'catch_all'
+    | 'domain_not_found'
+    | 'no_mx'
+    | 'mx_lookup_failed'
+    | 'mx_not_checked'
+    | null;
+  domain: string | null;
+  mx: 'found' | 'none' | 'not_found' | 'error' | 'skipped';
+}
+export interface LeadsEmailCheckStats {
+  checked: number;
+  deliverable: number;
+  risky: number;
+  undeliverable: number;
+  unknown: number;
+  reasons: Record<string, number>;
+  mx: 'checked' | 'skipped';
+  domains: number; // Domains looked up
+}
+export type LeadNormalizationStep =
+  | 'whitespace'
+  | 'email'
+  | 'phone'
+  | 'linkedin'
+  | 'twitter'
+  | 'website'
+  | 'name'
+  | 'company_domain';
+export interface LeadNormalizationChange {
+  field: string;
+  step: LeadNormalizationStep;
+  from: string;
+  to: string;
+}
+export interface LeadNormalization {
+  changes: LeadNormalizationChange[];
+  // e.g. 'invalid_email', 'role_email', 'invalid_phone', 'phone_no_country_code', 'invalid_linkedin'
+  flags: string[];
+}
+export interface LeadsNormalizationStats {
+  steps: LeadNormalizationStep[];
+  changedLeads: number;
+  changes: Record<string, number>; // By field
+  flags: Record<string, number>;
+}
+export interface LeadsNormalizeOptions {
+  normalize?: boolean; // false skips normalisation
+  normalizeSteps?: LeadNormalizationStep[];
+  countryCode?: string; // Calling code for phone numbers written without one, e.g. '1', '971'
+}
+export type LeadDedupeKey = 'email' | 'linkedin_url' | 'phone' | 'name_company';
+export interface LeadDuplicateMark {
+  cluster?: string; // LeadsDuplicateCluster id
+  previous?: { upload_id: string; matchedOn: LeadDedupeKey[] };
+}
+export interface LeadsDuplicateCluster {
+  id: string; // 'c1', 'c2', ... within the response
+  leads: number[]; // Lead indexes
+  matchedOn: LeadDedupeKey[];
+  suggestion: {
+    keep: number; // Most complete lead
+    lead: ParsedLead; // Kept lead with empty fields filled from the others
+    conflicts: Record<string, string[]>; // Fields with different values
+  };
+}
+export interface LeadsPreviousUploadMatch {
+  index: number; // Lead index
+  matchedOn: LeadDedupeKey[];
+  upload: { id: string; row_index: number; created_at?: string };
+  lead?: Partial<ParsedLead>; // Name, email, company and title as uploaded then (left out for another user's batch)
+}
+export interface LeadsDuplicates {
+  keys: LeadDedupeKey[];
+  clusters: LeadsDuplicateCluster[];
+  previous: LeadsPreviousUploadMatch[];
+  stats: {
+    clusters: number;
+    duplicateLeads: number; // Leads merging every cluster would remove
+    previousMatches: number;
+    history: 'checked' | 'skipped' | 'unavailable';
+  };
+}
+export interface LeadsDedupeOptions {
+  dedupe?: boolean; // false skips the duplicate check
+  dedupeKeys?: LeadDedupeKey[];
+  checkHistory?: boolean; // false checks the upload only against itself
+}
+export interface LeadsEmailCheckOptions {
+  checkMx?: boolean; // DNS MX lookup of email domains (server default otherwise)
+}
+export interface LeadsMergeCluster {
+  leads: number[];
+  keep?: number; // Default: the suggested lead
+  fields?: Record<string, string>; // Values chosen for conflicting fields
+}
+export interface LeadsMergeResponse {
+  success: boolean;
+  message: string;
+  data: {
+    leads: ParsedLead[];
+    totalLeads: number;
+    merged: number;
+    removed: number;
+    platforms: PlatformDetection;
+    analysis: LeadsAnalysis;
+    summary: string;
+    batch?: LeadBatchSummary; // When batchId was sent
+  };
+  error?: string;
 }
 export interface PlatformCoverage {
-  count: number;
+  count: number; // Email: deliverable addresses
   percentage: number;
   available: boolean;
+  risky?: number; // Email: catch-all addresses
+  withEmail?: number; // Email: leads with any email
+  withEmailPercentage?: number;
 }
 export interface PlatformDetection {
   available: string[];
@@ -146,21 +309,204 @@ export interface LeadsAnalysis {
   uniqueCompanies: number;
   topCompanies: string[];
 }
+export interface LeadsRowError {
+  row: number; // Spreadsheet row (header = 1)
+  line: number; // File line the row starts on
+  column: number | null;
+  field: string | null; // Header of the column
+  code: 'unexpected_quote' | 'invalid_quote' | 'unterminated_quote' | 'field_too_long' | 'extra_values' | 'missing_name' | 'invalid_row';
+  message: string;
+}
+export interface LeadsFileFormat {
+  type: 'csv' | 'tsv' | 'xlsx' | 'xls' | 'json';
+  encoding?: string; // CSV / TSV: e.g. 'utf-8', 'utf-16le', 'windows-1252'
+  delimiter?: string; // CSV / TSV
+  bom?: boolean; // CSV / TSV
+  sheet?: string; // Excel: sheet that was read
+  sheets?: string[]; // Excel: all sheets in the workbook
+}
+export type LeadField =
+  | 'first_name'
+  | 'last_name'
+  | 'full_name'
+  | 'email'
+  | 'phone'
+  | 'company'
+  | 'job_title'
+  | 'industry'
+  | 'linkedin_url'
+  | 'location'
+  | 'company_size'
+  | 'website'
+  | 'notes'
+  | 'whatsapp'
+  | 'twitter_url';
+export type LeadsTemplateField = LeadField | (string & {}); // Or a custom field of the tenant's template
+export interface LeadsColumnProposal {
+  index: number;
+  header: string;
+  key: LeadsTemplateField | null; // null = kept in custom_fields
+  confidence: number; // 0-1
+  source: 'saved' | 'header' | 'values' | 'ai' | 'none';
+  samples: string[];
+}
+export interface LeadsSavedMappingRef {
+  id: string;
+  name: string;
+  source_format: string | null;
+}
+export interface LeadsColumnMappingProposal {
+  columns: LeadsColumnProposal[];
+  savedMapping: LeadsSavedMappingRef | null; // Saved mapping that was applied
+  missingRequired: string[]; // 'name' when no column holds lead names, plus required template fields no column maps to
+  needsReview: boolean;
+}
+export interface LeadsMappedData {
+  leads: ParsedLead[];
+  totalRows: number;
+  validLeads: number;
+  errors: string[]; // rowErrors as text ("Row 5, column 2 (email): ...")
+  rowErrors: LeadsRowError[]; // First 1000
+  errorCount: number;
+  headers: string[]; // Lead fields present
+  normalization: LeadsNormalizationStats | null; // null when normalize was false
+  duplicates: LeadsDuplicates | null; // null when dedupe was false or no lead is valid
+  emailCheck: LeadsEmailCheckStats | null; // null when no lead is valid
+  platforms: PlatformDetection;
+  analysis: LeadsAnalysis | null; // null when no lead is valid yet
+  summary: string | null;
+}
 export interface LeadsUploadResponse {
   success: boolean;
   message: string;
-  data: {
-    leads: ParsedLead[];
-    totalRows: number;
-    validLeads: number;
-    errors: string[];
-    headers: string[];
-    platforms: PlatformDetection;
-    analysis: LeadsAnalysis;
-    summary: string;
+  data: LeadsMappedData & {
+    uploadId: string; // Pass to POST /leads/mapping; also the id of the stored batch
+    batch: LeadBatchSummary | null; // null when the batch could not be stored
+    batchError?: string | null; // Why the batch could not be stored
+    templateVersion: number | null; // Tenant template the columns were mapped with (null: default)
+    format: LeadsFileFormat;
+    rows?: string[][]; // Only when the batch could not be stored: parsed values in column order, for POST /leads/mapping
+    mapping: LeadsColumnMappingProposal;
+  };
+  error?: string;
+}
+export interface LeadsMappingRequest extends LeadsNormalizeOptions, LeadsDedupeOptions, LeadsEmailCheckOptions {
+  uploadId?: string; // From the upload response: its stored rows are mapped, and its leads aren't reported as their own duplicates
+  batchName?: string;
+  rows?: string[][]; // Only when the upload's batch was not stored (the upload response's rows)
+  columns: Array<{ header: string; key: LeadsTemplateField | null }>;
+  save?: { name: string; format?: string }; // e.g. format 'hubspot'
+}
+export interface LeadsMappingResponse {
+  success: boolean;
+  message: string;
+  data: LeadsMappedData & {
+    uploadId: string;
+    batch: LeadBatchSummary | null; // The upload's batch, now 'mapped'
+    templateVersion: number | null;
+    mapping: {
+      columns: Array<{ index: number; header: string; key: LeadsTemplateField | null }>;
+      savedMapping: LeadsSavedMappingRef | null;
+    };
+  };
+  error?: string;
+}
+/**
+ * Stored Lead Batches (one per upload; id = uploadId)
+ */
+export type LeadBatchStatus = 'uploaded' | 'mapped' | 'validated' | 'assigned';
+export interface LeadBatchSummary {
+  id: string;
+  name: string;
+  status: LeadBatchStatus;
+  lead_count: number;
+  created_at: string;
+  updated_at: string;
+}
+export interface LeadBatchSource {
+  type?: 'file' | 'csv_content' | 'lead_objects';
+  file_name?: string;
+  mime_type?: string;
+  size_bytes?: number | null;
+  format?: LeadsFileFormat;
+}
+export interface LeadBatchParseReport {
+  totalRows: number;
+  validLeads: number;
+  errorCount: number;
+  errors: string[];
+  rowErrors: LeadsRowError[]; // First 1000
+  headers: string[];
+  format: LeadsFileFormat | null;
+  mapping: {
+    columns: Array<{ index: number; header: string; key: LeadsTemplateField | null; confidence?: number; source?: string }>;
+    savedMapping: LeadsSavedMappingRef | null;
+    missingRequired: string[];
+    needsReview: boolean;
+  } | null;
+  normalization: LeadsNormalizationStats | null;
+  duplicates: LeadsDuplicates | null;
+  emailCheck: LeadsEmailCheckStats | null;
+  templateVersion?: number | null; // Tenant template of the upload; exports use its columns
+}
+export interface LeadBatchListItem extends LeadBatchSummary {
+  tenant_id: string;
+  owner_id: string | null;
+  source: LeadBatchSource;
+  campaign_id: string | null;
+  assigned_at: string | null;
+}
+export interface LeadBatch extends LeadBatchListItem {
+  parse_report: LeadBatchParseReport;
+  analysis: {
+    platforms?: PlatformDetection;
+    analysis?: LeadsAnalysis | null;
+    summary?: string | null;
+    ai?: LeadsAIAnalysisResponse['data']; // From /leads/analyze with batchId
+    validation?: LeadsValidation; // From /leads/validate with batchId
+    icp_score?: LeadBatchIcpScores; // From /leads/score with batchId
   };
+}
+export interface LeadBatchIcpScores {
+  profile_id: string;
+  profile_name: string;
+  scores: number[]; // By lead index
+}
+export type LeadBatchExportFormat = 'csv' | 'xlsx' | 'json';
+export interface LeadBatchExportOptions {
+  format?: LeadBatchExportFormat; // Default csv
+  annotations?: boolean; // CSV / XLSX: normalisation, email check, duplicate, ICP score and readiness columns (default true)
+}
+export interface LeadBatchesResponse {
+  success: boolean;
+  batches: LeadBatchListItem[];
+  total: number;
   error?: string;
 }
+export interface LeadBatchResponse {
+  success: boolean;
+  batch: LeadBatch;
+  leads: ParsedLead[]; // One page, in upload order
+  pagination: { limit: number; offset: number; total: number };
+  error?: string;
+}
+export interface LeadBatchAssignResponse {
+  success: boolean;
+  batch: LeadBatchSummary;
+  campaign_id: string;
+  error?: string;
+}
+export interface LeadsSavedColumnMapping {
+  id: string;
+  name: string;
+  source_format: string | null;
+  headers: string[]; // Normalised headers
+  mapping: Record<string, LeadsTemplateField | null>; // Normalised header → field
+  use_count: number;
+  last_used_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
 export interface PlatformQuestionOption {
   value: string;
   label: string;
@@ -202,15 +548,196 @@ export interface LeadsAIAnalysisResponse {
     suggestedPlatforms: string[];
     excludedPlatforms: string[];
   };
+  batch?: LeadBatchSummary | null; // When batchId was sent
+}
+export type LeadValidationPlatform = 'linkedin' | 'email' | 'voice' | 'whatsapp';
+export type LeadValidationRuleId =
+  | 'required_fields'
+  | 'email_syntax'
+  | 'email_disposable'
+  | 'email_domain'
+  | 'email_role'
+  | 'phone_valid'
+  | 'phone_country_code'
+  | 'linkedin_profile'
+  | 'whatsapp_capable'
+  | 'template_fields';
+export type LeadValidationSeverity = 'error' | 'warning' | 'off';
+export interface LeadValidationReason {
+  rule: LeadValidationRuleId;
+  severity: 'error' | 'warning';
+  platform: LeadValidationPlatform;
+  field: string; // 'whatsapp|phone' for either-field requirements
+  message: string;
+}
+export interface LeadReadiness {
+  index: number;
+  ready: boolean; // Ready for every selected platform
+  platforms: Partial<Record<LeadValidationPlatform, { ready: boolean; reasons: LeadValidationReason[] }>>;
+}
+export interface LeadsReadinessReport {
+  actions: Partial<Record<LeadValidationPlatform, string>>;
+  leads: LeadReadiness[];
+  summary: {
+    ready: number;
+    notReady: number;
+    withWarnings: number;
+    platforms: Partial<Record<LeadValidationPlatform, { ready: number; notReady: number }>>;
+    rules: Partial<Record<LeadValidationRuleId, { errors: number; warnings: number }>>;
+  };
 }
 export interface LeadsValidation {
   valid: ParsedLead[];
-  invalid: Array<{ index: number; lead: ParsedLead; issues: string[] }>;
+  invalid: Array<{ index: number; lead: ParsedLead; issues: string[]; reasons: LeadValidationReason[] }>;
   totalLeads: number;
   validCount: number;
   invalidCount: number;
   canExecute: boolean;
+  report: LeadsReadinessReport;
+}
+/**
+ * Tenant lead validation rules: severity plus the rule's own settings
+ */
+export interface LeadValidationRules {
+  required_fields: { severity: LeadValidationSeverity; fields: Partial<Record<LeadValidationPlatform, Record<string, string[]>>> };
+  email_syntax: { severity: LeadValidationSeverity };
+  email_disposable: { severity: LeadValidationSeverity; domains: string[] };
+  email_domain: { severity: LeadValidationSeverity };
+  email_role: { severity: LeadValidationSeverity; allow: string[] };
+  phone_valid: { severity: LeadValidationSeverity; countries: string[] }; // Allowed calling codes, empty for any
+  phone_country_code: { severity: LeadValidationSeverity };
+  linkedin_profile: { severity: LeadValidationSeverity };
+  whatsapp_capable: { severity: LeadValidationSeverity };
+  template_fields: { severity: LeadValidationSeverity }; // Required columns and custom field types of the tenant's template
+}
+export type LeadValidationRuleSettings = {
+  [K in keyof LeadValidationRules]?: Partial<LeadValidationRules[K]>;
+};
+export interface LeadValidationRulesResponse {
+  success: boolean;
+  rules: LeadValidationRules; // Defaults with the tenant's settings merged in
+  settings: LeadValidationRuleSettings; // The tenant's own settings
+  updated_at: string | null;
+  error?: string;
+}
+export type LeadIcpCriterion = 'seniority' | 'industry' | 'location' | 'company_size';
+export interface LeadIcpCriterionScore {
+  criterion: LeadIcpCriterion;
+  weight: number; // Share of the score (the profile's criteria add up to 100)
+  credit: number; // 0-1
+  points: number; // credit × weight
+  match: 'full' | 'partial' | 'none' | 'excluded' | 'missing';
+  explanation: string; // e.g. 'Director is one level from the targeted seniority (VP)'
+}
+export interface LeadIcpScore {
+  profile_id: string;
+  score: number; // 0-100
+  criteria: LeadIcpCriterionScore[];
+}
+export interface LeadsIcpScoreOptions {
+  minScore?: number; // Leads scoring below it are left out
+  sort?: boolean; // Best first (default); false keeps the upload order
+  batchId?: string; // Stored batch: its leads are scored (sent leads are ignored) and the scores kept with it
+}
+export interface LeadsIcpScoreResponse {
+  success: boolean;
+  data: {
+    leads: ParsedLead[]; // With icp_score
+    totalLeads: number;
+    profile: { id: string; name: string };
+    criteria: LeadIcpCriterion[]; // Criteria the profile targets
+    targeting: LeadChatTargeting; // The profile's targeting the leads were scored against
+    stats: {
+      scored: number;
+      returned: number;
+      filtered: number; // Below minScore
+      average: number;
+    };
+  };
+  batch?: LeadBatchSummary; // When batchId was sent
+  error?: string;
+}
+export type LeadsIcpDraftField = 'industries' | 'job_titles' | 'seniority' | 'locations' | 'employee_ranges';
+export interface LeadsIcpDistributionEntry {
+  value: string; // Taxonomy value where known (seniority: 'vp', locations: countries, employee_ranges: '51,100')
+  count: number;
+  share: number; // 0-1 of the customers with the field
+}
+export interface LeadsIcpDraftExample {
+  index: number; // Index in the uploaded list
+  score: number; // Fit with the draft, 0-100
+  lead: Partial<ParsedLead>;
+}
+export interface LeadsIcpDraft {
+  // Arguments for creating the profile
+  name: string;
+  description: string;
+  icpData: {
+    source: 'customer_list';
+    customers: number;
+    industries: string[];
+    job_titles: string[];
+    seniority: string[];
+    locations: string[];
+    company_size: string[]; // e.g. ['51-200 employees']
+    weights: Record<LeadIcpCriterion, number>; // Add up to 100; used when scoring against the profile
+    distributions: Record<LeadsIcpDraftField, LeadsIcpDistributionEntry[]>;
+    examples: LeadsIcpDraftExample[];
+  };
+  searchParams: LeadChatTargeting;
+}
+export interface LeadsIcpDraftOptions {
+  name?: string;
+  description?: string;
+  save?: boolean; // Create the profile as well
+}
+export interface LeadsIcpDraftResponse {
+  success: boolean;
+  data: {
+    draft: LeadsIcpDraft;
+    profile: Record<string, any> | null; // The created profile when save was set
+    distributions: Record<LeadsIcpDraftField, LeadsIcpDistributionEntry[]>;
+    weights: Record<LeadIcpCriterion, number>;
+    examples: LeadsIcpDraftExample[];
+    stats: {
+      customers: number;
+      completeness: Record<LeadsIcpDraftField, number>; // Share of customers with the field
+      coverage: Partial<Record<LeadsIcpDraftField, number>>; // Share of those the targeted values cover
+    };
+  };
+  error?: string;
 }
+/**
+ * Background Jobs (requests sent with async: true; poll GET /jobs/:id)
+ */
+export type JobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+export type JobType = 'leads.upload' | 'leads.analyze' | 'leads.score' | 'classification.batch';
+export interface Job<TResult = unknown> {
+  id: string;
+  type: JobType;
+  status: JobStatus;
+  progress: number; // 0-100
+  message: string | null;
+  attempts: number;
+  maxAttempts: number;
+  result: TResult | null; // Set once succeeded
+  error: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  updatedAt: string;
+}
+export interface JobResponse<TResult = unknown> {
+  success: boolean;
+  job: Job<TResult>;
+  message?: string;
+  error?: string;
+}
+// Results per job type
+export type LeadsUploadJobResult = LeadsUploadResponse['data'];
+export type LeadsAnalysisJobResult = LeadsAIAnalysisResponse['data'];
+export type LeadsIcpScoreJobResult = LeadsIcpScoreResponse['data'];
+export type ClassificationBatchJobResult = Omit<ClassificationBatchResponse, 'success' | 'error'>;
 /**
  * Leads-based Context Extension
  */
@@ -226,3 +753,204 @@ export interface LeadsFlowContext {
   sequenceOrder: string[];
   delayBetween: number;
 }
+
+/**
+ * Chat Streaming Types (Server-Sent Events)
+ */
+export interface LeadChatTargeting {
+  job_titles?: string[];
+  industries?: string[];
+  locations?: string[];
+  company_names?: string[];
+  seniority?: string[];
+  // Company filters as Apollo buckets: "min,max" ranges, funding stage keys, technology uids
+  employee_ranges?: string[]; // e.g. ["51,100", "101,200"]
+  revenue_ranges?: string[]; // e.g. ["10000000,50000000"]
+  funding_stages?: string[]; // e.g. ["series_a"]
+  founded_year?: string[]; // one range, e.g. ["2016,"]
+  technologies?: string[]; // e.g. ["hubspot"]
+  // Exclusion lists, filled by "exclude ..." refinements
+  excluded_titles?: string[];
+  excluded_industries?: string[];
+  excluded_locations?: string[];
+  excluded_companies?: string[];
+  excluded_seniority?: string[];
+  excluded_technologies?: string[];
+  [key: string]: any;
+}
+export interface TargetingVersion {
+  version: number;
+  targeting: LeadChatTargeting;
+  message: string | null; // User message that produced this version
+  createdAt: string;
+}
+export interface TargetingVersionHistory {
+  versions: TargetingVersion[];
+  cursor: number; // Index of the active version
+}
+export interface TargetingDiff {
+  added: Record<string, string[]>;
+  removed: Record<string, string[]>;
+  hasChanges: boolean;
+}
+export interface LeadChatRequest {
+  message: string;
+  sessionId?: string; // Server-side session: history/targeting below are ignored
+  history?: Array<{ role: string; text: string }>;
+  currentTargeting?: LeadChatTargeting | null;
+  pendingIntent?: 'location' | 'title' | 'industry' | null;
+  targetingHistory?: TargetingVersionHistory | null; // Stateless mode: send back the last response's history
+}
+export interface LeadChatResponse {
+  success: boolean;
+  response: string;
+  newSearch: boolean;
+  updatedTargeting: LeadChatTargeting | null;
+  pendingIntent: 'location' | 'title' | 'industry' | null;
+  options: Array<{ label: string; value: string }>;
+  targetingHistory?: TargetingVersionHistory;
+  targetingChanges?: TargetingDiff; // Present when the targeting changed this turn
+  sessionId?: string;
+  messageId?: string;
+  replaceStreamedText?: boolean; // Streaming only: response differs from the streamed tokens
+  error?: string;
+}
+export interface TargetingCompileRequest {
+  targeting?: Record<string, any>; // Lead chat targeting, assistant context, suggestedParams or onboarding answers
+  profileId?: string; // Compile a saved ICP profile instead
+  source?: 'targeting' | 'assistant' | 'suggested_params' | 'onboarding'; // Detected when omitted
+  searchType?: 'people' | 'companies';
+  page?: number;
+  perPage?: number;
+}
+export interface TargetingCompileIssue {
+  field: string | null;
+  message: string;
+}
+export interface TargetingCompileResponse {
+  success: boolean;
+  valid: boolean;
+  source: string;
+  searchType: 'people' | 'companies';
+  payload: Record<string, any> | null; // Exact Apollo search payload
+  targeting: LeadChatTargeting | null; // Normalised targeting the payload was built from
+  warnings: TargetingCompileIssue[];
+  errors: TargetingCompileIssue[];
+  error?: string;
+}
+export type TaxonomyType = 'industry' | 'location' | 'seniority' | 'department' | 'role';
+export interface TaxonomyEntry {
+  value: string; // Canonical value (Apollo seniority key for seniorities)
+  label: string;
+  type: TaxonomyType;
+  kind?: 'country' | 'region' | 'city'; // Locations only
+  score?: number; // 0-1 match score
+  matched?: string; // Synonym that matched the query
+  [key: string]: any; // Type-specific: related, country, countries, category, functions...
+}
+export interface TaxonomySearchResponse {
+  success: boolean;
+  version: string;
+  type: TaxonomyType;
+  query: string;
+  results: TaxonomyEntry[];
+  error?: string;
+}
+export type ClassificationType = 'industry' | 'location' | 'decision_makers';
+export interface ClassificationResult {
+  input?: string; // Batch only: the input as sent
+  success: boolean;
+  confidence?: 'high' | 'medium' | 'low';
+  reasoning?: string;
+  clarifying_question?: string | null;
+  isFallback?: boolean;
+  cached?: boolean; // Served from the classification cache
+  isOverride?: boolean; // From a tenant override rule (see override)
+  error?: string;
+  [key: string]: any; // apollo_industry / primary_location / primary_role and alternatives
+}
+export type ClassificationOverrideMatchType = 'exact' | 'prefix' | 'contains';
+export interface ClassificationOverride {
+  id: string;
+  classification_type: ClassificationType;
+  pattern: string; // Normalised text, matched as whole words
+  match_type: ClassificationOverrideMatchType;
+  value: string; // Taxonomy value matching inputs classify to
+  note: string | null;
+  priority: number; // Higher wins when several rules match
+  is_active: boolean;
+  hit_count: number;
+  last_hit_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+export interface ClassificationOverrideInput {
+  type: ClassificationType;
+  pattern: string;
+  match_type?: ClassificationOverrideMatchType; // Default 'exact'
+  value: string;
+  note?: string;
+  priority?: number;
+}
+export interface ClassificationOverrideReport {
+  success: boolean;
+  top: ClassificationOverride[]; // By hit count
+  totals: Array<{
+    classification_type: ClassificationType;
+    overrides: number;
+    active: number;
+    never_hit: number;
+    hits: number;
+  }>;
+  error?: string;
+}
+export interface ClassificationBatchResponse {
+  success: boolean;
+  type: ClassificationType;
+  results: ClassificationResult[]; // Same order as the inputs
+  stats: {
+    total: number;
+    unique: number; // Distinct inputs after normalisation
+    overridden: number; // Matched an override rule
+    cached: number;
+    classified: number;
+    failed: number;
+  };
+  error?: string;
+}
+export interface ClassificationCacheEntry {
+  id: string;
+  classification_type: ClassificationType;
+  input_key: string;
+  original_input: string;
+  result: ClassificationResult;
+  usage_count: number;
+  last_used_at: string;
+  expires_at: string | null;
+  created_at: string;
+  updated_at: string;
+}
+export interface AssistantChatRequest {
+  message: string;
+  conversationId?: string | null;
+  searchResults?: any[];
+}
+export interface AssistantChatResponse {
+  success: boolean;
+  conversationId?: string;
+  response?: string;
+  text?: string;
+  options?: Array<{ label: string; value: string }> | null;
+  assistantContext?: Record<string, any>;
+  status?: string;
+  readyForExecution?: boolean;
+  replaceStreamedText?: boolean; // Streaming only: response differs from the streamed tokens
+  error?: string;
+  [key: string]: any;
+}
+export interface ChatStreamHandlers<TFinal> {
+  onToken?: (text: string) => void; // Called for each generated text chunk
+  onReplace?: (text: string) => void; // The final reply differs from the streamed chunks (cleaned up, or a fallback): show it instead
+  onFinal?: (result: TFinal) => void; // Called once with the structured result
+  signal?: AbortSignal;
+}
@@ -0,0 +1,15 @@
+-- Migration: Lead Chat Sessions
+-- Description: Server-side lead-chat sessions stored in ai_conversations / ai_messages
+-- Date: 2026-10-18
+--
+-- Lead-chat sessions reuse the existing conversation tables:
+--   ai_conversations.metadata.type = 'lead_chat'   (assistant chats have no type or 'assistant')
+--   ai_conversations.metadata.currentTargeting / pendingIntent / forkedFrom
+--   ai_messages.message_data.targeting               (targeting snapshot after each assistant turn)
+-- No new columns are needed; this index keeps per-user session listing by type fast.
+
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_tenant_user_type
+  ON ai_conversations(tenant_id, user_id, (COALESCE(metadata->>'type', 'assistant')))
+  WHERE is_deleted = false;
+
+COMMENT ON COLUMN ai_conversations.metadata IS 'Additional metadata. metadata.type distinguishes assistant chats from lead_chat sessions';
@@ -0,0 +1,40 @@
+-- Migration: Classification Cache
+-- Description: Cache of industry / location / decision-maker classifications
+-- Date: 2026-10-18
+--
+-- One row per (classification_type, input_key, tenant). input_key is the normalised raw
+-- input ("Fitness  Studio" and "fitness studio" share a row). Rows without tenant_id are
+-- global. Rows hold model results: they expire at expires_at or when taxonomy_version
+-- changes. Manual classifications are override rules (ai_classification_overrides).
+
+CREATE TABLE IF NOT EXISTS ai_classification_cache (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE, -- NULL = global entry
+  classification_type VARCHAR(30) NOT NULL, -- 'industry' | 'location' | 'decision_makers'
+  input_key VARCHAR(255) NOT NULL, -- Normalised input
+  original_input VARCHAR(255) NOT NULL,
+  result JSONB NOT NULL, -- Classifier response (apollo_industry / primary_location / primary_role, confidence, alternatives...)
+  model VARCHAR(100), -- LLM provider that produced a model result
+  taxonomy_version VARCHAR(20),
+  usage_count INTEGER DEFAULT 1,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP, -- NULL = never
+  is_deleted BOOLEAN DEFAULT false,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Global rows have NULL tenant_id, so uniqueness goes through COALESCE
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_classification_cache_unique
+  ON ai_classification_cache(classification_type, input_key, (COALESCE(tenant_id, '00000000-0000-0000-0000-000000000000'::uuid)))
+  WHERE is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_ai_classification_cache_tenant_type
+  ON ai_classification_cache(tenant_id, classification_type)
+  WHERE is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_ai_classification_cache_expires
+  ON ai_classification_cache(expires_at)
+  WHERE is_deleted = false AND expires_at IS NOT NULL;
+
+COMMENT ON TABLE ai_classification_cache IS 'Cache of AI classifications of raw industry, location and job title inputs';
+COMMENT ON COLUMN ai_classification_cache.usage_count IS 'Cache hit count for performance monitoring';
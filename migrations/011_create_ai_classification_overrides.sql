@@ -0,0 +1,43 @@
+-- Migration: Classification Overrides
+-- Description: Tenant-curated rules that fix how matching inputs are classified
+-- Date: 2026-10-18
+--
+-- A rule maps inputs matching pattern (match_type exact | prefix | contains on the normalised
+-- input) to one taxonomy value. Rules are checked before the classification cache and
+-- the model; hit_count / last_hit_at back the "most used overrides" report.
+
+CREATE TABLE IF NOT EXISTS ai_classification_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  classification_type VARCHAR(30) NOT NULL, -- 'industry' | 'location' | 'decision_makers'
+  pattern VARCHAR(255) NOT NULL, -- Normalised text
+  match_type VARCHAR(20) NOT NULL DEFAULT 'exact', -- 'exact' | 'prefix' | 'contains'
+  value VARCHAR(255) NOT NULL, -- Taxonomy value matching inputs classify to
+  note TEXT, -- Why the rule exists (shown as the classification reasoning)
+  priority INTEGER DEFAULT 0, -- Higher wins when several rules match
+  is_active BOOLEAN DEFAULT true,
+  hit_count INTEGER DEFAULT 0,
+  last_hit_at TIMESTAMP,
+  created_by UUID,
+  is_deleted BOOLEAN DEFAULT false,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_ai_classification_overrides_match_type CHECK (match_type IN ('exact', 'prefix', 'contains'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_classification_overrides_unique
+  ON ai_classification_overrides(tenant_id, classification_type, match_type, pattern)
+  WHERE is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_ai_classification_overrides_active
+  ON ai_classification_overrides(tenant_id, classification_type)
+  WHERE is_deleted = false AND is_active = true;
+
+-- Trigger for updated_at
+CREATE TRIGGER update_ai_classification_overrides_updated_at
+  BEFORE UPDATE ON ai_classification_overrides
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ai_classification_overrides IS 'Tenant rules mapping raw industry, location and job title inputs to a fixed classification';
+COMMENT ON COLUMN ai_classification_overrides.hit_count IS 'Inputs classified by this rule, for the overrides report';
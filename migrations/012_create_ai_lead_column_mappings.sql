@@ -0,0 +1,41 @@
+-- Migration: Lead Column Mappings
+-- Description: Saved tenant mappings from uploaded lead file columns to lead fields
+-- Date: 2026-10-18
+--
+-- mapping holds { "<normalised header>": "<lead field>" | null } (null = keep as a custom
+-- field). header_signature is a hash of the sorted normalised headers, so a file with the same
+-- columns as a saved mapping (a recurring HubSpot, Salesforce or Apollo export) is mapped by it
+-- automatically.
+
+CREATE TABLE IF NOT EXISTS ai_lead_column_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  source_format VARCHAR(50), -- Free label: 'hubspot' | 'salesforce' | 'apollo' | ...
+  headers JSONB NOT NULL DEFAULT '[]'::jsonb, -- Normalised headers, in file order
+  header_signature VARCHAR(64) NOT NULL, -- sha256 of the sorted normalised headers
+  mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+  use_count INTEGER DEFAULT 0,
+  last_used_at TIMESTAMP,
+  created_by UUID,
+  is_deleted BOOLEAN DEFAULT false,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_lead_column_mappings_name
+  ON ai_lead_column_mappings(tenant_id, LOWER(name))
+  WHERE is_deleted = false;
+CREATE INDEX IF NOT EXISTS idx_ai_lead_column_mappings_signature
+  ON ai_lead_column_mappings(tenant_id, header_signature)
+  WHERE is_deleted = false;
+
+-- Trigger for updated_at
+CREATE TRIGGER update_ai_lead_column_mappings_updated_at
+  BEFORE UPDATE ON ai_lead_column_mappings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ai_lead_column_mappings IS 'Saved mappings from uploaded lead file columns to lead fields, per tenant';
+COMMENT ON COLUMN ai_lead_column_mappings.header_signature IS 'Files with the same header set reuse this mapping automatically';
@@ -0,0 +1,28 @@
+-- Migration: Lead Identities
+-- Description: Normalised keys of uploaded leads, for duplicate detection across uploads
+-- Date: 2026-10-18
+--
+-- One row per lead and key (email, linkedin_url, phone, name_company), written when leads are
+-- uploaded. upload_id groups the rows of one upload, so re-mapping the same upload replaces
+-- them instead of matching itself. lead holds a short snapshot (name, email, company) to show
+-- next to the new lead.
+
+CREATE TABLE IF NOT EXISTS ai_lead_identities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  upload_id UUID NOT NULL,
+  row_index INTEGER NOT NULL, -- Lead position in the upload
+  key_type VARCHAR(20) NOT NULL, -- 'email' | 'linkedin_url' | 'phone' | 'name_company'
+  key_value TEXT NOT NULL,
+  lead JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_lead_identities_key
+  ON ai_lead_identities(tenant_id, key_type, key_value);
+CREATE INDEX IF NOT EXISTS idx_ai_lead_identities_upload
+  ON ai_lead_identities(tenant_id, upload_id);
+
+COMMENT ON TABLE ai_lead_identities IS 'Normalised keys of uploaded leads, for duplicate detection across uploads';
+COMMENT ON COLUMN ai_lead_identities.key_value IS 'Normalised value: lower-case email, canonical LinkedIn URL, E.164 phone, or "name|company"';
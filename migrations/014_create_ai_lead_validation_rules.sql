@@ -0,0 +1,26 @@
+-- Migration: Lead Validation Rules
+-- Description: Tenant settings for the lead validation rules run before campaign execution
+-- Date: 2026-10-18
+--
+-- rules holds { "<rule id>": { "severity": "error" | "warning" | "off", ...rule settings } },
+-- merged over the defaults in config/validation.config.js. One row per tenant.
+
+CREATE TABLE IF NOT EXISTS ai_lead_validation_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_by UUID,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_lead_validation_rules_tenant
+  ON ai_lead_validation_rules(tenant_id);
+
+-- Trigger for updated_at
+CREATE TRIGGER update_ai_lead_validation_rules_updated_at
+  BEFORE UPDATE ON ai_lead_validation_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ai_lead_validation_rules IS 'Tenant lead validation rule settings, merged over the configured defaults';
@@ -0,0 +1,33 @@
+-- Migration: Background Jobs
+-- Description: Status of long-running lead jobs (upload, analysis, classification batches, scoring)
+-- Date: 2026-10-18
+--
+-- Written by JobQueue when JOBS_PERSISTENCE=postgres, so GET /jobs/:id answers from any
+-- instance and after a restart. Jobs run in-process: a row left queued or running by a
+-- stopped process is reported as failed. Inputs are not stored; results larger than
+-- config/jobs.config.js maxResultBytes stay in memory only.
+
+CREATE TABLE IF NOT EXISTS ai_jobs (
+  id UUID PRIMARY KEY,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id UUID,
+  type VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued | running | succeeded | failed | cancelled
+  progress SMALLINT NOT NULL DEFAULT 0,
+  message TEXT,
+  attempts SMALLINT NOT NULL DEFAULT 0,
+  max_attempts SMALLINT NOT NULL DEFAULT 1,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_jobs_tenant_created
+  ON ai_jobs(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_jobs_finished
+  ON ai_jobs(finished_at);
+
+COMMENT ON TABLE ai_jobs IS 'Background lead jobs: status, progress and results';
@@ -0,0 +1,68 @@
+-- Migration: Lead Batches
+-- Description: Uploaded lead lists, stored so a user can come back to an upload later
+-- Date: 2026-10-18
+--
+-- One batch per upload (id = the uploadId returned by /leads/upload) and one item per lead,
+-- in upload order (row_index is the lead's index, as used by duplicate clusters). Status only
+-- moves forward through the lifecycle:
+--   uploaded  parsed with the proposed column mapping
+--   mapped    column mapping confirmed through /leads/mapping
+--   validated readiness checked through /leads/validate
+--   assigned  handed to a campaign (campaign_id)
+-- parse_report holds the upload's counts, row errors, mapping, normalisation, duplicate and
+-- email check reports; analysis holds the platform detection and later the AI analysis and
+-- readiness report. ai_lead_batch_rows keeps the file's parsed rows, so /leads/mapping can
+-- build the leads again with another column mapping without the client sending them back.
+
+CREATE TABLE IF NOT EXISTS ai_lead_batches (
+  id UUID PRIMARY KEY,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  owner_id UUID, -- User who uploaded the leads
+  name VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'uploaded', -- uploaded | mapped | validated | assigned
+  source JSONB NOT NULL DEFAULT '{}'::jsonb, -- { type, file_name, mime_type, size_bytes, format }
+  parse_report JSONB NOT NULL DEFAULT '{}'::jsonb,
+  analysis JSONB NOT NULL DEFAULT '{}'::jsonb,
+  lead_count INTEGER NOT NULL DEFAULT 0,
+  campaign_id UUID,
+  assigned_at TIMESTAMP,
+  is_deleted BOOLEAN DEFAULT false,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT chk_ai_lead_batches_status CHECK (status IN ('uploaded', 'mapped', 'validated', 'assigned'))
+);
+
+CREATE TABLE IF NOT EXISTS ai_lead_batch_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID NOT NULL REFERENCES ai_lead_batches(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  row_index INTEGER NOT NULL, -- Lead position in the batch
+  lead JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ai_lead_batch_rows (
+  batch_id UUID NOT NULL REFERENCES ai_lead_batches(id) ON DELETE CASCADE,
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  row_index INTEGER NOT NULL, -- Row position in the file, header excluded
+  cells JSONB NOT NULL, -- Parsed values in column order
+  PRIMARY KEY (batch_id, row_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_lead_batches_tenant_created
+  ON ai_lead_batches(tenant_id, created_at DESC)
+  WHERE is_deleted = false;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_lead_batch_items_row
+  ON ai_lead_batch_items(batch_id, row_index);
+
+-- Trigger for updated_at
+CREATE TRIGGER update_ai_lead_batches_updated_at
+  BEFORE UPDATE ON ai_lead_batches
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE ai_lead_batches IS 'Uploaded lead lists with their parsing report, analysis and lifecycle status';
+COMMENT ON TABLE ai_lead_batch_items IS 'Leads of an uploaded batch, in upload order';
+COMMENT ON TABLE ai_lead_batch_rows IS 'Parsed file rows of an uploaded batch, for changing its column mapping';
+COMMENT ON COLUMN ai_lead_batches.status IS 'uploaded → mapped → validated → assigned (to campaign_id)';
@@ -0,0 +1,28 @@
+-- Migration: Lead Template Schemas
+-- Description: Tenant versions of the leads upload template (columns, labels, custom fields)
+-- Date: 2026-10-18
+--
+-- Each save adds a version; the tenant's template is its highest version that isn't deleted.
+-- Tenants without one use LeadsTemplateService.TEMPLATE_COLUMNS. columns holds
+-- [{ key, label, required, example, type, options, aliases }]: built-in lead fields keep
+-- their key, custom fields (account_owner, deal_stage...) become lead fields of that name and
+-- personalisation tokens ({{account_owner}}). Resetting to the default template saves a
+-- version without columns, so earlier versions stay readable by number (stored lead batches
+-- export with the template version they were uploaded with).
+
+CREATE TABLE IF NOT EXISTS ai_lead_template_schemas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  columns JSONB, -- NULL = reset to the default template
+  created_by UUID,
+  is_deleted BOOLEAN DEFAULT false,
+  deleted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_lead_template_schemas_tenant_version
+  ON ai_lead_template_schemas(tenant_id, version);
+
+COMMENT ON TABLE ai_lead_template_schemas IS 'Versioned tenant lead upload templates; the highest version not deleted is current';
+COMMENT ON COLUMN ai_lead_template_schemas.columns IS 'Template columns: built-in lead fields and tenant custom fields; NULL for a reset to the default template';